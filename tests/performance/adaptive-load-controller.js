@@ -0,0 +1,438 @@
+/**
+ * EMR Adaptive Load Controller
+ *
+ * Closed-loop alternative to hand-tuned VU ladders. Instead of a fixed
+ * schedule, a controller holds a concurrency level for a measurement window,
+ * computes that window's p95 and error rate, and decides the next level:
+ *
+ * 1. Ramp: raise concurrency by ADAPTIVE_STEP while both SLOs hold
+ * 2. Back off: after the first breach, pause ADAPTIVE_COOLDOWN seconds so
+ *    queues drain before the next probe
+ * 3. Search: binary-search between the last passing and the first failing
+ *    level until they are within ADAPTIVE_RESOLUTION clients
+ *
+ * k6 VUs share no state, so the controller runs in a single VU and simulates
+ * the clients itself: each round sends one request per client with
+ * http.batch() and waits for all of them, then pauses ADAPTIVE_THINK_TIME.
+ * Every response is seen by the controller, so the window statistics cover
+ * all traffic rather than a sample. Each simulated client sends its own
+ * X-Forwarded-For (client-ip-pool.js), and the default one second think time
+ * keeps a client under the global 100 req/min per-IP limiter. In per-vu mode
+ * the search stops at CLIENT_IP_POOL_SIZE clients, since further clients would
+ * share an address; other modes share addresses by design and get a warning.
+ *
+ * The SLOs are the suite's config.thresholds (p95 and errorRate). What counts
+ * as an error is up to the suite. 429s are left out of the latency sample
+ * (they return before the API does any work), and a level whose rate-limited
+ * share exceeds ADAPTIVE_MAX_RATE_LIMITED fails: it measured the limiter.
+ *
+ * Usage:
+ *   scenarios: { adaptive: getAdaptiveScenario('adaptiveTest') },
+ *   ...getAdaptiveBatchOptions(),
+ *   thresholds: getAdaptiveThresholds(),
+ *   export function adaptiveTest() { runAdaptiveSearch({ name, slo, buildRequest, isError }); }
+ *   buildAdaptiveResult(data, slo) / formatAdaptiveSummary(result)   // in handleSummary
+ */
+
+import http from 'k6/http';
+import { sleep } from 'k6';
+import { Counter, Gauge } from 'k6/metrics';
+import { percentile } from './perf-stats.js';
+import { clientIpConfig } from './client-ip-pool.js';
+
+// ============================================================================
+// CONTROLLER CONFIGURATION
+// ============================================================================
+
+export const adaptiveConfig = {
+    startConcurrency: parseInt(__ENV.ADAPTIVE_START || '10'),
+    step: parseInt(__ENV.ADAPTIVE_STEP || '10'),
+    maxConcurrency: parseInt(__ENV.ADAPTIVE_MAX || '500'),
+    // Binary search stops once passing and failing levels are this close
+    resolution: parseInt(__ENV.ADAPTIVE_RESOLUTION || '5'),
+
+    // Each level: settle (discarded) then measure
+    settleSeconds: parseInt(__ENV.ADAPTIVE_SETTLE || '5'),
+    windowSeconds: parseInt(__ENV.ADAPTIVE_WINDOW || '30'),
+    cooldownSeconds: parseInt(__ENV.ADAPTIVE_COOLDOWN || '15'),
+    thinkTime: parseFloat(__ENV.ADAPTIVE_THINK_TIME || '1'),
+    // Share of 429s above which a level fails regardless of p95 and errors
+    maxRateLimitedShare: parseFloat(__ENV.ADAPTIVE_MAX_RATE_LIMITED || '0.01'),
+
+    // The controller stops evaluating new levels after this long
+    maxMinutes: parseInt(__ENV.ADAPTIVE_MAX_MINUTES || '45'),
+};
+
+/**
+ * Highest concurrency the search may use
+ * In per-vu mode every simulated client needs its own client IP, so the
+ * search stops at the pool size.
+ * @returns {number} Concurrency ceiling
+ */
+function concurrencyCeiling() {
+    if (clientIpConfig.mode === 'per-vu') {
+        return Math.min(adaptiveConfig.maxConcurrency, clientIpConfig.poolSize);
+    }
+    return adaptiveConfig.maxConcurrency;
+}
+
+/**
+ * How a search ended
+ * - converged: passing and failing levels are within the resolution
+ * - max_reached: every level up to ADAPTIVE_MAX held its SLOs (lower bound)
+ * - time_limit: ADAPTIVE_MAX_MINUTES ran out before either of the above
+ */
+export const ADAPTIVE_OUTCOMES = ['converged', 'max_reached', 'time_limit'];
+
+// ============================================================================
+// CUSTOM METRICS
+// ============================================================================
+
+const adaptiveMetrics = {
+    concurrency: new Gauge('adaptive_concurrency'),
+    levelsEvaluated: new Counter('adaptive_levels_evaluated'),
+    sustainableConcurrency: new Gauge('adaptive_sustainable_concurrency'),
+    sustainableThroughput: new Gauge('adaptive_sustainable_throughput'),
+    sustainableP95: new Gauge('adaptive_sustainable_p95', true),
+    breachConcurrency: new Gauge('adaptive_breach_concurrency'),
+    outcome: new Counter('adaptive_search_outcome'),
+};
+
+// ============================================================================
+// K6 OPTIONS
+// ============================================================================
+
+/**
+ * Single-VU scenario that runs the controller once
+ * @param {string} execName - Exported function that calls runAdaptiveSearch()
+ * @returns {Object} Scenario definition
+ */
+export function getAdaptiveScenario(execName) {
+    return {
+        executor: 'per-vu-iterations',
+        vus: 1,
+        iterations: 1,
+        // Headroom for the level in flight when the controller's own limit hits
+        maxDuration: `${adaptiveConfig.maxMinutes + 5}m`,
+        exec: execName,
+        tags: { test_type: 'adaptive' },
+    };
+}
+
+/**
+ * Let one http.batch() call run every simulated client in parallel
+ * (k6 defaults to 20 per batch and 6 per host)
+ * @returns {Object} { batch, batchPerHost } for k6 options
+ */
+export function getAdaptiveBatchOptions() {
+    return {
+        batch: adaptiveConfig.maxConcurrency,
+        batchPerHost: adaptiveConfig.maxConcurrency,
+    };
+}
+
+/**
+ * Thresholds for an adaptive run
+ * Per-request latency thresholds would fail every run, since the search
+ * breaches the SLOs on purpose. The run fails only when no level held.
+ * @returns {Object} Thresholds object for k6 options
+ */
+export function getAdaptiveThresholds() {
+    const thresholds = {
+        'adaptive_sustainable_concurrency': ['value>0'],
+    };
+    ADAPTIVE_OUTCOMES.forEach((outcome) => {
+        thresholds[`adaptive_search_outcome{outcome:${outcome}}`] = ['count>=0'];
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// MEASUREMENT
+// ============================================================================
+
+/**
+ * Hold a concurrency level for one window and measure it
+ * @param {number} concurrency - Simulated clients
+ * @param {Object} target - { slo, buildRequest, isError }
+ * @returns {Object} Level result
+ */
+function measureLevel(concurrency, target) {
+    adaptiveMetrics.concurrency.add(concurrency);
+
+    const settleEnd = Date.now() + adaptiveConfig.settleSeconds * 1000;
+    const windowEnd = settleEnd + adaptiveConfig.windowSeconds * 1000;
+    // Latencies of responses that reached the API (429s excluded)
+    const durations = [];
+    let responseCount = 0;
+    let errors = 0;
+    let rateLimited = 0;
+    let measuredRounds = 0;
+    let round = 0;
+
+    // Always measure at least one round, even if a round outlasts the window
+    while (Date.now() < windowEnd || measuredRounds === 0) {
+        const roundStart = Date.now();
+        const requests = [];
+        for (let client = 0; client < concurrency; client++) {
+            requests.push(target.buildRequest(client, round));
+        }
+
+        const responses = http.batch(requests);
+
+        if (roundStart >= settleEnd) {
+            measuredRounds++;
+            for (const response of responses) {
+                responseCount++;
+                if (response.status === 429) {
+                    rateLimited++;
+                } else {
+                    durations.push(response.timings.duration);
+                }
+                if (target.isError(response)) {
+                    errors++;
+                }
+            }
+        }
+
+        round++;
+        if (adaptiveConfig.thinkTime > 0) {
+            sleep(adaptiveConfig.thinkTime);
+        }
+    }
+
+    const measuredSeconds = Math.max(1, (Date.now() - settleEnd) / 1000);
+    // A window of nothing but 429s has no latency sample and fails on rateLimitedShare
+    const p95Ms = durations.length > 0 ? Math.round(percentile(durations, 95) * 100) / 100 : 0;
+    const errorRate = errors / responseCount;
+    const rateLimitedShare = rateLimited / responseCount;
+
+    adaptiveMetrics.levelsEvaluated.add(1);
+
+    return {
+        concurrency: concurrency,
+        requests: responseCount,
+        // Responses that were not rate limited
+        throughput: Math.round((durations.length / measuredSeconds) * 100) / 100,
+        p95Ms: p95Ms,
+        errorRate: errorRate,
+        rateLimitedShare: rateLimitedShare,
+        sloMet: p95Ms <= target.slo.p95Ms &&
+            errorRate <= target.slo.errorRate &&
+            rateLimitedShare <= adaptiveConfig.maxRateLimitedShare,
+    };
+}
+
+/**
+ * Log a level result and publish the running answer
+ * Gauges are updated as the search goes, so an interrupted run still reports
+ * the best levels found so far.
+ * @param {string} phase - 'ramp' or 'search'
+ * @param {Object} level - From measureLevel()
+ */
+function recordLevel(phase, level) {
+    console.log(
+        `[adaptive] ${phase} ${level.concurrency} clients: ${level.throughput} req/s, ` +
+        `p95 ${level.p95Ms}ms, errors ${(level.errorRate * 100).toFixed(2)}%, ` +
+        `429 ${(level.rateLimitedShare * 100).toFixed(1)}% -> ${level.sloMet ? 'SLOs held' : 'SLO breached'}`
+    );
+
+    if (level.sloMet) {
+        adaptiveMetrics.sustainableConcurrency.add(level.concurrency);
+        adaptiveMetrics.sustainableThroughput.add(level.throughput);
+        adaptiveMetrics.sustainableP95.add(level.p95Ms);
+    } else {
+        adaptiveMetrics.breachConcurrency.add(level.concurrency);
+    }
+}
+
+// ============================================================================
+// SEARCH
+// ============================================================================
+
+/**
+ * Ramp until an SLO breaks, then binary-search the limit
+ * @param {Object} target - Suite-specific workload:
+ *   - name: label for logs
+ *   - slo: { p95Ms, errorRate } (the suite's config.thresholds)
+ *   - buildRequest(client, round): http.batch() request for one client
+ *   - isError(response): true if the response counts against the error SLO
+ * @returns {Object} { outcome, sustainable, breach, levels }
+ */
+export function runAdaptiveSearch(target) {
+    const deadline = Date.now() + adaptiveConfig.maxMinutes * 60 * 1000;
+    const levelMs = (adaptiveConfig.settleSeconds + adaptiveConfig.windowSeconds) * 1000;
+    const maxConcurrency = concurrencyCeiling();
+    const levels = [];
+    let sustainable = null;
+    let breach = null;
+    let outcome = 'time_limit';
+
+    // No level has held yet; the threshold fails unless one does
+    adaptiveMetrics.sustainableConcurrency.add(0);
+
+    console.log(
+        `[adaptive] ${target.name}: SLO p95 <= ${target.slo.p95Ms}ms, errors <= ${(target.slo.errorRate * 100).toFixed(2)}%; ` +
+        `429s <= ${(adaptiveConfig.maxRateLimitedShare * 100).toFixed(2)}%; ` +
+        `start ${adaptiveConfig.startConcurrency}, step ${adaptiveConfig.step}, max ${maxConcurrency} clients`
+    );
+
+    if (maxConcurrency < adaptiveConfig.maxConcurrency) {
+        console.warn(
+            `[adaptive] ADAPTIVE_MAX ${adaptiveConfig.maxConcurrency} exceeds CLIENT_IP_POOL_SIZE ${clientIpConfig.poolSize}; ` +
+            `capped at ${maxConcurrency} clients so each keeps its own client IP`
+        );
+    } else if (clientIpConfig.mode === 'clinic-nat' && maxConcurrency > clientIpConfig.clinicCount) {
+        console.warn(
+            `[adaptive] CLIENT_IP_MODE=clinic-nat puts up to ${maxConcurrency} clients behind ${clientIpConfig.clinicCount} addresses; ` +
+            'levels that overrun a shared per-IP limiter fail on the 429 bound'
+        );
+    } else if (clientIpConfig.mode === 'none') {
+        console.warn('[adaptive] CLIENT_IP_MODE=none: every client shares one per-IP limiter; expect levels to fail on the 429 bound');
+    }
+
+    // Ramp phase
+    let concurrency = Math.min(adaptiveConfig.startConcurrency, maxConcurrency);
+    while (Date.now() + levelMs < deadline) {
+        const level = measureLevel(concurrency, target);
+        levels.push(level);
+        recordLevel('ramp', level);
+
+        if (!level.sloMet) {
+            breach = level;
+            break;
+        }
+
+        sustainable = level;
+        if (concurrency >= maxConcurrency) {
+            outcome = 'max_reached';
+            break;
+        }
+        concurrency = Math.min(concurrency + adaptiveConfig.step, maxConcurrency);
+    }
+
+    // Back off and binary-search between the last pass and the first breach
+    if (breach) {
+        let low = sustainable ? sustainable.concurrency : 0;
+        let high = breach.concurrency;
+
+        while (high - low > adaptiveConfig.resolution) {
+            if (Date.now() + adaptiveConfig.cooldownSeconds * 1000 + levelMs >= deadline) {
+                break;
+            }
+
+            sleep(adaptiveConfig.cooldownSeconds);
+
+            const middle = Math.max(1, Math.floor((low + high) / 2));
+            if (middle <= low) {
+                break;
+            }
+
+            const level = measureLevel(middle, target);
+            levels.push(level);
+            recordLevel('search', level);
+
+            if (level.sloMet) {
+                sustainable = level;
+                low = middle;
+            } else {
+                breach = level;
+                high = middle;
+            }
+        }
+
+        if (high - low <= adaptiveConfig.resolution) {
+            outcome = 'converged';
+        }
+    }
+
+    adaptiveMetrics.outcome.add(1, { outcome: outcome });
+
+    console.log(
+        `[adaptive] ${target.name}: ${outcome} after ${levels.length} levels; sustainable ` +
+        `${sustainable ? `${sustainable.concurrency} clients (${sustainable.throughput} req/s)` : 'none'}, ` +
+        `first failing ${breach ? `${breach.concurrency} clients` : 'none'}`
+    );
+
+    return { outcome, sustainable, breach, levels };
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Search result from the end-of-test summary data
+ * @param {Object} data - handleSummary data
+ * @param {Object} slo - { p95Ms, errorRate } the search used
+ * @returns {Object|null} Result, or null if the adaptive scenario didn't run
+ */
+export function buildAdaptiveResult(data, slo) {
+    const levelsEvaluated = data.metrics.adaptive_levels_evaluated?.values?.count || 0;
+    if (levelsEvaluated === 0) {
+        return null;
+    }
+
+    const outcome = ADAPTIVE_OUTCOMES.find((o) =>
+        (data.metrics[`adaptive_search_outcome{outcome:${o}}`]?.values?.count || 0) > 0
+    ) || 'interrupted';
+
+    const sustainableConcurrency = data.metrics.adaptive_sustainable_concurrency?.values?.value || 0;
+
+    return {
+        generatedAt: new Date().toISOString(),
+        slo: slo,
+        outcome: outcome,
+        levelsEvaluated: levelsEvaluated,
+        sustainable: sustainableConcurrency > 0 ? {
+            concurrency: sustainableConcurrency,
+            throughput: data.metrics.adaptive_sustainable_throughput?.values?.value,
+            p95Ms: data.metrics.adaptive_sustainable_p95?.values?.value,
+        } : null,
+        // Lowest failing level is the last one recorded: the search only moves it down
+        firstFailingConcurrency: data.metrics.adaptive_breach_concurrency?.values?.value || null,
+        controller: {
+            startConcurrency: adaptiveConfig.startConcurrency,
+            step: adaptiveConfig.step,
+            maxConcurrency: concurrencyCeiling(),
+            maxRateLimitedShare: adaptiveConfig.maxRateLimitedShare,
+            resolution: adaptiveConfig.resolution,
+            windowSeconds: adaptiveConfig.windowSeconds,
+            thinkTime: adaptiveConfig.thinkTime,
+        },
+    };
+}
+
+/**
+ * Human-readable search result for the stdout summary
+ * @param {Object|null} result - From buildAdaptiveResult()
+ * @returns {string} Summary text ('' if the scenario didn't run)
+ */
+export function formatAdaptiveSummary(result) {
+    if (result === null) {
+        return '';
+    }
+
+    const sustainable = result.sustainable;
+    return `
+Adaptive Load Search (SLO: p95 <= ${result.slo.p95Ms}ms, errors <= ${(result.slo.errorRate * 100).toFixed(2)}%):
+- Outcome: ${result.outcome} after ${result.levelsEvaluated} levels
+- Sustainable: ${sustainable ? `${sustainable.concurrency} clients, ${sustainable.throughput} req/s, p95 ${sustainable.p95Ms}ms${result.outcome === 'max_reached' ? ' (concurrency ceiling reached, lower bound)' : ''}` : 'none - even the lowest level breached an SLO'}
+- First Failing: ${result.firstFailingConcurrency ? `${result.firstFailingConcurrency} clients` : 'none'}
+`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    adaptiveConfig,
+    ADAPTIVE_OUTCOMES,
+    getAdaptiveScenario,
+    getAdaptiveBatchOptions,
+    getAdaptiveThresholds,
+    runAdaptiveSearch,
+    buildAdaptiveResult,
+    formatAdaptiveSummary,
+};
@@ -15,6 +15,8 @@
  * - Continuous aggregate queries < 100ms
  * - 100% audit coverage (no dropped logs)
  * - Export functionality for compliance reporting
+ * - Admin dashboard endpoints (hourly trend, top active users, retention,
+ *   chunks, statistics, POST export), weighted by AUDIT_MIX_WEIGHTS
  */
 
 import http from 'k6/http';
@@ -32,16 +34,28 @@ import {
     validateSevenYearQuery,
     validateExportResponse,
     getAuditHeaders,
-    buildAuditUrl,
     getAuditThresholds,
+    pickAuditMixEntry,
     thinkTime,
     formatAuditTestSummary,
 } from './audit-performance-config.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { routeUrl, checkRouteContract } from './route-manifest.js';
+import {
+    withClientIp,
+    applyClientPartition,
+    getPartitionThresholds,
+    formatPartitionSummary,
+} from './client-ip-pool.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
 
 // ============================================================================
 // TEST OPTIONS
 // ============================================================================
 
+// Upper bound on concurrent VUs: load_test (50) + seven_year_queries (3) + warmup (5)
+const AUDIT_LOAD_MAX_VUS = 58;
+
 export const options = {
     // Test scenarios
     scenarios: {
@@ -80,8 +94,11 @@ export const options = {
         },
     },
 
-    // Performance thresholds
-    thresholds: getAuditThresholds(),
+    // Performance thresholds, plus per client IP partition submetrics for the summary
+    thresholds: {
+        ...getAuditThresholds(),
+        ...getPartitionThresholds(AUDIT_LOAD_MAX_VUS),
+    },
 
     // Output configuration
     summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
@@ -94,10 +111,11 @@ export const options = {
 export function setup() {
     console.log('Starting HIPAA Audit Performance Test');
     console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
     console.log(`Admin Token: ${config.adminToken ? 'Provided' : 'NOT PROVIDED - tests may fail'}`);
 
     // Verify connectivity
-    const healthCheck = http.get(`${config.baseUrl}/health`, {
+    const healthCheck = http.get(routeUrl('health.check'), {
         timeout: '10s',
     });
 
@@ -105,6 +123,24 @@ export function setup() {
         console.warn(`Health check failed with status ${healthCheck.status}`);
     }
 
+    checkRouteContract([
+        'audit.logs',
+        'audit.complianceMetrics',
+        'audit.dailySummaries',
+        'audit.storageStats',
+        'audit.userActivity',
+        'audit.resourceAccess',
+        'audit.trail',
+        'audit.exportStream',
+        'audit.hourlyTrend',
+        'audit.topActiveUsers',
+        'audit.retentionCompliance',
+        'audit.storageChunks',
+        'audit.statistics',
+        'audit.export',
+        'auth.csrfToken',
+    ]);
+
     return {
         startTime: new Date().toISOString(),
         headers: getAuditHeaders(),
@@ -116,7 +152,10 @@ export function setup() {
 // ============================================================================
 
 export default function (data) {
-    const headers = data.headers;
+    applyClientPartition();
+
+    // Setup runs without a client IP - add this VU's X-Forwarded-For
+    const headers = withClientIp({ ...data.headers });
     const scenario = __ENV.SCENARIO || 'mixed';
 
     // Route to appropriate test based on scenario tag
@@ -140,6 +179,15 @@ export default function (data) {
 
     sleep(thinkTime());
 
+    // One admin dashboard endpoint per iteration, picked by AUDIT_MIX_WEIGHTS
+    const dashboardEntry = pickAuditMixEntry();
+    if (dashboardEntry) {
+        group('Dashboard Queries', () => {
+            testDashboardEndpoint(headers, dashboardEntry);
+        });
+        sleep(thinkTime());
+    }
+
     // Periodic 7-year query test (1 in 10 iterations)
     if (__ITER % 10 === 0) {
         group('7-Year Query Test', () => {
@@ -174,7 +222,7 @@ export default function (data) {
  */
 function testAuditLogQuery(headers) {
     const query = generateAuditLogQuery();
-    const url = buildAuditUrl('audit', query);
+    const url = routeUrl('audit.logs', {}, query);
 
     const response = http.get(url, {
         headers: headers,
@@ -203,7 +251,7 @@ function testAuditLogQuery(headers) {
  */
 function testComplianceMetrics(headers) {
     const query = generateComplianceMetricsQuery();
-    const url = buildAuditUrl('audit/compliance/metrics', query);
+    const url = routeUrl('audit.complianceMetrics', {}, query);
 
     const response = http.get(url, {
         headers: headers,
@@ -226,7 +274,7 @@ function testComplianceMetrics(headers) {
  */
 function testDailySummaries(headers) {
     const dateRange = getDateRange(30); // Last 30 days
-    const url = buildAuditUrl('audit/daily-summaries', dateRange);
+    const url = routeUrl('audit.dailySummaries', {}, dateRange);
 
     const response = http.get(url, {
         headers: headers,
@@ -244,7 +292,7 @@ function testDailySummaries(headers) {
  */
 function testSevenYearQuery(headers) {
     const dateRange = getSevenYearRange();
-    const url = buildAuditUrl('audit/compliance/metrics', dateRange);
+    const url = routeUrl('audit.complianceMetrics', {}, dateRange);
 
     const startTime = Date.now();
     const response = http.get(url, {
@@ -266,7 +314,7 @@ function testSevenYearQuery(headers) {
  * Test storage statistics endpoint
  */
 function testStorageStats(headers) {
-    const url = buildAuditUrl('audit/storage/stats');
+    const url = routeUrl('audit.storageStats');
 
     const response = http.get(url, {
         headers: headers,
@@ -301,9 +349,9 @@ function testStorageStats(headers) {
  */
 function testUserActivity(headers) {
     const userId = config.testData.userIds[
-        Math.floor(Math.random() * config.testData.userIds.length)
+        Math.floor(random() * config.testData.userIds.length)
     ];
-    const url = buildAuditUrl(`audit/users/${userId}/activity`);
+    const url = routeUrl('audit.userActivity', { userId });
 
     const response = http.get(url, {
         headers: headers,
@@ -320,7 +368,7 @@ function testUserActivity(headers) {
  */
 function testResourceAccess(headers) {
     const { resourceType, resourceId } = generateResourceAccessQuery();
-    const url = buildAuditUrl(`audit/resources/${resourceType}/${resourceId}/access`);
+    const url = routeUrl('audit.resourceAccess', { resourceType, resourceId });
 
     const response = http.get(url, {
         headers: headers,
@@ -337,7 +385,7 @@ function testResourceAccess(headers) {
  */
 function testAuditTrail(headers) {
     const { resourceType, resourceId } = generateResourceAccessQuery();
-    const url = buildAuditUrl(`audit/trail/${resourceType}/${resourceId}`);
+    const url = routeUrl('audit.trail', { resourceType, resourceId });
 
     const response = http.get(url, {
         headers: headers,
@@ -353,7 +401,7 @@ function testAuditTrail(headers) {
  */
 function testExport(headers) {
     const dateRange = getDateRange(7); // Last 7 days for export
-    const url = buildAuditUrl('audit/export/stream', {
+    const url = routeUrl('audit.exportStream', {}, {
         ...dateRange,
         format: 'csv',
     });
@@ -367,6 +415,32 @@ function testExport(headers) {
     validateExportResponse(response);
 }
 
+/**
+ * Test one admin dashboard endpoint from the load mix
+ * @param {Object} headers - Audit headers of this VU
+ * @param {Object} entry - From pickAuditMixEntry()
+ */
+function testDashboardEndpoint(headers, entry) {
+    const request = entry.build();
+    const url = routeUrl(request.route, {}, request.query);
+
+    let response;
+    if (request.method === 'POST') {
+        const csrfSession = csrfSessionFor(config.adminToken);
+        ensureCsrfSession(csrfSession);
+        const params = csrfRequestParams(csrfSession, config.adminToken, { name: request.name });
+        response = http.post(url, JSON.stringify(request.body), { ...params, timeout: request.timeout });
+    } else {
+        response = http.get(url, {
+            headers: headers,
+            tags: { name: request.name },
+            timeout: request.timeout,
+        });
+    }
+
+    entry.validate(response, request);
+}
+
 // ============================================================================
 // TEARDOWN
 // ============================================================================
@@ -381,11 +455,13 @@ export function teardown(data) {
 // ============================================================================
 
 export function handleSummary(data) {
-    const summary = formatAuditTestSummary(data);
+    const summary = `${formatAuditTestSummary(data)}
+${formatPartitionSummary(data, AUDIT_LOAD_MAX_VUS)}
+`;
     console.log(summary);
 
     return {
         'stdout': summary,
-        'audit-load-test-results.json': JSON.stringify(data, null, 2),
+        'audit-load-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
     };
 }
@@ -14,6 +14,8 @@
 
 import { check } from 'k6';
 import { Rate, Counter, Trend, Gauge } from 'k6/metrics';
+import { withClientIp } from './client-ip-pool.js';
+import { random, randomInt, randomBetween } from './seeded-random.js';
 
 // ============================================================================
 // ENVIRONMENT CONFIGURATION
@@ -122,6 +124,14 @@ export const metrics = {
     aggregateQueryDuration: new Trend('aggregate_query_duration'),
     aggregateHits: new Counter('aggregate_hits'),
     aggregateMisses: new Counter('aggregate_misses'),
+
+    // Admin dashboard endpoints
+    hourlyTrendDuration: new Trend('hourly_trend_duration'),
+    topActiveUsersDuration: new Trend('top_active_users_duration'),
+    retentionComplianceDuration: new Trend('retention_compliance_duration'),
+    storageChunksDuration: new Trend('storage_chunks_duration'),
+    statisticsDuration: new Trend('statistics_duration'),
+    exportRequestDuration: new Trend('export_request_duration'),
 };
 
 // ============================================================================
@@ -158,7 +168,7 @@ export function getSevenYearRange() {
  */
 export function getRandomDateRange() {
     const ranges = Object.values(config.testData.dateRanges);
-    const range = ranges[Math.floor(Math.random() * ranges.length)];
+    const range = ranges[Math.floor(random() * ranges.length)];
     return {
         ...getDateRange(range.days),
         days: range.days,
@@ -175,8 +185,8 @@ export function getRandomDateRange() {
  */
 export function generateAuditLogQuery() {
     const dateRange = getRandomDateRange();
-    const pageSize = [10, 25, 50, 100][Math.floor(Math.random() * 4)];
-    const pageNumber = Math.floor(Math.random() * 10) + 1;
+    const pageSize = [10, 25, 50, 100][Math.floor(random() * 4)];
+    const pageNumber = Math.floor(random() * 10) + 1;
 
     const query = {
         fromDate: dateRange.fromDate,
@@ -186,15 +196,15 @@ export function generateAuditLogQuery() {
     };
 
     // Randomly add filters
-    if (Math.random() > 0.5) {
+    if (random() > 0.5) {
         query.eventType = config.testData.eventTypes[
-            Math.floor(Math.random() * config.testData.eventTypes.length)
+            Math.floor(random() * config.testData.eventTypes.length)
         ];
     }
 
-    if (Math.random() > 0.7) {
+    if (random() > 0.7) {
         query.userId = config.testData.userIds[
-            Math.floor(Math.random() * config.testData.userIds.length)
+            Math.floor(random() * config.testData.userIds.length)
         ];
     }
 
@@ -219,17 +229,122 @@ export function generateComplianceMetricsQuery() {
  */
 export function generateResourceAccessQuery() {
     const resourceType = config.testData.resourceTypes[
-        Math.floor(Math.random() * config.testData.resourceTypes.length)
+        Math.floor(random() * config.testData.resourceTypes.length)
     ];
-    const resourceId = `${resourceType.toLowerCase()}-${Math.floor(Math.random() * 1000)}`;
+    const resourceId = `${resourceType.toLowerCase()}-${Math.floor(random() * 1000)}`;
 
     return { resourceType, resourceId };
 }
 
+// ============================================================================
+// DASHBOARD REQUEST BUILDERS
+// ============================================================================
+
+/**
+ * Build an hourly activity trend request for one of the last 30 days
+ * @returns {Object} Request { method, route, query, name, timeout }
+ */
+export function buildHourlyTrendRequest() {
+    return {
+        method: 'GET',
+        route: 'audit.hourlyTrend',
+        query: { date: getDateRange(randomInt(30)).fromDate },
+        name: 'hourly_trend',
+        timeout: '10s',
+    };
+}
+
+/**
+ * Build a top active users request over a random date range
+ * @returns {Object} Request { method, route, query, name, timeout }
+ */
+export function buildTopActiveUsersRequest() {
+    const { fromDate, toDate } = getRandomDateRange();
+    return {
+        method: 'GET',
+        route: 'audit.topActiveUsers',
+        query: { fromDate, toDate, limit: [5, 10, 25, 50][randomInt(4)] },
+        name: 'top_active_users',
+        timeout: '10s',
+    };
+}
+
+/**
+ * Build a HIPAA retention compliance request
+ * @returns {Object} Request { method, route, query, name, timeout }
+ */
+export function buildRetentionComplianceRequest() {
+    return {
+        method: 'GET',
+        route: 'audit.retentionCompliance',
+        query: {},
+        name: 'retention_compliance',
+        timeout: '10s',
+    };
+}
+
+/**
+ * Build a TimescaleDB chunk listing request
+ * @returns {Object} Request { method, route, query, name, timeout }
+ */
+export function buildStorageChunksRequest() {
+    return {
+        method: 'GET',
+        route: 'audit.storageChunks',
+        query: {},
+        name: 'storage_chunks',
+        timeout: '10s',
+    };
+}
+
+/**
+ * Build a legacy statistics request (served by the compliance metrics aggregate)
+ * @returns {Object} Request { method, route, query, name, timeout }
+ */
+export function buildStatisticsRequest() {
+    return {
+        method: 'GET',
+        route: 'audit.statistics',
+        query: generateComplianceMetricsQuery(),
+        name: 'statistics',
+        timeout: '10s',
+    };
+}
+
+/**
+ * Build a legacy POST export request for the last 7 days
+ * State-changing, so the caller must send it with a CSRF session.
+ * @returns {Object} Request { method, route, query, body, name, timeout }
+ */
+export function buildExportRequest() {
+    const { fromDate, toDate } = getDateRange(7);
+    return {
+        method: 'POST',
+        route: 'audit.export',
+        query: {},
+        body: { fromDate, toDate, format: random() < 0.5 ? 'csv' : 'json' },
+        name: 'export_request',
+        timeout: '120s',
+    };
+}
+
 // ============================================================================
 // VALIDATION HELPERS
 // ============================================================================
 
+/**
+ * Parse a JSON response body
+ * @param {Response} response - HTTP response
+ * @returns {*} Parsed body, or null
+ */
+function parseJsonBody(response) {
+    try {
+        return JSON.parse(response.body);
+    } catch (e) {
+        return null;
+    }
+}
+
 /**
  * Check if response is successful
  * @param {Response} response - HTTP response
@@ -308,6 +423,185 @@ export function validateExportResponse(response) {
     return result;
 }
 
+/**
+ * Validate hourly trend response and record its duration
+ * @param {Response} response - HTTP response
+ * @returns {boolean}
+ */
+export function validateHourlyTrendResponse(response) {
+    metrics.hourlyTrendDuration.add(response.timings.duration);
+    const result = validateAuditResponse(response, 'hourly_trend');
+    if (!isSuccessful(response)) {
+        return false;
+    }
+
+    return check(parseJsonBody(response), {
+        'hourly_trend: at most 24 hours': (hours) => Array.isArray(hours) && hours.length <= 24,
+        'hourly_trend: hours within 0-23': (hours) => Array.isArray(hours) && hours.every((entry) => entry.hour >= 0 && entry.hour < 24),
+    }) && result;
+}
+
+/**
+ * Validate top active users response and record its duration
+ * @param {Response} response - HTTP response
+ * @param {Object} request - Request from buildTopActiveUsersRequest()
+ * @returns {boolean}
+ */
+export function validateTopActiveUsersResponse(response, request) {
+    metrics.topActiveUsersDuration.add(response.timings.duration);
+    const result = validateAuditResponse(response, 'top_active_users');
+    if (!isSuccessful(response)) {
+        return false;
+    }
+
+    return check(parseJsonBody(response), {
+        'top_active_users: within limit': (users) => Array.isArray(users) && users.length <= request.query.limit,
+        'top_active_users: ordered by total actions': (users) => Array.isArray(users) &&
+            users.every((user, i) => i === 0 || users[i - 1].totalActions >= user.totalActions),
+    }) && result;
+}
+
+/**
+ * Validate retention compliance response and record its duration
+ * @param {Response} response - HTTP response
+ * @returns {boolean}
+ */
+export function validateRetentionComplianceResponse(response) {
+    metrics.retentionComplianceDuration.add(response.timings.duration);
+    const result = validateAuditResponse(response, 'retention_compliance');
+    if (!isSuccessful(response)) {
+        return false;
+    }
+
+    return check(parseJsonBody(response), {
+        'retention_compliance: has compliance status': (status) => status !== null && typeof status.isCompliant === 'boolean',
+        'retention_compliance: policy keeps 7 years': (status) => status !== null &&
+            status.retentionDays >= config.testData.dateRanges.sevenYears.days,
+    }) && result;
+}
+
+/**
+ * Validate chunk listing response, record its duration and the chunk count
+ * @param {Response} response - HTTP response
+ * @returns {boolean}
+ */
+export function validateStorageChunksResponse(response) {
+    metrics.storageChunksDuration.add(response.timings.duration);
+    const result = validateAuditResponse(response, 'storage_chunks');
+    if (!isSuccessful(response)) {
+        return false;
+    }
+
+    const chunks = parseJsonBody(response);
+    if (Array.isArray(chunks)) {
+        metrics.chunkCount.add(chunks.length);
+    }
+    return check(chunks, {
+        'storage_chunks: is a chunk list': (list) => Array.isArray(list) && list.every((chunk) => chunk.chunkName && chunk.rangeStart),
+    }) && result;
+}
+
+/**
+ * Validate legacy statistics response and record its duration
+ * @param {Response} response - HTTP response
+ * @returns {boolean}
+ */
+export function validateStatisticsResponse(response) {
+    metrics.statisticsDuration.add(response.timings.duration);
+    metrics.aggregateQueryDuration.add(response.timings.duration);
+    const result = validateAuditResponse(response, 'statistics', config.thresholds.p50 * 2);
+    if (!isSuccessful(response)) {
+        return false;
+    }
+
+    return check(parseJsonBody(response), {
+        'statistics: has compliance metrics': (stats) => stats !== null && typeof stats.totalAuditEvents === 'number',
+    }) && result;
+}
+
+/**
+ * Validate legacy POST export response and record its duration
+ * @param {Response} response - HTTP response
+ * @returns {boolean}
+ */
+export function validateExportRequestResponse(response) {
+    const result = check(response, {
+        'export_request: status is 2xx': isSuccessful(response),
+        'export_request: response time < 120s': response.timings.duration < config.thresholds.exportTimeout,
+        'export_request: has content': response.body && response.body.length > 0,
+    });
+
+    metrics.exportRequestDuration.add(response.timings.duration);
+    metrics.exportErrors.add(isSuccessful(response) ? 0 : 1);
+    if (isSuccessful(response)) {
+        metrics.successfulExports.add(1);
+    }
+
+    return result;
+}
+
+// ============================================================================
+// DASHBOARD LOAD MIX
+// ============================================================================
+
+/**
+ * Admin dashboard endpoints in the audit load mix, with their default weights
+ */
+export const auditLoadMix = {
+    hourlyTrend: { weight: 3, build: buildHourlyTrendRequest, validate: validateHourlyTrendResponse },
+    topActiveUsers: { weight: 3, build: buildTopActiveUsersRequest, validate: validateTopActiveUsersResponse },
+    statistics: { weight: 2, build: buildStatisticsRequest, validate: validateStatisticsResponse },
+    retentionCompliance: { weight: 1, build: buildRetentionComplianceRequest, validate: validateRetentionComplianceResponse },
+    storageChunks: { weight: 1, build: buildStorageChunksRequest, validate: validateStorageChunksResponse },
+    export: { weight: 1, build: buildExportRequest, validate: validateExportRequestResponse },
+};
+
+/**
+ * Parse load mix weights from AUDIT_MIX_WEIGHTS, falling back to the defaults
+ * Endpoints left out of the variable get weight 0.
+ * @param {string} value - "name:weight,..." (optional)
+ * @returns {Object} { hourlyTrend: 3, topActiveUsers: 3, ... }
+ */
+export function parseAuditMixWeights(value = __ENV.AUDIT_MIX_WEIGHTS) {
+    const weights = {};
+
+    Object.keys(auditLoadMix).forEach((name) => {
+        weights[name] = value ? 0 : auditLoadMix[name].weight;
+    });
+    if (!value) {
+        return weights;
+    }
+
+    value.split(',').forEach((entry) => {
+        const [name, weight] = entry.split(':').map((part) => part.trim());
+        if (!auditLoadMix[name] || isNaN(parseFloat(weight)) || parseFloat(weight) < 0) {
+            throw new Error(`Invalid AUDIT_MIX_WEIGHTS entry "${entry}". Expected name:weight with name in ${Object.keys(auditLoadMix).join(', ')}`);
+        }
+        weights[name] = parseFloat(weight);
+    });
+
+    return weights;
+}
+
+const auditMixWeights = parseAuditMixWeights();
+
+/**
+ * Pick a dashboard endpoint from the load mix by weight
+ * @param {Object} weights - From parseAuditMixWeights() (optional)
+ * @returns {Object|null} Mix entry { name, build, validate }, or null if every weight is 0
+ */
+export function pickAuditMixEntry(weights = auditMixWeights) {
+    const names = Object.keys(weights).filter((name) => weights[name] > 0);
+    const total = names.reduce((sum, name) => sum + weights[name], 0);
+    if (total === 0) {
+        return null;
+    }
+
+    let roll = random() * total;
+    const name = names.find((candidate) => (roll -= weights[candidate]) < 0) || names[names.length - 1];
+    return { name, ...auditLoadMix[name] };
+}
+
 // ============================================================================
 // REQUEST HELPERS
 // ============================================================================
@@ -324,30 +618,11 @@ export function getAuditHeaders(authToken = null) {
         console.warn('No admin token provided. Audit endpoints require Admin role.');
     }
 
-    return {
+    return withClientIp({
         'Content-Type': 'application/json',
         'Accept': 'application/json',
         'Authorization': `Bearer ${token}`,
-    };
-}
-
-/**
- * Build audit API URL with query parameters
- * @param {string} endpoint - API endpoint path
- * @param {Object} params - Query parameters
- * @returns {string} Full URL with query string
- */
-export function buildAuditUrl(endpoint, params = {}) {
-    const path = endpoint.startsWith('/') ? endpoint.substring(1) : endpoint;
-    const url = new URL(`${config.baseUrl}/api/${path}`);
-
-    Object.entries(params).forEach(([key, value]) => {
-        if (value !== undefined && value !== null) {
-            url.searchParams.append(key, value);
-        }
     });
-
-    return url.toString();
 }
 
 // ============================================================================
@@ -388,6 +663,26 @@ export function getAuditThresholds() {
         'export_errors': [
             'rate<0.05', // < 5% export errors acceptable
         ],
+
+        // Admin dashboard endpoints
+        'hourly_trend_duration': [
+            `p(95)<${config.thresholds.p95}`,
+        ],
+        'top_active_users_duration': [
+            `p(95)<${config.thresholds.p95}`,
+        ],
+        'retention_compliance_duration': [
+            `p(95)<${config.thresholds.p95}`,
+        ],
+        'storage_chunks_duration': [
+            `p(95)<${config.thresholds.p95}`,
+        ],
+        'statistics_duration': [
+            `p(95)<${config.thresholds.p50 * 2}`, // Same aggregate as compliance metrics
+        ],
+        'export_request_duration': [
+            `p(95)<${config.thresholds.exportTimeout}`,
+        ],
     };
 }
 
@@ -474,7 +769,7 @@ export const scenarios = {
 export function thinkTime() {
     const min = config.load.think_time.min;
     const max = config.load.think_time.max;
-    return Math.random() * (max - min) + min;
+    return randomBetween(min, max);
 }
 
 // ============================================================================
@@ -530,12 +825,26 @@ export default {
     generateAuditLogQuery,
     generateComplianceMetricsQuery,
     generateResourceAccessQuery,
+    buildHourlyTrendRequest,
+    buildTopActiveUsersRequest,
+    buildRetentionComplianceRequest,
+    buildStorageChunksRequest,
+    buildStatisticsRequest,
+    buildExportRequest,
     isSuccessful,
     validateAuditResponse,
     validateSevenYearQuery,
     validateExportResponse,
+    validateHourlyTrendResponse,
+    validateTopActiveUsersResponse,
+    validateRetentionComplianceResponse,
+    validateStorageChunksResponse,
+    validateStatisticsResponse,
+    validateExportRequestResponse,
+    auditLoadMix,
+    parseAuditMixWeights,
+    pickAuditMixEntry,
     getAuditHeaders,
-    buildAuditUrl,
     getAuditThresholds,
     scenarios,
     thinkTime,
@@ -8,12 +8,15 @@
  * Usage:
  *   k6 run audit-stress-test.js
  *   k6 run -e BASE_URL=https://api.example.com -e ADMIN_TOKEN=xxx audit-stress-test.js
+ *   k6 run -e STRESS_TEST_TYPE=adaptive audit-stress-test.js
  *
  * STRESS TEST SCENARIOS:
  * - Spike test: Sudden traffic surge
  * - Ramp test: Gradual increase to breaking point
  * - Soak test: Extended duration at moderate load
  * - Concurrent 7-year queries: Multiple admins running reports
+ * - Adaptive: closed-loop search for the highest concurrency that holds the
+ *   p95 and error-rate SLOs (adaptive-load-controller.js)
  */
 
 import http from 'k6/http';
@@ -29,10 +32,21 @@ import {
     validateSevenYearQuery,
     validateExportResponse,
     getAuditHeaders,
-    buildAuditUrl,
     thinkTime,
+    isSuccessful,
     formatAuditTestSummary,
 } from './audit-performance-config.js';
+import { routeUrl, checkRouteContract } from './route-manifest.js';
+import { withClientIp } from './client-ip-pool.js';
+import {
+    getAdaptiveScenario,
+    getAdaptiveBatchOptions,
+    getAdaptiveThresholds,
+    runAdaptiveSearch,
+    buildAdaptiveResult,
+    formatAdaptiveSummary,
+} from './adaptive-load-controller.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
 
 // ============================================================================
 // STRESS TEST OPTIONS
@@ -107,12 +121,23 @@ const stressScenarios = {
     },
 };
 
+// SLOs the adaptive controller holds the load to
+const adaptiveSlo = { p95Ms: config.thresholds.p95, errorRate: config.thresholds.errorRate };
+
+const isAdaptive = testType === 'adaptive';
+
 export const options = {
+    // Let the adaptive controller batch all of its simulated clients at once
+    ...(isAdaptive ? getAdaptiveBatchOptions() : {}),
+
     scenarios: {
-        stress_test: stressScenarios[testType] || stressScenarios.ramp,
+        stress_test: isAdaptive
+            ? getAdaptiveScenario('adaptiveStressTest')
+            : (stressScenarios[testType] || stressScenarios.ramp),
     },
 
-    thresholds: {
+    // The adaptive search breaches the SLOs on purpose; it only fails if no level held
+    thresholds: isAdaptive ? getAdaptiveThresholds() : {
         // Relaxed thresholds for stress testing
         'http_req_duration': [
             'p(50)<500',
@@ -140,6 +165,15 @@ export const options = {
 export function setup() {
     console.log(`Starting HIPAA Audit Stress Test: ${testType}`);
     console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+
+    checkRouteContract([
+        'audit.logs',
+        'audit.complianceMetrics',
+        'audit.dailySummaries',
+        'audit.storageStats',
+        'audit.exportStream',
+    ]);
 
     return {
         startTime: new Date().toISOString(),
@@ -228,7 +262,7 @@ function stressTestSevenYearQueries(headers) {
 
     group('7-Year Daily Summaries', () => {
         const dateRange = getSevenYearRange();
-        const url = buildAuditUrl('audit/daily-summaries', dateRange);
+        const url = routeUrl('audit.dailySummaries', {}, dateRange);
 
         const response = http.get(url, {
             headers: headers,
@@ -256,9 +290,9 @@ function stressTestExports(headers) {
     for (const range of exportRanges) {
         group(`Export ${range.name}`, () => {
             const dateRange = getDateRange(range.days);
-            const url = buildAuditUrl('audit/export/stream', {
+            const url = routeUrl('audit.exportStream', {}, {
                 ...dateRange,
-                format: Math.random() > 0.5 ? 'csv' : 'json',
+                format: random() > 0.5 ? 'csv' : 'json',
             });
 
             const response = http.get(url, {
@@ -279,6 +313,46 @@ function stressTestExports(headers) {
     }
 }
 
+/**
+ * Adaptive stress test - closed-loop search over the mixed-stress endpoints
+ * 7-year queries are left out: they have their own, looser SLO.
+ */
+export function adaptiveStressTest() {
+    const adaptiveRequests = [
+        { weight: 4, build: () => ({ route: 'audit.logs', query: { ...generateAuditLogQuery(), pageSize: 100 }, name: 'audit_log_query_adaptive' }) },
+        { weight: 2, build: () => ({ route: 'audit.complianceMetrics', query: generateComplianceMetricsQuery(), name: 'compliance_metrics_adaptive' }) },
+        { weight: 2, build: () => ({ route: 'audit.dailySummaries', query: getDateRange(90), name: 'daily_summaries_adaptive' }) },
+        { weight: 2, build: () => ({ route: 'audit.storageStats', query: {}, name: 'storage_stats_adaptive' }) },
+    ];
+
+    // Same 40/20/20/20 split as the mixed stress test, rotated per client and round
+    const rotation = [];
+    adaptiveRequests.forEach((entry) => {
+        for (let i = 0; i < entry.weight; i++) {
+            rotation.push(entry);
+        }
+    });
+
+    runAdaptiveSearch({
+        name: 'audit',
+        slo: adaptiveSlo,
+        buildRequest: (client, round) => {
+            const request = rotation[(client + round) % rotation.length].build();
+            return {
+                method: 'GET',
+                url: routeUrl(request.route, {}, request.query),
+                params: {
+                    headers: withClientIp(getAuditHeaders(), client + 1),
+                    tags: { name: request.name },
+                    timeout: '30s',
+                },
+            };
+        },
+        // 429s are rate limiter rejections, not failures
+        isError: (response) => !isSuccessful(response) && response.status !== 429,
+    });
+}
+
 // ============================================================================
 // INDIVIDUAL TEST FUNCTIONS
 // ============================================================================
@@ -288,7 +362,7 @@ function testAuditLogQuery(headers) {
     // Increase page size for stress
     query.pageSize = 100;
 
-    const url = buildAuditUrl('audit', query);
+    const url = routeUrl('audit.logs', {}, query);
 
     const response = http.get(url, {
         headers: headers,
@@ -302,7 +376,7 @@ function testAuditLogQuery(headers) {
 
 function testComplianceMetrics(headers) {
     const query = generateComplianceMetricsQuery();
-    const url = buildAuditUrl('audit/compliance/metrics', query);
+    const url = routeUrl('audit.complianceMetrics', {}, query);
 
     const response = http.get(url, {
         headers: headers,
@@ -316,7 +390,7 @@ function testComplianceMetrics(headers) {
 
 function testDailySummaries(headers) {
     const dateRange = getDateRange(90); // 90 days for stress
-    const url = buildAuditUrl('audit/daily-summaries', dateRange);
+    const url = routeUrl('audit.dailySummaries', {}, dateRange);
 
     const response = http.get(url, {
         headers: headers,
@@ -330,7 +404,7 @@ function testDailySummaries(headers) {
 
 function testSevenYearQuery(headers) {
     const dateRange = getSevenYearRange();
-    const url = buildAuditUrl('audit/compliance/metrics', dateRange);
+    const url = routeUrl('audit.complianceMetrics', {}, dateRange);
 
     const response = http.get(url, {
         headers: headers,
@@ -347,7 +421,7 @@ function testSevenYearQuery(headers) {
 }
 
 function testStorageStats(headers) {
-    const url = buildAuditUrl('audit/storage/stats');
+    const url = routeUrl('audit.storageStats');
 
     const response = http.get(url, {
         headers: headers,
@@ -374,6 +448,8 @@ export function teardown(data) {
 // ============================================================================
 
 export function handleSummary(data) {
+    const adaptive = buildAdaptiveResult(data, adaptiveSlo);
+
     const summary = `
 ========================================
 EMR HIPAA Audit STRESS Test Summary
@@ -400,13 +476,19 @@ Aggregate Query Performance:
 
 Total Requests: ${data.metrics.http_reqs?.count || 0}
 Successful Queries: ${data.metrics.successful_audit_queries?.count || 0}
-========================================
+${formatAdaptiveSummary(adaptive)}========================================
 `;
 
     console.log(summary);
 
-    return {
+    const output = {
         'stdout': summary,
-        'audit-stress-test-results.json': JSON.stringify(data, null, 2),
+        'audit-stress-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
     };
+
+    if (adaptive) {
+        output['audit-adaptive-capacity.json'] = JSON.stringify(adaptive, null, 2);
+    }
+
+    return output;
 }
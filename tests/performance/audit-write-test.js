@@ -12,12 +12,13 @@
  * HIPAA REQUIREMENTS TESTED:
  * - 100% audit coverage (no dropped logs)
  * - Audit logging overhead < 50ms per request
- * - Batch write performance under load
  */
 
 import http from 'k6/http';
 import { sleep, group, check } from 'k6';
 import { Rate, Counter, Trend, Gauge } from 'k6/metrics';
+import { routeUrl, checkRouteContract } from './route-manifest.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
 
 // ============================================================================
 // CONFIGURATION
@@ -28,11 +29,13 @@ const config = {
     userToken: __ENV.USER_TOKEN || '',
     adminToken: __ENV.ADMIN_TOKEN || '',
 
-    // Endpoints that generate audit logs
+    // Endpoints that generate audit logs (AuthorizationAuditMiddleware records
+    // every authenticated request). List and search share the patient-search
+    // limiter (30/min), so most of their requests beyond that are 429s.
     auditableEndpoints: [
-        { method: 'GET', path: '/api/patients', name: 'list_patients' },
-        { method: 'GET', path: '/api/appointments', name: 'list_appointments' },
-        { method: 'GET', path: '/api/prescriptions', name: 'list_prescriptions' },
+        { route: 'patients.list', query: { pageNumber: 1, pageSize: 10 }, name: 'list_patients' },
+        { route: 'patients.search', query: { searchTerm: 'TEST', pageNumber: 1, pageSize: 10 }, name: 'search_patients' },
+        { route: 'auth.me', query: {}, name: 'current_user' },
     ],
 
     thresholds: {
@@ -119,9 +122,10 @@ export const options = {
 export function setup() {
     console.log('Starting HIPAA Audit Write Performance Test');
     console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
 
     // Verify connectivity
-    const healthCheck = http.get(`${config.baseUrl}/health`, {
+    const healthCheck = http.get(routeUrl('health.check'), {
         timeout: '10s',
     });
 
@@ -129,6 +133,8 @@ export function setup() {
         console.warn(`Health check failed: ${healthCheck.status}`);
     }
 
+    checkRouteContract(['audit.logs'].concat(config.auditableEndpoints.map((endpoint) => endpoint.route)));
+
     return {
         startTime: new Date().toISOString(),
         headers: getHeaders(),
@@ -144,7 +150,7 @@ export default function (data) {
 
     // Select random auditable endpoint
     const endpoint = config.auditableEndpoints[
-        Math.floor(Math.random() * config.auditableEndpoints.length)
+        Math.floor(random() * config.auditableEndpoints.length)
     ];
 
     group(`Auditable Request: ${endpoint.name}`, () => {
@@ -162,23 +168,14 @@ export default function (data) {
  * Test an auditable request and track audit overhead
  */
 function testAuditableRequest(headers, endpoint) {
-    const url = `${config.baseUrl}${endpoint.path}`;
+    const url = routeUrl(endpoint.route, {}, endpoint.query);
     const startTime = Date.now();
 
-    let response;
-    if (endpoint.method === 'GET') {
-        response = http.get(url, {
-            headers: headers,
-            tags: { name: endpoint.name, auditable: 'true' },
-            timeout: '30s',
-        });
-    } else if (endpoint.method === 'POST') {
-        response = http.post(url, JSON.stringify(endpoint.body || {}), {
-            headers: headers,
-            tags: { name: endpoint.name, auditable: 'true' },
-            timeout: '30s',
-        });
-    }
+    const response = http.get(url, {
+        headers: headers,
+        tags: { name: endpoint.name, auditable: 'true' },
+        timeout: '30s',
+    });
 
     const duration = Date.now() - startTime;
     metrics.auditableRequestDuration.add(duration);
@@ -210,7 +207,7 @@ function testAuditableRequest(headers, endpoint) {
  * Called periodically to validate audit coverage
  */
 function verifyAuditLog(headers, correlationId) {
-    const url = `${config.baseUrl}/api/audit?correlationId=${correlationId}`;
+    const url = routeUrl('audit.logs', {}, { correlationId: correlationId });
 
     const response = http.get(url, {
         headers: getAdminHeaders(),
@@ -236,48 +233,6 @@ function verifyAuditLog(headers, correlationId) {
     return false;
 }
 
-// ============================================================================
-// BATCH WRITE TEST
-// ============================================================================
-
-/**
- * Test batch audit log creation (internal API)
- */
-function testBatchAuditWrite(headers) {
-    const batchSize = Math.floor(Math.random() * 50) + 10; // 10-60 logs
-    const auditLogs = [];
-
-    for (let i = 0; i < batchSize; i++) {
-        auditLogs.push({
-            eventType: 'Test',
-            action: 'PerformanceTest',
-            resourceType: 'TestResource',
-            resourceId: `test-${i}`,
-            description: `Performance test audit log ${i}`,
-            timestamp: new Date().toISOString(),
-        });
-    }
-
-    const url = `${config.baseUrl}/api/audit/batch`;
-    const startTime = Date.now();
-
-    const response = http.post(url, JSON.stringify({ logs: auditLogs }), {
-        headers: getAdminHeaders(),
-        tags: { name: 'batch_audit_write', batch_size: batchSize.toString() },
-        timeout: '30s',
-    });
-
-    const duration = Date.now() - startTime;
-    const perLogDuration = duration / batchSize;
-
-    check(response, {
-        'batch write succeeded': response.status === 200 || response.status === 201,
-        'batch write < 100ms per log': perLogDuration < 100,
-    });
-
-    return { duration, batchSize, perLogDuration };
-}
-
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
@@ -300,11 +255,11 @@ function getAdminHeaders() {
 }
 
 function generateCorrelationId() {
-    return `perf-${Date.now()}-${Math.random().toString(36).substring(7)}`;
+    return `perf-${randomConfig.runId}-${random().toString(36).substring(7)}`;
 }
 
 function randomThinkTime() {
-    return Math.random() * 1.5 + 0.5; // 0.5-2 seconds
+    return random() * 1.5 + 0.5; // 0.5-2 seconds
 }
 
 // ============================================================================
@@ -353,6 +308,6 @@ Audit Coverage:
 
     return {
         'stdout': summary,
-        'audit-write-test-results.json': JSON.stringify(data, null, 2),
+        'audit-write-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
     };
 }
@@ -4,12 +4,19 @@
  * Tests authentication system performance under normal and peak load conditions.
  *
  * Test Scenarios:
- * 1. User login flow (registration → login callback → get current user)
- * 2. Token refresh under load
- * 3. API calls with JWT validation
- * 4. Rate limit boundary testing
- * 5. CSRF token fetching and validation
- * 6. User caching performance (5-minute TTL)
+ * 1. User login flow (login callback → get current user)
+ * 2. API calls with JWT validation
+ * 3. Rate limit boundary testing
+ * 4. CSRF token fetching and validation
+ *
+ * Token refresh is covered by auth-token-refresh-test.js; exact rate limiter
+ * boundaries are covered by rate-limit-conformance-test.js; the 5-minute user
+ * cache TTL is verified by user-cache-ttl-test.js; registration and duplicate
+ * handling are covered by registration-lifecycle-test.js.
+ *
+ * VUs share a pool of AUTH_LOAD_USERS users registered in setup(). The auth
+ * limiter is global (10 requests per 5 minutes), so setup() spends about
+ * 5 minutes per 10 users before the load starts.
  *
  * Performance Targets:
  * - p95 response time < 500ms
@@ -29,19 +36,38 @@ import { SharedArray } from 'k6/data';
 import {
     config,
     metrics,
-    generateTestUser,
-    buildUrl,
     getDefaultHeaders,
     validateAuthResponse,
     validateApiResponse,
     getThresholds,
     thinkTime,
+    formatTestSummary,
 } from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { buildTestUsers } from './fixtures.js';
+import { allocatePersonaVUs, provisionTestUsers } from './personas/index.js';
+import {
+    applyClientPartition,
+    getPartitionThresholds,
+    formatPartitionSummary,
+} from './client-ip-pool.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
 
 // ============================================================================
 // TEST CONFIGURATION
 // ============================================================================
 
+// Peak VU count in the stages below
+const LOAD_MAX_VUS = 100;
+
+// Registered users the VUs log in as, split 70/15/10/5 across Patient/Doctor/Nurse/Staff
+const LOAD_USERS = parseInt(__ENV.AUTH_LOAD_USERS || '20');
+
+// Routes this test calls, checked against the running API in setup()
+const loadTestRoutes = ['health.check', 'auth.csrfToken', 'auth.loginCallback', 'auth.me', 'patients.search'];
+
 export const options = {
     // Load test stages: ramp up → steady state → ramp down
     stages: [
@@ -53,8 +79,14 @@ export const options = {
         { duration: '1m', target: 0 },    // Ramp down to 0 users
     ],
 
-    // Performance thresholds
-    thresholds: getThresholds(),
+    // Performance thresholds, plus per client IP partition submetrics for the summary
+    thresholds: {
+        ...getThresholds(),
+        ...getPartitionThresholds(LOAD_MAX_VUS),
+    },
+
+    // Registering the user pool waits out the auth limiter
+    setupTimeout: '20m',
 
     // Test metadata
     tags: {
@@ -77,29 +109,8 @@ export const options = {
  * SharedArray ensures data is shared across VUs efficiently
  */
 const testUsers = new SharedArray('users', function () {
-    const users = [];
-
-    // Generate patient users (70% of load)
-    for (let i = 0; i < 70; i++) {
-        users.push(generateTestUser('Patient', i));
-    }
-
-    // Generate doctor users (15% of load)
-    for (let i = 0; i < 15; i++) {
-        users.push(generateTestUser('Doctor', i));
-    }
-
-    // Generate nurse users (10% of load)
-    for (let i = 0; i < 10; i++) {
-        users.push(generateTestUser('Nurse', i));
-    }
-
-    // Generate staff users (5% of load)
-    for (let i = 0; i < 5; i++) {
-        users.push(generateTestUser('Staff', i));
-    }
-
-    return users;
+    // 70% patients, 15% doctors, 10% nurses, 5% staff
+    return buildTestUsers(allocatePersonaVUs(LOAD_USERS, { Patient: 70, Doctor: 15, Nurse: 10, Staff: 5 }));
 });
 
 // ============================================================================
@@ -113,20 +124,31 @@ const testUsers = new SharedArray('users', function () {
 export function setup() {
     console.log('Starting EMR Authentication Load Test');
     console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
     console.log(`Target VUs: ${config.load.vus.target}`);
     console.log(`Test Users: ${testUsers.length}`);
 
     // Health check
-    const healthCheck = http.get(`${config.baseUrl}/health`);
+    const healthCheck = http.get(routeUrl('health.check'));
     if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
         throw new Error('API health check failed. Aborting test.');
     }
 
-    console.log('API health check passed. Starting load test...');
+    console.log('API health check passed.');
+
+    checkRouteContract(loadTestRoutes);
+
+    // Register every test user and issue tokens carrying its database id, so
+    // login-callback and /auth/me find the user
+    const signingContext = initTokenFactory();
+    const tokens = provisionTestUsers(signingContext, testUsers).map((user) => user.token);
+    console.log(`Registered ${tokens.length} test users and issued signed tokens (kid: ${signingContext.kid}). Starting load test...`);
 
     return {
         startTime: Date.now(),
         testUsers: testUsers.length,
+        signingContext: signingContext,
+        tokens: tokens,
     };
 }
 
@@ -138,13 +160,16 @@ export function setup() {
  * Default function - executed by each VU repeatedly during the test
  */
 export default function (data) {
+    applyClientPartition();
+
     // Select a random user for this iteration
-    const user = testUsers[Math.floor(Math.random() * testUsers.length)];
-    const isPatient = user.roles.includes('Patient');
+    const userIndex = Math.floor(random() * testUsers.length);
+    const user = testUsers[userIndex];
+    const authToken = data.tokens[userIndex];
 
     // Scenario 1: Complete authentication flow
     group('Complete Authentication Flow', () => {
-        completeAuthenticationFlow(user);
+        completeAuthenticationFlow(user, authToken);
     });
 
     // Simulate user think time
@@ -152,25 +177,17 @@ export default function (data) {
 
     // Scenario 2: Authenticated API calls with JWT validation
     group('Authenticated API Calls', () => {
-        performAuthenticatedApiCalls(user);
+        performAuthenticatedApiCalls(user, authToken);
     });
 
     // Additional think time
     sleep(thinkTime());
 
-    // Scenario 3: User caching performance test
-    // Call /api/auth/me multiple times to test 5-minute cache TTL
-    if (Math.random() < 0.3) { // 30% of requests test caching
-        group('User Cache Performance', () => {
-            testUserCaching(user);
-        });
-    }
-
-    // Scenario 4: Rate limit boundary testing
+    // Scenario 3: Rate limit boundary testing
     // Occasionally test rate limits to ensure they're enforced
-    if (Math.random() < 0.1) { // 10% of requests test rate limits
+    if (random() < 0.1) { // 10% of requests test rate limits
         group('Rate Limit Testing', () => {
-            testRateLimits(user);
+            testRateLimits(authToken);
         });
     }
 
@@ -184,84 +201,20 @@ export default function (data) {
 
 /**
  * Scenario 1: Complete authentication flow
- * Simulates: Registration → Login Callback → Get Current User
+ * Simulates: Login Callback → Get Current User
  */
-function completeAuthenticationFlow(user) {
-    let csrfToken = null;
-    let authToken = user.mockToken; // In real scenario, get from Azure B2C
-
-    // Step 1: Get CSRF token
-    const csrfResponse = http.get(
-        buildUrl('auth/csrf-token'),
-        { tags: { name: 'GET /api/auth/csrf-token' } }
-    );
-
-    const csrfChecks = check(csrfResponse, {
-        'CSRF token: status is 200': (r) => r.status === 200,
-        'CSRF token: has token': (r) => {
-            try {
-                const body = JSON.parse(r.body);
-                return body.token && body.token.length > 0;
-            } catch {
-                return false;
-            }
-        },
-        'CSRF token: response time OK': (r) => r.timings.duration < config.thresholds.p95,
-    });
-
-    if (csrfChecks) {
-        try {
-            const body = JSON.parse(csrfResponse.body);
-            csrfToken = body.token;
-            metrics.csrfTokenDuration.add(csrfResponse.timings.duration);
-        } catch (e) {
-            console.error('Failed to parse CSRF token response');
-        }
-    }
+function completeAuthenticationFlow(user, authToken) {
+    // Step 1: Get CSRF token (one session per user, reused for the VU's lifetime, cookie kept in its own jar)
+    const csrfSession = csrfSessionFor(authToken);
+    ensureCsrfSession(csrfSession);
 
     sleep(0.5); // Brief pause between requests
 
-    // Step 2: User registration (only if not registered)
-    // In a real test, check if user exists first
-    if (Math.random() < 0.2) { // 20% of users simulate new registration
-        const registerPayload = {
-            email: user.email,
-            firstName: user.firstName,
-            lastName: user.lastName,
-            azureAdB2CId: user.azureAdB2CId,
-            roles: user.roles,
-        };
-
-        const registerResponse = http.post(
-            buildUrl('auth/register'),
-            JSON.stringify(registerPayload),
-            {
-                headers: getDefaultHeaders(csrfToken, null),
-                tags: { name: 'POST /api/auth/register' },
-            }
-        );
-
-        const registerChecks = check(registerResponse, {
-            'Register: status is 201 or 400': (r) => r.status === 201 || r.status === 400,
-            'Register: response time OK': (r) => r.timings.duration < config.thresholds.p99,
-            'Register: has response body': (r) => r.body && r.body.length > 0,
-        });
-
-        if (registerResponse.status === 201) {
-            metrics.successfulLogins.add(1);
-        }
-
-        sleep(0.5);
-    }
-
-    // Step 3: Login callback (simulates post-Azure B2C redirect)
+    // Step 2: Login callback (simulates post-Azure B2C redirect)
     const loginCallbackResponse = http.post(
-        buildUrl('auth/login-callback'),
+        routeUrl('auth.loginCallback'),
         null,
-        {
-            headers: getDefaultHeaders(csrfToken, authToken),
-            tags: { name: 'POST /api/auth/login-callback' },
-        }
+        csrfRequestParams(csrfSession, authToken, { name: routeName('auth.loginCallback') })
     );
 
     validateAuthResponse(loginCallbackResponse, 'login_callback');
@@ -274,12 +227,12 @@ function completeAuthenticationFlow(user) {
 
     sleep(0.5);
 
-    // Step 4: Get current user profile
+    // Step 3: Get current user profile
     const getCurrentUserResponse = http.get(
-        buildUrl('auth/me'),
+        routeUrl('auth.me'),
         {
             headers: getDefaultHeaders(null, authToken),
-            tags: { name: 'GET /api/auth/me' },
+            tags: { name: routeName('auth.me') },
         }
     );
 
@@ -305,31 +258,20 @@ function completeAuthenticationFlow(user) {
  * Scenario 2: Authenticated API calls with JWT validation
  * Tests API performance with authentication and authorization
  */
-function performAuthenticatedApiCalls(user) {
-    const authToken = user.mockToken;
-    let csrfToken = null;
-
-    // Get fresh CSRF token
-    const csrfResponse = http.get(buildUrl('auth/csrf-token'));
-    if (csrfResponse.status === 200) {
-        try {
-            csrfToken = JSON.parse(csrfResponse.body).token;
-        } catch {
-            // Continue without CSRF for GET requests
-        }
-    }
-
+function performAuthenticatedApiCalls(user, authToken) {
+    // Read-only calls - no CSRF token needed
     // Test different API endpoints based on user role
     const isPatient = user.roles.includes('Patient');
     const isProvider = user.roles.includes('Doctor') || user.roles.includes('Nurse');
 
     if (isPatient) {
-        // Patients typically view their own data
+        // Patients view their own data: search results are filtered to the
+        // records they own (there is no dedicated "my data" endpoint)
         const myDataResponse = http.get(
-            buildUrl('patients/my-data'),
+            routeUrl('patients.search', {}, { searchTerm: 'SYNTHETIC', pageNumber: 1, pageSize: 10 }),
             {
                 headers: getDefaultHeaders(null, authToken),
-                tags: { name: 'GET /api/patients/my-data', role: 'Patient' },
+                tags: { name: routeName('patients.search'), role: 'Patient' },
             }
         );
 
@@ -343,10 +285,10 @@ function performAuthenticatedApiCalls(user) {
     if (isProvider) {
         // Providers search for patients
         const searchResponse = http.get(
-            buildUrl('patients?searchTerm=Smith&pageNumber=1&pageSize=10'),
+            routeUrl('patients.search', {}, { searchTerm: 'Smith', pageNumber: 1, pageSize: 10 }),
             {
                 headers: getDefaultHeaders(null, authToken),
-                tags: { name: 'GET /api/patients/search', role: 'Provider' },
+                tags: { name: routeName('patients.search'), role: 'Provider' },
             }
         );
 
@@ -359,10 +301,10 @@ function performAuthenticatedApiCalls(user) {
 
     // All users can view their own profile
     const profileResponse = http.get(
-        buildUrl('auth/me'),
+        routeUrl('auth.me'),
         {
             headers: getDefaultHeaders(null, authToken),
-            tags: { name: 'GET /api/auth/me' },
+            tags: { name: routeName('auth.me') },
         }
     );
 
@@ -370,59 +312,10 @@ function performAuthenticatedApiCalls(user) {
 }
 
 /**
- * Scenario 3: Test user caching performance
- * Users are cached for 5 minutes - test cache hits vs misses
- */
-function testUserCaching(user) {
-    const authToken = user.mockToken;
-
-    // Make multiple rapid requests to the same endpoint
-    // First request should miss cache, subsequent requests should hit cache
-    const iterations = 5;
-    const responses = [];
-
-    for (let i = 0; i < iterations; i++) {
-        const response = http.get(
-            buildUrl('auth/me'),
-            {
-                headers: getDefaultHeaders(null, authToken),
-                tags: { name: 'GET /api/auth/me (cache test)', iteration: i },
-            }
-        );
-
-        responses.push(response);
-
-        // Track cache performance based on response time
-        // Cached responses should be significantly faster
-        if (i > 0 && response.status === 200) {
-            if (response.timings.duration < 50) {
-                metrics.cacheHits.add(1);
-            } else {
-                metrics.cacheMisses.add(1);
-            }
-        }
-
-        sleep(0.1); // Small delay between requests
-    }
-
-    // Verify consistency
-    check(responses, {
-        'Cache test: all responses successful': (rs) => rs.every(r => r.status === 200),
-        'Cache test: response times decrease': (rs) => {
-            if (rs.length < 2) return true;
-            // Second request should be faster than first (cache hit)
-            return rs[1].timings.duration < rs[0].timings.duration;
-        },
-    });
-}
-
-/**
- * Scenario 4: Test rate limits
+ * Scenario 3: Test rate limits
  * Verify rate limiting is properly enforced
  */
-function testRateLimits(user) {
-    const authToken = user.mockToken;
-
+function testRateLimits(authToken) {
     // Test auth endpoint rate limit (10 req/5min)
     // We'll make 5 rapid requests to approach the limit
     const requests = 5;
@@ -430,11 +323,11 @@ function testRateLimits(user) {
 
     for (let i = 0; i < requests; i++) {
         const response = http.post(
-            buildUrl('auth/login-callback'),
+            routeUrl('auth.loginCallback'),
             null,
             {
                 headers: getDefaultHeaders(null, authToken),
-                tags: { name: 'POST /api/auth/login-callback (rate limit test)' },
+                tags: { name: `${routeName('auth.loginCallback')} (rate limit test)` },
             }
         );
 
@@ -465,30 +358,6 @@ function testRateLimits(user) {
     // This scenario deliberately tests the boundary
 }
 
-// ============================================================================
-// TOKEN REFRESH SCENARIO
-// ============================================================================
-
-/**
- * Simulate token refresh flow
- * In a real implementation, this would exchange an expired token for a new one
- */
-function testTokenRefresh(user) {
-    // Mock token refresh - in reality, this would call Azure B2C token endpoint
-    const refreshStartTime = Date.now();
-
-    // Simulate token refresh delay
-    sleep(0.1);
-
-    const newToken = generateMockJWT(user.roles[0], Math.random() * 1000);
-    const refreshDuration = Date.now() - refreshStartTime;
-
-    metrics.tokenRefreshDuration.add(refreshDuration);
-    metrics.successfulTokenRefresh.add(1);
-
-    return newToken;
-}
-
 // ============================================================================
 // TEARDOWN PHASE
 // ============================================================================
@@ -503,30 +372,24 @@ export function teardown(data) {
     console.log('========================================');
     console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
     console.log(`Test Users: ${data.testUsers}`);
-    console.log('\nCheck the test summary above for detailed metrics.');
+    console.log('\nCheck the test summary below for detailed metrics.');
     console.log('========================================\n');
 }
 
 // ============================================================================
-// HELPER FUNCTIONS
+// CUSTOM SUMMARY
 // ============================================================================
 
-/**
- * Generate mock JWT (placeholder for real token generation)
- */
-function generateMockJWT(role, id) {
-    const header = btoa(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
-    const payload = btoa(JSON.stringify({
-        sub: `user-${id}`,
-        roles: [role],
-        exp: Math.floor(Date.now() / 1000) + 3600,
-    }));
-    return `${header}.${payload}.mock-signature`;
-}
+export function handleSummary(data) {
+    const summary = `${formatTestSummary(data)}
+${formatPartitionSummary(data, LOAD_MAX_VUS)}
+========================================
+`;
 
-/**
- * Base64 encode helper (for JWT generation)
- */
-function btoa(str) {
-    return encoding.b64encode(str, 'std');
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'auth-load-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
 }
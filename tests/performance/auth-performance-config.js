@@ -10,6 +10,8 @@
 
 import { check } from 'k6';
 import { Rate, Counter, Trend } from 'k6/metrics';
+import { withClientIp } from './client-ip-pool.js';
+import { randomConfig, createRandom, random, randomInt, randomBetween } from './seeded-random.js';
 
 // ============================================================================
 // ENVIRONMENT CONFIGURATION
@@ -31,6 +33,14 @@ export const config = {
         signUpSignInPolicy: __ENV.AZURE_B2C_POLICY || 'B2C_1_signupsignin',
     },
 
+    // Local identity provider stub (tools/identity-stub-server.js)
+    // The API must be pointed at the same stub so it trusts the signed test tokens
+    identityStub: {
+        url: __ENV.IDENTITY_STUB_URL || 'http://127.0.0.1:5099',
+        tenant: __ENV.IDENTITY_STUB_TENANT || 'emr-perf-test',
+        tokenLifetimeSeconds: parseInt(__ENV.TOKEN_LIFETIME_SECONDS || '3600'),
+    },
+
     // Test data configuration
     testUsers: {
         patient: {
@@ -90,6 +100,14 @@ export const config = {
             min: 1,  // Minimum seconds between requests
             max: 5,  // Maximum seconds between requests
         }
+    },
+
+    // Rate limiter policies as configured in Program.cs (AddRateLimiter)
+    // The global limiter partitions by client IP; named policies are not partitioned
+    rateLimits: {
+        global: { permitLimit: 100, windowSeconds: 60, queueLimit: 10, partitionedByIp: true },
+        auth: { permitLimit: 10, windowSeconds: 300, queueLimit: 0, partitionedByIp: false },
+        patientSearch: { permitLimit: 30, windowSeconds: 60, queueLimit: 5, partitionedByIp: false },
     }
 };
 
@@ -118,18 +136,43 @@ export const metrics = {
     successfulTokenRefresh: new Counter('successful_token_refresh'),
     successfulApiCalls: new Counter('successful_api_calls'),
 
-    // HIPAA audit tracking
+    // HIPAA audit tracking (assumed from 2xx responses; phi-audit-verification-test.js checks the audit table)
     auditLogsGenerated: new Counter('audit_logs_generated'),
-
-    // Cache performance
-    cacheHits: new Counter('user_cache_hits'),
-    cacheMisses: new Counter('user_cache_misses'),
 };
 
 // ============================================================================
 // TEST DATA GENERATORS
 // ============================================================================
 
+/**
+ * Generate a GUID-format identifier for synthetic test data
+ * RegisterUserCommandValidator requires AzureAdB2CId to be a GUID. The
+ * "7e57" prefix marks the value as test data. The middle groups come from a
+ * seeded stream for (scope, index) and the last group is the run id, so the
+ * same seed gives the same GUID and different runs never collide.
+ * @param {number} index - Caller-supplied discriminator (e.g. user index)
+ * @param {string} scope - Namespace for the index (e.g. the user's role)
+ * @returns {string} GUID string, e.g. 7e570003-9c41-4a02-8a1f-3f09c2d4e5a7
+ */
+export function generateTestGuid(index = 0, scope = '') {
+    const next = createRandom(`test-guid|${scope}|${index}`);
+    const hex = (digits) => {
+        let value = '';
+        for (let i = 0; i < digits; i++) {
+            value += Math.floor(next() * 16).toString(16);
+        }
+        return value;
+    };
+
+    return [
+        `7e57${(index % 0x10000).toString(16).padStart(4, '0')}`,
+        hex(4),
+        `4${hex(3)}`,
+        `8${hex(3)}`,
+        randomConfig.runId,
+    ].join('-');
+}
+
 /**
  * Generate a random user for testing
  *
@@ -138,23 +181,23 @@ export const metrics = {
  * This is NOT Protected Health Information (PHI).
  * Do NOT run these tests against production databases containing real patient data.
  *
+ * The same role and index give the same user for the same RUN_SEED.
+ *
  * @param {string} role - User role (Patient, Doctor, Nurse, Staff, Admin)
  * @param {number} index - User index for unique identification
- * @returns {Object} User object with test data
+ * @returns {Object} User object with test data (tokens are issued separately by auth-token-factory.js)
  */
 export function generateTestUser(role = 'Patient', index = 0) {
     const rolePrefix = role.toLowerCase();
-    const timestamp = Date.now();
 
     return {
-        // Clear "TEST" prefix to prevent confusion with real PHI
-        email: `TEST-${rolePrefix}.perf${index}.${timestamp}@emr-test-only.example`,
+        // Clear "TEST" prefix to prevent confusion with real PHI; the run id keeps runs apart
+        email: `TEST-${rolePrefix}.perf${index}.${randomConfig.runId}@emr-test-only.example`,
         firstName: `TEST_${role}`,
         lastName: `SYNTHETIC_User${index}`,
-        azureAdB2CId: `TEST-azure-id-${role}-${index}-${timestamp}`,
+        // GUID format required by registration; 7e57 prefix marks it as test data
+        azureAdB2CId: generateTestGuid(index, `user|${role}`),
         roles: [role],
-        // Mock Azure B2C token (for simulation purposes)
-        mockToken: generateMockJWT(role, index),
         // HIPAA compliance markers
         isTestData: true,
         testDataDisclaimer: 'SYNTHETIC TEST DATA - NOT REAL PHI - 45 CFR 164.514 COMPLIANT'
@@ -175,28 +218,6 @@ export function generateTestUsers(role = 'Patient', count = 10) {
     return users;
 }
 
-/**
- * Generate a mock JWT token for testing
- * Note: In real tests, this should be replaced with actual Azure B2C tokens
- * @param {string} role - User role
- * @param {number} userId - User ID
- * @returns {string} Mock JWT token
- */
-export function generateMockJWT(role, userId) {
-    const header = btoa(JSON.stringify({ alg: 'RS256', typ: 'JWT' }));
-    const payload = btoa(JSON.stringify({
-        sub: `user-${role}-${userId}`,
-        oid: `azure-${role}-${userId}`,
-        roles: [role],
-        exp: Math.floor(Date.now() / 1000) + 3600, // 1 hour expiry
-        iat: Math.floor(Date.now() / 1000),
-        iss: config.azureB2C.authority,
-    }));
-    const signature = btoa('mock-signature');
-
-    return `${header}.${payload}.${signature}`;
-}
-
 /**
  * Generate patient search query
  * @returns {Object} Search parameters
@@ -215,9 +236,9 @@ export function generatePatientSearchQuery() {
         'Martinez'
     ];
 
-    const term = searchTerms[Math.floor(Math.random() * searchTerms.length)];
-    const pageNumber = Math.floor(Math.random() * 5) + 1; // Pages 1-5
-    const pageSize = [10, 20, 25, 50][Math.floor(Math.random() * 4)];
+    const term = searchTerms[Math.floor(random() * searchTerms.length)];
+    const pageNumber = Math.floor(random() * 5) + 1; // Pages 1-5
+    const pageSize = [10, 20, 25, 50][Math.floor(random() * 4)];
 
     return {
         searchTerm: term,
@@ -226,6 +247,144 @@ export function generatePatientSearchQuery() {
     };
 }
 
+/**
+ * Patient demographic enums (EMR.Domain.Enums), name -> integer value
+ */
+export const patientEnums = {
+    gender: {
+        Male: 1, Female: 2, NonBinary: 3, Other: 4, PreferNotToSay: 5, Unknown: 6,
+    },
+    race: {
+        AmericanIndianOrAlaskaNative: 1, Asian: 2, BlackOrAfricanAmerican: 3,
+        NativeHawaiianOrOtherPacificIslander: 4, White: 5, TwoOrMoreRaces: 6,
+        Other: 7, DeclinedToSpecify: 8, Unknown: 9,
+    },
+    ethnicity: {
+        NotHispanicOrLatino: 1, HispanicOrLatino: 2, DeclinedToSpecify: 3, Unknown: 4,
+    },
+    maritalStatus: {
+        Single: 1, Married: 2, Divorced: 3, Widowed: 4, Separated: 5, DomesticPartner: 6, Unknown: 7,
+    },
+    preferredLanguage: {
+        English: 1, Spanish: 2, MandarinChinese: 3, CantoneseChinese: 4, Tagalog: 5,
+        Vietnamese: 6, Korean: 7, Arabic: 8, French: 9, Russian: 10, German: 11,
+        Hindi: 12, Portuguese: 13, Other: 14,
+    },
+};
+
+const syntheticAddresses = [
+    { city: 'Testville', state: 'TS' },
+    { city: 'Sampleton', state: 'SP' },
+    { city: 'Mockford', state: 'MK' },
+    { city: 'Fixture Falls', state: 'FX' },
+    { city: 'Stubbington', state: 'ST' },
+];
+
+const syntheticRelationships = ['Spouse', 'Parent', 'Child', 'Sibling', 'Friend', 'Guardian', 'Other'];
+
+/**
+ * Letters-only code for an index (0 -> 'A', 25 -> 'Z', 26 -> 'BA', ...)
+ * Patient names reject digits, so this is how a name carries its index.
+ * @param {number} index - Non-negative integer
+ * @returns {string} Upper-case letters
+ */
+export function toLetterCode(index) {
+    let code = '';
+    let value = Math.floor(index);
+    do {
+        code = String.fromCharCode(65 + (value % 26)) + code;
+        value = Math.floor(value / 26);
+    } while (value > 0);
+    return code;
+}
+
+/**
+ * Demographics for the index-th synthetic patient
+ * Each enum cycles through all of its values by index, so any run of 14
+ * consecutive indexes (the largest enum) covers every value of every enum;
+ * the enum sizes are coprime enough that combinations keep changing too.
+ * Addresses and emergency contacts pass the RegisterPatient validator and
+ * the PatientAddress / EmergencyContact value objects. Phone numbers stay in
+ * the fictional 555-01xx range. SYNTHETIC TEST DATA - NOT REAL PHI.
+ * @param {number} index - Non-negative patient index (e.g. iteration in test)
+ * @returns {Object} Fields to merge into a RegisterPatientCommand payload
+ */
+export function generateSyntheticDemographics(index) {
+    const pick = (values) => Object.values(values)[index % Object.keys(values).length];
+    const place = syntheticAddresses[index % syntheticAddresses.length];
+    const line = String(index % 100).padStart(2, '0');
+
+    // Spread dates of birth over ~80 years without landing in the future
+    const dateOfBirth = new Date(Date.UTC(1940, 0, 1) + ((index * 7919) % 29200) * 86400000);
+
+    return {
+        // Same TEST/SYNTHETIC markers as generateTestUser, in the characters names allow
+        lastName: `SYNTHETIC-Patient-${toLetterCode(index)}`,
+        dateOfBirth: dateOfBirth.toISOString().slice(0, 10) + 'T00:00:00Z',
+        gender: pick(patientEnums.gender),
+        race: pick(patientEnums.race),
+        ethnicity: pick(patientEnums.ethnicity),
+        maritalStatus: pick(patientEnums.maritalStatus),
+        preferredLanguage: pick(patientEnums.preferredLanguage),
+        middleName: index % 3 === 0 ? 'TEST-Middle' : null,
+        phoneNumber: `555-555-01${line}`,
+        alternatePhoneNumber: index % 4 === 0 ? `555-556-01${line}` : null,
+        address: {
+            street: `${(index % 9000) + 1} Synthetic Test Way`,
+            street2: index % 5 === 0 ? `Unit ${(index % 50) + 1}` : null,
+            city: place.city,
+            state: place.state,
+            zipCode: String(index % 100000).padStart(5, '0'),
+            country: 'Testland',
+        },
+        emergencyContact: {
+            name: 'TEST-Contact SYNTHETIC',
+            relationship: syntheticRelationships[index % syntheticRelationships.length],
+            phoneNumber: `555-557-01${line}`,
+            alternatePhoneNumber: index % 6 === 0 ? `555-558-01${line}` : null,
+        },
+    };
+}
+
+/**
+ * Generate a synthetic patient registration body (POST /api/patients)
+ * Names only use characters the RegisterPatient validator accepts (letters,
+ * spaces, hyphens, apostrophes, periods), so the label must be letters only.
+ * Enums bind as integers. SYNTHETIC TEST DATA - NOT REAL PHI.
+ * @param {string} label - Letters-only tag for the first name, e.g. 'Persona'
+ * @param {Object} overrides - Top-level fields to replace (e.g. { email })
+ * @param {number|null} index - When set, demographics vary by index
+ *   (generateSyntheticDemographics); otherwise one fixed profile
+ * @returns {Object} RegisterPatientCommand payload
+ */
+export function generateSyntheticPatient(label = 'Patient', overrides = {}, index = null) {
+    // Drawn from the caller's seeded stream, so a replayed run sends the same bodies
+    const suffix = String(randomInt(10000)).padStart(4, '0');
+    const tag = random().toString(36).slice(2, 10);
+    const demographics = index === null ? {} : generateSyntheticDemographics(index);
+
+    return Object.assign({
+        firstName: `TEST-${label}`,
+        lastName: 'SYNTHETIC-Patient',
+        dateOfBirth: '1980-01-01T00:00:00Z',
+        gender: 6, // Unknown
+        phoneNumber: `555-010-${suffix}`,
+        email: `TEST-${label.toLowerCase()}.patient.${randomConfig.runId}.${tag}@emr-test-only.example`,
+        address: {
+            street: '1 Synthetic Test Way',
+            city: 'Testville',
+            state: 'TS',
+            zipCode: '00000',
+            country: 'Testland',
+        },
+        emergencyContact: {
+            name: 'TEST-Contact SYNTHETIC',
+            relationship: 'Other',
+            phoneNumber: '555-010-0000',
+        },
+    }, demographics, overrides);
+}
+
 // ============================================================================
 // VALIDATION HELPERS
 // ============================================================================
@@ -336,6 +495,7 @@ export function validateApiResponse(response, endpoint = 'api') {
 
 /**
  * Get default headers for API requests
+ * Includes X-Forwarded-For with the VU's synthetic client IP (see client-ip-pool.js).
  * @param {string} csrfToken - CSRF token (optional)
  * @param {string} authToken - JWT token (optional)
  * @returns {Object} Headers object
@@ -354,18 +514,7 @@ export function getDefaultHeaders(csrfToken = null, authToken = null) {
         headers['Authorization'] = `Bearer ${authToken}`;
     }
 
-    return headers;
-}
-
-/**
- * Build full API URL
- * @param {string} endpoint - API endpoint path
- * @returns {string} Full URL
- */
-export function buildUrl(endpoint) {
-    // Remove leading slash if present
-    const path = endpoint.startsWith('/') ? endpoint.substring(1) : endpoint;
-    return `${config.baseUrl}/api/${path}`;
+    return withClientIp(headers);
 }
 
 // ============================================================================
@@ -477,7 +626,7 @@ export const scenarios = {
 export function thinkTime() {
     const min = config.load.think_time.min;
     const max = config.load.think_time.max;
-    const duration = Math.random() * (max - min) + min;
+    const duration = randomBetween(min, max);
 
     return duration;
 }
@@ -503,11 +652,11 @@ Test Configuration:
 - Duration: ${config.load.duration.steadyState}
 
 Performance Metrics:
-- HTTP Req Duration (p95): ${data.metrics.http_req_duration?.['p(95)']?.toFixed(2)}ms
-- HTTP Req Duration (p99): ${data.metrics.http_req_duration?.['p(99)']?.toFixed(2)}ms
-- Error Rate: ${(data.metrics.http_req_failed?.rate * 100)?.toFixed(2)}%
-- Successful Logins: ${data.metrics.successful_logins?.count || 0}
-- Rate Limit Hits: ${(data.metrics.rate_limit_errors?.rate * 100)?.toFixed(2)}%
+- HTTP Req Duration (p95): ${data.metrics.http_req_duration?.values?.['p(95)']?.toFixed(2)}ms
+- HTTP Req Duration (p99): ${data.metrics.http_req_duration?.values?.['p(99)']?.toFixed(2)}ms
+- Error Rate: ${((data.metrics.http_req_failed?.values?.rate || 0) * 100).toFixed(2)}%
+- Successful Logins: ${data.metrics.successful_logins?.values?.count || 0}
+- Rate Limit Hits: ${((data.metrics.rate_limit_errors?.values?.rate || 0) * 100).toFixed(2)}%
 
 Thresholds:
 - p95 Target: ${config.thresholds.p95}ms
@@ -525,10 +674,14 @@ Thresholds:
 export default {
     config,
     metrics,
+    generateTestGuid,
     generateTestUser,
     generateTestUsers,
-    generateMockJWT,
     generatePatientSearchQuery,
+    patientEnums,
+    toLetterCode,
+    generateSyntheticDemographics,
+    generateSyntheticPatient,
     isSuccessful,
     isRateLimited,
     isValidationError,
@@ -537,7 +690,6 @@ export default {
     validateAuthResponse,
     validateApiResponse,
     getDefaultHeaders,
-    buildUrl,
     getThresholds,
     scenarios,
     thinkTime,
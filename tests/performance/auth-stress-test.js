@@ -8,6 +8,7 @@
  * 2. Spike Test - Sudden dramatic increase in load to test system resilience
  * 3. Soak Test - Extended duration at moderate load to detect memory leaks and degradation
  * 4. Breakpoint Test - Find maximum sustainable capacity
+ * 5. Chaos Test - Weighted mix of valid and invalid requests alongside peak load
  *
  * Goals:
  * - Identify system breaking point
@@ -16,6 +17,10 @@
  * - Detect memory leaks and resource exhaustion
  * - Validate error handling under stress
  *
+ * setup() registers STRESS_USERS users that every scenario shares. The auth
+ * limiter is global (10 requests per 5 minutes), so that takes about
+ * 5 minutes per 10 users.
+ *
  * Usage:
  *   # Run stress test
  *   k6 run --scenario stress auth-stress-test.js
@@ -26,6 +31,19 @@
  *   # Run soak test (30 minutes)
  *   k6 run --scenario soak auth-stress-test.js
  *
+ *   # Run breakpoint test; writes breakpoint-capacity.json (sustainable rate,
+ *   # latency knee, first dropped iterations)
+ *   k6 run --scenario breakpoint auth-stress-test.js
+ *   k6 run --scenario breakpoint -e BREAKPOINT_P95_SLO_MS=300 auth-stress-test.js
+ *
+ *   # Closed-loop search for the highest concurrency that holds the p95 and
+ *   # error-rate SLOs (replaces the fixed scenarios; see adaptive-load-controller.js)
+ *   k6 run -e STRESS_TEST_TYPE=adaptive auth-stress-test.js
+ *
+ *   # Run chaos test with custom operation weights
+ *   k6 run --scenario chaos -e CHAOS_WEIGHTS='{"expired_token":40}' auth-stress-test.js
+ *   k6 run --scenario chaos -e CHAOS_WEIGHTS_FILE=chaos-weights.example.json auth-stress-test.js
+ *
  *   # Run all scenarios
  *   k6 run auth-stress-test.js
  */
@@ -37,15 +55,42 @@ import { Counter, Trend, Rate } from 'k6/metrics';
 import {
     config,
     metrics,
-    generateTestUser,
-    buildUrl,
     getDefaultHeaders,
     validateAuthResponse,
     validateApiResponse,
+    isSuccessful,
     isRateLimited,
     isServerError,
     thinkTime,
+    formatTestSummary,
 } from './auth-performance-config.js';
+import { initTokenFactory, issueTestToken } from './auth-token-factory.js';
+import {
+    applyClientPartition,
+    withClientIp,
+    getPartitionThresholds,
+    formatPartitionSummary,
+} from './client-ip-pool.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { buildTestUsers } from './fixtures.js';
+import { allocatePersonaVUs, provisionTestUsers } from './personas/index.js';
+import {
+    breakpointConfig,
+    currentBreakpointStage,
+    recordBreakpointRequest,
+    getBreakpointThresholds,
+    analyzeBreakpoint,
+    formatBreakpointSummary,
+} from './breakpoint-analysis.js';
+import {
+    getAdaptiveScenario,
+    getAdaptiveBatchOptions,
+    getAdaptiveThresholds,
+    runAdaptiveSearch,
+    buildAdaptiveResult,
+    formatAdaptiveSummary,
+} from './adaptive-load-controller.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
 
 // ============================================================================
 // CUSTOM METRICS FOR STRESS TESTING
@@ -59,13 +104,136 @@ const stressMetrics = {
     circuitBreakerTrips: new Counter('stress_circuit_breaker_trips'),
 };
 
+// ============================================================================
+// CHAOS SCENARIO CONFIGURATION
+// ============================================================================
+
+/**
+ * Default relative weights for chaos operations
+ * Override with CHAOS_WEIGHTS (inline JSON) or CHAOS_WEIGHTS_FILE (path to JSON).
+ * A weight of 0 disables an operation.
+ */
+const defaultChaosWeights = {
+    valid_login: 40,
+    invalid_login: 15,
+    missing_csrf: 15,
+    expired_token: 15,
+    concurrent: 15,
+};
+
+/**
+ * Operations whose every answered 4xx/2xx response must be a rejection
+ */
+const mustRejectOperations = ['invalid_login', 'expired_token'];
+
+/**
+ * Resolve chaos weights from defaults, weights file and inline JSON (in that order)
+ * Runs in the init context so open() is available.
+ * @returns {Object} Operation name -> weight
+ */
+function loadChaosWeights() {
+    const weights = { ...defaultChaosWeights };
+    const overrides = [];
+
+    if (__ENV.CHAOS_WEIGHTS_FILE) {
+        overrides.push(JSON.parse(open(__ENV.CHAOS_WEIGHTS_FILE)));
+    }
+    if (__ENV.CHAOS_WEIGHTS) {
+        overrides.push(JSON.parse(__ENV.CHAOS_WEIGHTS));
+    }
+
+    for (const override of overrides) {
+        for (const [operation, weight] of Object.entries(override)) {
+            if (!(operation in defaultChaosWeights)) {
+                throw new Error(`Unknown chaos operation "${operation}". Valid: ${Object.keys(defaultChaosWeights).join(', ')}`);
+            }
+            if (typeof weight !== 'number' || weight < 0) {
+                throw new Error(`Chaos weight for "${operation}" must be a non-negative number`);
+            }
+            weights[operation] = weight;
+        }
+    }
+
+    if (Object.values(weights).every((w) => w === 0)) {
+        throw new Error('At least one chaos operation must have a weight above 0');
+    }
+
+    return weights;
+}
+
+const chaosWeights = loadChaosWeights();
+const chaosVUs = parseInt(__ENV.CHAOS_VUS || '30');
+
+/**
+ * Per-operation chaos metrics: latency trend and rejection rate for each
+ * operation, plus an error-class breakdown tagged by chaos_op/error_class.
+ * 5xx responses and network errors/timeouts say nothing about whether the
+ * request would have been rejected, so they go to chaos_server_errors.
+ */
+const chaosMetrics = {
+    errorClasses: new Counter('chaos_error_classes'),
+    authBypass: new Counter('chaos_auth_bypass'),
+    serverErrors: new Counter('chaos_server_errors'),
+    operations: {},
+};
+
+Object.keys(defaultChaosWeights).forEach((operation) => {
+    chaosMetrics.operations[operation] = {
+        duration: new Trend(`chaos_${operation}_duration`),
+        rejections: new Rate(`chaos_${operation}_rejections`),
+    };
+});
+
+/**
+ * Build thresholds for the chaos operations
+ * Invalid and expired tokens must always be rejected, even at peak load.
+ * Server errors and timeouts are reported, not counted against rejection.
+ * @returns {Object} Threshold entries
+ */
+function getChaosThresholds() {
+    const thresholds = {
+        'chaos_auth_bypass': ['count==0'],
+        'chaos_server_errors': ['count>=0'],
+    };
+
+    Object.keys(defaultChaosWeights).forEach((operation) => {
+        thresholds[`chaos_${operation}_duration`] = ['p(95)<2000'];
+    });
+
+    mustRejectOperations.forEach((operation) => {
+        thresholds[`chaos_${operation}_rejections`] = ['rate==1'];
+    });
+
+    // Always-passing entries so each error class shows up in the end-of-test summary
+    ['unauthorized', 'forbidden', 'rate_limited', 'client_error', 'server_error', 'network'].forEach((errorClass) => {
+        thresholds[`chaos_error_classes{error_class:${errorClass}}`] = ['count>=0'];
+    });
+
+    return thresholds;
+}
+
 // ============================================================================
 // TEST CONFIGURATION
 // ============================================================================
 
+// Highest VU count any stress scenario can reach (breakpoint maxVUs)
+const STRESS_MAX_VUS = 1000;
+
+// Registered users the VUs share, split 200/50/30/20 across Patient/Doctor/Nurse/Staff
+const STRESS_USERS = parseInt(__ENV.STRESS_USERS || '20');
+
+// STRESS_TEST_TYPE=adaptive replaces the fixed scenarios with the closed-loop controller
+const adaptiveMode = __ENV.STRESS_TEST_TYPE === 'adaptive';
+
+// SLOs the adaptive controller holds the load to
+const adaptiveSlo = { p95Ms: config.thresholds.p95, errorRate: config.thresholds.errorRate };
+
 export const options = {
+    // Let the adaptive controller batch all of its simulated clients at once
+    ...(adaptiveMode ? getAdaptiveBatchOptions() : {}),
+
     // Define multiple test scenarios
-    scenarios: {
+    scenarios: adaptiveMode ? { adaptive: getAdaptiveScenario('adaptiveTest') } : {
         // Scenario 1: Stress Test
         // Gradually increase load to find breaking point
         stress: {
@@ -125,27 +293,39 @@ export const options = {
         // Find maximum sustainable capacity
         breakpoint: {
             executor: 'ramping-arrival-rate',
-            startRate: 50,
+            // Stages live in breakpoint-analysis.js so the capacity analysis
+            // uses the same schedule: 50 -> 600 req/s in 2m steps
+            startRate: breakpointConfig.startRate,
             timeUnit: '1s',
             preAllocatedVUs: 500,
             maxVUs: 1000,
-            stages: [
-                { duration: '2m', target: 100 },   // 100 req/s
-                { duration: '2m', target: 200 },   // 200 req/s
-                { duration: '2m', target: 300 },   // 300 req/s
-                { duration: '2m', target: 400 },   // 400 req/s
-                { duration: '2m', target: 500 },   // 500 req/s
-                { duration: '2m', target: 600 },   // 600 req/s
-            ],
+            stages: breakpointConfig.stages,
             gracefulRampDown: '1m',
             exec: 'breakpointTest',
             tags: { test_type: 'breakpoint' },
         },
+
+        // Scenario 5: Chaos Test
+        // Weighted mix of valid and invalid operations. Runs for the length of
+        // the stress ramp so rejections are asserted while the system is at peak.
+        chaos: {
+            executor: 'ramping-vus',
+            startVUs: 0,
+            stages: [
+                { duration: '2m', target: chaosVUs },   // Ramp in with the stress warm-up
+                { duration: '18m', target: chaosVUs },  // Hold through the stress peak
+                { duration: '2m', target: 0 },          // Ramp down during recovery
+            ],
+            gracefulRampDown: '30s',
+            gracefulStop: '30s',
+            exec: 'chaosTest',
+            tags: { test_type: 'chaos' },
+        },
     },
 
     // Relaxed thresholds for stress testing
     // We expect some failures under extreme load
-    thresholds: {
+    thresholds: adaptiveMode ? getAdaptiveThresholds() : {
         'http_req_duration': [
             'p(50)<1000',  // Relaxed from 200ms
             'p(95)<2000',  // Relaxed from 500ms
@@ -163,8 +343,20 @@ export const options = {
         'stress_system_failures': [
             'count<100',   // Allow some system failures
         ],
+
+        // Chaos: per-operation latency and mandatory rejection of bad tokens
+        ...getChaosThresholds(),
+
+        // Per client IP partition breakdown for the summary
+        ...getPartitionThresholds(STRESS_MAX_VUS),
+
+        // Per-stage breakpoint latency, errors and iterations for the capacity result
+        ...getBreakpointThresholds(),
     },
 
+    // Registering the user pool waits out the auth limiter
+    setupTimeout: '20m',
+
     // Test metadata
     tags: {
         test_suite: 'auth_stress_test',
@@ -177,23 +369,7 @@ export const options = {
 // ============================================================================
 
 const testUsers = new SharedArray('stress_test_users', function () {
-    const users = [];
-
-    // Generate larger dataset for stress testing
-    for (let i = 0; i < 200; i++) {
-        users.push(generateTestUser('Patient', i));
-    }
-    for (let i = 0; i < 50; i++) {
-        users.push(generateTestUser('Doctor', i));
-    }
-    for (let i = 0; i < 30; i++) {
-        users.push(generateTestUser('Nurse', i));
-    }
-    for (let i = 0; i < 20; i++) {
-        users.push(generateTestUser('Staff', i));
-    }
-
-    return users;
+    return buildTestUsers(allocatePersonaVUs(STRESS_USERS, { Patient: 200, Doctor: 50, Nurse: 30, Staff: 20 }));
 });
 
 // ============================================================================
@@ -203,19 +379,50 @@ const testUsers = new SharedArray('stress_test_users', function () {
 export function setup() {
     console.log('Starting EMR Authentication Stress Test Suite');
     console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
     console.log(`Test Users: ${testUsers.length}`);
 
     // Health check
-    const healthCheck = http.get(`${config.baseUrl}/health`);
+    const healthCheck = http.get(routeUrl('health.check'));
     if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
         console.warn('WARNING: API health check failed. Proceeding with test anyway.');
     }
 
+    // A degraded API is fair game for a stress test; a missing route is not
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.loginCallback', 'auth.me']);
+
+    // Register every test user and issue tokens carrying its database id
+    const signingContext = initTokenFactory();
+    const provisioned = provisionTestUsers(signingContext, testUsers);
+    const tokens = provisioned.map((user) => user.token);
+    console.log(`Registered ${tokens.length} test users and issued signed tokens (kid: ${signingContext.kid})`);
+
+    // Correctly signed tokens for real users that expired well beyond the API's 30s clock skew
+    const expiredTokens = [];
+    for (let i = 0; i < Math.min(20, testUsers.length); i++) {
+        expiredTokens.push(issueTestToken(signingContext, testUsers[i], { userId: provisioned[i].id, lifetimeSeconds: -600 }));
+    }
+
+    console.log(`Chaos weights: ${JSON.stringify(chaosWeights)}`);
+
     return {
         startTime: Date.now(),
+        signingContext: signingContext,
+        tokens: tokens,
+        expiredTokens: expiredTokens,
     };
 }
 
+/**
+ * Pick a random test user together with its signed token
+ * @param {Object} data - Setup data
+ * @returns {Object} { user, authToken }
+ */
+function pickUser(data) {
+    const index = Math.floor(random() * testUsers.length);
+    return { user: testUsers[index], authToken: data.tokens[index] };
+}
+
 // ============================================================================
 // STRESS TEST SCENARIO
 // ============================================================================
@@ -225,16 +432,14 @@ export function setup() {
  * Focus: System behavior under increasing load
  */
 export function stressTest(data) {
-    const user = testUsers[Math.floor(Math.random() * testUsers.length)];
+    applyClientPartition();
+    const { authToken } = pickUser(data);
 
     group('Stress Test - Authentication Flow', () => {
-        // Aggressive authentication attempts
-        const authToken = user.mockToken;
-
-        // Get CSRF token
+        // Aggressive authentication attempts - get CSRF token first
         const csrfResponse = http.get(
-            buildUrl('auth/csrf-token'),
-            { tags: { scenario: 'stress' } }
+            routeUrl('auth.csrfToken'),
+            { headers: getDefaultHeaders(), tags: { scenario: 'stress' } }
         );
 
         let csrfToken = null;
@@ -248,11 +453,11 @@ export function stressTest(data) {
 
         // Login callback
         const loginResponse = http.post(
-            buildUrl('auth/login-callback'),
+            routeUrl('auth.loginCallback'),
             null,
             {
                 headers: getDefaultHeaders(csrfToken, authToken),
-                tags: { scenario: 'stress', name: 'POST /api/auth/login-callback' },
+                tags: { scenario: 'stress', name: routeName('auth.loginCallback') },
             }
         );
 
@@ -275,10 +480,10 @@ export function stressTest(data) {
 
         // Get user profile
         const profileResponse = http.get(
-            buildUrl('auth/me'),
+            routeUrl('auth.me'),
             {
                 headers: getDefaultHeaders(null, authToken),
-                tags: { scenario: 'stress', name: 'GET /api/auth/me' },
+                tags: { scenario: 'stress', name: routeName('auth.me') },
             }
         );
 
@@ -290,7 +495,7 @@ export function stressTest(data) {
     });
 
     // Very minimal sleep during stress test
-    sleep(Math.random() * 0.5);
+    sleep(random() * 0.5);
 }
 
 // ============================================================================
@@ -302,17 +507,16 @@ export function stressTest(data) {
  * Focus: System shock response and recovery
  */
 export function spikeTest(data) {
-    const user = testUsers[Math.floor(Math.random() * testUsers.length)];
+    applyClientPartition();
+    const { authToken } = pickUser(data);
 
     group('Spike Test - Rapid Authentication', () => {
-        const authToken = user.mockToken;
-
         // During spike, make rapid-fire requests
         const requestsPerIteration = 3;
 
         for (let i = 0; i < requestsPerIteration; i++) {
             const response = http.get(
-                buildUrl('auth/me'),
+                routeUrl('auth.me'),
                 {
                     headers: getDefaultHeaders(null, authToken),
                     tags: { scenario: 'spike', request_num: i },
@@ -344,16 +548,15 @@ export function spikeTest(data) {
  * Focus: Memory leaks, resource exhaustion, gradual degradation
  */
 export function soakTest(data) {
-    const user = testUsers[Math.floor(Math.random() * testUsers.length)];
+    applyClientPartition();
+    const { authToken } = pickUser(data);
 
     group('Soak Test - Sustained Authentication', () => {
-        const authToken = user.mockToken;
-
         // Full authentication workflow
         // Step 1: Get CSRF token
         const csrfResponse = http.get(
-            buildUrl('auth/csrf-token'),
-            { tags: { scenario: 'soak' } }
+            routeUrl('auth.csrfToken'),
+            { headers: getDefaultHeaders(), tags: { scenario: 'soak' } }
         );
 
         let csrfToken = null;
@@ -369,11 +572,11 @@ export function soakTest(data) {
 
         // Step 2: Login callback
         const loginResponse = http.post(
-            buildUrl('auth/login-callback'),
+            routeUrl('auth.loginCallback'),
             null,
             {
                 headers: getDefaultHeaders(csrfToken, authToken),
-                tags: { scenario: 'soak', name: 'POST /api/auth/login-callback' },
+                tags: { scenario: 'soak', name: routeName('auth.loginCallback') },
             }
         );
 
@@ -384,7 +587,7 @@ export function soakTest(data) {
         // Step 3: Multiple API calls to simulate real usage
         for (let i = 0; i < 3; i++) {
             const apiResponse = http.get(
-                buildUrl('auth/me'),
+                routeUrl('auth.me'),
                 {
                     headers: getDefaultHeaders(null, authToken),
                     tags: { scenario: 'soak', iteration: i },
@@ -421,19 +624,22 @@ export function soakTest(data) {
 /**
  * Breakpoint Test: Find maximum sustainable capacity
  * Focus: Maximum throughput before system breaks
+ * Targets me, which only has the per-IP global limiter; csrf-token sits on the
+ * single-partition auth limiter and would measure that instead.
  */
 export function breakpointTest(data) {
-    const user = testUsers[Math.floor(Math.random() * testUsers.length)];
+    applyClientPartition();
+    const { authToken } = pickUser(data);
+    // Stage the iteration was scheduled in, taken before the request
+    const stage = currentBreakpointStage();
 
     group('Breakpoint Test - Maximum Throughput', () => {
-        const authToken = user.mockToken;
-
         // Make lightweight request to maximize throughput
         const response = http.get(
-            buildUrl('auth/csrf-token'),
+            routeUrl('auth.me'),
             {
                 headers: getDefaultHeaders(null, authToken),
-                tags: { scenario: 'breakpoint' },
+                tags: { scenario: 'breakpoint', name: routeName('auth.me') },
             }
         );
 
@@ -453,44 +659,146 @@ export function breakpointTest(data) {
         if (!isSuccess && !isRateLimited(response)) {
             stressMetrics.systemFailures.add(1);
         }
+
+        // Per-stage SLO inputs; 429s are reported apart from latency and errors
+        recordBreakpointRequest(stage, response, !isSuccess);
     });
 
     // No sleep - maximize request rate
 }
 
+// ============================================================================
+// ADAPTIVE LOAD SCENARIO
+// ============================================================================
+
+/**
+ * Adaptive Test: closed-loop search for the highest sustainable concurrency
+ * Each simulated client reads its profile with its own token and client IP.
+ */
+export function adaptiveTest(data) {
+    runAdaptiveSearch({
+        name: 'auth',
+        slo: adaptiveSlo,
+        buildRequest: (client) => {
+            const index = client % testUsers.length;
+            return {
+                method: 'GET',
+                url: routeUrl('auth.me'),
+                params: {
+                    headers: withClientIp(getDefaultHeaders(null, data.tokens[index]), client + 1),
+                    tags: { scenario: 'adaptive', name: routeName('auth.me') },
+                },
+            };
+        },
+        // 429s are rate limiter rejections, bounded by the controller instead
+        isError: (response) => ![200, 429].includes(response.status),
+    });
+}
+
 // ============================================================================
 // ADVANCED STRESS SCENARIOS
 // ============================================================================
 
 /**
- * Chaos scenario: Random mix of valid and invalid requests
+ * Chaos scenario: Weighted mix of valid and invalid requests
  * Tests error handling under stress
  */
 export function chaosTest(data) {
-    const user = testUsers[Math.floor(Math.random() * testUsers.length)];
-
-    group('Chaos Test - Random Operations', () => {
-        const operations = [
-            () => testValidLogin(user),
-            () => testInvalidLogin(),
-            () => testMissingCSRF(user),
-            () => testExpiredToken(user),
-            () => testConcurrentRequests(user),
-        ];
-
-        // Execute random operation
-        const randomOp = operations[Math.floor(Math.random() * operations.length)];
-        randomOp();
+    applyClientPartition();
+    const { authToken } = pickUser(data);
+
+    group('Chaos Test - Weighted Operations', () => {
+        const operations = {
+            valid_login: () => testValidLogin(authToken),
+            invalid_login: () => testInvalidLogin(),
+            missing_csrf: () => testMissingCSRF(authToken),
+            expired_token: () => testExpiredToken(data),
+            concurrent: () => testConcurrentRequests(authToken),
+        };
+
+        const operation = pickChaosOperation();
+        recordChaosResult(operation, operations[operation]());
     });
 
     sleep(0.1);
 }
 
+/**
+ * Pick a chaos operation according to the configured weights
+ * @returns {string} Operation name
+ */
+function pickChaosOperation() {
+    const entries = Object.entries(chaosWeights).filter(([, weight]) => weight > 0);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+
+    let roll = random() * total;
+    for (const [operation, weight] of entries) {
+        roll -= weight;
+        if (roll < 0) {
+            return operation;
+        }
+    }
+
+    return entries[entries.length - 1][0];
+}
+
+/**
+ * Classify a response into an error class for the chaos breakdown
+ * @param {Response} response - HTTP response
+ * @returns {string} Error class
+ */
+function classifyChaosResponse(response) {
+    if (response.status === 0) return 'network';
+    if (isSuccessful(response)) return 'none';
+    if (response.status === 401) return 'unauthorized';
+    if (response.status === 403) return 'forbidden';
+    if (isRateLimited(response)) return 'rate_limited';
+    if (isServerError(response)) return 'server_error';
+    return 'client_error';
+}
+
+/**
+ * Record latency, rejection rate and error class for a chaos operation
+ * The rejection rate only compares 4xx (rejected) with 2xx (accepted).
+ * Rate-limited responses never reached authentication, and 5xx or network
+ * errors never got an answer, so neither counts either way.
+ * @param {string} operation - Operation name
+ * @param {Array<Response>} responses - Responses produced by the operation
+ */
+function recordChaosResult(operation, responses) {
+    const operationMetrics = chaosMetrics.operations[operation];
+
+    responses.forEach((response) => {
+        const errorClass = classifyChaosResponse(response);
+
+        operationMetrics.duration.add(response.timings.duration);
+        chaosMetrics.errorClasses.add(1, { chaos_op: operation, error_class: errorClass });
+
+        if (errorClass === 'server_error' || errorClass === 'network') {
+            chaosMetrics.serverErrors.add(1, { chaos_op: operation, error_class: errorClass });
+            return;
+        }
+        // Redirects are neither an acceptance nor a rejection
+        if (errorClass === 'rate_limited' || (errorClass !== 'none' && response.status < 400)) {
+            return;
+        }
+
+        // 'none' is a 2xx; every other remaining class is a 4xx
+        operationMetrics.rejections.add(errorClass === 'none' ? 0 : 1);
+
+        if (mustRejectOperations.includes(operation) && errorClass === 'none') {
+            chaosMetrics.authBypass.add(1, { chaos_op: operation });
+            console.error(`SECURITY: ${operation} request was accepted with status ${response.status}`);
+        }
+    });
+}
+
 /**
  * Helper: Test valid login
+ * @returns {Array<Response>}
  */
-function testValidLogin(user) {
-    const csrfResponse = http.get(buildUrl('auth/csrf-token'));
+function testValidLogin(authToken) {
+    const csrfResponse = http.get(routeUrl('auth.csrfToken'), { headers: getDefaultHeaders() });
     let csrfToken = null;
 
     if (csrfResponse.status === 200) {
@@ -502,10 +810,10 @@ function testValidLogin(user) {
     }
 
     const response = http.post(
-        buildUrl('auth/login-callback'),
+        routeUrl('auth.loginCallback'),
         null,
         {
-            headers: getDefaultHeaders(csrfToken, user.mockToken),
+            headers: getDefaultHeaders(csrfToken, authToken),
             tags: { chaos_scenario: 'valid_login' },
         }
     );
@@ -513,14 +821,17 @@ function testValidLogin(user) {
     check(response, {
         'Chaos (valid): success or rate limited': (r) => r.status === 200 || r.status === 429,
     });
+
+    return [response];
 }
 
 /**
  * Helper: Test invalid login (no token)
+ * @returns {Array<Response>}
  */
 function testInvalidLogin() {
     const response = http.post(
-        buildUrl('auth/login-callback'),
+        routeUrl('auth.loginCallback'),
         null,
         {
             headers: getDefaultHeaders(null, null),
@@ -531,17 +842,20 @@ function testInvalidLogin() {
     check(response, {
         'Chaos (invalid): rejected': (r) => r.status === 401 || r.status === 403,
     });
+
+    return [response];
 }
 
 /**
  * Helper: Test missing CSRF token
+ * @returns {Array<Response>}
  */
-function testMissingCSRF(user) {
+function testMissingCSRF(authToken) {
     const response = http.post(
-        buildUrl('auth/login-callback'),
+        routeUrl('auth.loginCallback'),
         null,
         {
-            headers: getDefaultHeaders(null, user.mockToken),
+            headers: getDefaultHeaders(null, authToken),
             tags: { chaos_scenario: 'missing_csrf' },
         }
     );
@@ -549,16 +863,21 @@ function testMissingCSRF(user) {
     check(response, {
         'Chaos (no CSRF): handled gracefully': (r) => r.status === 403 || r.status === 200,
     });
+
+    return [response];
 }
 
 /**
  * Helper: Test expired token
+ * Uses a correctly signed token whose exp is well past the server clock skew,
+ * so only lifetime validation can reject it.
+ * @returns {Array<Response>}
  */
-function testExpiredToken(user) {
-    const expiredToken = 'eyJhbGciOiJSUzI1NiIsInR5cCI6IkpXVCJ9.eyJleHAiOjB9.expired';
+function testExpiredToken(data) {
+    const expiredToken = data.expiredTokens[Math.floor(random() * data.expiredTokens.length)];
 
     const response = http.get(
-        buildUrl('auth/me'),
+        routeUrl('auth.me'),
         {
             headers: getDefaultHeaders(null, expiredToken),
             tags: { chaos_scenario: 'expired_token' },
@@ -568,31 +887,36 @@ function testExpiredToken(user) {
     check(response, {
         'Chaos (expired): rejected': (r) => r.status === 401,
     });
+
+    return [response];
 }
 
 /**
  * Helper: Test concurrent requests
+ * @returns {Array<Response>}
  */
-function testConcurrentRequests(user) {
-    const authToken = user.mockToken;
-    const responses = [];
-
-    // Make 5 concurrent requests
+function testConcurrentRequests(authToken) {
+    // Issue 5 requests in parallel for the same user
+    const requests = [];
     for (let i = 0; i < 5; i++) {
-        const response = http.get(
-            buildUrl('auth/me'),
-            {
+        requests.push({
+            method: 'GET',
+            url: routeUrl('auth.me'),
+            params: {
                 headers: getDefaultHeaders(null, authToken),
-                tags: { chaos_scenario: 'concurrent', request_num: i },
-            }
-        );
-        responses.push(response);
+                tags: { chaos_scenario: 'concurrent', request_num: `${i}` },
+            },
+        });
     }
 
+    const responses = http.batch(requests);
+
     check(responses, {
         'Chaos (concurrent): all handled': (rs) => rs.every(r => r.status > 0),
         'Chaos (concurrent): some successful': (rs) => rs.some(r => r.status === 200),
     });
+
+    return responses;
 }
 
 // ============================================================================
@@ -611,6 +935,7 @@ export function teardown(data) {
     console.log('- Review degradation_rate for performance trends');
     console.log('- Analyze rate_limit_errors for capacity planning');
     console.log('- Monitor peak_load for maximum throughput');
+    console.log('- Check chaos_auth_bypass is 0, chaos_server_errors and chaos_error_classes by chaos_op');
     console.log('\nNext Steps:');
     console.log('1. Review detailed metrics in k6 output');
     console.log('2. Check server logs for errors and warnings');
@@ -619,3 +944,34 @@ export function teardown(data) {
     console.log('5. Verify rate limiting effectiveness');
     console.log('========================================\n');
 }
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const capacity = analyzeBreakpoint(data);
+    const adaptive = buildAdaptiveResult(data, adaptiveSlo);
+
+    const summary = `${formatTestSummary(data)}
+${formatPartitionSummary(data, STRESS_MAX_VUS)}${formatBreakpointSummary(capacity)}${formatAdaptiveSummary(adaptive)}
+========================================
+`;
+
+    console.log(summary);
+
+    const output = {
+        'stdout': summary,
+        'auth-stress-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+
+    // Capacity result only when the breakpoint scenario ran
+    if (capacity) {
+        output[breakpointConfig.resultFile] = JSON.stringify(capacity, null, 2);
+    }
+    if (adaptive) {
+        output['auth-adaptive-capacity.json'] = JSON.stringify(adaptive, null, 2);
+    }
+
+    return output;
+}
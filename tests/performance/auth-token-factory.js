@@ -0,0 +1,248 @@
+/**
+ * EMR Test Token Factory
+ *
+ * Issues RS256-signed JWTs for synthetic test users using the key pair held by
+ * the local identity stub (tools/identity-stub-server.js). The API validates
+ * these tokens against the stub's JWKS, so authenticated calls in load runs
+ * measure real token validation cost instead of 401 handling.
+ *
+ * Claims mirror what AuthController and CurrentUserService read:
+ * - iss / aud: issuer from the stub discovery document, audience = client ID
+ * - oid: Azure AD B2C object ID (used by login-callback lookup)
+ * - sub: internal user ID of a registered user (required; the API resolves the
+ *   caller from it). Only tokens issued with { unregistered: true } fall back
+ *   to the B2C ID, and the API finds no user for those
+ * - roles: role claims consumed by [Authorize(Roles = ...)]
+ * - exp / nbf / iat: token lifetime
+ *
+ * ⚠️ HIPAA COMPLIANCE NOTICE ⚠️
+ * Tokens are issued for SYNTHETIC TEST USERS only.
+ */
+
+import http from 'k6/http';
+import encoding from 'k6/encoding';
+import { config } from './auth-performance-config.js';
+
+// ============================================================================
+// STUB DISCOVERY
+// ============================================================================
+
+/**
+ * Build a URL under the stub's tenant/policy path
+ * @param {string} path - Path below /{tenant}/{policy}/v2.0
+ * @returns {string} Full URL
+ */
+function buildStubTenantUrl(path) {
+    const stub = config.identityStub;
+    return `${stub.url}/${stub.tenant}/${config.azureB2C.signUpSignInPolicy.toLowerCase()}/v2.0/${path}`;
+}
+
+/**
+ * Initialise the token factory - call from setup()
+ * Verifies the identity stub is reachable, reads its discovery document and
+ * confirms the signing key is published in the JWKS the API will fetch.
+ * @returns {Object} Signing context { issuer, audience, kid, jwksUri, tokenEndpoint }
+ */
+export function initTokenFactory() {
+    const discoveryResponse = http.get(
+        buildStubTenantUrl('.well-known/openid-configuration'),
+        { tags: { name: 'identity_stub_discovery', identity_stub: 'true' } }
+    );
+
+    if (discoveryResponse.status !== 200) {
+        throw new Error(
+            `Identity stub not reachable at ${config.identityStub.url} (status ${discoveryResponse.status}). ` +
+            'Start it with: npm run stub:identity'
+        );
+    }
+
+    const discovery = JSON.parse(discoveryResponse.body);
+
+    const jwksResponse = http.get(discovery.jwks_uri, {
+        tags: { name: 'identity_stub_jwks', identity_stub: 'true' },
+    });
+    const keys = jwksResponse.status === 200 ? JSON.parse(jwksResponse.body).keys || [] : [];
+
+    if (keys.length === 0) {
+        throw new Error(`Identity stub JWKS at ${discovery.jwks_uri} has no signing keys`);
+    }
+
+    return {
+        issuer: discovery.issuer,
+        audience: config.azureB2C.clientId,
+        kid: keys[0].kid,
+        jwksUri: discovery.jwks_uri,
+        tokenEndpoint: discovery.token_endpoint,
+    };
+}
+
+// ============================================================================
+// TOKEN ISSUANCE
+// ============================================================================
+
+/**
+ * Build the claim set for a test user
+ * @param {Object} signingContext - Context returned by initTokenFactory()
+ * @param {Object} user - Test user from generateTestUser()
+ * @param {Object} options - Optional overrides
+ * @param {number} options.lifetimeSeconds - Token lifetime (negative for already-expired tokens)
+ * @param {string} options.userId - Internal user ID to place in sub (required unless unregistered)
+ * @param {boolean} options.unregistered - Role-claim-only token for a user that is not in the
+ *   Users table (e.g. the bootstrap Admin that registers test users); sub is the B2C ID
+ * @returns {Object} JWT payload
+ */
+export function buildTestClaims(signingContext, user, options = {}) {
+    if (!options.userId && options.unregistered !== true) {
+        throw new Error(`No userId for ${user.email}. Register the user first (provisionTestUsers) or pass { unregistered: true }.`);
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const lifetime = options.lifetimeSeconds !== undefined
+        ? options.lifetimeSeconds
+        : config.identityStub.tokenLifetimeSeconds;
+    // Expired tokens still need a plausible issue time before their expiry
+    const issuedAt = lifetime > 0 ? now : now + lifetime - 60;
+
+    return {
+        iss: signingContext.issuer,
+        aud: signingContext.audience,
+        sub: options.unregistered === true ? user.azureAdB2CId : options.userId,
+        oid: user.azureAdB2CId,
+        roles: user.roles,
+        emails: [user.email],
+        name: `${user.firstName} ${user.lastName}`,
+        given_name: user.firstName,
+        family_name: user.lastName,
+        tfp: config.azureB2C.signUpSignInPolicy,
+        iat: issuedAt,
+        nbf: issuedAt,
+        exp: now + lifetime,
+    };
+}
+
+/**
+ * Issue a signed test token for a user
+ * @param {Object} signingContext - Context returned by initTokenFactory()
+ * @param {Object} user - Test user from generateTestUser()
+ * @param {Object} options - See buildTestClaims()
+ * @returns {string} Signed compact JWT
+ */
+export function issueTestToken(signingContext, user, options = {}) {
+    const response = http.post(
+        `${config.identityStub.url}/_test/sign`,
+        JSON.stringify({ claims: buildTestClaims(signingContext, user, options) }),
+        {
+            headers: { 'Content-Type': 'application/json' },
+            tags: { name: 'identity_stub_sign', identity_stub: 'true' },
+        }
+    );
+
+    if (response.status !== 200) {
+        throw new Error(`Identity stub refused to sign token (status ${response.status}): ${response.body}`);
+    }
+
+    return JSON.parse(response.body).token;
+}
+
+/**
+ * Issue an access token together with a refresh token for a user
+ * The refresh token can be redeemed at the stub's B2C-compatible token endpoint.
+ * @param {Object} signingContext - Context returned by initTokenFactory()
+ * @param {Object} user - Test user from generateTestUser()
+ * @param {Object} options - See buildTestClaims()
+ * @returns {Object} { accessToken, refreshToken, expiresAt } (expiresAt in epoch seconds)
+ */
+export function issueTestTokenPair(signingContext, user, options = {}) {
+    const claims = buildTestClaims(signingContext, user, options);
+    const response = http.post(
+        `${config.identityStub.url}/_test/sign`,
+        JSON.stringify({ claims: claims, issueRefreshToken: true }),
+        {
+            headers: { 'Content-Type': 'application/json' },
+            tags: { name: 'identity_stub_sign', identity_stub: 'true' },
+        }
+    );
+
+    if (response.status !== 200) {
+        throw new Error(`Identity stub refused to sign token (status ${response.status}): ${response.body}`);
+    }
+
+    const body = JSON.parse(response.body);
+    return {
+        accessToken: body.token,
+        refreshToken: body.refreshToken,
+        expiresAt: claims.exp,
+    };
+}
+
+/**
+ * Redeem a refresh token at the stub's B2C-compatible token endpoint
+ * Returns the raw response so callers can time and validate the exchange.
+ * @param {Object} signingContext - Context returned by initTokenFactory()
+ * @param {string} refreshToken - Refresh token to redeem
+ * @returns {Object} { response, accessToken, refreshToken, expiresAt } (tokens null on failure)
+ */
+export function refreshTestToken(signingContext, refreshToken) {
+    const response = http.post(
+        signingContext.tokenEndpoint,
+        {
+            grant_type: 'refresh_token',
+            refresh_token: refreshToken,
+            client_id: signingContext.audience,
+        },
+        { tags: { name: 'identity_stub_token_refresh', identity_stub: 'true' } }
+    );
+
+    if (response.status !== 200) {
+        return { response, accessToken: null, refreshToken: null, expiresAt: 0 };
+    }
+
+    const body = JSON.parse(response.body);
+    return {
+        response,
+        accessToken: body.access_token,
+        refreshToken: body.refresh_token,
+        expiresAt: body.expires_on,
+    };
+}
+
+// ============================================================================
+// TOKEN INSPECTION
+// ============================================================================
+
+/**
+ * Decode the payload of a JWT without verifying it
+ * @param {string} token - Compact JWT
+ * @returns {Object|null} Claims, or null when the token is malformed
+ */
+function decodeTokenClaims(token) {
+    try {
+        const payload = token.split('.')[1];
+        return JSON.parse(encoding.b64decode(payload, 'rawurl', 's'));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Read the expiry of a JWT from its exp claim
+ * @param {string} token - Compact JWT
+ * @returns {number} Expiry in epoch seconds (0 when unknown)
+ */
+export function getTokenExpiry(token) {
+    const claims = decodeTokenClaims(token);
+    return claims && claims.exp ? claims.exp : 0;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    initTokenFactory,
+    buildTestClaims,
+    issueTestToken,
+    issueTestTokenPair,
+    refreshTestToken,
+    getTokenExpiry,
+};
@@ -0,0 +1,379 @@
+/**
+ * EMR Authentication Token Refresh Lifecycle Test
+ *
+ * Models long clinic sessions where access tokens roll over mid-workflow.
+ * Each VU holds a short-lived signed token, watches its exp claim and
+ * refreshes it against the identity stub's B2C-compatible token endpoint,
+ * then carries on with authenticated API calls.
+ *
+ * Measured:
+ * - Refresh latency (token_refresh_duration)
+ * - Refresh failures (token_refresh_failures)
+ * - API requests that fail in the window around token expiry (expiry_gap_failures)
+ *
+ * Refresh Modes (REFRESH_MODE):
+ * - proactive (default): refresh REFRESH_SKEW_SECONDS before exp, as a
+ *   well-behaved SPA would. Any failure in the expiry gap is a defect.
+ * - reactive: keep using the token until the API rejects it, then refresh
+ *   and retry. Shows how wide the rejection gap is (server ClockSkew is 30s).
+ *
+ * setup() registers REFRESH_USERS users (VUs share them) so /api/auth/me
+ * resolves the token's sub; the global auth limiter makes that take about
+ * 5 minutes per 10 users.
+ *
+ * Prerequisites:
+ *   Identity stub running and the API pointed at it (see README)
+ *
+ * Usage:
+ *   k6 run auth-token-refresh-test.js
+ *   k6 run -e SHORT_TOKEN_LIFETIME_SECONDS=60 -e REFRESH_MODE=reactive auth-token-refresh-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { SharedArray } from 'k6/data';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    getThresholds,
+    isSuccessful,
+    isRateLimited,
+    isUnauthorized,
+    validateApiResponse,
+    thinkTime,
+} from './auth-performance-config.js';
+import {
+    initTokenFactory,
+    issueTestTokenPair,
+    refreshTestToken,
+    getTokenExpiry,
+} from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { buildTestUsers } from './fixtures.js';
+import { allocatePersonaVUs, provisionTestUsers } from './personas/index.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// REFRESH TEST CONFIGURATION
+// ============================================================================
+
+const refreshConfig = {
+    // Short access token lifetime so tokens roll over several times per run
+    tokenLifetimeSeconds: parseInt(__ENV.SHORT_TOKEN_LIFETIME_SECONDS || '120'),
+    // Proactive mode refreshes this many seconds before exp
+    refreshSkewSeconds: parseInt(__ENV.REFRESH_SKEW_SECONDS || '10'),
+    mode: __ENV.REFRESH_MODE || 'proactive',
+    // Requests within +/- this many seconds of exp count as "in the gap"
+    // Defaults to the API's JwtBearer ClockSkew
+    expiryGapWindowSeconds: parseInt(__ENV.EXPIRY_GAP_WINDOW_SECONDS || '30'),
+    vus: parseInt(__ENV.REFRESH_VUS || '20'),
+    // Registered users the VUs share, split 3/1/1 across Patient/Doctor/Nurse
+    users: parseInt(__ENV.REFRESH_USERS || '10'),
+    duration: __ENV.REFRESH_DURATION || '15m',
+};
+
+// ============================================================================
+// CUSTOM METRICS FOR TOKEN REFRESH
+// ============================================================================
+
+const refreshMetrics = {
+    refreshFailures: new Rate('token_refresh_failures'),
+    secondsRemainingAtRefresh: new Trend('token_seconds_remaining_at_refresh'),
+    expiryGapRequests: new Counter('expiry_gap_requests'),
+    expiryGapFailures: new Rate('expiry_gap_failures'),
+    expiryGapFailureCount: new Counter('expiry_gap_failure_count'),
+    reauthentications: new Counter('token_reauthentications'),
+};
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+const baseThresholds = getThresholds();
+
+const refreshThresholds = {
+    'token_refresh_duration': baseThresholds['token_refresh_duration'],
+    'token_refresh_failures': [`rate<${config.thresholds.errorRate}`],
+    'api_call_with_auth_duration': baseThresholds['api_call_with_auth_duration'],
+};
+
+// In reactive mode gap failures are expected by design - report them, don't gate on them
+if (refreshConfig.mode === 'proactive') {
+    refreshThresholds['expiry_gap_failures'] = [`rate<${config.thresholds.errorRate}`];
+}
+
+export const options = {
+    scenarios: {
+        token_refresh: {
+            executor: 'constant-vus',
+            vus: refreshConfig.vus,
+            duration: refreshConfig.duration,
+            gracefulStop: '30s',
+            exec: 'tokenRefreshLifecycle',
+            tags: { test_type: 'token_refresh', refresh_mode: refreshConfig.mode },
+        },
+    },
+
+    thresholds: refreshThresholds,
+
+    // Registering the users waits out the auth limiter
+    setupTimeout: '15m',
+
+    tags: {
+        test_name: 'auth_token_refresh_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+// ============================================================================
+// TEST DATA SETUP
+// ============================================================================
+
+const testUsers = new SharedArray('token_refresh_users', function () {
+    return buildTestUsers(allocatePersonaVUs(refreshConfig.users, { Patient: 30, Doctor: 10, Nurse: 10 }));
+});
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Token Refresh Lifecycle Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Refresh mode: ${refreshConfig.mode}`);
+    console.log(`Token lifetime: ${refreshConfig.tokenLifetimeSeconds}s, refresh skew: ${refreshConfig.refreshSkewSeconds}s`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.me']);
+
+    const signingContext = initTokenFactory();
+    console.log(`Token endpoint: ${signingContext.tokenEndpoint}`);
+
+    // Tokens carry the database id as sub, so the API finds the user
+    const userIds = provisionTestUsers(signingContext, testUsers).map((user) => user.id);
+    console.log(`Registered ${userIds.length} test users.`);
+
+    return {
+        startTime: Date.now(),
+        signingContext: signingContext,
+        userIds: userIds,
+    };
+}
+
+// ============================================================================
+// PER-VU TOKEN SESSION
+// ============================================================================
+
+/**
+ * Token state held by this VU for its whole lifetime
+ * { accessToken, refreshToken }
+ */
+let tokenSession = null;
+
+/**
+ * Current time in epoch seconds
+ * @returns {number}
+ */
+function nowSeconds() {
+    return Date.now() / 1000;
+}
+
+/**
+ * Seconds until the session's access token expires, read from its exp claim
+ * @returns {number} Negative once the token has expired
+ */
+function secondsToExpiry() {
+    return getTokenExpiry(tokenSession.accessToken) - nowSeconds();
+}
+
+/**
+ * Sign in from scratch (initial login, or after a refresh token is rejected)
+ * @param {Object} data - Setup data
+ * @param {Object} user - Test user with its database id
+ */
+function signIn(data, user) {
+    const pair = issueTestTokenPair(data.signingContext, user, {
+        userId: user.id,
+        lifetimeSeconds: refreshConfig.tokenLifetimeSeconds,
+    });
+    tokenSession = { accessToken: pair.accessToken, refreshToken: pair.refreshToken };
+}
+
+/**
+ * Exchange the refresh token for a new access token
+ * Falls back to a fresh sign-in when the token endpoint rejects the refresh.
+ * @param {Object} data - Setup data
+ * @param {Object} user - Test user
+ * @returns {boolean} True if the refresh succeeded
+ */
+function refreshSession(data, user) {
+    refreshMetrics.secondsRemainingAtRefresh.add(secondsToExpiry());
+
+    const result = refreshTestToken(data.signingContext, tokenSession.refreshToken);
+    metrics.tokenRefreshDuration.add(result.response.timings.duration);
+
+    const refreshed = check(result.response, {
+        'Token refresh: status is 200': (r) => r.status === 200,
+        'Token refresh: new token issued': () => result.accessToken !== null,
+        'Token refresh: expiry moved forward': () =>
+            getTokenExpiry(result.accessToken) > getTokenExpiry(tokenSession.accessToken),
+    });
+
+    if (refreshed) {
+        metrics.successfulTokenRefresh.add(1);
+        refreshMetrics.refreshFailures.add(0);
+        tokenSession = {
+            accessToken: result.accessToken,
+            refreshToken: result.refreshToken,
+        };
+        return true;
+    }
+
+    refreshMetrics.refreshFailures.add(1);
+    refreshMetrics.reauthentications.add(1);
+    signIn(data, user);
+    return false;
+}
+
+/**
+ * Proactively refresh when the exp claim is within the refresh skew
+ * @param {Object} data - Setup data
+ * @param {Object} user - Test user
+ */
+function ensureFreshToken(data, user) {
+    if (refreshConfig.mode !== 'proactive') {
+        return;
+    }
+
+    if (secondsToExpiry() <= refreshConfig.refreshSkewSeconds) {
+        refreshSession(data, user);
+    }
+}
+
+// ============================================================================
+// MAIN TEST SCENARIO
+// ============================================================================
+
+/**
+ * Token refresh lifecycle: each VU is one long-running clinic session
+ */
+export function tokenRefreshLifecycle(data) {
+    applyClientPartition();
+    const userIndex = (__VU - 1) % testUsers.length;
+    const user = { ...testUsers[userIndex], id: data.userIds[userIndex] };
+
+    if (tokenSession === null) {
+        signIn(data, user);
+    }
+
+    group('Clinic Session Activity', () => {
+        for (let i = 0; i < 3; i++) {
+            ensureFreshToken(data, user);
+            callWithSessionToken(data, user);
+            sleep(thinkTime());
+        }
+    });
+}
+
+/**
+ * Make an authenticated API call and classify it against the expiry gap
+ * In reactive mode a 401 triggers a refresh and a single retry.
+ * @param {Object} data - Setup data
+ * @param {Object} user - Test user
+ */
+function callWithSessionToken(data, user) {
+    const inExpiryGap = Math.abs(secondsToExpiry()) <= refreshConfig.expiryGapWindowSeconds;
+
+    const response = http.get(routeUrl('auth.me'), {
+        headers: getDefaultHeaders(null, tokenSession.accessToken),
+        tags: {
+            name: routeName('auth.me'),
+            expiry_gap: inExpiryGap ? 'true' : 'false',
+        },
+    });
+
+    validateApiResponse(response, 'session_api_call');
+
+    // Rate limiting is not a token failure - keep it out of the gap statistics
+    if (inExpiryGap && !isRateLimited(response)) {
+        const failed = !isSuccessful(response);
+        refreshMetrics.expiryGapRequests.add(1);
+        refreshMetrics.expiryGapFailures.add(failed ? 1 : 0);
+
+        if (failed) {
+            refreshMetrics.expiryGapFailureCount.add(1);
+        }
+    }
+
+    if (refreshConfig.mode === 'reactive' && isUnauthorized(response)) {
+        refreshSession(data, user);
+
+        const retry = http.get(routeUrl('auth.me'), {
+            headers: getDefaultHeaders(null, tokenSession.accessToken),
+            tags: { name: `${routeName('auth.me')} (after refresh)` },
+        });
+
+        check(retry, {
+            'Reactive refresh: retry succeeded': (r) => isSuccessful(r) || isRateLimited(r),
+        });
+    }
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR Token Refresh Lifecycle Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const gapRequests = data.metrics.expiry_gap_requests?.values?.count || 0;
+    const gapFailures = data.metrics.expiry_gap_failure_count?.values?.count || 0;
+
+    const summary = `
+========================================
+EMR Token Refresh Lifecycle Summary
+========================================
+Refresh Mode: ${refreshConfig.mode}
+Token Lifetime: ${refreshConfig.tokenLifetimeSeconds}s (refresh skew ${refreshConfig.refreshSkewSeconds}s)
+
+Refresh Performance:
+- Successful Refreshes: ${data.metrics.successful_token_refresh?.values?.count || 0}
+- Refresh Duration (p95): ${data.metrics.token_refresh_duration?.values?.['p(95)']?.toFixed(2)}ms
+- Refresh Duration (p99): ${data.metrics.token_refresh_duration?.values?.['p(99)']?.toFixed(2)}ms
+- Refresh Failure Rate: ${((data.metrics.token_refresh_failures?.values?.rate || 0) * 100).toFixed(2)}%
+- Re-authentications: ${data.metrics.token_reauthentications?.values?.count || 0}
+
+Expiry Gap (+/- ${refreshConfig.expiryGapWindowSeconds}s around exp):
+- Requests in Gap: ${gapRequests}
+- Failed in Gap: ${gapFailures}
+- Gap Failure Rate: ${((data.metrics.expiry_gap_failures?.values?.rate || 0) * 100).toFixed(2)}%
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'auth-token-refresh-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,514 @@
+/**
+ * EMR Role-by-Endpoint Authorization Matrix Test
+ *
+ * Sends every caller (anonymous plus one real user per role) against every
+ * route in route-manifest.js while the API is under load, and compares each
+ * status code with the expected-access table in route-access.js:
+ * - Any 2xx on a DENY or HIDDEN cell is a critical violation (threshold: 0)
+ * - Search results that include the target record for a caller who may not
+ *   open it are counted as critical violations too
+ * - Other unexpected statuses (e.g. 403 for an allowed caller, 5xx) lower the
+ *   conformance rate
+ * - 429s and CSRF rejections say nothing about authorization and are counted
+ *   as not evaluated
+ * - 2xx on cells listed in route-access.js knownApiGaps are reported as known
+ *   gaps, not counted
+ *
+ * Two scenarios run side by side:
+ * - matrix_load: MATRIX_VUS VUs hammering the GET cells with no named rate
+ *   limit policy, each VU on its own synthetic client IP
+ * - matrix_paced: one VU walking every remaining cell (auth and
+ *   patient-search policies, POST/PUT) once per round, paced under the
+ *   named limiters, which are shared by all clients
+ *
+ * Usage:
+ *   k6 run authz-matrix-test.js
+ *   k6 run -e MATRIX_VUS=30 -e MATRIX_DURATION=20m authz-matrix-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Rate } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    generateTestUser,
+    generateSyntheticPatient,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import {
+    csrfSessionThresholds,
+    csrfSessionFor,
+    ensureCsrfSession,
+    csrfRequestParams,
+    isCsrfRejection,
+} from './csrf-session.js';
+import { getRoute, routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import {
+    ACCESS,
+    CALLERS,
+    routeAccess,
+    accessLevel,
+    expectedStatuses,
+    isCriticalViolation,
+    isKnownApiGap,
+    knownApiGaps,
+    routesWithoutAccessRows,
+} from './route-access.js';
+import { provisionPersonaUsers, seedWorklist } from './personas/index.js';
+import { buildDemographicsUpdate } from './personas/persona-common.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// MATRIX TEST CONFIGURATION
+// ============================================================================
+
+const matrixConfig = {
+    loadVUs: parseInt(__ENV.MATRIX_VUS || '10'),
+    duration: __ENV.MATRIX_DURATION || '12m',
+    pacedRounds: parseInt(__ENV.MATRIX_PACED_ROUNDS || '1'),
+    // Keeps each load VU under the global limiter (100/min per client IP)
+    loadIntervalSeconds: 0.7,
+    // Spacing between paced cells on routes without a named policy
+    pacedIntervalSeconds: 1,
+};
+
+/**
+ * Named limiter settings by manifest rateLimitPolicy
+ */
+const namedLimits = {
+    'auth': config.rateLimits.auth,
+    'patient-search': config.rateLimits.patientSearch,
+};
+
+/**
+ * A cell is paced when its route has a named limiter or changes state
+ * (state-changing calls need a CSRF session, which costs an auth permit)
+ */
+function isPacedRoute(routeId) {
+    const route = getRoute(routeId);
+    return route.rateLimitPolicy !== null || route.method !== 'GET';
+}
+
+const allCells = [];
+Object.keys(routeAccess).forEach((routeId) => {
+    CALLERS.forEach((caller) => {
+        allCells.push({ routeId: routeId, caller: caller });
+    });
+});
+
+const loadCells = allCells.filter((cell) => !isPacedRoute(cell.routeId));
+const pacedCells = allCells.filter((cell) => isPacedRoute(cell.routeId));
+
+// ============================================================================
+// CUSTOM METRICS
+// ============================================================================
+
+const matrixMetrics = {
+    conformance: new Rate('authz_matrix_conformance'),
+    criticalViolations: new Counter('authz_critical_violations'),
+    notEvaluated: new Counter('authz_matrix_not_evaluated'),
+    knownGaps: new Counter('authz_known_gaps'),
+};
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+/**
+ * Zero critical violations overall, per route and per caller (the per-route
+ * and per-caller submetrics also give handleSummary its breakdown)
+ * @returns {Object} Thresholds object for k6 options
+ */
+function getMatrixThresholds() {
+    const thresholds = {
+        'authz_critical_violations': ['count==0'],
+        'authz_matrix_conformance': ['rate>0.99'],
+        'authz_matrix_not_evaluated': ['count>=0'],
+        'authz_matrix_not_evaluated{reason:rate_limited}': ['count>=0'],
+        'authz_matrix_not_evaluated{reason:csrf}': ['count>=0'],
+        'authz_known_gaps': ['count>=0'],
+    };
+    Object.keys(routeAccess).forEach((routeId) => {
+        thresholds[`authz_critical_violations{route:${routeId}}`] = ['count==0'];
+    });
+    CALLERS.forEach((caller) => {
+        thresholds[`authz_critical_violations{caller:${caller}}`] = ['count==0'];
+    });
+    return thresholds;
+}
+
+export const options = {
+    scenarios: {
+        matrix_load: {
+            executor: 'constant-vus',
+            vus: matrixConfig.loadVUs,
+            duration: matrixConfig.duration,
+            exec: 'matrixLoad',
+            tags: { test_type: 'authz_matrix', matrix_scenario: 'load' },
+        },
+        matrix_paced: {
+            executor: 'per-vu-iterations',
+            vus: 1,
+            iterations: pacedCells.length * matrixConfig.pacedRounds,
+            maxDuration: '60m',
+            exec: 'matrixPaced',
+            tags: { test_type: 'authz_matrix', matrix_scenario: 'paced' },
+        },
+    },
+
+    thresholds: Object.assign(getMatrixThresholds(), csrfSessionThresholds),
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '15m',
+
+    tags: {
+        test_name: 'authz_matrix_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Authorization Matrix Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Cells: ${allCells.length} (${loadCells.length} under load, ${pacedCells.length} paced)`);
+
+    const missingRows = routesWithoutAccessRows();
+    if (missingRows.length > 0) {
+        throw new Error(`route-access.js has no expected-access row for: ${missingRows.join(', ')}`);
+    }
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(Object.keys(routeAccess));
+
+    // One real user per role: permission checks read the Users table
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, CALLERS.filter((caller) => caller !== 'Anonymous'));
+    console.log(`Provisioned matrix users: ${Object.keys(users).join(', ')}`);
+
+    // Target record: created by the Admin, no owner and no grants
+    const seeded = seedWorklist(users.Admin.token, 1, null).worklist[0];
+    const patientResponse = http.get(routeUrl('patients.byId', { id: seeded.id }), {
+        headers: getDefaultHeaders(null, users.Admin.token),
+        tags: { name: routeName('patients.byId') },
+    });
+    if (patientResponse.status !== 200) {
+        throw new Error(`Reading the matrix patient back failed with ${patientResponse.status}`);
+    }
+
+    const rolesResponse = http.get(routeUrl('roles.list'), {
+        headers: getDefaultHeaders(null, users.Admin.token),
+        tags: { name: routeName('roles.list') },
+    });
+    let roles = [];
+    try {
+        roles = JSON.parse(rolesResponse.body);
+    } catch {
+        // Handled below
+    }
+    if (rolesResponse.status !== 200 || roles.length === 0) {
+        throw new Error(`Reading roles as Admin failed with ${rolesResponse.status}`);
+    }
+    // Permission PUTs re-assign this role's current permissions unchanged
+    const targetRole = roles.find((role) => role.name === 'Staff') || roles[0];
+
+    return {
+        startTime: Date.now(),
+        users: users,
+        patient: JSON.parse(patientResponse.body),
+        targetRole: { id: targetRole.id, permissions: targetRole.permissions },
+    };
+}
+
+// ============================================================================
+// CELL REQUESTS
+// ============================================================================
+
+/**
+ * ISO date range ending now
+ * @param {number} hours - Range length
+ * @returns {Object} { fromDate, toDate }
+ */
+function recentRange(hours) {
+    const now = Date.now();
+    return {
+        fromDate: new Date(now - hours * 3600 * 1000).toISOString(),
+        toDate: new Date(now).toISOString(),
+    };
+}
+
+/**
+ * Valid request for a route, so the status reflects authorization rather
+ * than a bad request
+ * @param {string} routeId - Route manifest id
+ * @param {Object} data - Setup data
+ * @returns {Object} { url, body } (body is null for GET)
+ */
+function buildCellRequest(routeId, data) {
+    const patient = data.patient;
+    const patientResource = { resourceType: 'Patient', resourceId: patient.id };
+
+    switch (routeId) {
+        case 'auth.register': {
+            const user = generateTestUser('Doctor', 30000 + __ITER);
+            return {
+                url: routeUrl(routeId),
+                body: {
+                    email: user.email,
+                    firstName: user.firstName,
+                    lastName: user.lastName,
+                    azureAdB2CId: user.azureAdB2CId,
+                    roles: [2], // UserRole.Doctor
+                },
+            };
+        }
+        case 'patients.create':
+            return { url: routeUrl(routeId), body: generateSyntheticPatient('Matrix') };
+        case 'patients.byId':
+        case 'patients.update':
+            return {
+                url: routeUrl(routeId, { id: patient.id }),
+                body: routeId === 'patients.update' ? buildDemographicsUpdate(patient) : null,
+            };
+        case 'patients.byMrn':
+            return { url: routeUrl(routeId, { mrn: patient.medicalRecordNumber }), body: null };
+        case 'patients.search':
+            return { url: routeUrl(routeId, {}, { searchTerm: patient.medicalRecordNumber, pageNumber: 1, pageSize: 10 }), body: null };
+        case 'patients.list':
+            return { url: routeUrl(routeId, {}, { pageNumber: 1, pageSize: 100 }), body: null };
+        case 'roles.byId':
+            return { url: routeUrl(routeId, { id: data.targetRole.id }), body: null };
+        case 'roles.assignPermissions':
+            return { url: routeUrl(routeId, { id: data.targetRole.id }), body: { permissions: data.targetRole.permissions } };
+        case 'audit.logs':
+            return { url: routeUrl(routeId, {}, { pageNumber: 1, pageSize: 10 }), body: null };
+        case 'audit.trail':
+        case 'audit.resourceAccess':
+            return { url: routeUrl(routeId, patientResource), body: null };
+        case 'audit.userActivity':
+            return { url: routeUrl(routeId, { userId: data.users.Admin.id }), body: null };
+        case 'audit.exportStream':
+            return { url: routeUrl(routeId, {}, Object.assign({ format: 'json' }, recentRange(1))), body: null };
+        case 'audit.export':
+            return { url: routeUrl(routeId), body: Object.assign({ format: 'json' }, recentRange(1)) };
+        default:
+            return { url: routeUrl(routeId), body: null };
+    }
+}
+
+/**
+ * Send one matrix cell
+ * @param {Object} cell - { routeId, caller }
+ * @param {Object} data - Setup data
+ * @returns {Response} HTTP response
+ */
+function sendCell(cell, data) {
+    const route = getRoute(cell.routeId);
+    const token = cell.caller === 'Anonymous' ? null : data.users[cell.caller].token;
+    const request = buildCellRequest(cell.routeId, data);
+    const tags = {
+        name: routeName(cell.routeId),
+        caller: cell.caller,
+        access: accessLevel(cell.routeId, cell.caller),
+    };
+
+    let params = { headers: getDefaultHeaders(null, token), tags: tags, timeout: '60s' };
+    if (route.method !== 'GET' && token !== null) {
+        // Antiforgery tokens are bound to their user, so each caller has its own session
+        const csrfSession = csrfSessionFor(token);
+        ensureCsrfSession(csrfSession);
+        params = Object.assign(csrfRequestParams(csrfSession, token, tags), { timeout: '60s' });
+    }
+
+    const body = request.body === null ? null : JSON.stringify(request.body);
+    return http.request(route.method, request.url, body, params);
+}
+
+/**
+ * Check a search/list response for the target record when the caller may not see it
+ * @returns {boolean} True if the record was disclosed
+ */
+function leaksTargetRecord(cell, response, data) {
+    if (accessLevel('patients.byId', cell.caller) !== ACCESS.HIDDEN || response.status !== 200) {
+        return false;
+    }
+    try {
+        const items = JSON.parse(response.body).items || [];
+        return items.some((item) => item.id === data.patient.id);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Compare a cell response with the expected-access table
+ * @param {Object} cell - { routeId, caller }
+ * @param {Response} response - HTTP response
+ * @param {Object} data - Setup data
+ */
+function recordCell(cell, response, data) {
+    const tags = { route: cell.routeId, caller: cell.caller };
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+        matrixMetrics.notEvaluated.add(1, Object.assign({ reason: 'rate_limited' }, tags));
+        return;
+    }
+
+    // CsrfValidationMiddleware runs before the controller, including the Admin
+    // check on auth.register, so a CSRF 403 neither grants nor denies by role
+    if (isCsrfRejection(response)) {
+        matrixMetrics.notEvaluated.add(1, Object.assign({ reason: 'csrf' }, tags));
+        console.warn(`${cell.caller} ${routeName(cell.routeId)} rejected for CSRF; cell not evaluated`);
+        return;
+    }
+
+    if (isKnownApiGap(cell.routeId, cell.caller, response.status)) {
+        matrixMetrics.knownGaps.add(1, tags);
+        return;
+    }
+
+    const expected = expectedStatuses(cell.routeId, cell.caller);
+    const conforms = check(response, {
+        [`${cell.caller} ${routeName(cell.routeId)}: status ${expected.join('/')}`]: (r) => expected.includes(r.status),
+    });
+    matrixMetrics.conformance.add(conforms ? 1 : 0, tags);
+
+    if (isCriticalViolation(cell.routeId, cell.caller, response.status)) {
+        matrixMetrics.criticalViolations.add(1, Object.assign({ kind: 'unexpected_2xx' }, tags));
+        console.error(`CRITICAL: ${cell.caller} got ${response.status} on ${routeName(cell.routeId)} (expected ${accessLevel(cell.routeId, cell.caller)})`);
+    }
+
+    if ((cell.routeId === 'patients.search' || cell.routeId === 'patients.list') && leaksTargetRecord(cell, response, data)) {
+        matrixMetrics.criticalViolations.add(1, Object.assign({ kind: 'result_leak' }, tags));
+        console.error(`CRITICAL: ${routeName(cell.routeId)} returned the matrix patient to ${cell.caller}`);
+    }
+}
+
+/**
+ * Seconds to wait after a paced cell so the shared named limiters never reject
+ * @param {string} routeId - Route manifest id
+ * @returns {number} Seconds
+ */
+function pacedInterval(routeId) {
+    const limits = namedLimits[getRoute(routeId).rateLimitPolicy];
+    if (!limits) {
+        return matrixConfig.pacedIntervalSeconds;
+    }
+    return (limits.windowSeconds / limits.permitLimit) * 1.1;
+}
+
+// ============================================================================
+// MATRIX SCENARIOS
+// ============================================================================
+
+/**
+ * Load scenario: random GET cells as fast as the global limiter allows
+ */
+export function matrixLoad(data) {
+    applyClientPartition();
+
+    const cell = loadCells[Math.floor(random() * loadCells.length)];
+    recordCell(cell, sendCell(cell, data), data);
+
+    sleep(matrixConfig.loadIntervalSeconds);
+}
+
+/**
+ * Paced scenario: every limited or state-changing cell once per round
+ * A 429 is retried once after the limiter's retryAfter.
+ */
+export function matrixPaced(data) {
+    applyClientPartition();
+
+    const cell = pacedCells[__ITER % pacedCells.length];
+    let response = sendCell(cell, data);
+
+    if (isRateLimited(response)) {
+        let retryAfter = pacedInterval(cell.routeId);
+        try {
+            retryAfter = JSON.parse(response.body).retryAfter || retryAfter;
+        } catch {
+            // Keep the pacing interval
+        }
+        matrixMetrics.notEvaluated.add(1, { reason: 'rate_limited', route: cell.routeId, caller: cell.caller });
+        sleep(retryAfter);
+        response = sendCell(cell, data);
+    }
+
+    recordCell(cell, response, data);
+    sleep(pacedInterval(cell.routeId));
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR Authorization Matrix Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log(`Matrix Patient: ${data.patient.id}`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const violationCount = (key) => data.metrics[key]?.values?.count || 0;
+
+    const routeLines = Object.keys(routeAccess)
+        .filter((routeId) => violationCount(`authz_critical_violations{route:${routeId}}`) > 0)
+        .map((routeId) => `- ${routeName(routeId)}: ${violationCount(`authz_critical_violations{route:${routeId}}`)}`);
+    const callerLines = CALLERS
+        .filter((caller) => violationCount(`authz_critical_violations{caller:${caller}}`) > 0)
+        .map((caller) => `- ${caller}: ${violationCount(`authz_critical_violations{caller:${caller}}`)}`);
+
+    const conformance = data.metrics.authz_matrix_conformance?.values;
+    const totalViolations = violationCount('authz_critical_violations');
+    const knownGapLines = `Known API Gaps (2xx, not counted): ${violationCount('authz_known_gaps')}\n` +
+        Object.keys(knownApiGaps).map((routeId) => `- ${routeName(routeId)}: ${knownApiGaps[routeId]}`).join('\n');
+
+    const summary = `
+========================================
+EMR Authorization Matrix Test
+========================================
+
+Cells: ${allCells.length} (${Object.keys(routeAccess).length} routes x ${CALLERS.length} callers)
+Evaluated Requests: ${conformance ? conformance.passes + conformance.fails : 0}
+Conformance: ${((conformance?.rate || 0) * 100).toFixed(2)}%
+Not Evaluated: ${violationCount('authz_matrix_not_evaluated')}
+- Rate Limited (429): ${violationCount('authz_matrix_not_evaluated{reason:rate_limited}')}
+- CSRF Rejected (403): ${violationCount('authz_matrix_not_evaluated{reason:csrf}')}
+
+${knownGapLines}
+
+Critical Violations: ${totalViolations}${totalViolations > 0 ? ' - ACCESS GRANTED WHERE THE TABLE FORBIDS IT' : ''}
+${routeLines.length > 0 ? `By Route:\n${routeLines.join('\n')}\nBy Caller:\n${callerLines.join('\n')}\n` : ''}
+- Total HTTP Requests: ${data.metrics.http_reqs?.values?.count || 0}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'authz-matrix-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,358 @@
+/**
+ * EMR Breakpoint Capacity Analysis
+ *
+ * Stage bookkeeping and knee-point detection for the breakpoint
+ * (ramping-arrival-rate) scenario in auth-stress-test.js. Each request is
+ * tagged with the stage it started in, and handleSummary() turns the
+ * per-stage submetrics into a capacity result:
+ *
+ * - sustainableRate: the last stage, counting up from the first, where the
+ *   p95 and error-rate SLOs still held
+ * - firstSloBreach: the first stage where either SLO failed
+ * - latencyKnee: the first stage whose p95 left the linear trend of the
+ *   stages below it (least-squares fit of p95 against offered rate)
+ * - firstDroppedIterations: the first stage where k6 could not start the
+ *   scheduled iterations (scheduled arrivals minus started iterations)
+ *
+ * k6 only reports dropped_iterations as a run total, so the stage is located
+ * from scheduled vs started iterations, and only when that total is non-zero.
+ *
+ * 429s return before the API does any work, so they are kept out of the
+ * latency and error samples; each stage reports its accepted throughput and
+ * rate-limited share next to the offered rate.
+ *
+ * Usage:
+ *   scenarios: { breakpoint: { executor: 'ramping-arrival-rate', startRate: breakpointConfig.startRate, stages: breakpointConfig.stages, ... } }
+ *   const stage = currentBreakpointStage();   // at iteration start
+ *   recordBreakpointRequest(stage, response, isError);
+ *   const capacity = analyzeBreakpoint(data);  // in handleSummary()
+ */
+
+import exec from 'k6/execution';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import { config, isRateLimited } from './auth-performance-config.js';
+import { linearFit } from './perf-stats.js';
+
+// ============================================================================
+// BREAKPOINT CONFIGURATION
+// ============================================================================
+
+export const breakpointConfig = {
+    // Arrival rate (req/s) at the start of the first stage
+    startRate: 50,
+    stages: [
+        { duration: '2m', target: 100 },   // 100 req/s
+        { duration: '2m', target: 200 },   // 200 req/s
+        { duration: '2m', target: 300 },   // 300 req/s
+        { duration: '2m', target: 400 },   // 400 req/s
+        { duration: '2m', target: 500 },   // 500 req/s
+        { duration: '2m', target: 600 },   // 600 req/s
+    ],
+
+    // SLOs a stage must meet to count as sustainable
+    p95SloMs: parseFloat(__ENV.BREAKPOINT_P95_SLO_MS || String(config.thresholds.p95)),
+    errorRateSlo: parseFloat(__ENV.BREAKPOINT_ERROR_RATE_SLO || String(config.thresholds.errorRate)),
+
+    // A stage is the knee when its p95 exceeds the trend prediction by this
+    // fraction and by at least kneeMinExcessMs
+    kneeTolerance: parseFloat(__ENV.BREAKPOINT_KNEE_TOLERANCE || '0.5'),
+    kneeMinExcessMs: 20,
+
+    // Shortfall of started vs scheduled iterations ignored as stage-boundary jitter
+    dropTolerance: 0.01,
+    dropMinimum: 5,
+
+    resultFile: 'breakpoint-capacity.json',
+};
+
+// ============================================================================
+// CUSTOM METRICS
+// ============================================================================
+
+const breakpointMetrics = {
+    duration: new Trend('breakpoint_request_duration', true),
+    errors: new Rate('breakpoint_errors'),
+    iterations: new Counter('breakpoint_iterations'),
+    accepted: new Counter('breakpoint_accepted'),
+    rateLimited: new Counter('breakpoint_rate_limited'),
+};
+
+// ============================================================================
+// STAGE WINDOWS
+// ============================================================================
+
+/**
+ * Parse a k6 duration such as '90s', '2m' or '1h30m'
+ * @param {string} value - Duration string
+ * @returns {number} Seconds
+ */
+function parseDurationSeconds(value) {
+    const units = { h: 3600, m: 60, s: 1 };
+    let seconds = 0;
+    const pattern = /(\d+(?:\.\d+)?)([hms])/g;
+    let match;
+    while ((match = pattern.exec(value)) !== null) {
+        seconds += parseFloat(match[1]) * units[match[2]];
+    }
+    return seconds;
+}
+
+/**
+ * Time window and schedule of every stage
+ * @returns {Array<Object>} [{ stage, startRate, targetRate, offeredRate,
+ *   startSeconds, endSeconds, durationSeconds, scheduledIterations }]
+ */
+export function getStageWindows() {
+    const windows = [];
+    let rate = breakpointConfig.startRate;
+    let offset = 0;
+
+    breakpointConfig.stages.forEach((stage, index) => {
+        const durationSeconds = parseDurationSeconds(stage.duration);
+        windows.push({
+            stage: index + 1,
+            startRate: rate,
+            targetRate: stage.target,
+            // Mean arrival rate over the linear ramp
+            offeredRate: (rate + stage.target) / 2,
+            startSeconds: offset,
+            endSeconds: offset + durationSeconds,
+            durationSeconds: durationSeconds,
+            scheduledIterations: Math.round(((rate + stage.target) / 2) * durationSeconds),
+        });
+        rate = stage.target;
+        offset += durationSeconds;
+    });
+
+    return windows;
+}
+
+const stageWindows = getStageWindows();
+
+/**
+ * Stage the current iteration belongs to
+ * @returns {number|null} 1-based stage, or null during graceful ramp-down
+ */
+export function currentBreakpointStage() {
+    const elapsed = (Date.now() - exec.scenario.startTime) / 1000;
+    const window = stageWindows.find((w) => elapsed >= w.startSeconds && elapsed < w.endSeconds);
+    return window ? window.stage : null;
+}
+
+/**
+ * Record one breakpoint iteration against its stage
+ * A 429 only counts as rate limited: it adds nothing to the latency or error samples.
+ * @param {number|null} stage - From currentBreakpointStage() at iteration start
+ * @param {Response} response - HTTP response
+ * @param {boolean} isError - True if the response breaks the error-rate SLO
+ */
+export function recordBreakpointRequest(stage, response, isError) {
+    if (stage === null) {
+        return;
+    }
+    const tags = { breakpoint_stage: String(stage) };
+    breakpointMetrics.iterations.add(1, tags);
+    if (isRateLimited(response)) {
+        breakpointMetrics.rateLimited.add(1, tags);
+        return;
+    }
+    breakpointMetrics.accepted.add(1, tags);
+    breakpointMetrics.duration.add(response.timings.duration, tags);
+    breakpointMetrics.errors.add(isError ? 1 : 0, tags);
+}
+
+/**
+ * Per-stage submetrics so handleSummary can read them (always-true thresholds)
+ * @returns {Object} Thresholds object for k6 options
+ */
+export function getBreakpointThresholds() {
+    const thresholds = {};
+    stageWindows.forEach((w) => {
+        thresholds[`breakpoint_request_duration{breakpoint_stage:${w.stage}}`] = ['p(95)>=0'];
+        thresholds[`breakpoint_errors{breakpoint_stage:${w.stage}}`] = ['rate>=0'];
+        thresholds[`breakpoint_iterations{breakpoint_stage:${w.stage}}`] = ['count>=0'];
+        thresholds[`breakpoint_accepted{breakpoint_stage:${w.stage}}`] = ['count>=0'];
+        thresholds[`breakpoint_rate_limited{breakpoint_stage:${w.stage}}`] = ['count>=0'];
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// CAPACITY ANALYSIS
+// ============================================================================
+
+/**
+ * First stage whose p95 leaves the linear trend of the stages below it
+ * Needs two measured stages below a candidate to fit the trend.
+ * @param {Array<Object>} stages - Measured stages in order
+ * @returns {Object|null} { stage, targetRate, p95, predictedP95 }
+ */
+function findLatencyKnee(stages) {
+    const measured = stages.filter((s) => s.p95Ms !== null);
+
+    for (let i = 2; i < measured.length; i++) {
+        const below = measured.slice(0, i);
+        const fit = linearFit(below.map((s) => s.offeredRate), below.map((s) => s.p95Ms));
+        if (isNaN(fit.slope)) {
+            continue;
+        }
+        // A falling trend would predict ever lower latency; never predict below the last stage
+        const predicted = Math.max(fit.predict(measured[i].offeredRate), below[below.length - 1].p95Ms);
+        const excess = measured[i].p95Ms - predicted;
+        if (excess > predicted * breakpointConfig.kneeTolerance && excess >= breakpointConfig.kneeMinExcessMs) {
+            return {
+                stage: measured[i].stage,
+                targetRate: measured[i].targetRate,
+                p95Ms: measured[i].p95Ms,
+                predictedP95Ms: Math.round(predicted * 100) / 100,
+            };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Build the capacity result from the end-of-test summary data
+ * @param {Object} data - handleSummary data
+ * @returns {Object|null} Capacity result, or null if the breakpoint scenario didn't run
+ */
+export function analyzeBreakpoint(data) {
+    const totalIterations = data.metrics.breakpoint_iterations?.values?.count || 0;
+    if (totalIterations === 0) {
+        return null;
+    }
+
+    const droppedTotal = data.metrics.dropped_iterations?.values?.count || 0;
+
+    const stages = stageWindows.map((w) => {
+        const duration = data.metrics[`breakpoint_request_duration{breakpoint_stage:${w.stage}}`]?.values;
+        const errors = data.metrics[`breakpoint_errors{breakpoint_stage:${w.stage}}`]?.values;
+        const started = data.metrics[`breakpoint_iterations{breakpoint_stage:${w.stage}}`]?.values?.count || 0;
+        const accepted = data.metrics[`breakpoint_accepted{breakpoint_stage:${w.stage}}`]?.values?.count || 0;
+        const rateLimited = data.metrics[`breakpoint_rate_limited{breakpoint_stage:${w.stage}}`]?.values?.count || 0;
+
+        const shortfall = Math.max(0, w.scheduledIterations - started);
+        const dropTolerance = Math.max(breakpointConfig.dropMinimum, w.scheduledIterations * breakpointConfig.dropTolerance);
+        const p95Ms = accepted > 0 && duration ? Math.round(duration['p(95)'] * 100) / 100 : null;
+        const errorRate = accepted > 0 && errors ? errors.rate : null;
+
+        return {
+            stage: w.stage,
+            startRate: w.startRate,
+            targetRate: w.targetRate,
+            offeredRate: w.offeredRate,
+            durationSeconds: w.durationSeconds,
+            scheduledIterations: w.scheduledIterations,
+            startedIterations: started,
+            droppedIterations: droppedTotal > 0 && shortfall > dropTolerance ? shortfall : 0,
+            throughput: Math.round((started / w.durationSeconds) * 100) / 100,
+            // Responses that got past the rate limiters
+            acceptedThroughput: Math.round((accepted / w.durationSeconds) * 100) / 100,
+            rateLimitedShare: started > 0 ? rateLimited / started : null,
+            p95Ms: p95Ms,
+            errorRate: errorRate,
+            sloMet: p95Ms !== null && p95Ms <= breakpointConfig.p95SloMs && errorRate <= breakpointConfig.errorRateSlo,
+        };
+    });
+
+    const breachIndex = stages.findIndex((s) => !s.sloMet);
+    const sustainable = breachIndex === -1 ? stages[stages.length - 1] : (breachIndex > 0 ? stages[breachIndex - 1] : null);
+    const breach = breachIndex === -1 ? null : stages[breachIndex];
+    const firstDropped = stages.find((s) => s.droppedIterations > 0) || null;
+
+    let breachReason = null;
+    if (breach) {
+        const reasons = [];
+        if (breach.p95Ms === null) {
+            reasons.push('no accepted requests');
+        } else {
+            if (breach.p95Ms > breakpointConfig.p95SloMs) {
+                reasons.push(`p95 ${breach.p95Ms}ms > ${breakpointConfig.p95SloMs}ms`);
+            }
+            if (breach.errorRate > breakpointConfig.errorRateSlo) {
+                reasons.push(`error rate ${(breach.errorRate * 100).toFixed(2)}% > ${(breakpointConfig.errorRateSlo * 100).toFixed(2)}%`);
+            }
+        }
+        breachReason = reasons.join(', ');
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        scenario: 'breakpoint',
+        slo: {
+            p95Ms: breakpointConfig.p95SloMs,
+            errorRate: breakpointConfig.errorRateSlo,
+        },
+        // 'breached' when a stage failed its SLOs; 'not_reached' when every stage
+        // held, so sustainableRate is only a lower bound
+        status: breach ? 'breached' : 'not_reached',
+        sustainableRate: sustainable ? {
+            stage: sustainable.stage,
+            targetRate: sustainable.targetRate,
+            throughput: sustainable.throughput,
+            acceptedThroughput: sustainable.acceptedThroughput,
+            p95Ms: sustainable.p95Ms,
+            errorRate: sustainable.errorRate,
+        } : null,
+        firstSloBreach: breach ? {
+            stage: breach.stage,
+            targetRate: breach.targetRate,
+            reason: breachReason,
+        } : null,
+        latencyKnee: findLatencyKnee(stages),
+        firstDroppedIterations: firstDropped ? {
+            stage: firstDropped.stage,
+            targetRate: firstDropped.targetRate,
+            droppedIterations: firstDropped.droppedIterations,
+        } : null,
+        droppedIterationsTotal: droppedTotal,
+        stages: stages,
+    };
+}
+
+/**
+ * Human-readable capacity block for the stdout summary
+ * @param {Object|null} capacity - From analyzeBreakpoint()
+ * @returns {string} Summary text ('' if the scenario didn't run)
+ */
+export function formatBreakpointSummary(capacity) {
+    if (capacity === null) {
+        return '';
+    }
+
+    const stageLines = capacity.stages.map((s) =>
+        `  ${String(s.stage).padStart(2)}. ${String(s.targetRate).padStart(4)} req/s  ` +
+        `started ${String(s.startedIterations).padStart(7)}  ` +
+        `accepted ${s.acceptedThroughput.toFixed(1).padStart(6)} req/s  ` +
+        `429 ${s.rateLimitedShare === null ? '  n/a' : `${(s.rateLimitedShare * 100).toFixed(1)}%`}  ` +
+        `p95 ${s.p95Ms === null ? '   n/a' : `${s.p95Ms.toFixed(0).padStart(5)}ms`}  ` +
+        `errors ${s.errorRate === null ? '  n/a' : `${(s.errorRate * 100).toFixed(2)}%`}  ` +
+        `${s.droppedIterations > 0 ? `dropped ${s.droppedIterations}  ` : ''}${s.sloMet ? 'OK' : 'SLO FAILED'}`
+    );
+
+    const sustainable = capacity.sustainableRate;
+    return `
+Breakpoint Capacity (SLO: p95 <= ${capacity.slo.p95Ms}ms, errors <= ${(capacity.slo.errorRate * 100).toFixed(2)}%):
+${stageLines.join('\n')}
+- Sustainable Rate: ${sustainable ? `${sustainable.targetRate} req/s offered, ${sustainable.acceptedThroughput} req/s accepted (stage ${sustainable.stage})${capacity.status === 'not_reached' ? ' - breakpoint not reached, lower bound' : ''}` : 'none - the first stage already failed its SLOs'}
+- First SLO Breach: ${capacity.firstSloBreach ? `stage ${capacity.firstSloBreach.stage} (${capacity.firstSloBreach.reason})` : 'none'}
+- Latency Knee: ${capacity.latencyKnee ? `stage ${capacity.latencyKnee.stage} at ${capacity.latencyKnee.targetRate} req/s (p95 ${capacity.latencyKnee.p95Ms}ms vs ${capacity.latencyKnee.predictedP95Ms}ms trend)` : 'none detected'}
+- First Dropped Iterations: ${capacity.firstDroppedIterations ? `stage ${capacity.firstDroppedIterations.stage} at ${capacity.firstDroppedIterations.targetRate} req/s` : 'none'} (total ${capacity.droppedIterationsTotal})
+- Capacity result written to ${breakpointConfig.resultFile}
+`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    breakpointConfig,
+    getStageWindows,
+    currentBreakpointStage,
+    recordBreakpointRequest,
+    getBreakpointThresholds,
+    analyzeBreakpoint,
+    formatBreakpointSummary,
+};
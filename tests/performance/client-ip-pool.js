@@ -0,0 +1,246 @@
+/**
+ * EMR Synthetic Client IP Pool
+ *
+ * The global rate limiter partitions by client IP (RemoteIpAddress after
+ * UseForwardedHeaders). A k6 run comes from one host, so without this every
+ * VU shares a single 100 req/min bucket and rate_limit_errors only describes
+ * that one bucket. This module assigns each VU a synthetic client IP, sent as
+ * X-Forwarded-For, and tags the VU's metrics with its partition so summaries
+ * can break results down per rate limiter partition.
+ *
+ * Modes (CLIENT_IP_MODE):
+ * - per-vu (default): VU n uses pool address n, wrapping at CLIENT_IP_POOL_SIZE
+ * - clinic-nat: VUs are spread round-robin over CLINIC_COUNT clinics, each
+ *   clinic behind one shared NAT address
+ * - none: no X-Forwarded-For; every VU shares the load generator's IP
+ *
+ * Addresses start at CLIENT_IP_POOL_BASE, inside 198.18.0.0/15 (RFC 2544
+ * benchmarking range) by default. setup()/teardown() never get an address.
+ *
+ * Usage:
+ *   headers via getDefaultHeaders() / getAuditHeaders() pick up the address automatically
+ *   applyClientPartition();                        // first line of the VU function
+ *   thresholds: { ...getPartitionThresholds(100) } // expose per-partition submetrics
+ *   formatPartitionSummary(data, 100)              // in handleSummary
+ */
+
+import exec from 'k6/execution';
+
+// ============================================================================
+// CLIENT IP CONFIGURATION
+// ============================================================================
+
+export const clientIpConfig = {
+    mode: __ENV.CLIENT_IP_MODE || 'per-vu',
+    poolBase: __ENV.CLIENT_IP_POOL_BASE || '198.18.0.1',
+    poolSize: parseInt(__ENV.CLIENT_IP_POOL_SIZE || '100'),
+    clinicCount: parseInt(__ENV.CLINIC_COUNT || '10'),
+    // Partitions listed individually in the text summary (all are in the JSON report)
+    summaryRows: parseInt(__ENV.CLIENT_PARTITION_SUMMARY_ROWS || '10'),
+};
+
+const CLIENT_IP_MODES = ['per-vu', 'clinic-nat', 'none'];
+
+if (!CLIENT_IP_MODES.includes(clientIpConfig.mode)) {
+    throw new Error(`Unknown CLIENT_IP_MODE "${clientIpConfig.mode}". Valid: ${CLIENT_IP_MODES.join(', ')}`);
+}
+
+// ============================================================================
+// ADDRESS HELPERS
+// ============================================================================
+
+/**
+ * Convert a dotted IPv4 address to an unsigned integer
+ * @param {string} ip - Dotted IPv4 address
+ * @returns {number} Address as integer
+ */
+function ipToInt(ip) {
+    return ip.split('.').reduce((acc, octet) => acc * 256 + parseInt(octet), 0);
+}
+
+/**
+ * Convert an unsigned integer to a dotted IPv4 address
+ * @param {number} value - Address as integer
+ * @returns {string} Dotted IPv4 address
+ */
+function intToIp(value) {
+    return [24, 16, 8, 0].map((shift) => Math.floor(value / Math.pow(2, shift)) % 256).join('.');
+}
+
+// ============================================================================
+// PARTITION ASSIGNMENT
+// ============================================================================
+
+/**
+ * Number of distinct partitions a run with this many VUs will use
+ * @param {number} maxVUs - Highest concurrent VU count in the run
+ * @returns {number} Partition count (0 when mode is none)
+ */
+export function getPartitionCount(maxVUs) {
+    if (clientIpConfig.mode === 'per-vu') {
+        return Math.min(clientIpConfig.poolSize, maxVUs);
+    }
+    if (clientIpConfig.mode === 'clinic-nat') {
+        return Math.min(clientIpConfig.clinicCount, maxVUs);
+    }
+    return 0;
+}
+
+/**
+ * Partition index for a VU
+ * @param {number} vu - VU number (defaults to the current VU)
+ * @returns {number|null} Pool index, or null outside VU code / when mode is none
+ */
+export function getPartitionIndex(vu = __VU) {
+    if (vu === 0 || clientIpConfig.mode === 'none') {
+        return null;
+    }
+    if (clientIpConfig.mode === 'clinic-nat') {
+        return (vu - 1) % clientIpConfig.clinicCount;
+    }
+    return (vu - 1) % clientIpConfig.poolSize;
+}
+
+/**
+ * Label used for the client_partition tag
+ * @param {number} index - Partition index
+ * @returns {string} e.g. "ip-007" or "clinic-03"
+ */
+export function getPartitionLabel(index) {
+    if (clientIpConfig.mode === 'clinic-nat') {
+        return `clinic-${String(index + 1).padStart(2, '0')}`;
+    }
+    return `ip-${String(index + 1).padStart(3, '0')}`;
+}
+
+/**
+ * Synthetic client IP for a VU
+ * @param {number} vu - VU number (defaults to the current VU)
+ * @returns {string|null} Address, or null outside VU code / when mode is none
+ */
+export function getClientIp(vu = __VU) {
+    const index = getPartitionIndex(vu);
+    if (index === null) {
+        return null;
+    }
+    return intToIp(ipToInt(clientIpConfig.poolBase) + index);
+}
+
+/**
+ * Add X-Forwarded-For for a VU to a headers object
+ * @param {Object} headers - Headers object (modified in place)
+ * @param {number} vu - VU number (defaults to the current VU); a controller
+ *   simulating several clients from one VU passes a client number instead
+ * @returns {Object} The same headers object
+ */
+export function withClientIp(headers, vu = __VU) {
+    const ip = getClientIp(vu);
+    if (ip !== null) {
+        headers['X-Forwarded-For'] = ip;
+    }
+    return headers;
+}
+
+/**
+ * Tag every metric this VU emits with its client_partition
+ * Call at the start of each VU function; repeated calls are cheap.
+ */
+export function applyClientPartition() {
+    const index = getPartitionIndex();
+    if (index !== null) {
+        exec.vu.tags['client_partition'] = getPartitionLabel(index);
+    }
+}
+
+// ============================================================================
+// PER-PARTITION REPORTING
+// ============================================================================
+
+/**
+ * Thresholds that only exist to expose per-partition submetrics to handleSummary
+ * @param {number} maxVUs - Highest concurrent VU count in the run
+ * @returns {Object} Thresholds object for k6 options
+ */
+export function getPartitionThresholds(maxVUs) {
+    const thresholds = {};
+    for (let i = 0; i < getPartitionCount(maxVUs); i++) {
+        const label = getPartitionLabel(i);
+        thresholds[`http_reqs{client_partition:${label}}`] = ['count>=0'];
+        thresholds[`http_reqs{client_partition:${label},status:429}`] = ['count>=0'];
+        thresholds[`http_req_duration{client_partition:${label}}`] = ['p(95)>=0'];
+    }
+    return thresholds;
+}
+
+/**
+ * Per-partition request counts, 429 share and latency
+ * @param {Object} data - k6 summary data
+ * @param {number} maxVUs - Highest concurrent VU count in the run
+ * @returns {Array<Object>} Rows sorted by 429 share, highest first
+ */
+export function buildPartitionReport(data, maxVUs) {
+    const rows = [];
+
+    for (let i = 0; i < getPartitionCount(maxVUs); i++) {
+        const label = getPartitionLabel(i);
+        const requests = data.metrics[`http_reqs{client_partition:${label}}`]?.values?.count || 0;
+        const rateLimited = data.metrics[`http_reqs{client_partition:${label},status:429}`]?.values?.count || 0;
+
+        rows.push({
+            partition: label,
+            clientIp: intToIp(ipToInt(clientIpConfig.poolBase) + i),
+            requests: requests,
+            rateLimited: rateLimited,
+            rateLimitedShare: requests > 0 ? rateLimited / requests : 0,
+            p95: data.metrics[`http_req_duration{client_partition:${label}}`]?.values?.['p(95)'] || 0,
+        });
+    }
+
+    return rows.sort((a, b) => b.rateLimitedShare - a.rateLimitedShare);
+}
+
+/**
+ * Format the per-partition breakdown for a text summary
+ * @param {Object} data - k6 summary data
+ * @param {number} maxVUs - Highest concurrent VU count in the run
+ * @returns {string} Summary section
+ */
+export function formatPartitionSummary(data, maxVUs) {
+    if (clientIpConfig.mode === 'none') {
+        return 'Client Partitions: disabled (CLIENT_IP_MODE=none, all VUs share one IP)';
+    }
+
+    const rows = buildPartitionReport(data, maxVUs);
+    const active = rows.filter((r) => r.requests > 0);
+    const limited = active.filter((r) => r.rateLimited > 0);
+    const requestCounts = active.map((r) => r.requests).sort((a, b) => a - b);
+
+    const lines = rows.slice(0, clientIpConfig.summaryRows).map((r) =>
+        `  ${r.partition.padEnd(10)} ${r.clientIp.padEnd(15)} ${String(r.requests).padStart(8)} req  ` +
+        `${String(r.rateLimited).padStart(6)} x 429 (${(r.rateLimitedShare * 100).toFixed(2)}%)  p95 ${r.p95.toFixed(2)}ms`
+    );
+
+    return `Client Partitions (${clientIpConfig.mode}):
+- Active Partitions: ${active.length}
+- Partitions Rate Limited: ${limited.length}
+- Requests per Partition (min/median/max): ${requestCounts[0] || 0}/${requestCounts[Math.floor(requestCounts.length / 2)] || 0}/${requestCounts[requestCounts.length - 1] || 0}
+- Most Rate-Limited Partitions:
+${lines.join('\n')}`;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    clientIpConfig,
+    getPartitionCount,
+    getPartitionIndex,
+    getPartitionLabel,
+    getClientIp,
+    withClientIp,
+    applyClientPartition,
+    getPartitionThresholds,
+    buildPartitionReport,
+    formatPartitionSummary,
+};
@@ -0,0 +1,473 @@
+/**
+ * EMR CSRF Session Test
+ *
+ * Exercises antiforgery validation on every state-changing endpoint the SPA
+ * uses, with each VU holding one CSRF session (cookie jar + header token) for
+ * its whole lifetime, the way a browser tab does.
+ *
+ * State-changing calls covered:
+ * - POST /api/auth/register
+ * - POST /api/auth/login-callback (exempt by the /api/auth/login prefix)
+ * - POST /api/patients
+ * - PUT  /api/patients/{id}
+ * - PUT  /api/roles/{id}/permissions (re-assigns the role's current permissions)
+ *
+ * Each request is sent in one of three modes and the CSRF rejection rate is
+ * reported per mode:
+ * - valid_pair:      header token issued with the cookie in this VU's jar
+ * - mismatched_pair: header token from a different antiforgery session
+ * - missing_token:   cookie sent, X-CSRF-Token header omitted
+ *
+ * Requests stopped before the CSRF middleware (rate limiter, authentication,
+ * authorization) are counted separately and excluded from the rejection rates.
+ *
+ * Prerequisites:
+ *   Identity stub running and the API pointed at it (see README)
+ *
+ * Usage:
+ *   k6 run csrf-session-test.js
+ *   k6 run -e CSRF_VUS=4 -e CSRF_MISMATCH_RATIO=0.2 csrf-session-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { SharedArray } from 'k6/data';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    generateSyntheticPatient,
+    getDefaultHeaders,
+    isSuccessful,
+    isRateLimited,
+    thinkTime,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import {
+    csrfConfig,
+    CSRF_MODES,
+    csrfSessionThresholds,
+    createCsrfSession,
+    csrfSessionFor,
+    fetchCsrfToken,
+    ensureCsrfSession,
+    invalidateCsrfSession,
+    csrfRequestParams,
+    isCsrfExemptPath,
+    isCsrfRejection,
+} from './csrf-session.js';
+import { getRoute, routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { buildTestUsers, fixtureUser } from './fixtures.js';
+import { provisionTestUsers } from './personas/index.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// CSRF TEST CONFIGURATION
+// ============================================================================
+
+const csrfTestConfig = {
+    vus: parseInt(__ENV.CSRF_VUS || '8'),
+    duration: __ENV.CSRF_DURATION || '10m',
+    // Share of requests sent with a foreign header token / no header token
+    mismatchRatio: parseFloat(__ENV.CSRF_MISMATCH_RATIO || '0.1'),
+    missingRatio: parseFloat(__ENV.CSRF_MISSING_RATIO || '0.1'),
+};
+
+// UserRole enum values (the API binds enums as integers)
+const USER_ROLE_PATIENT = 5;
+
+// ============================================================================
+// CUSTOM METRICS FOR CSRF VALIDATION
+// ============================================================================
+
+const csrfMetrics = {
+    rejections: {
+        [CSRF_MODES.VALID]: new Rate('csrf_rejections_valid_pair'),
+        [CSRF_MODES.MISMATCHED]: new Rate('csrf_rejections_mismatched_pair'),
+        [CSRF_MODES.MISSING]: new Rate('csrf_rejections_missing_token'),
+    },
+    protectedRequestDuration: new Trend('csrf_protected_request_duration'),
+    // Requests stopped before CsrfValidationMiddleware ran
+    unreachedRequests: new Counter('csrf_unreached_requests'),
+    sessionRefetches: new Counter('csrf_session_refetches'),
+};
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        csrf_sessions: {
+            executor: 'constant-vus',
+            vus: csrfTestConfig.vus,
+            duration: csrfTestConfig.duration,
+            gracefulStop: '30s',
+            exec: 'csrfStateChanges',
+            tags: { test_type: 'csrf_session' },
+        },
+    },
+
+    thresholds: {
+        // A correctly paired token must never be rejected on an enforced path
+        'csrf_rejections_valid_pair{csrf_enforced:true}': [`rate<${config.thresholds.errorRate}`],
+        // Mismatched and missing tokens must always be rejected on an enforced path
+        'csrf_rejections_mismatched_pair{csrf_enforced:true}': ['rate==1'],
+        'csrf_rejections_missing_token{csrf_enforced:true}': ['rate==1'],
+        'csrf_protected_request_duration': [`p(95)<${config.thresholds.p95}`],
+        'csrf_token_duration': [`p(95)<${config.thresholds.p95}`],
+        ...csrfSessionThresholds,
+    },
+
+    tags: {
+        test_name: 'csrf_session_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+
+    summaryTrendStats: ['avg', 'min', 'med', 'max', 'p(90)', 'p(95)', 'p(99)'],
+};
+
+// ============================================================================
+// TEST DATA SETUP
+// ============================================================================
+
+// Registered in setup(); together with the CSRF fetches this fits one auth limiter window
+const csrfUserCounts = { Patient: 4, Doctor: 2, Admin: 1 };
+
+const testUsers = new SharedArray('csrf_users', function () {
+    return buildTestUsers(csrfUserCounts);
+});
+
+/**
+ * Indexes of users holding a role
+ * @param {string} role - Role name
+ * @returns {Array<number>} Indexes into testUsers
+ */
+function usersWithRole(role) {
+    const indexes = [];
+    for (let i = 0; i < testUsers.length; i++) {
+        if (testUsers[i].roles.includes(role)) {
+            indexes.push(i);
+        }
+    }
+    return indexes;
+}
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR CSRF Session Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Mode mix: mismatched ${csrfTestConfig.mismatchRatio * 100}%, missing ${csrfTestConfig.missingRatio * 100}%`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'roles.list'].concat(operations.map((operation) => operation.route)));
+
+    // Tokens carry each registered user's database id
+    const signingContext = initTokenFactory();
+    const tokens = provisionTestUsers(signingContext, testUsers).map((user) => user.token);
+
+    // A token pair from a separate antiforgery session; VUs send its request
+    // token against their own cookie to build mismatched pairs
+    const foreignSession = createCsrfSession();
+    if (!fetchCsrfToken(foreignSession)) {
+        throw new Error('Could not obtain a CSRF token for mismatched-pair requests. Aborting test.');
+    }
+
+    // Role used for the permissions PUT - current permissions are re-assigned unchanged
+    const adminToken = tokens[usersWithRole('Admin')[0]];
+    let targetRole = null;
+    const rolesResponse = http.get(routeUrl('roles.list'), {
+        headers: getDefaultHeaders(null, adminToken),
+        tags: { name: routeName('roles.list') },
+    });
+    if (rolesResponse.status === 200) {
+        const roles = JSON.parse(rolesResponse.body);
+        if (roles.length > 0) {
+            targetRole = { id: roles[0].id, permissions: roles[0].permissions };
+        }
+    }
+    if (targetRole === null) {
+        console.warn(`GET /api/roles returned ${rolesResponse.status}; role permission PUTs will be skipped.`);
+    }
+
+    return {
+        startTime: Date.now(),
+        signingContext: signingContext,
+        tokens: tokens,
+        foreignCsrfToken: foreignSession.token,
+        targetRole: targetRole,
+    };
+}
+
+// ============================================================================
+// PER-VU STATE
+// ============================================================================
+
+/**
+ * Patient created by this VU, reused for demographics PUTs
+ */
+let ownPatientId = null;
+
+/**
+ * Pick the CSRF mode for the next request
+ * @returns {string} One of CSRF_MODES
+ */
+function pickCsrfMode() {
+    const roll = random();
+    if (roll < csrfTestConfig.mismatchRatio) {
+        return CSRF_MODES.MISMATCHED;
+    }
+    if (roll < csrfTestConfig.mismatchRatio + csrfTestConfig.missingRatio) {
+        return CSRF_MODES.MISSING;
+    }
+    return CSRF_MODES.VALID;
+}
+
+// ============================================================================
+// STATE-CHANGING OPERATIONS
+// ============================================================================
+
+/**
+ * Each operation returns the response, or null if it was skipped
+ */
+const operations = [
+    {
+        name: 'register',
+        route: 'auth.register',
+        run: (data, params) => {
+            // One Patient per VU past the token pool; repeats answer 400 (email already exists)
+            const user = fixtureUser('Patient', csrfUserCounts.Patient + __VU);
+            return http.post(routeUrl('auth.register'), JSON.stringify({
+                email: user.email,
+                firstName: user.firstName,
+                lastName: user.lastName,
+                azureAdB2CId: user.azureAdB2CId,
+                roles: [USER_ROLE_PATIENT],
+            }), params);
+        },
+        token: (data) => data.tokens[pickRoleUser('Patient')],
+    },
+    {
+        name: 'login_callback',
+        route: 'auth.loginCallback',
+        run: (data, params) => http.post(routeUrl('auth.loginCallback'), null, params),
+        token: (data) => data.tokens[pickRoleUser('Patient')],
+    },
+    {
+        name: 'create_patient',
+        route: 'patients.create',
+        run: (data, params) => {
+            const response = http.post(routeUrl('patients.create'), JSON.stringify(generateSyntheticPatient('Csrf')), params);
+            if (response.status === 201) {
+                try {
+                    ownPatientId = JSON.parse(response.body).id;
+                } catch {
+                    // Keep the previous patient
+                }
+            }
+            return response;
+        },
+        token: (data) => data.tokens[pickRoleUser('Doctor')],
+    },
+    {
+        name: 'update_patient',
+        route: 'patients.update',
+        run: (data, params) => {
+            if (ownPatientId === null) {
+                return null;
+            }
+            const patient = generateSyntheticPatient('Csrf');
+            delete patient.emergencyContact;
+            return http.put(routeUrl('patients.update', { id: ownPatientId }), JSON.stringify({
+                patientId: ownPatientId,
+                demographics: patient,
+            }), params);
+        },
+        token: (data) => data.tokens[pickRoleUser('Doctor')],
+    },
+    {
+        name: 'assign_role_permissions',
+        route: 'roles.assignPermissions',
+        run: (data, params) => {
+            if (data.targetRole === null) {
+                return null;
+            }
+            return http.put(routeUrl('roles.assignPermissions', { id: data.targetRole.id }), JSON.stringify({
+                permissions: data.targetRole.permissions,
+            }), params);
+        },
+        token: (data) => data.tokens[pickRoleUser('Admin')],
+    },
+];
+
+/**
+ * This VU's user for a role
+ * Fixed per VU, so a VU holds one CSRF session per role instead of one per user.
+ * @param {string} role - Role name
+ * @returns {number} Index into testUsers / data.tokens
+ */
+function pickRoleUser(role) {
+    const indexes = usersWithRole(role);
+    return indexes[(__VU - 1) % indexes.length];
+}
+
+/**
+ * Check whether the request got as far as CsrfValidationMiddleware
+ * Rate limiting, authentication and authorization all run before it.
+ * @param {Response} response - HTTP response object
+ * @returns {boolean} True if the CSRF decision is visible in the response
+ */
+function reachedCsrfValidation(response) {
+    if (isCsrfRejection(response)) {
+        return true;
+    }
+    return response.status !== 401 && response.status !== 403 && !isRateLimited(response);
+}
+
+/**
+ * Send one state-changing request and record the CSRF outcome
+ * @param {Object} data - Setup data
+ * @param {Object} operation - Entry from operations
+ * @param {string} mode - One of CSRF_MODES
+ * @param {string} authToken - Caller's bearer token
+ * @param {Object} csrfSession - The caller's CSRF session
+ */
+function runProtectedOperation(data, operation, mode, authToken, csrfSession) {
+    const enforced = !isCsrfExemptPath(getRoute(operation.route).path);
+    const tags = {
+        name: `${routeName(operation.route)} (${mode})`,
+        operation: operation.name,
+        csrf_enforced: enforced ? 'true' : 'false',
+    };
+
+    const params = csrfRequestParams(csrfSession, authToken, tags, mode, data.foreignCsrfToken);
+    const response = operation.run(data, params);
+    if (response === null) {
+        return;
+    }
+
+    if (!reachedCsrfValidation(response)) {
+        csrfMetrics.unreachedRequests.add(1, { operation: operation.name, status: String(response.status) });
+        return;
+    }
+
+    const rejected = isCsrfRejection(response);
+    const metricTags = { operation: operation.name, csrf_enforced: tags.csrf_enforced };
+    csrfMetrics.rejections[mode].add(rejected ? 1 : 0, metricTags);
+
+    if (mode === CSRF_MODES.VALID) {
+        csrfMetrics.protectedRequestDuration.add(response.timings.duration, metricTags);
+
+        check(response, {
+            [`${operation.name}: valid pair accepted`]: () => !rejected,
+            [`${operation.name}: not a server error`]: (r) => r.status < 500,
+        });
+
+        // A rejected valid pair means the session went stale - start a new one
+        if (rejected) {
+            invalidateCsrfSession(csrfSession);
+            csrfMetrics.sessionRefetches.add(1);
+        }
+    } else if (enforced) {
+        check(response, {
+            [`${operation.name}: ${mode} rejected with 403`]: () => rejected,
+            [`${operation.name}: ${mode} not applied`]: (r) => !isSuccessful(r),
+        });
+    }
+}
+
+// ============================================================================
+// MAIN TEST SCENARIO
+// ============================================================================
+
+/**
+ * CSRF state changes: each VU is a browser holding one long-lived session
+ * per user it signs in as, so a pair is only ever sent with its own user
+ */
+export function csrfStateChanges(data) {
+    const operation = operations[__ITER % operations.length];
+    const authToken = operation.token(data);
+    const csrfSession = csrfSessionFor(authToken);
+
+    if (!ensureCsrfSession(csrfSession)) {
+        sleep(thinkTime());
+        return;
+    }
+
+    group('CSRF Protected State Changes', () => {
+        runProtectedOperation(data, operation, pickCsrfMode(), authToken, csrfSession);
+    });
+
+    sleep(thinkTime());
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR CSRF Session Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+/**
+ * Format a rejection rate for the summary
+ * @param {Object} data - k6 summary data
+ * @param {string} metricName - Rate metric name (submetric)
+ * @returns {string} Percentage
+ */
+function formatRejectionRate(data, metricName) {
+    const values = data.metrics[metricName]?.values;
+    return values ? `${(values.rate * 100).toFixed(2)}%` : 'n/a';
+}
+
+export function handleSummary(data) {
+    const summary = `
+========================================
+EMR CSRF Session Summary
+========================================
+Session Lifetime: ${csrfConfig.sessionLifetimeSeconds}s
+Session Fetches: ${data.metrics.csrf_session_fetches?.values?.count || 0}
+Session Fetch Failures: ${data.metrics.csrf_session_fetch_failures?.values?.count || 0}
+Session Refetches After Rejection: ${data.metrics.csrf_session_refetches?.values?.count || 0}
+Cookie/Request Token Collisions: ${data.metrics.csrf_cookie_collisions?.values?.count || 0}
+
+CSRF Rejection Rate (enforced paths):
+- Valid Pairs: ${formatRejectionRate(data, 'csrf_rejections_valid_pair{csrf_enforced:true}')} (expected 0%)
+- Mismatched Pairs: ${formatRejectionRate(data, 'csrf_rejections_mismatched_pair{csrf_enforced:true}')} (expected 100%)
+- Missing Tokens: ${formatRejectionRate(data, 'csrf_rejections_missing_token{csrf_enforced:true}')} (expected 100%)
+
+CSRF Rejection Rate (all paths, incl. exempt login-callback):
+- Valid Pairs: ${formatRejectionRate(data, 'csrf_rejections_valid_pair')}
+- Mismatched Pairs: ${formatRejectionRate(data, 'csrf_rejections_mismatched_pair')}
+- Missing Tokens: ${formatRejectionRate(data, 'csrf_rejections_missing_token')}
+
+Protected Request Duration (valid pairs):
+- p95: ${data.metrics.csrf_protected_request_duration?.values?.['p(95)']?.toFixed(2)}ms
+- p99: ${data.metrics.csrf_protected_request_duration?.values?.['p(99)']?.toFixed(2)}ms
+
+Stopped Before CSRF Validation: ${data.metrics.csrf_unreached_requests?.values?.count || 0}
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'csrf-session-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * EMR Antiforgery (CSRF) Session Helpers
+ *
+ * Models how the SPA holds CSRF state: one antiforgery session per signed-in
+ * user, fetched once and reused until it expires. Antiforgery tokens are bound
+ * to the user they were issued to, so the token is fetched with that user's
+ * bearer token and only sent with it. Each session owns a dedicated cookie jar
+ * so the XSRF-TOKEN cookie issued by GET /api/auth/csrf-token is always sent
+ * alongside the X-CSRF-Token header it belongs to, across iterations, instead
+ * of being reset between iterations like k6's default jar.
+ *
+ * Server behaviour this mirrors (Program.cs / CsrfValidationMiddleware):
+ * - Header: X-CSRF-Token, cookie: XSRF-TOKEN (Secure, SameSite=Strict, 1h)
+ * - Validated on POST/PUT/PATCH/DELETE for authenticated requests only
+ * - Exempt path prefixes: /api/auth/login, /api/auth/refresh, /api/auth/logout, /health
+ * - Rejection: 403 { error: "CSRF validation failed" }
+ * - csrf-token is on the "auth" rate limiter, so sessions must be reused
+ *
+ * Usage:
+ *   const csrfSession = csrfSessionFor(authToken);   // this VU's session for the user
+ *   ensureCsrfSession(csrfSession);
+ *   http.post(url, body, csrfRequestParams(csrfSession, authToken, tags));
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { routeUrl, routeName } from './route-manifest.js';
+
+// ============================================================================
+// CSRF CONFIGURATION
+// ============================================================================
+
+export const csrfConfig = {
+    headerName: 'X-CSRF-Token',
+    cookieName: 'XSRF-TOKEN',
+    // Matches the XSRF-TOKEN cookie MaxAge set by AuthController
+    sessionLifetimeSeconds: parseInt(__ENV.CSRF_SESSION_LIFETIME_SECONDS || '3600'),
+    // Attempts per fetch when the auth rate limiter rejects csrf-token
+    maxFetchAttempts: parseInt(__ENV.CSRF_FETCH_ATTEMPTS || '3'),
+    // Mirrors CsrfValidationMiddleware.ExemptPaths (prefix match)
+    exemptPathPrefixes: ['/api/auth/login', '/api/auth/refresh', '/api/auth/logout', '/health'],
+};
+
+/**
+ * How the header/cookie pair is presented on a state-changing request
+ */
+export const CSRF_MODES = {
+    VALID: 'valid_pair',           // header token issued with this session's cookie
+    MISMATCHED: 'mismatched_pair', // header token from a different antiforgery session
+    MISSING: 'missing_token',      // cookie sent, header omitted
+};
+
+// ============================================================================
+// CUSTOM METRICS
+// ============================================================================
+
+const csrfSessionMetrics = {
+    sessionFetches: new Counter('csrf_session_fetches'),
+    sessionFetchFailures: new Counter('csrf_session_fetch_failures'),
+    // Cookie left in the jar holds the request token instead of a cookie token
+    cookieCollisions: new Counter('csrf_cookie_collisions'),
+};
+
+/**
+ * Thresholds for scripts that depend on working CSRF sessions
+ * A cookie collision leaves a session that can never validate.
+ */
+export const csrfSessionThresholds = {
+    'csrf_cookie_collisions': ['count==0'],
+};
+
+// ============================================================================
+// SESSION LIFECYCLE
+// ============================================================================
+
+/**
+ * Create an empty CSRF session with its own cookie jar
+ * @param {string|null} authToken - Bearer token of the user the session belongs to (null: anonymous)
+ * @returns {Object} Session { jar, authToken, token, cookieToken, fetchedAt }
+ */
+export function createCsrfSession(authToken = null) {
+    return {
+        jar: new http.CookieJar(),
+        authToken: authToken,
+        token: null,
+        cookieToken: null,
+        fetchedAt: 0,
+    };
+}
+
+/**
+ * Sessions of this VU, one per bearer token
+ */
+const vuSessions = {};
+
+/**
+ * This VU's CSRF session for a user, created on first use
+ * @param {string|null} authToken - Bearer token of the user (null: anonymous)
+ * @returns {Object} Session (see createCsrfSession())
+ */
+export function csrfSessionFor(authToken) {
+    const key = authToken || 'anonymous';
+    if (!vuSessions[key]) {
+        vuSessions[key] = createCsrfSession(authToken);
+    }
+    return vuSessions[key];
+}
+
+/**
+ * Read the XSRF-TOKEN cookie currently held in the session's jar
+ * @param {Object} session - CSRF session
+ * @returns {string|null} Cookie value
+ */
+function readCsrfCookie(session) {
+    const cookies = session.jar.cookiesForURL(config.baseUrl);
+    const values = cookies[csrfConfig.cookieName];
+    return values && values.length > 0 ? values[values.length - 1] : null;
+}
+
+/**
+ * Fetch a new antiforgery token pair into the session
+ * Sent with the session's bearer token so the pair is issued to its user.
+ * Honors retryAfter from the auth rate limiter between attempts.
+ * @param {Object} session - CSRF session
+ * @returns {boolean} True if a usable token and cookie were obtained
+ */
+export function fetchCsrfToken(session) {
+    for (let attempt = 1; attempt <= csrfConfig.maxFetchAttempts; attempt++) {
+        const response = http.get(routeUrl('auth.csrfToken'), {
+            headers: getDefaultHeaders(null, session.authToken),
+            jar: session.jar,
+            tags: { name: routeName('auth.csrfToken') },
+        });
+
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+            let retryAfter = 60;
+            try {
+                retryAfter = JSON.parse(response.body).retryAfter || retryAfter;
+            } catch {
+                // Keep the default window
+            }
+            sleep(retryAfter);
+            continue;
+        }
+
+        let token = null;
+        try {
+            token = JSON.parse(response.body).token || null;
+        } catch {
+            // Handled by the check below
+        }
+
+        const cookieToken = readCsrfCookie(session);
+        const fetched = check(response, {
+            'CSRF session: status is 200': (r) => r.status === 200,
+            'CSRF session: has token': () => token !== null,
+            'CSRF session: XSRF-TOKEN cookie stored': () => cookieToken !== null,
+        });
+
+        if (!fetched) {
+            break;
+        }
+
+        metrics.csrfTokenDuration.add(response.timings.duration);
+        csrfSessionMetrics.sessionFetches.add(1);
+
+        // The antiforgery cookie and the readable cookie share the XSRF-TOKEN name;
+        // if the jar ends up with the request token the server can't validate the pair
+        if (cookieToken === token) {
+            csrfSessionMetrics.cookieCollisions.add(1);
+            return false;
+        }
+
+        session.token = token;
+        session.cookieToken = cookieToken;
+        session.fetchedAt = Date.now();
+        return true;
+    }
+
+    csrfSessionMetrics.sessionFetchFailures.add(1);
+    return false;
+}
+
+/**
+ * Check whether the session needs a new token pair
+ * @param {Object} session - CSRF session
+ * @returns {boolean} True if empty or past its lifetime
+ */
+export function isCsrfSessionExpired(session) {
+    if (session.token === null) {
+        return true;
+    }
+    return Date.now() - session.fetchedAt >= csrfConfig.sessionLifetimeSeconds * 1000;
+}
+
+/**
+ * Make sure the session holds a live token pair, fetching one if needed
+ * @param {Object} session - CSRF session
+ * @returns {boolean} True if the session is usable
+ */
+export function ensureCsrfSession(session) {
+    if (!isCsrfSessionExpired(session)) {
+        return true;
+    }
+    return fetchCsrfToken(session);
+}
+
+/**
+ * Drop the session's token pair so the next ensureCsrfSession() refetches
+ * Use after a valid pair is rejected (e.g. server-side key rotation).
+ * @param {Object} session - CSRF session
+ */
+export function invalidateCsrfSession(session) {
+    session.jar.clear(config.baseUrl);
+    session.token = null;
+    session.cookieToken = null;
+    session.fetchedAt = 0;
+}
+
+// ============================================================================
+// REQUEST HELPERS
+// ============================================================================
+
+/**
+ * Build k6 request params for a state-changing call
+ * The session's jar is always attached so the cookie is sent; the header
+ * depends on the mode.
+ * @param {Object} session - CSRF session of the same user as authToken
+ * @param {string} authToken - JWT token (optional)
+ * @param {Object} tags - Request tags
+ * @param {string} mode - One of CSRF_MODES (default VALID)
+ * @param {string} foreignToken - Request token from another session (MISMATCHED mode)
+ * @returns {Object} Params { headers, jar, tags }
+ */
+export function csrfRequestParams(session, authToken, tags = {}, mode = CSRF_MODES.VALID, foreignToken = null) {
+    let headerToken = null;
+    if (mode === CSRF_MODES.VALID) {
+        headerToken = session.token;
+    } else if (mode === CSRF_MODES.MISMATCHED) {
+        headerToken = foreignToken;
+    }
+
+    return {
+        headers: getDefaultHeaders(headerToken, authToken),
+        jar: session.jar,
+        tags: Object.assign({ csrf_mode: mode }, tags),
+    };
+}
+
+/**
+ * Check if the request path is exempt from CSRF validation on the server
+ * @param {string} path - Request path, e.g. /api/auth/login-callback
+ * @returns {boolean} True if CsrfValidationMiddleware skips it
+ */
+export function isCsrfExemptPath(path) {
+    const lower = path.toLowerCase();
+    return csrfConfig.exemptPathPrefixes.some((prefix) => lower.startsWith(prefix));
+}
+
+/**
+ * Check if response is a CSRF rejection from CsrfValidationMiddleware
+ * @param {Response} response - HTTP response object
+ * @returns {boolean} True if rejected for CSRF
+ */
+export function isCsrfRejection(response) {
+    if (response.status !== 403) {
+        return false;
+    }
+    try {
+        return JSON.parse(response.body).error === 'CSRF validation failed';
+    } catch {
+        return false;
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    csrfConfig,
+    CSRF_MODES,
+    csrfSessionThresholds,
+    createCsrfSession,
+    csrfSessionFor,
+    fetchCsrfToken,
+    isCsrfSessionExpired,
+    ensureCsrfSession,
+    invalidateCsrfSession,
+    csrfRequestParams,
+    isCsrfExemptPath,
+    isCsrfRejection,
+};
@@ -0,0 +1,160 @@
+/**
+ * EMR Seeded Fixture Loading
+ *
+ * Loads the deterministic dataset written by tools/generate-fixtures.js
+ * into SharedArrays, so every VU reads the same users, patients and
+ * unassigned MRNs and the same FIXTURE_SEED reproduces a run's data exactly.
+ * Without FIXTURE_DIR the scripts keep generating their data on the fly
+ * (generateTestUser / generateSyntheticPatient), seeded from RUN_SEED.
+ *
+ * Fixtures are opened relative to the test script, in the init context only.
+ * users.json is loaded when this module initialises, so fixtureUser() also
+ * works in setup() and VU code.
+ *
+ * Fixture users are registered under fixed identities: a database can hold
+ * one FIXTURE_SEED's users once. Regenerate with another seed to reuse it.
+ *
+ * Usage:
+ *   node tools/generate-fixtures.js                       # writes ./fixtures
+ *   k6 run -e FIXTURE_DIR=fixtures auth-load-test.js
+ *   const users = new SharedArray('users', () => buildTestUsers({ Patient: 70, Doctor: 15 }));
+ *   const doctor = fixtureUser('Doctor', 0);
+ */
+
+import { SharedArray } from 'k6/data';
+import { generateTestUser } from './auth-performance-config.js';
+
+// ============================================================================
+// FIXTURE CONFIGURATION
+// ============================================================================
+
+export const fixtureConfig = {
+    dir: __ENV.FIXTURE_DIR || '',
+};
+
+/**
+ * Whether a fixture directory was given
+ * @returns {boolean} True when FIXTURE_DIR is set
+ */
+export function fixturesEnabled() {
+    return fixtureConfig.dir !== '';
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+const loaded = {};
+
+/**
+ * Parse a fixture file (init context only - uses open())
+ * Parsed once per VU init and cached, so several SharedArrays can share it.
+ * @param {string} name - File name inside FIXTURE_DIR, e.g. users.json
+ * @returns {Array<Object>} Records
+ */
+function readFixture(name) {
+    if (!fixturesEnabled()) {
+        throw new Error(`Fixture ${name} requested but FIXTURE_DIR is not set. Run tools/generate-fixtures.js first.`);
+    }
+    if (!loaded[name]) {
+        loaded[name] = JSON.parse(open(`${fixtureConfig.dir}/${name}`));
+    }
+    return loaded[name];
+}
+
+/**
+ * Seed and counts the fixtures were generated with
+ * @returns {Object|null} manifest.json, or null without FIXTURE_DIR
+ */
+export function fixtureManifest() {
+    return fixturesEnabled() ? readFixture('manifest.json') : null;
+}
+
+/**
+ * Fixture as a SharedArray (init context only)
+ * @param {string} name - File name inside FIXTURE_DIR
+ * @returns {SharedArray} Records
+ */
+export function loadFixture(name) {
+    return new SharedArray(`fixture_${name}`, () => readFixture(name));
+}
+
+// ============================================================================
+// USERS
+// ============================================================================
+
+// users.json, shared by every VU; null without FIXTURE_DIR
+const fixtureUsers = fixturesEnabled() ? loadFixture('users.json') : null;
+
+/**
+ * Number of users of a role available to fixtureUser()
+ * @param {string} role - Role name
+ * @returns {number} Count (unbounded without FIXTURE_DIR)
+ */
+function fixtureUserCount(role) {
+    if (fixtureUsers === null) {
+        return Infinity;
+    }
+    let count = 0;
+    for (let i = 0; i < fixtureUsers.length; i++) {
+        if (fixtureUsers[i].roles[0] === role) {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * The index-th user of a role, from users.json with FIXTURE_DIR and from
+ * generateTestUser() otherwise
+ * @param {string} role - Role name
+ * @param {number} index - Zero-based index within the role
+ * @returns {Object} User
+ */
+export function fixtureUser(role, index) {
+    if (fixtureUsers === null) {
+        return generateTestUser(role, index);
+    }
+
+    let seen = 0;
+    for (let i = 0; i < fixtureUsers.length; i++) {
+        if (fixtureUsers[i].roles[0] === role && seen++ === index) {
+            return fixtureUsers[i];
+        }
+    }
+    throw new Error(`${fixtureConfig.dir}/users.json has ${seen} ${role} users, user ${index} requested. Raise FIXTURE_USERS_PER_ROLE.`);
+}
+
+/**
+ * First N users per role (see fixtureUser()). Call inside a SharedArray callback.
+ * @param {Object} counts - Users per role, e.g. { Patient: 70, Doctor: 15 }
+ * @returns {Array<Object>} Users in role order
+ */
+export function buildTestUsers(counts) {
+    const users = [];
+
+    Object.keys(counts).forEach((role) => {
+        const available = fixtureUserCount(role);
+        if (available < counts[role]) {
+            throw new Error(`${fixtureConfig.dir}/users.json has ${available} ${role} users, ${counts[role]} needed. Raise FIXTURE_USERS_PER_ROLE.`);
+        }
+        for (let i = 0; i < counts[role]; i++) {
+            users.push(fixtureUser(role, i));
+        }
+    });
+
+    return users;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    fixtureConfig,
+    fixturesEnabled,
+    fixtureManifest,
+    loadFixture,
+    fixtureUser,
+    buildTestUsers,
+};
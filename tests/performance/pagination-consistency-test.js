@@ -0,0 +1,372 @@
+/**
+ * EMR Pagination Consistency Test
+ *
+ * Walks every page of GET /api/patients (the worklist source) while other VUs
+ * register patients, and checks what offset paging does under inserts:
+ *
+ * - Duplicates: an id returned on more than one page of the same walk (an
+ *   insert before the reader's offset pushed rows onto the next page)
+ * - Missing: an id seen in the reader's previous walk but not in this one.
+ *   Patients are never deleted, so every such id was skipped
+ * - totalCount drift: totalCount on the last page minus the first page
+ *
+ * Each anomaly kind is reported alongside paging latency per page depth.
+ *
+ * The list is ordered by LastName, then FirstName only; rows with the same
+ * name have no stable order, so ties can also move between pages without any
+ * insert. Writers spread their inserts across the ordering with a leading
+ * letter on the last name.
+ *
+ * GET /api/patients shares the 30/min patient-search window with search, and
+ * that window is not partitioned by IP, so readers are paced to
+ * PAGINATION_PAGES_PER_MINUTE between them.
+ *
+ * Usage:
+ *   k6 run pagination-consistency-test.js
+ *   k6 run -e PAGINATION_WRITERS=4 -e PAGINATION_PAGE_SIZE=10 pagination-consistency-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    toLetterCode,
+    generateSyntheticPatient,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { provisionPersonaUsers, seedWorklist } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// PAGINATION TEST CONFIGURATION
+// ============================================================================
+
+const paginationConfig = {
+    duration: __ENV.PAGINATION_DURATION || '10m',
+    readers: parseInt(__ENV.PAGINATION_READERS || '1'),
+    writers: parseInt(__ENV.PAGINATION_WRITERS || '2'),
+    pageSize: parseInt(__ENV.PAGINATION_PAGE_SIZE || '20'),
+    // Page requests per minute across all readers (patient-search allows 30)
+    pagesPerMinute: parseInt(__ENV.PAGINATION_PAGES_PER_MINUTE || '25'),
+    maxPages: parseInt(__ENV.PAGINATION_MAX_PAGES || '50'),
+    // Patients created in setup so the list spans several pages
+    seedPatients: parseInt(__ENV.PAGINATION_SEED_PATIENTS || '60'),
+    // Pause between registrations per writer
+    writeInterval: parseFloat(__ENV.PAGINATION_WRITE_INTERVAL || '1'),
+};
+
+// Seconds between page requests of one reader
+const pageInterval = 60 * paginationConfig.readers / paginationConfig.pagesPerMinute;
+
+const ANOMALY_KINDS = ['duplicate', 'missing', 'total_drift'];
+
+/**
+ * Page depth bucket for latency reporting
+ * @param {number} pageNumber - 1-based page
+ * @returns {string} Depth bucket
+ */
+function pageDepth(pageNumber) {
+    if (pageNumber === 1) {
+        return 'first';
+    }
+    if (pageNumber <= 5) {
+        return '2-5';
+    }
+    return pageNumber <= 20 ? '6-20' : '21+';
+}
+
+const PAGE_DEPTHS = ['first', '2-5', '6-20', '21+'];
+
+// ============================================================================
+// CUSTOM METRICS FOR PAGINATION
+// ============================================================================
+
+const paginationMetrics = {
+    // Tagged with depth (PAGE_DEPTHS)
+    pageDuration: new Trend('pagination_page_duration', true),
+    pageSuccess: new Rate('pagination_page_success'),
+    // Ids per walk returned on more than one page
+    duplicates: new Counter('pagination_duplicates'),
+    // Ids from the previous walk absent from this one
+    missing: new Counter('pagination_missing'),
+    // |last page totalCount - first page totalCount| per walk
+    totalDrift: new Trend('pagination_total_drift'),
+    // One sample per anomaly kind found in a walk
+    anomalies: new Counter('pagination_anomalies'),
+    // Per complete walk: no anomaly of any kind
+    cleanWalks: new Rate('pagination_clean_walks'),
+    walkDuration: new Trend('pagination_walk_duration', true),
+    inserts: new Counter('pagination_inserts'),
+};
+
+/**
+ * Depth and anomaly submetrics for handleSummary
+ * @returns {Object} Thresholds entries
+ */
+function getPaginationThresholds() {
+    const thresholds = {};
+    PAGE_DEPTHS.forEach((depth) => {
+        thresholds[`pagination_page_duration{depth:${depth}}`] = [`p(95)<${config.thresholds.p95}`];
+    });
+    ANOMALY_KINDS.forEach((kind) => {
+        thresholds[`pagination_anomalies{kind:${kind}}`] = ['count>=0'];
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        page_walkers: {
+            executor: 'constant-vus',
+            exec: 'walkPages',
+            vus: paginationConfig.readers,
+            duration: paginationConfig.duration,
+            gracefulStop: `${Math.ceil(pageInterval * paginationConfig.maxPages)}s`,
+            tags: { test_type: 'pagination_reader' },
+        },
+        inserters: {
+            executor: 'constant-vus',
+            exec: 'insertPatients',
+            vus: paginationConfig.writers,
+            duration: paginationConfig.duration,
+            tags: { test_type: 'pagination_writer' },
+        },
+    },
+
+    thresholds: {
+        'pagination_page_success': ['rate>0.99'],
+        'pagination_duplicates': ['count==0'],
+        'pagination_missing': ['count==0'],
+        ...getPaginationThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'pagination_consistency_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Pagination Consistency Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Readers: ${paginationConfig.readers} (one page every ${pageInterval.toFixed(1)}s each), writers: ${paginationConfig.writers}`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create', 'patients.list']);
+
+    // Admin lists every patient (other roles only see granted ones) and may register
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+    if (paginationConfig.seedPatients > 0) {
+        seedWorklist(users.Admin.token, paginationConfig.seedPatients, null);
+    }
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+    };
+}
+
+// ============================================================================
+// READER SCENARIO
+// ============================================================================
+
+// Per-VU: ids seen in this reader's last complete walk
+let previousWalkIds = null;
+
+/**
+ * Fetch one page of GET /api/patients
+ * @param {number} pageNumber - 1-based page
+ * @param {string} authToken - Admin bearer token
+ * @returns {Object|null} PagedResultDto, or null on failure
+ */
+function fetchPage(pageNumber, authToken) {
+    const depth = pageDepth(pageNumber);
+    const response = http.get(
+        routeUrl('patients.list', {}, { pageNumber: pageNumber, pageSize: paginationConfig.pageSize }),
+        {
+            headers: getDefaultHeaders(null, authToken),
+            tags: { name: routeName('patients.list'), depth: depth },
+        }
+    );
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+        return null;
+    }
+
+    paginationMetrics.pageDuration.add(response.timings.duration, { depth: depth });
+
+    let body = null;
+    const ok = check(response, {
+        'Patient list page: status is 200': (r) => r.status === 200,
+        'Patient list page: paged result': (r) => {
+            try {
+                body = JSON.parse(r.body);
+                return Array.isArray(body.items) && typeof body.totalCount === 'number';
+            } catch {
+                return false;
+            }
+        },
+    });
+    paginationMetrics.pageSuccess.add(ok ? 1 : 0, { depth: depth });
+
+    return ok ? body : null;
+}
+
+export function walkPages(data) {
+    applyClientPartition();
+
+    const walkStart = Date.now();
+    const seen = {};
+    let duplicates = 0;
+    let firstTotal = null;
+    let lastTotal = null;
+    let complete = false;
+
+    group('Walk Patient List', () => {
+        for (let pageNumber = 1; pageNumber <= paginationConfig.maxPages; pageNumber++) {
+            const page = fetchPage(pageNumber, data.authToken);
+            if (page === null) {
+                // A lost page makes missing ids meaningless; abandon the walk
+                return;
+            }
+
+            if (firstTotal === null) {
+                firstTotal = page.totalCount;
+            }
+            lastTotal = page.totalCount;
+
+            page.items.forEach((item) => {
+                if (seen[item.id]) {
+                    duplicates++;
+                }
+                seen[item.id] = true;
+            });
+
+            if (page.items.length < paginationConfig.pageSize || pageNumber * paginationConfig.pageSize >= page.totalCount) {
+                complete = true;
+                return;
+            }
+            sleep(pageInterval);
+        }
+        console.warn(`Patient list has more than ${paginationConfig.maxPages} pages of ${paginationConfig.pageSize}; walk truncated.`);
+    });
+
+    if (!complete) {
+        sleep(pageInterval);
+        return;
+    }
+
+    const missing = previousWalkIds === null ? 0 : Object.keys(previousWalkIds).filter((id) => !seen[id]).length;
+    const drift = Math.abs(lastTotal - firstTotal);
+
+    paginationMetrics.walkDuration.add(Date.now() - walkStart);
+    paginationMetrics.duplicates.add(duplicates);
+    paginationMetrics.missing.add(missing);
+    paginationMetrics.totalDrift.add(drift);
+
+    const anomalies = { duplicate: duplicates > 0, missing: missing > 0, total_drift: drift > 0 };
+    ANOMALY_KINDS.forEach((kind) => {
+        if (anomalies[kind]) {
+            paginationMetrics.anomalies.add(1, { kind: kind });
+        }
+    });
+    paginationMetrics.cleanWalks.add(ANOMALY_KINDS.some((kind) => anomalies[kind]) ? 0 : 1);
+
+    if (duplicates > 0 || missing > 0) {
+        console.warn(`Pagination walk: ${duplicates} duplicate(s), ${missing} missing, totalCount ${firstTotal} -> ${lastTotal}`);
+    }
+
+    previousWalkIds = seen;
+    sleep(pageInterval);
+}
+
+// ============================================================================
+// WRITER SCENARIO
+// ============================================================================
+
+export function insertPatients(data) {
+    applyClientPartition();
+    const csrfSession = csrfSessionFor(data.authToken);
+    ensureCsrfSession(csrfSession);
+
+    // Leading letter spreads inserts across the LastName ordering
+    const lastName = `${toLetterCode(Math.floor(random() * 26))}-SYNTHETIC-Paging`;
+    const response = http.post(routeUrl('patients.create'),
+        JSON.stringify(generateSyntheticPatient('Paging', { lastName: lastName })),
+        csrfRequestParams(csrfSession, data.authToken, { name: routeName('patients.create') }));
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+    } else if (response.status === 201) {
+        paginationMetrics.inserts.add(1);
+    }
+
+    sleep(paginationConfig.writeInterval);
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const depthLines = PAGE_DEPTHS.map((depth) => {
+        const values = m[`pagination_page_duration{depth:${depth}}`]?.values;
+        return `- page ${depth.padEnd(6)} p50 ${values?.med?.toFixed(2) || 'n/a'}ms  p95 ${values?.['p(95)']?.toFixed(2) || 'n/a'}ms  (${values?.count || 0} pages)`;
+    });
+    const anomalyLines = ANOMALY_KINDS.map((kind) =>
+        `- ${kind.padEnd(12)} ${m[`pagination_anomalies{kind:${kind}}`]?.values?.count || 0} walks`
+    );
+
+    const summary = `
+========================================
+EMR Pagination Consistency Test
+========================================
+
+Walks: ${m.pagination_walk_duration?.values?.count || 0} complete (${paginationConfig.pageSize} per page), ${m.pagination_inserts?.values?.count || 0} patients inserted meanwhile
+Clean Walks: ${((m.pagination_clean_walks?.values?.rate || 0) * 100).toFixed(2)}%
+
+Anomalies (walks affected):
+${anomalyLines.join('\n')}
+- Duplicate Ids Total: ${m.pagination_duplicates?.values?.count || 0}
+- Missing Ids Total: ${m.pagination_missing?.values?.count || 0}
+- totalCount Drift per Walk max: ${m.pagination_total_drift?.values?.max ?? 'n/a'}
+
+Paging Latency by Depth:
+${depthLines.join('\n')}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'pagination-consistency-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
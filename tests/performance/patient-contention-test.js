@@ -0,0 +1,403 @@
+/**
+ * EMR Demographics Update Contention Test
+ *
+ * Simulates clinicians editing the same chart at the same moment. VUs are
+ * split into groups; every group shares one patient from a pool seeded in
+ * setup(), and each member of a group edits a different field. Each round,
+ * aligned to the wall clock so a group's writes really overlap:
+ *
+ *   fire - 25%   every member reads the patient (the snapshot its form shows)
+ *   fire         every member PUTs the snapshot with its own field changed
+ *   fire + 50%   every member reads the patient again
+ *
+ * PUT /api/patients/{id} (UpdatePatientDemographics) replaces the whole
+ * demographics block and carries no version, so concurrent edits of different
+ * fields can overwrite each other. The test reports:
+ *
+ * - Conflict rate: PUTs rejected with the handler's generic 400 (what a
+ *   RowVersion concurrency failure in SaveChanges turns into)
+ * - Lost-update rate: accepted PUTs whose field is gone from the read after
+ * - Latency of PUTs under contention
+ * - Whether the read after the writes equals one of the states the group
+ *   submitted (last writer wins), holds every member's edit (merged), or
+ *   neither. Every member derives the group's submissions from the shared
+ *   snapshot and round, so the first member of each group classifies it
+ *
+ * The round length (CONTENTION_ROUND_SECONDS) must be longer than twice the
+ * slowest PUT, or the read after can run before the last write lands.
+ *
+ * Usage:
+ *   k6 run patient-contention-test.js
+ *   k6 run -e CONTENTION_GROUPS=5 -e CONTENTION_GROUP_SIZE=4 patient-contention-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    patientEnums,
+    toLetterCode,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { provisionPersonaUsers, seedWorklist } from './personas/index.js';
+import { buildDemographicsUpdate } from './personas/persona-common.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// CONTENTION TEST CONFIGURATION
+// ============================================================================
+
+/**
+ * Field each group member edits, by position in the group
+ */
+const CONTENTION_FIELDS = ['phoneNumber', 'email', 'address', 'middleName', 'alternatePhoneNumber', 'preferredLanguage'];
+
+const ADDRESS_KEYS = ['street', 'street2', 'city', 'state', 'zipCode', 'country'];
+
+const contentionConfig = {
+    groups: parseInt(__ENV.CONTENTION_GROUPS || '3'),
+    groupSize: parseInt(__ENV.CONTENTION_GROUP_SIZE || '3'),
+    roundSeconds: parseFloat(__ENV.CONTENTION_ROUND_SECONDS || '8'),
+    duration: __ENV.CONTENTION_DURATION || '10m',
+};
+
+if (contentionConfig.groupSize < 2 || contentionConfig.groupSize > CONTENTION_FIELDS.length) {
+    throw new Error(`CONTENTION_GROUP_SIZE must be between 2 and ${CONTENTION_FIELDS.length} (one editable field per member)`);
+}
+
+// Body of the handler's catch-all failure, e.g. a DbUpdateConcurrencyException
+const CONFLICT_MESSAGE = 'An error occurred while updating patient demographics';
+
+const FINAL_STATE_OUTCOMES = ['last_writer', 'merged', 'other'];
+
+// ============================================================================
+// CUSTOM METRICS FOR CONTENTION
+// ============================================================================
+
+const contentionMetrics = {
+    updateDuration: new Trend('contention_update_duration', true),
+    updateAccepted: new Rate('contention_update_accepted'),
+    conflicts: new Rate('contention_conflicts'),
+    // Per accepted PUT: its field did not survive the round
+    lostUpdates: new Rate('contention_lost_updates'),
+    // Per group round: the read after equals one of the submitted states
+    readMatchesSubmission: new Rate('contention_read_matches_submission'),
+    finalState: new Counter('contention_final_state'),
+    // Rounds a member missed (snapshot or read failed, or it started too late)
+    skippedRounds: new Counter('contention_skipped_rounds'),
+};
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+/**
+ * Outcome submetrics for handleSummary
+ * @returns {Object} Thresholds entries
+ */
+function getFinalStateThresholds() {
+    const thresholds = {};
+    FINAL_STATE_OUTCOMES.forEach((outcome) => {
+        thresholds[`contention_final_state{outcome:${outcome}}`] = ['count>=0'];
+    });
+    return thresholds;
+}
+
+export const options = {
+    scenarios: {
+        contention: {
+            executor: 'constant-vus',
+            vus: contentionConfig.groups * contentionConfig.groupSize,
+            duration: contentionConfig.duration,
+            gracefulStop: `${Math.ceil(contentionConfig.roundSeconds * 2)}s`,
+            tags: { test_type: 'patient_contention' },
+        },
+    },
+
+    thresholds: {
+        'contention_update_duration': [`p(95)<${config.thresholds.p99}`],
+        // Every state the API ends in must be one somebody submitted
+        'contention_read_matches_submission': ['rate>0.99'],
+        ...getFinalStateThresholds(),
+    },
+
+    // Provisioning and seeding wait out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'patient_contention_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Demographics Update Contention Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Groups: ${contentionConfig.groups} x ${contentionConfig.groupSize} VUs, ${contentionConfig.roundSeconds}s rounds`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create', 'patients.byId', 'patients.update']);
+
+    // Admin sees every record, so reads never hit the resource grant checks
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+    const seeded = seedWorklist(users.Admin.token, contentionConfig.groups, null);
+    console.log(`Seeded ${seeded.worklist.length} contended patients (one per group).`);
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+        pool: seeded.worklist.map((patient) => patient.id),
+    };
+}
+
+// ============================================================================
+// ROUND HELPERS
+// ============================================================================
+
+/**
+ * Sleep until a wall-clock time
+ * @param {number} timestamp - Target time (ms)
+ */
+function sleepUntil(timestamp) {
+    const wait = (timestamp - Date.now()) / 1000;
+    if (wait > 0) {
+        sleep(wait);
+    }
+}
+
+/**
+ * Value a member writes in a round; distinct per round and member
+ * @param {string} field - Field from CONTENTION_FIELDS
+ * @param {number} round - Round number
+ * @param {number} position - Member position in the group
+ * @param {Object} snapshot - PatientDto read before the round
+ * @returns {*} New field value
+ */
+function contentionValue(field, round, position, snapshot) {
+    const tag = String(round % 10000).padStart(4, '0');
+    switch (field) {
+        case 'phoneNumber':
+            return `555-561-${tag}`;
+        case 'email':
+            // Lower case: the API stores emails lower-cased
+            return `test-contention.r${round}.p${position}@emr-test-only.example`;
+        case 'address':
+            return Object.assign({}, snapshot.address, { street: `${(round % 9000) + 1} Contention Test Way` });
+        case 'middleName':
+            return `TEST-${toLetterCode(round)}`;
+        case 'alternatePhoneNumber':
+            return `555-562-${tag}`;
+        case 'preferredLanguage': {
+            const values = Object.values(patientEnums.preferredLanguage);
+            const value = values[round % values.length];
+            return value === snapshot.preferredLanguage ? values[(round + 1) % values.length] : value;
+        }
+        default:
+            throw new Error(`No contention value for field "${field}"`);
+    }
+}
+
+/**
+ * Comparable form of the contended fields of a patient or a submission
+ * @param {Object} state - PatientDto or demographics body
+ * @returns {string} Canonical JSON
+ */
+function projectState(state) {
+    return JSON.stringify(CONTENTION_FIELDS.map((field) => {
+        if (field === 'address') {
+            return ADDRESS_KEYS.map((key) => (state.address ? state.address[key] ?? null : null));
+        }
+        return state[field] ?? null;
+    }));
+}
+
+/**
+ * Whether a state carries a submission's edit of one field
+ * @param {Object} state - PatientDto read after the round
+ * @param {Object} submission - Demographics body that edited the field
+ * @param {string} field - Field from CONTENTION_FIELDS
+ * @returns {boolean} True when the edit is present
+ */
+function holdsEdit(state, submission, field) {
+    if (field === 'address') {
+        return Boolean(state.address) && state.address.street === submission.address.street;
+    }
+    return (state[field] ?? null) === (submission[field] ?? null);
+}
+
+/**
+ * PUT bodies every member of the group submits this round
+ * @param {Object} snapshot - Shared PatientDto snapshot
+ * @param {number} round - Round number
+ * @returns {Array<Object>} UpdatePatientDemographicsCommand bodies by position
+ */
+function groupSubmissions(snapshot, round) {
+    const submissions = [];
+    for (let position = 0; position < contentionConfig.groupSize; position++) {
+        const field = CONTENTION_FIELDS[position];
+        submissions.push(buildDemographicsUpdate(snapshot, {
+            [field]: contentionValue(field, round, position, snapshot),
+        }));
+    }
+    return submissions;
+}
+
+/**
+ * GET the contended patient
+ * @param {string} patientId - Contended patient id
+ * @param {string} authToken - Admin bearer token
+ * @param {string} step - Round step tag ('snapshot' or 'read_after')
+ * @returns {Object|null} PatientDto, or null on failure
+ */
+function readPatient(patientId, authToken, step) {
+    const response = http.get(routeUrl('patients.byId', { id: patientId }), {
+        headers: getDefaultHeaders(null, authToken),
+        tags: { name: routeName('patients.byId'), contention_step: step },
+    });
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+    }
+    if (response.status !== 200) {
+        return null;
+    }
+    try {
+        return JSON.parse(response.body);
+    } catch {
+        return null;
+    }
+}
+
+// ============================================================================
+// CONTENTION SCENARIO
+// ============================================================================
+
+export default function (data) {
+    applyClientPartition();
+    const csrfSession = csrfSessionFor(data.authToken);
+    ensureCsrfSession(csrfSession);
+
+    const groupIndex = Math.floor((__VU - 1) / contentionConfig.groupSize);
+    const position = (__VU - 1) % contentionConfig.groupSize;
+    const field = CONTENTION_FIELDS[position];
+    const patientId = data.pool[groupIndex % data.pool.length];
+    const roundMs = contentionConfig.roundSeconds * 1000;
+
+    // Next round whose snapshot time is still ahead
+    let round = Math.floor(Date.now() / roundMs) + 1;
+    if (round * roundMs - roundMs * 0.25 < Date.now()) {
+        round++;
+    }
+    const fireAt = round * roundMs;
+
+    sleepUntil(fireAt - roundMs * 0.25);
+    const snapshot = readPatient(patientId, data.authToken, 'snapshot');
+    if (snapshot === null) {
+        contentionMetrics.skippedRounds.add(1);
+        return;
+    }
+
+    const submissions = groupSubmissions(snapshot, round);
+    const mine = submissions[position];
+    let accepted = false;
+
+    sleepUntil(fireAt);
+
+    group('Concurrent Demographics Update', () => {
+        const response = http.put(
+            routeUrl('patients.update', { id: patientId }),
+            JSON.stringify(mine),
+            csrfRequestParams(csrfSession, data.authToken, { name: routeName('patients.update'), contention_field: field })
+        );
+
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+            return;
+        }
+
+        contentionMetrics.updateDuration.add(response.timings.duration);
+        accepted = check(response, { 'Contended update: status is 200': (r) => r.status === 200 });
+        contentionMetrics.updateAccepted.add(accepted ? 1 : 0);
+        contentionMetrics.conflicts.add(
+            response.status === 400 && (response.body || '').includes(CONFLICT_MESSAGE) ? 1 : 0
+        );
+    });
+
+    sleepUntil(fireAt + roundMs * 0.5);
+    const after = readPatient(patientId, data.authToken, 'read_after');
+    if (after === null) {
+        contentionMetrics.skippedRounds.add(1);
+        return;
+    }
+
+    if (accepted) {
+        contentionMetrics.lostUpdates.add(holdsEdit(after, mine.demographics, field) ? 0 : 1, { contention_field: field });
+    }
+
+    // One classification per group and round
+    if (position === 0) {
+        const observed = projectState(after);
+        const matchesSubmission = submissions.some((submission) => projectState(submission.demographics) === observed);
+        const merged = submissions.every((submission, index) =>
+            holdsEdit(after, submission.demographics, CONTENTION_FIELDS[index]));
+
+        contentionMetrics.readMatchesSubmission.add(matchesSubmission ? 1 : 0);
+        contentionMetrics.finalState.add(1, { outcome: matchesSubmission ? 'last_writer' : (merged ? 'merged' : 'other') });
+    }
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const percent = (metric) => (m[metric]?.values ? `${(m[metric].values.rate * 100).toFixed(2)}%` : 'n/a');
+    const outcomeLines = FINAL_STATE_OUTCOMES.map((outcome) =>
+        `- ${outcome.padEnd(12)} ${m[`contention_final_state{outcome:${outcome}}`]?.values?.count || 0}`
+    );
+
+    const summary = `
+========================================
+EMR Demographics Update Contention Test
+========================================
+
+Groups: ${contentionConfig.groups} x ${contentionConfig.groupSize} writers, ${contentionConfig.roundSeconds}s rounds
+
+Concurrent PUT /api/patients/{id}:
+- Accepted: ${percent('contention_update_accepted')}
+- Conflicts (generic 400): ${percent('contention_conflicts')}
+- Lost Updates (accepted, then overwritten): ${percent('contention_lost_updates')}
+- Latency p50/p95/max: ${m.contention_update_duration?.values?.med?.toFixed(2) || 'n/a'} / ${m.contention_update_duration?.values?.['p(95)']?.toFixed(2) || 'n/a'} / ${m.contention_update_duration?.values?.max?.toFixed(2) || 'n/a'}ms
+
+Read After Writes (per group round):
+- Matches a Submitted State: ${percent('contention_read_matches_submission')}
+${outcomeLines.join('\n')}
+- Skipped Member Rounds: ${m.contention_skipped_rounds?.values?.count || 0}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'patient-contention-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
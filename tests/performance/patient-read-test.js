@@ -0,0 +1,343 @@
+/**
+ * EMR Patient Read-Load Test
+ *
+ * Drives the two chart-open routes, GET /api/patients/{id} and
+ * GET /api/patients/mrn/{mrn}, from a pool of known patients:
+ *
+ * - Pool: seeded in setup() (PATIENT_READ_SOURCE=seed) or loaded from the
+ *   registry a patient-write-test.js run logged (PATIENT_READ_SOURCE=registry)
+ * - Misses: a configurable share of lookups use an id or MRN that does not
+ *   exist, exercising the 404 path. Unknown MRNs keep the MRN format but carry
+ *   a date before any MRN was issued (the seeded unassigned-mrns.json
+ *   fixture with FIXTURE_DIR)
+ * - Hot-patient skew: a configurable share of hits go to the first few pool
+ *   entries, modelling charts that are opened over and over
+ * - Latency reported per lookup (id, mrn) and outcome (hit, miss)
+ *
+ * Reads are made by a provisioned Admin user. Other roles only see patients
+ * they hold a grant for, so their reads by id would all be 404s.
+ *
+ * Usage:
+ *   k6 run patient-read-test.js
+ *   k6 run -e PATIENT_READ_MISS_RATE=0.25 -e PATIENT_READ_HOT_WEIGHT=0.9 patient-read-test.js
+ *   k6 run -e PATIENT_READ_SOURCE=registry -e PATIENT_REGISTRY_FILE=patient-registry.log patient-read-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { SharedArray } from 'k6/data';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+    thinkTime,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { provisionPersonaUsers, seedWorklist } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { loadPatientRegistry } from './patient-registry.js';
+import { fixturesEnabled, loadFixture } from './fixtures.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// READ TEST CONFIGURATION
+// ============================================================================
+
+const readConfig = {
+    vus: parseInt(__ENV.PATIENT_READ_VUS || '20'),
+    duration: __ENV.PATIENT_READ_DURATION || '5m',
+    source: __ENV.PATIENT_READ_SOURCE || 'seed',
+    poolSize: parseInt(__ENV.PATIENT_READ_POOL_SIZE || '20'),
+    // Share of lookups for patients that do not exist
+    missRate: parseFloat(__ENV.PATIENT_READ_MISS_RATE || '0.1'),
+    // Share of lookups by MRN (the rest are by id)
+    mrnShare: parseFloat(__ENV.PATIENT_READ_MRN_SHARE || '0.5'),
+    // Share of the pool that is hot, and share of hits that go to it
+    hotShare: parseFloat(__ENV.PATIENT_READ_HOT_SHARE || '0.1'),
+    hotWeight: parseFloat(__ENV.PATIENT_READ_HOT_WEIGHT || '0.8'),
+};
+
+if (readConfig.source !== 'seed' && readConfig.source !== 'registry') {
+    throw new Error(`Unknown PATIENT_READ_SOURCE "${readConfig.source}". Expected seed or registry.`);
+}
+
+// MRN date before any MRN was issued, so these MRNs never resolve
+const UNKNOWN_MRN_DATE = '19000101';
+
+const LOOKUPS = ['id', 'mrn'];
+const OUTCOMES = ['hit', 'miss'];
+
+/**
+ * Registry pool, loaded once in the init context when PATIENT_READ_SOURCE=registry
+ */
+const registryPool = readConfig.source === 'registry'
+    ? new SharedArray('patient_read_registry', () => loadPatientRegistry().map((patient) => ({
+        id: patient.id,
+        medicalRecordNumber: patient.mrn,
+    })))
+    : null;
+
+/**
+ * Seeded never-issued MRNs (tools/generate-fixtures.js), loaded when FIXTURE_DIR is set
+ */
+const unassignedMrns = fixturesEnabled() ? loadFixture('unassigned-mrns.json') : null;
+
+// ============================================================================
+// CUSTOM METRICS FOR PATIENT READS
+// ============================================================================
+
+const readMetrics = {
+    // Tagged with lookup (id, mrn) and outcome (hit, miss)
+    readDuration: new Trend('patient_read_duration', true),
+    // Hits that returned 200 with the expected patient
+    hitsFound: new Rate('patient_read_hits_found'),
+    // Misses that returned 404
+    missesNotFound: new Rate('patient_read_misses_not_found'),
+    // Per hit: whether it went to a hot patient
+    hotReads: new Rate('patient_read_hot'),
+    unexpectedStatus: new Counter('patient_read_unexpected_status'),
+};
+
+/**
+ * Per lookup and outcome latency submetrics
+ * @returns {Object} Thresholds entries
+ */
+function getReadThresholds() {
+    const thresholds = {};
+    LOOKUPS.forEach((lookup) => {
+        OUTCOMES.forEach((outcome) => {
+            thresholds[`patient_read_duration{lookup:${lookup},outcome:${outcome}}`] = [`p(95)<${config.thresholds.p95}`];
+        });
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        patient_reads: {
+            executor: 'constant-vus',
+            vus: readConfig.vus,
+            duration: readConfig.duration,
+            tags: { test_type: 'patient_read' },
+        },
+    },
+
+    thresholds: {
+        'patient_read_hits_found': ['rate>0.99'],
+        'patient_read_misses_not_found': ['rate>0.99'],
+        'patient_read_unexpected_status': ['count==0'],
+        ...getReadThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'patient_read_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Patient Read-Load Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Miss rate: ${readConfig.missRate}, MRN share: ${readConfig.mrnShare}, hot: ${readConfig.hotWeight} of hits on ${readConfig.hotShare} of the pool`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    const routes = ['health.check', 'auth.register', 'patients.byId', 'patients.byMrn'];
+    checkRouteContract(readConfig.source === 'seed' ? routes.concat(['auth.csrfToken', 'patients.create']) : routes);
+
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+
+    let pool;
+    if (readConfig.source === 'registry') {
+        // SharedArray has no slice(); copy the entries by index
+        pool = [];
+        const count = Math.min(readConfig.poolSize, registryPool.length);
+        for (let i = 0; i < count; i++) {
+            pool.push(registryPool[i]);
+        }
+        console.log(`Loaded ${pool.length} of ${registryPool.length} registry patients.`);
+    } else {
+        pool = seedWorklist(users.Admin.token, readConfig.poolSize, null).worklist
+            .map((patient) => ({ id: patient.id, medicalRecordNumber: patient.medicalRecordNumber }));
+        console.log(`Seeded ${pool.length} patients.`);
+    }
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+        pool: pool,
+        hotCount: Math.max(1, Math.round(pool.length * readConfig.hotShare)),
+    };
+}
+
+// ============================================================================
+// LOOKUP SELECTION
+// ============================================================================
+
+/**
+ * Random lower-case hex string
+ * @param {number} length - Number of hex digits
+ * @returns {string} Hex digits
+ */
+function randomHex(length) {
+    let hex = '';
+    for (let i = 0; i < length; i++) {
+        hex += Math.floor(random() * 16).toString(16);
+    }
+    return hex;
+}
+
+/**
+ * Id of a patient that does not exist
+ * @returns {string} Random version 4 GUID
+ */
+function unknownPatientId() {
+    const variant = (8 + Math.floor(random() * 4)).toString(16);
+    return `${randomHex(8)}-${randomHex(4)}-4${randomHex(3)}-${variant}${randomHex(3)}-${randomHex(12)}`;
+}
+
+/**
+ * MRN that is well-formed but never issued
+ * @returns {string} MRN-19000101-XXXXXX, from unassigned-mrns.json with FIXTURE_DIR
+ */
+function unknownMrn() {
+    if (unassignedMrns !== null) {
+        return unassignedMrns[Math.floor(random() * unassignedMrns.length)].mrn;
+    }
+    return `MRN-${UNKNOWN_MRN_DATE}-${String(Math.floor(random() * 1000000)).padStart(6, '0')}`;
+}
+
+/**
+ * Pick a pool patient with hot-patient skew
+ * @param {Array<Object>} pool - Known patients
+ * @param {number} hotCount - Number of hot patients at the front of the pool
+ * @returns {Object} { patient, hot }
+ */
+function pickPoolPatient(pool, hotCount) {
+    const coldCount = pool.length - hotCount;
+    if (coldCount === 0 || random() < readConfig.hotWeight) {
+        return { patient: pool[Math.floor(random() * hotCount)], hot: true };
+    }
+    return { patient: pool[hotCount + Math.floor(random() * coldCount)], hot: false };
+}
+
+// ============================================================================
+// READ SCENARIO
+// ============================================================================
+
+export default function (data) {
+    applyClientPartition();
+
+    const lookup = random() < readConfig.mrnShare ? 'mrn' : 'id';
+    const outcome = random() < readConfig.missRate ? 'miss' : 'hit';
+    const picked = outcome === 'hit' ? pickPoolPatient(data.pool, data.hotCount) : null;
+
+    const routeId = lookup === 'mrn' ? 'patients.byMrn' : 'patients.byId';
+    const params = lookup === 'mrn'
+        ? { mrn: picked ? picked.patient.medicalRecordNumber : unknownMrn() }
+        : { id: picked ? picked.patient.id : unknownPatientId() };
+    const tags = { lookup: lookup, outcome: outcome };
+
+    group(`Patient Read by ${lookup === 'mrn' ? 'MRN' : 'ID'}`, () => {
+        const response = http.get(routeUrl(routeId, params), {
+            headers: getDefaultHeaders(null, data.authToken),
+            tags: Object.assign({ name: routeName(routeId) }, tags),
+        });
+
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+            return;
+        }
+
+        readMetrics.readDuration.add(response.timings.duration, tags);
+
+        if (picked) {
+            readMetrics.hotReads.add(picked.hot ? 1 : 0);
+            const found = check(response, {
+                'Patient read hit: status is 200': (r) => r.status === 200,
+                'Patient read hit: returns the patient': (r) => {
+                    try {
+                        return JSON.parse(r.body).id === picked.patient.id;
+                    } catch {
+                        return false;
+                    }
+                },
+            });
+            readMetrics.hitsFound.add(found ? 1 : 0, tags);
+            if (response.status !== 200) {
+                readMetrics.unexpectedStatus.add(1, Object.assign({ status: String(response.status) }, tags));
+            }
+        } else {
+            const notFound = check(response, { 'Patient read miss: status is 404': (r) => r.status === 404 });
+            readMetrics.missesNotFound.add(notFound ? 1 : 0, tags);
+            if (!notFound) {
+                readMetrics.unexpectedStatus.add(1, Object.assign({ status: String(response.status) }, tags));
+            }
+        }
+    });
+
+    sleep(thinkTime());
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const latencyLines = [];
+    LOOKUPS.forEach((lookup) => {
+        OUTCOMES.forEach((outcome) => {
+            const values = m[`patient_read_duration{lookup:${lookup},outcome:${outcome}}`]?.values;
+            latencyLines.push(`- ${`${lookup} ${outcome}`.padEnd(9)} p50 ${values?.med?.toFixed(2) || 'n/a'}ms  p95 ${values?.['p(95)']?.toFixed(2) || 'n/a'}ms  max ${values?.max?.toFixed(2) || 'n/a'}ms`);
+        });
+    });
+
+    const summary = `
+========================================
+EMR Patient Read-Load Test
+========================================
+
+Pool: ${readConfig.source}, ${readConfig.poolSize} patients requested
+Mix: ${(readConfig.missRate * 100).toFixed(0)}% misses, ${(readConfig.mrnShare * 100).toFixed(0)}% by MRN
+
+Latency by Lookup and Outcome:
+${latencyLines.join('\n')}
+
+Correctness:
+- Hits Found: ${((m.patient_read_hits_found?.values?.rate || 0) * 100).toFixed(2)}%
+- Misses Not Found (404): ${((m.patient_read_misses_not_found?.values?.rate || 0) * 100).toFixed(2)}%
+- Unexpected Status: ${m.patient_read_unexpected_status?.values?.count || 0}
+
+Skew:
+- Hits on Hot Patients: ${((m.patient_read_hot?.values?.rate || 0) * 100).toFixed(2)}%
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'patient-read-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
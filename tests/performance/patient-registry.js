@@ -0,0 +1,100 @@
+/**
+ * EMR Patient Registry
+ *
+ * Hands the patients a write scenario created (id + MRN) to later read
+ * scenarios. k6 VUs cannot write files, so every created patient is logged as
+ * one registry line:
+ *
+ *   PATIENT_REGISTRY run=<runId> id=<guid> mrn=<MRN-YYYYMMDD-XXXXXX> index=<n>
+ *
+ * Values contain no quotes or spaces, so the line survives any k6 log format.
+ * Run the write scenario with --console-output to collect them, then point a
+ * read scenario at that file with PATIENT_REGISTRY_FILE.
+ *
+ * Usage:
+ *   k6 run --console-output=patient-registry.log patient-write-test.js
+ *   recordCreatedPatient(runId, patient, index);                 // write side
+ *   const patients = new SharedArray('patients', () => loadPatientRegistry());   // read side, init context
+ */
+
+// ============================================================================
+// REGISTRY CONFIGURATION
+// ============================================================================
+
+export const registryConfig = {
+    marker: 'PATIENT_REGISTRY',
+    file: __ENV.PATIENT_REGISTRY_FILE || 'patient-registry.log',
+};
+
+/**
+ * MRN format assigned by PatientIdentifier.Generate(): MRN-<UTC date>-<6 random digits>
+ */
+export const MRN_PATTERN = /^MRN-(\d{8})-(\d{6})$/;
+
+const REGISTRY_LINE = /PATIENT_REGISTRY run=(\S+) id=([0-9a-fA-F-]{36}) mrn=(MRN-\d{8}-\d{6}) index=(\d+)/;
+
+// ============================================================================
+// WRITE SIDE
+// ============================================================================
+
+/**
+ * Log a created patient as a registry line
+ * @param {string} runId - Run that created the patient
+ * @param {Object} patient - PatientDto from POST /api/patients
+ * @param {number} index - Generator index the payload was built from
+ */
+export function recordCreatedPatient(runId, patient, index) {
+    console.log(`${registryConfig.marker} run=${runId} id=${patient.id} mrn=${patient.medicalRecordNumber} index=${index}`);
+}
+
+// ============================================================================
+// READ SIDE
+// ============================================================================
+
+/**
+ * Extract registry entries from log text, ignoring every other line
+ * @param {string} text - Console output of a write run
+ * @param {string|null} runId - Only keep this run's patients (null keeps all)
+ * @returns {Array<Object>} [{ runId, id, mrn, index }], one per patient id
+ */
+export function parseRegistry(text, runId = null) {
+    const seen = {};
+    const patients = [];
+
+    for (const line of text.split('\n')) {
+        const match = REGISTRY_LINE.exec(line);
+        if (!match || seen[match[2]] || (runId !== null && match[1] !== runId)) {
+            continue;
+        }
+        seen[match[2]] = true;
+        patients.push({ runId: match[1], id: match[2], mrn: match[3], index: parseInt(match[4]) });
+    }
+
+    return patients;
+}
+
+/**
+ * Load registry entries from a file (init context only - uses open())
+ * @param {string} path - Registry file (defaults to PATIENT_REGISTRY_FILE)
+ * @param {string|null} runId - Only keep this run's patients (defaults to PATIENT_REGISTRY_RUN_ID)
+ * @returns {Array<Object>} [{ runId, id, mrn, index }]
+ */
+export function loadPatientRegistry(path = registryConfig.file, runId = __ENV.PATIENT_REGISTRY_RUN_ID || null) {
+    const patients = parseRegistry(open(path), runId);
+    if (patients.length === 0) {
+        throw new Error(`No ${registryConfig.marker} lines in ${path}. Run patient-write-test.js with --console-output=${path} first.`);
+    }
+    return patients;
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    registryConfig,
+    MRN_PATTERN,
+    recordCreatedPatient,
+    parseRegistry,
+    loadPatientRegistry,
+};
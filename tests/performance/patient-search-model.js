@@ -0,0 +1,269 @@
+/**
+ * EMR Patient Search Query Models
+ *
+ * Pluggable generators of GET /api/patients/search queries. A model is a
+ * function (pageMemory) -> { shape, searchTerm, pageNumber, pageSize }, where
+ * shape names the kind of query so latency can be reported per shape.
+ *
+ * Models (SEARCH_QUERY_MODEL):
+ * - zipf (default): surnames drawn from a Zipf distribution over a ranked
+ *   surname list, mixed with the shapes below by SEARCH_SHAPE_WEIGHTS
+ * - uniform: generatePatientSearchQuery() - uniform surnames, pages 1-5
+ *
+ * Shapes of the zipf model:
+ * - surname:   a whole surname, page 1
+ * - prefix:    the first 2-4 letters of a surname, as typed into a search box
+ * - full_name: "First Last". The repository matches the term against each
+ *   name column separately, so these only match when one column holds both
+ * - diacritic: surnames with accented letters (García, Müller, Nguyễn). The
+ *   search validator only allows ASCII letters, so today these are rejected
+ * - deep_page: a surname paged past page 1, up to the last page the term is
+ *   known to have (see rememberTotalPages)
+ *
+ * Usage:
+ *   const model = getSearchQueryModel();            // from SEARCH_QUERY_MODEL
+ *   const query = model(pageMemory);                // { shape, searchTerm, pageNumber, pageSize }
+ *   rememberTotalPages(pageMemory, query, body);    // after each 200
+ */
+
+import { generatePatientSearchQuery } from './auth-performance-config.js';
+import { random } from './seeded-random.js';
+
+// ============================================================================
+// MODEL CONFIGURATION
+// ============================================================================
+
+export const searchModelConfig = {
+    model: __ENV.SEARCH_QUERY_MODEL || 'zipf',
+    // Zipf exponent s: P(rank r) is proportional to 1 / r^s
+    zipfExponent: parseFloat(__ENV.SEARCH_ZIPF_EXPONENT || '1.07'),
+    shapeWeights: __ENV.SEARCH_SHAPE_WEIGHTS || 'surname:50,prefix:20,full_name:10,diacritic:5,deep_page:15',
+    pageSizes: [10, 20, 25, 50],
+};
+
+export const SEARCH_SHAPES = ['surname', 'prefix', 'full_name', 'diacritic', 'deep_page'];
+
+/**
+ * Result count buckets (on the response's totalCount) for the latency split
+ */
+export const RESULT_COUNT_BUCKETS = ['none', '1-10', '11-100', '101-1000', '1000+'];
+
+/**
+ * Surnames by frequency rank (most common first)
+ */
+const rankedSurnames = [
+    'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis',
+    'Rodriguez', 'Martinez', 'Hernandez', 'Lopez', 'Gonzalez', 'Wilson', 'Anderson',
+    'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee', 'Perez', 'Thompson',
+    'White', 'Harris', 'Sanchez', 'Clark', 'Ramirez', 'Lewis', 'Robinson', 'Walker',
+    'Young', 'Allen', 'King', 'Wright', 'Scott', 'Torres', 'Nguyen', 'Hill', 'Flores',
+    'Green', 'Adams', 'Nelson', 'Baker', 'Hall', 'Rivera', 'Campbell', 'Mitchell',
+    'Carter', 'Roberts',
+];
+
+const firstNames = [
+    'James', 'Mary', 'Robert', 'Patricia', 'John', 'Jennifer', 'Michael', 'Linda',
+    'David', 'Elizabeth', 'William', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica',
+];
+
+const diacriticSurnames = [
+    'García', 'Müller', 'Nguyễn', 'Peña', 'Núñez', 'Öztürk', 'Łukasik', 'Dvořák',
+    'Søndergaard', 'Lefèvre', 'Gómez', 'Håkansson',
+];
+
+// ============================================================================
+// SAMPLING
+// ============================================================================
+
+/**
+ * Cumulative Zipf probabilities over n ranks
+ * @param {number} n - Number of ranks
+ * @param {number} exponent - Zipf exponent s
+ * @returns {Array<number>} CDF, last entry 1
+ */
+function buildZipfCdf(n, exponent) {
+    const weights = [];
+    for (let rank = 1; rank <= n; rank++) {
+        weights.push(1 / Math.pow(rank, exponent));
+    }
+    const total = weights.reduce((sum, w) => sum + w, 0);
+
+    let cumulative = 0;
+    return weights.map((w) => {
+        cumulative += w / total;
+        return cumulative;
+    });
+}
+
+const surnameCdf = buildZipfCdf(rankedSurnames.length, searchModelConfig.zipfExponent);
+const zipfShapeWeights = parseShapeWeights();
+
+/**
+ * Draw a surname, rank 1 most often
+ * @returns {string} Surname
+ */
+export function sampleZipfSurname() {
+    const u = random();
+    const index = surnameCdf.findIndex((p) => u <= p);
+    return rankedSurnames[index === -1 ? rankedSurnames.length - 1 : index];
+}
+
+/**
+ * Parse SEARCH_SHAPE_WEIGHTS
+ * Shapes left out of the variable get weight 0.
+ * @param {string} value - "shape:weight,..."
+ * @returns {Object} { surname: 50, prefix: 20, ... }
+ */
+export function parseShapeWeights(value = searchModelConfig.shapeWeights) {
+    const weights = {};
+    SEARCH_SHAPES.forEach((shape) => {
+        weights[shape] = 0;
+    });
+
+    value.split(',').forEach((entry) => {
+        const [shape, weight] = entry.split(':').map((part) => part.trim());
+        if (!SEARCH_SHAPES.includes(shape) || isNaN(parseFloat(weight)) || parseFloat(weight) < 0) {
+            throw new Error(`Invalid SEARCH_SHAPE_WEIGHTS entry "${entry}". Expected shape:weight with shape in ${SEARCH_SHAPES.join(', ')}`);
+        }
+        weights[shape] = parseFloat(weight);
+    });
+
+    if (Object.values(weights).every((w) => w === 0)) {
+        throw new Error('SEARCH_SHAPE_WEIGHTS gives every shape weight 0.');
+    }
+    return weights;
+}
+
+/**
+ * Pick a key of a weights object in proportion to its weight
+ * @param {Object} weights - { key: weight }
+ * @returns {string} Picked key
+ */
+function pickWeighted(weights) {
+    const total = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    let u = random() * total;
+    for (const key of Object.keys(weights)) {
+        u -= weights[key];
+        if (u < 0) {
+            return key;
+        }
+    }
+    return Object.keys(weights).filter((key) => weights[key] > 0).pop();
+}
+
+/**
+ * Pick one item of a list uniformly
+ * @param {Array} values - Items
+ * @returns {*} Picked item
+ */
+function pickOne(values) {
+    return values[Math.floor(random() * values.length)];
+}
+
+// ============================================================================
+// PAGE MEMORY
+// ============================================================================
+
+/**
+ * Record how many pages a term has, so deep_page queries stay within range
+ * @param {Object} pageMemory - Per-VU map of "term|pageSize" -> total pages
+ * @param {Object} query - Query that was sent
+ * @param {Object} body - PagedResultDto from a 200 response
+ */
+export function rememberTotalPages(pageMemory, query, body) {
+    if (body && typeof body.totalPages === 'number') {
+        pageMemory[`${query.searchTerm}|${query.pageSize}`] = body.totalPages;
+    }
+}
+
+/**
+ * Bucket a result count for reporting
+ * @param {number} totalCount - totalCount of the response
+ * @returns {string} One of RESULT_COUNT_BUCKETS
+ */
+export function resultCountBucket(totalCount) {
+    if (totalCount === 0) {
+        return 'none';
+    }
+    if (totalCount <= 10) {
+        return '1-10';
+    }
+    if (totalCount <= 100) {
+        return '11-100';
+    }
+    return totalCount <= 1000 ? '101-1000' : '1000+';
+}
+
+// ============================================================================
+// QUERY MODELS
+// ============================================================================
+
+/**
+ * Zipf model: Zipf surnames across the weighted query shapes
+ * @param {Object} pageMemory - Per-VU page memory (rememberTotalPages)
+ * @returns {Object} { shape, searchTerm, pageNumber, pageSize }
+ */
+function zipfQueryModel(pageMemory) {
+    const shape = pickWeighted(zipfShapeWeights);
+    const pageSize = pickOne(searchModelConfig.pageSizes);
+    const surname = sampleZipfSurname();
+
+    switch (shape) {
+        case 'prefix':
+            return { shape, searchTerm: surname.slice(0, 2 + Math.floor(random() * 3)), pageNumber: 1, pageSize };
+        case 'full_name':
+            return { shape, searchTerm: `${pickOne(firstNames)} ${surname}`, pageNumber: 1, pageSize };
+        case 'diacritic':
+            return { shape, searchTerm: pickOne(diacriticSurnames), pageNumber: 1, pageSize };
+        case 'deep_page': {
+            // Until a term's page count is known, page 1 finds it out
+            const totalPages = pageMemory[`${surname}|${pageSize}`] || 1;
+            const lastPage = random() < 0.25;
+            const pageNumber = lastPage ? totalPages : 1 + Math.floor(random() * totalPages);
+            return { shape, searchTerm: surname, pageNumber, pageSize };
+        }
+        default:
+            return { shape: 'surname', searchTerm: surname, pageNumber: 1, pageSize };
+    }
+}
+
+/**
+ * Uniform model: the original generatePatientSearchQuery()
+ * @returns {Object} { shape, searchTerm, pageNumber, pageSize }
+ */
+function uniformQueryModel() {
+    return Object.assign({ shape: 'surname' }, generatePatientSearchQuery());
+}
+
+export const searchQueryModels = {
+    zipf: zipfQueryModel,
+    uniform: uniformQueryModel,
+};
+
+/**
+ * Look up a query model by name
+ * @param {string} name - Model name (defaults to SEARCH_QUERY_MODEL)
+ * @returns {Function} (pageMemory) -> query
+ */
+export function getSearchQueryModel(name = searchModelConfig.model) {
+    if (!searchQueryModels[name]) {
+        throw new Error(`Unknown SEARCH_QUERY_MODEL "${name}". Valid: ${Object.keys(searchQueryModels).join(', ')}`);
+    }
+    return searchQueryModels[name];
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    searchModelConfig,
+    SEARCH_SHAPES,
+    RESULT_COUNT_BUCKETS,
+    sampleZipfSurname,
+    parseShapeWeights,
+    rememberTotalPages,
+    resultCountBucket,
+    searchQueryModels,
+    getSearchQueryModel,
+};
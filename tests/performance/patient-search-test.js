@@ -0,0 +1,270 @@
+/**
+ * EMR Patient Search Workload Test
+ *
+ * Realistic search traffic on GET /api/patients/search, generated by a
+ * pluggable query model (patient-search-model.js): Zipf-distributed
+ * surnames, partial prefixes, first-and-last combinations, names with
+ * diacritics and deep paging up to the last page. Latency is reported per
+ * query shape and per result count bucket.
+ *
+ * Rate limiting:
+ * - patient-search (30/min, queue 5) is ONE fixed window for every caller -
+ *   it is not partitioned by IP - so the scenario paces arrivals at
+ *   SEARCH_RATE_PER_MINUTE (default 25) instead of spreading VUs over IPs
+ * - The global limiter (100/min) is per client IP; VUs still get their own
+ *   address (client-ip-pool.js) so it never interferes
+ * Raising SEARCH_RATE_PER_MINUTE past 30 measures the limiter, not search.
+ *
+ * Searches are made by a provisioned Admin user, whose results are not
+ * narrowed to granted patients; the result counts reflect the whole table.
+ *
+ * Usage:
+ *   k6 run patient-search-test.js
+ *   k6 run -e SEARCH_ZIPF_EXPONENT=1.3 -e SEARCH_SHAPE_WEIGHTS=surname:1,deep_page:1 patient-search-test.js
+ *   k6 run -e SEARCH_QUERY_MODEL=uniform patient-search-test.js
+ */
+
+import http from 'k6/http';
+import { check, group } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+    isValidationError,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { provisionPersonaUsers } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import {
+    searchModelConfig,
+    SEARCH_SHAPES,
+    RESULT_COUNT_BUCKETS,
+    getSearchQueryModel,
+    rememberTotalPages,
+    resultCountBucket,
+} from './patient-search-model.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// SEARCH TEST CONFIGURATION
+// ============================================================================
+
+const searchConfig = {
+    ratePerMinute: parseInt(__ENV.SEARCH_RATE_PER_MINUTE || '25'),
+    duration: __ENV.SEARCH_DURATION || '10m',
+    maxVUs: parseInt(__ENV.SEARCH_MAX_VUS || '10'),
+};
+
+const queryModel = getSearchQueryModel();
+
+// ============================================================================
+// CUSTOM METRICS FOR SEARCH
+// ============================================================================
+
+const searchMetrics = {
+    // Tagged with shape and results (RESULT_COUNT_BUCKETS)
+    searchDuration: new Trend('patient_search_duration', true),
+    // Per shape: status 200 with a paged result
+    searchSuccess: new Rate('patient_search_success'),
+    // Per shape: 400 from SearchParameterValidator
+    searchRejected: new Counter('patient_search_rejected'),
+    resultCount: new Trend('patient_search_result_count'),
+    pageDepth: new Trend('patient_search_page_depth'),
+    // Pages requested beyond the last page (empty items, non-zero total)
+    pastLastPage: new Counter('patient_search_past_last_page'),
+};
+
+/**
+ * Per shape and per shape/result-count submetrics for handleSummary
+ * @returns {Object} Thresholds entries
+ */
+function getSearchThresholds() {
+    const thresholds = {};
+    SEARCH_SHAPES.forEach((shape) => {
+        thresholds[`patient_search_duration{shape:${shape}}`] = [`p(95)<${config.thresholds.p95}`];
+        thresholds[`patient_search_rejected{shape:${shape}}`] = ['count>=0'];
+        thresholds[`patient_search_success{shape:${shape}}`] = ['rate>=0'];
+        RESULT_COUNT_BUCKETS.forEach((bucket) => {
+            thresholds[`patient_search_duration{shape:${shape},results:${bucket}}`] = ['p(95)>=0'];
+        });
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        patient_search: {
+            executor: 'constant-arrival-rate',
+            rate: searchConfig.ratePerMinute,
+            timeUnit: '1m',
+            duration: searchConfig.duration,
+            preAllocatedVUs: Math.min(searchConfig.maxVUs, 2),
+            maxVUs: searchConfig.maxVUs,
+            tags: { test_type: 'patient_search' },
+        },
+    },
+
+    thresholds: {
+        'patient_search_duration': [`p(95)<${config.thresholds.p95}`, `p(99)<${config.thresholds.p99}`],
+        'rate_limit_errors': ['rate<0.01'],
+        ...getSearchThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'patient_search_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Patient Search Workload Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Query model: ${searchModelConfig.model}, ${searchConfig.ratePerMinute} searches/min`);
+    if (searchConfig.ratePerMinute > config.rateLimits.patientSearch.permitLimit) {
+        console.warn(`SEARCH_RATE_PER_MINUTE exceeds the patient-search limit (${config.rateLimits.patientSearch.permitLimit}/min); expect 429s.`);
+    }
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.search']);
+
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+    };
+}
+
+// ============================================================================
+// SEARCH SCENARIO
+// ============================================================================
+
+// Per-VU: pages each term is known to have
+const pageMemory = {};
+
+export default function (data) {
+    applyClientPartition();
+
+    const query = queryModel(pageMemory);
+
+    group(`Patient Search (${query.shape})`, () => {
+        const response = http.get(
+            routeUrl('patients.search', {}, {
+                searchTerm: query.searchTerm,
+                pageNumber: query.pageNumber,
+                pageSize: query.pageSize,
+            }),
+            {
+                headers: getDefaultHeaders(null, data.authToken),
+                tags: { name: routeName('patients.search'), shape: query.shape },
+            }
+        );
+
+        metrics.rateLimitErrors.add(isRateLimited(response) ? 1 : 0);
+        if (isRateLimited(response)) {
+            return;
+        }
+
+        if (isValidationError(response)) {
+            searchMetrics.searchRejected.add(1, { shape: query.shape });
+        }
+
+        let body = null;
+        const success = check(response, {
+            'Patient search: status is 200': (r) => r.status === 200,
+            'Patient search: paged result': (r) => {
+                try {
+                    body = JSON.parse(r.body);
+                    return Array.isArray(body.items) && typeof body.totalCount === 'number';
+                } catch {
+                    return false;
+                }
+            },
+        });
+        searchMetrics.searchSuccess.add(success ? 1 : 0, { shape: query.shape });
+
+        if (!success) {
+            return;
+        }
+
+        const bucket = resultCountBucket(body.totalCount);
+        searchMetrics.searchDuration.add(response.timings.duration, { shape: query.shape, results: bucket });
+        searchMetrics.resultCount.add(body.totalCount, { shape: query.shape });
+        searchMetrics.pageDepth.add(query.pageNumber, { shape: query.shape });
+        if (body.items.length === 0 && body.totalCount > 0) {
+            searchMetrics.pastLastPage.add(1, { shape: query.shape });
+        }
+
+        rememberTotalPages(pageMemory, query, body);
+    });
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const ms = (values, stat) => (values && values[stat] !== undefined ? `${values[stat].toFixed(2)}ms` : 'n/a');
+
+    const shapeLines = SEARCH_SHAPES.map((shape) => {
+        const values = m[`patient_search_duration{shape:${shape}}`]?.values;
+        const success = m[`patient_search_success{shape:${shape}}`]?.values?.rate;
+        const rejected = m[`patient_search_rejected{shape:${shape}}`]?.values?.count || 0;
+        const byBucket = RESULT_COUNT_BUCKETS
+            .filter((bucket) => m[`patient_search_duration{shape:${shape},results:${bucket}}`]?.values?.count)
+            .map((bucket) => `    ${bucket.padEnd(9)} p95 ${ms(m[`patient_search_duration{shape:${shape},results:${bucket}}`].values, 'p(95)')} (${m[`patient_search_duration{shape:${shape},results:${bucket}}`].values.count} searches)`);
+
+        return [
+            `- ${shape.padEnd(10)} p50 ${ms(values, 'med')}  p95 ${ms(values, 'p(95)')}  success ${success !== undefined ? (success * 100).toFixed(1) + '%' : 'n/a'}  rejected ${rejected}`,
+            ...byBucket,
+        ].join('\n');
+    });
+
+    const summary = `
+========================================
+EMR Patient Search Workload Test
+========================================
+
+Query Model: ${searchModelConfig.model} (Zipf s=${searchModelConfig.zipfExponent})
+Pacing: ${searchConfig.ratePerMinute} searches/min (patient-search limit ${config.rateLimits.patientSearch.permitLimit}/min)
+
+Latency by Query Shape and Result Count:
+${shapeLines.join('\n')}
+
+Results:
+- Result Count p50/p95: ${m.patient_search_result_count?.values?.med?.toFixed(0) || 'n/a'} / ${m.patient_search_result_count?.values?.['p(95)']?.toFixed(0) || 'n/a'}
+- Deepest Page: ${m.patient_search_page_depth?.values?.max || 'n/a'}
+- Pages Past the Last Page: ${m.patient_search_past_last_page?.values?.count || 0}
+- Rate Limited: ${((m.rate_limit_errors?.values?.rate || 0) * 100).toFixed(2)}%
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'patient-search-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
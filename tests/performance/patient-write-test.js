@@ -0,0 +1,362 @@
+/**
+ * EMR Patient Registration Write-Load Test
+ *
+ * Drives POST /api/patients (RegisterPatientCommand) with synthetic
+ * demographics that cycle through every Gender, Race, Ethnicity,
+ * MaritalStatus and PreferredLanguage value (generateSyntheticDemographics),
+ * and measures:
+ *
+ * - Registration latency and success rate
+ * - MRN assignment: format (MRN-YYYYMMDD-XXXXXX), date part matching the UTC
+ *   registration date, no MRN handed out twice within a VU, and the new MRN
+ *   resolving through GET /api/patients/mrn/{mrn} to the same patient
+ * - Unexpected registration failures. The MRN sequence is 6 random digits
+ *   behind a unique index, so an MRN collision surfaces as the handler's
+ *   generic 400 ("An error occurred while registering the patient...")
+ * - Which enum values the API accepted (per value counts)
+ *
+ * Every created patient is logged as a PATIENT_REGISTRY line (patient-registry.js)
+ * so later read scenarios can load the ids and MRNs. With FIXTURE_DIR the
+ * payloads come from the seeded patients.json (fixtures.js) instead; the
+ * registry index modulo the fixture count is the fixture a patient came from.
+ *
+ * Writes are made by a provisioned Nurse user and carry a per-VU CSRF session.
+ *
+ * Usage:
+ *   k6 run --console-output=patient-registry.log patient-write-test.js
+ *   k6 run -e PATIENT_WRITE_VUS=20 -e PATIENT_WRITE_DURATION=10m patient-write-test.js
+ *   k6 run -e FIXTURE_DIR=fixtures --console-output=patient-registry.log patient-write-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    patientEnums,
+    generateSyntheticPatient,
+    getDefaultHeaders,
+    isRateLimited,
+    thinkTime,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { provisionPersonaUsers } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { MRN_PATTERN, recordCreatedPatient } from './patient-registry.js';
+import { fixturesEnabled, loadFixture } from './fixtures.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// WRITE TEST CONFIGURATION
+// ============================================================================
+
+const writeConfig = {
+    vus: parseInt(__ENV.PATIENT_WRITE_VUS || '10'),
+    duration: __ENV.PATIENT_WRITE_DURATION || '5m',
+    // Fixed per run to tell registry lines apart; defaults to the setup time
+    runId: __ENV.PATIENT_WRITE_RUN_ID || null,
+};
+
+// Body of the handler's catch-all failure (e.g. a unique-index violation on the MRN)
+const UNEXPECTED_FAILURE_MESSAGE = 'An error occurred while registering the patient';
+
+// Enum fields whose per-value coverage is reported
+const ENUM_FIELDS = ['gender', 'race', 'ethnicity', 'maritalStatus', 'preferredLanguage'];
+
+// Seeded payloads from tools/generate-fixtures.js when FIXTURE_DIR is set (cycled by index)
+const fixturePatients = fixturesEnabled() ? loadFixture('patients.json') : null;
+
+// ============================================================================
+// CUSTOM METRICS FOR PATIENT WRITES
+// ============================================================================
+
+const writeMetrics = {
+    registrationDuration: new Trend('patient_registration_duration', true),
+    registrationSuccess: new Rate('patient_registration_success'),
+    created: new Counter('patient_registration_created'),
+    unexpectedFailures: new Counter('patient_registration_unexpected_failures'),
+    mrnFormatValid: new Rate('mrn_format_valid'),
+    mrnDateMatches: new Rate('mrn_date_matches'),
+    mrnDuplicates: new Counter('mrn_duplicates'),
+    mrnLookupDuration: new Trend('mrn_lookup_duration', true),
+    mrnLookupSuccess: new Rate('mrn_lookup_success'),
+    // One sample per accepted registration, tagged with field and value
+    enumValues: new Counter('patient_enum_values'),
+};
+
+/**
+ * Per-value submetrics so handleSummary can report enum coverage
+ * @returns {Object} Thresholds entries
+ */
+function getEnumCoverageThresholds() {
+    const thresholds = {};
+    ENUM_FIELDS.forEach((field) => {
+        Object.values(patientEnums[field]).forEach((value) => {
+            thresholds[`patient_enum_values{field:${field},value:${value}}`] = ['count>=0'];
+        });
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        patient_writes: {
+            executor: 'constant-vus',
+            vus: writeConfig.vus,
+            duration: writeConfig.duration,
+            tags: { test_type: 'patient_write' },
+        },
+    },
+
+    thresholds: {
+        'patient_registration_duration': ['p(95)<1000'],
+        'patient_registration_success': ['rate>0.99'],
+        'patient_registration_unexpected_failures': ['count==0'],
+        'mrn_format_valid': ['rate==1'],
+        'mrn_date_matches': ['rate==1'],
+        'mrn_duplicates': ['count==0'],
+        'mrn_lookup_duration': [`p(95)<${config.thresholds.p95}`],
+        'mrn_lookup_success': ['rate>0.99'],
+        ...getEnumCoverageThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'patient_write_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    const runId = writeConfig.runId || randomConfig.runId;
+
+    console.log('Starting EMR Patient Registration Write-Load Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Run ID: ${runId} (registry lines: PATIENT_REGISTRY run=${runId})`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create', 'patients.byMrn']);
+
+    // Registering patients needs the Admin, Doctor or Nurse role; a Nurse is the usual registrar
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Nurse']);
+
+    return {
+        startTime: Date.now(),
+        runId: runId,
+        authToken: users.Nurse.token,
+    };
+}
+
+// ============================================================================
+// WRITE SCENARIO
+// ============================================================================
+
+// Per-VU state: the MRNs this VU has been given
+const seenMrns = {};
+
+/**
+ * UTC date as YYYYMMDD
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} Date part of an MRN issued at that time
+ */
+function mrnDate(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Check the MRN a registration was given
+ * @param {string} mrn - Assigned MRN
+ * @param {number} requestStart - Request start (ms)
+ * @param {number} requestEnd - Request end (ms)
+ */
+function checkMrnAssignment(mrn, requestStart, requestEnd) {
+    const match = MRN_PATTERN.exec(mrn || '');
+    writeMetrics.mrnFormatValid.add(match ? 1 : 0);
+    if (!match) {
+        return;
+    }
+
+    // A request can straddle UTC midnight, so either day is accepted
+    writeMetrics.mrnDateMatches.add(match[1] === mrnDate(requestStart) || match[1] === mrnDate(requestEnd) ? 1 : 0);
+
+    if (seenMrns[mrn]) {
+        writeMetrics.mrnDuplicates.add(1);
+        console.error(`MRN ${mrn} was assigned twice (patients ${seenMrns[mrn]} and this one)`);
+    }
+}
+
+export default function (data) {
+    applyClientPartition();
+
+    // Unique across VUs, so the enum cycle covers every value early in the run
+    const index = exec.scenario.iterationInTest;
+    const payload = fixturePatients !== null
+        ? fixturePatients[index % fixturePatients.length].payload
+        : generateSyntheticPatient('Load', {}, index);
+
+    let patient = null;
+
+    group('Register Patient', () => {
+        const csrfSession = csrfSessionFor(data.authToken);
+        ensureCsrfSession(csrfSession);
+
+        const requestStart = Date.now();
+        const response = http.post(routeUrl('patients.create'), JSON.stringify(payload),
+            csrfRequestParams(csrfSession, data.authToken, { name: routeName('patients.create') }));
+        const requestEnd = Date.now();
+
+        // Rate limiter rejections say nothing about registration
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+            return;
+        }
+
+        writeMetrics.registrationDuration.add(response.timings.duration);
+
+        try {
+            patient = response.status === 201 ? JSON.parse(response.body) : null;
+        } catch {
+            patient = null;
+        }
+
+        const created = check(response, {
+            'Register patient: status is 201': (r) => r.status === 201,
+            'Register patient: returns id and MRN': () => patient !== null && !!patient.id && !!patient.medicalRecordNumber,
+        });
+        writeMetrics.registrationSuccess.add(created ? 1 : 0);
+
+        if (!created) {
+            patient = null;
+            if (response.status === 400 && (response.body || '').includes(UNEXPECTED_FAILURE_MESSAGE)) {
+                writeMetrics.unexpectedFailures.add(1);
+            }
+            return;
+        }
+
+        writeMetrics.created.add(1);
+        ENUM_FIELDS.forEach((field) => {
+            writeMetrics.enumValues.add(1, { field: field, value: String(payload[field]) });
+        });
+
+        checkMrnAssignment(patient.medicalRecordNumber, requestStart, requestEnd);
+        seenMrns[patient.medicalRecordNumber] = patient.id;
+        recordCreatedPatient(data.runId, patient, index);
+    });
+
+    if (patient !== null) {
+        group('Resolve MRN', () => {
+            const response = http.get(routeUrl('patients.byMrn', { mrn: patient.medicalRecordNumber }), {
+                headers: getDefaultHeaders(null, data.authToken),
+                tags: { name: routeName('patients.byMrn') },
+            });
+
+            if (isRateLimited(response)) {
+                metrics.rateLimitErrors.add(1);
+                return;
+            }
+
+            writeMetrics.mrnLookupDuration.add(response.timings.duration);
+            const resolved = check(response, {
+                'Resolve MRN: status is 200': (r) => r.status === 200,
+                'Resolve MRN: same patient': (r) => {
+                    try {
+                        return JSON.parse(r.body).id === patient.id;
+                    } catch {
+                        return false;
+                    }
+                },
+            });
+            writeMetrics.mrnLookupSuccess.add(resolved ? 1 : 0);
+        });
+    }
+
+    sleep(thinkTime());
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+/**
+ * Accepted values per enum field
+ * @param {Object} data - k6 summary data
+ * @returns {Array<Object>} [{ field, covered, total, missing }]
+ */
+function buildEnumCoverage(data) {
+    return ENUM_FIELDS.map((field) => {
+        const names = Object.keys(patientEnums[field]);
+        const missing = names.filter((name) =>
+            (data.metrics[`patient_enum_values{field:${field},value:${patientEnums[field][name]}}`]?.values?.count || 0) === 0
+        );
+        return { field: field, covered: names.length - missing.length, total: names.length, missing: missing };
+    });
+}
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const runId = data.setup_data?.runId || writeConfig.runId || 'n/a';
+    const created = m.patient_registration_created?.values?.count || 0;
+    const coverage = buildEnumCoverage(data);
+
+    // Expected MRN collisions among this run's patients alone (birthday bound over
+    // 10^6 sequences per day); patients registered earlier the same day add to it
+    const expectedCollisions = (created * (created - 1)) / 2 / 1000000;
+
+    const coverageLines = coverage.map((c) =>
+        `- ${c.field.padEnd(18)} ${c.covered}/${c.total}${c.missing.length > 0 ? ` (missing: ${c.missing.join(', ')})` : ''}`
+    );
+
+    const summary = `
+========================================
+EMR Patient Registration Write-Load Test
+========================================
+
+Run ID: ${runId}
+
+Registration:
+- Patients Created: ${created}
+- Success Rate: ${((m.patient_registration_success?.values?.rate || 0) * 100).toFixed(2)}%
+- Latency p95: ${m.patient_registration_duration?.values?.['p(95)']?.toFixed(2) || 'n/a'}ms
+- Unexpected Failures: ${m.patient_registration_unexpected_failures?.values?.count || 0}
+
+MRN Assignment:
+- Format Valid: ${((m.mrn_format_valid?.values?.rate || 0) * 100).toFixed(2)}%
+- Date Part Matches UTC Day: ${((m.mrn_date_matches?.values?.rate || 0) * 100).toFixed(2)}%
+- Duplicates Within a VU: ${m.mrn_duplicates?.values?.count || 0}
+- Expected Collisions (this run): ${expectedCollisions.toFixed(3)}
+- Resolvable by MRN: ${((m.mrn_lookup_success?.values?.rate || 0) * 100).toFixed(2)}% (p95 ${m.mrn_lookup_duration?.values?.['p(95)']?.toFixed(2) || 'n/a'}ms)
+
+Enum Coverage (accepted registrations):
+${coverageLines.join('\n')}
+
+Created patients are logged as "PATIENT_REGISTRY run=${runId} ..." lines.
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'patient-write-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
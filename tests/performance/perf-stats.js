@@ -0,0 +1,218 @@
+/**
+ * EMR Performance Test Statistics Helpers
+ *
+ * Small, dependency-free statistics used by scenarios that need more than
+ * k6's built-in trend aggregates - e.g. comparing two latency distributions
+ * collected inside a single VU.
+ *
+ * All functions take plain arrays of numbers (typically durations in ms).
+ */
+
+// ============================================================================
+// DESCRIPTIVE STATISTICS
+// ============================================================================
+
+/**
+ * Arithmetic mean
+ * @param {Array<number>} values - Samples
+ * @returns {number} Mean (NaN for an empty array)
+ */
+export function mean(values) {
+    if (values.length === 0) {
+        return NaN;
+    }
+    return values.reduce((sum, v) => sum + v, 0) / values.length;
+}
+
+/**
+ * Percentile using linear interpolation between closest ranks
+ * @param {Array<number>} values - Samples
+ * @param {number} p - Percentile in [0, 100]
+ * @returns {number} Percentile value (NaN for an empty array)
+ */
+export function percentile(values, p) {
+    if (values.length === 0) {
+        return NaN;
+    }
+
+    const sorted = [...values].sort((a, b) => a - b);
+    const position = (p / 100) * (sorted.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Median
+ * @param {Array<number>} values - Samples
+ * @returns {number} Median (NaN for an empty array)
+ */
+export function median(values) {
+    return percentile(values, 50);
+}
+
+// ============================================================================
+// DISTRIBUTIONS
+// ============================================================================
+
+/**
+ * Standard normal cumulative distribution function
+ * Abramowitz & Stegun 7.1.26 approximation of erf (max error ~1.5e-7).
+ * @param {number} z - Z score
+ * @returns {number} P(Z <= z)
+ */
+export function normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+
+    return z >= 0 ? 0.5 * (1 + erf) : 0.5 * (1 - erf);
+}
+
+// ============================================================================
+// HYPOTHESIS TESTS
+// ============================================================================
+
+/**
+ * Mann-Whitney U test (two-sided, normal approximation with tie correction)
+ * Non-parametric, so it suits skewed latency distributions.
+ * @param {Array<number>} a - First sample
+ * @param {Array<number>} b - Second sample
+ * @returns {Object} { u, z, pValue, probabilityOfSuperiority } where
+ *   probabilityOfSuperiority is P(a > b) + 0.5 * P(a == b)
+ */
+export function mannWhitneyU(a, b) {
+    const n1 = a.length;
+    const n2 = b.length;
+
+    if (n1 === 0 || n2 === 0) {
+        return { u: NaN, z: NaN, pValue: NaN, probabilityOfSuperiority: NaN };
+    }
+
+    const combined = a.map((v) => ({ v: v, group: 0 }))
+        .concat(b.map((v) => ({ v: v, group: 1 })))
+        .sort((x, y) => x.v - y.v);
+    const n = combined.length;
+
+    // Average ranks for ties, and the tie correction term sum(t^3 - t)
+    let tieTerm = 0;
+    let i = 0;
+    while (i < n) {
+        let j = i;
+        while (j + 1 < n && combined[j + 1].v === combined[i].v) {
+            j++;
+        }
+        const rank = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) {
+            combined[k].rank = rank;
+        }
+        const ties = j - i + 1;
+        tieTerm += ties * ties * ties - ties;
+        i = j + 1;
+    }
+
+    const rankSumA = combined.filter((c) => c.group === 0).reduce((sum, c) => sum + c.rank, 0);
+    const uA = rankSumA - (n1 * (n1 + 1)) / 2;
+    const uB = n1 * n2 - uA;
+
+    const meanU = (n1 * n2) / 2;
+    const sigma = Math.sqrt(((n1 * n2) / 12) * ((n + 1) - tieTerm / (n * (n - 1))));
+
+    // Continuity-corrected z
+    const z = sigma === 0 ? 0 : (Math.abs(uA - meanU) - 0.5) / sigma * Math.sign(uA - meanU);
+    const pValue = sigma === 0 ? 1 : Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+
+    return {
+        u: Math.min(uA, uB),
+        z: z,
+        pValue: pValue,
+        probabilityOfSuperiority: uA / (n1 * n2),
+    };
+}
+
+// ============================================================================
+// RESAMPLING
+// ============================================================================
+
+/**
+ * Percentile bootstrap confidence interval for a statistic of one sample
+ * Makes no distribution assumption, so it suits skewed latency data. Pass a
+ * seeded generator (seeded-random.js) to make the interval reproducible.
+ * @param {Array<number>} values - Samples
+ * @param {Function} statistic - (values) => number, e.g. median
+ * @param {Function} random - () => float in [0, 1)
+ * @param {Object} options - { resamples = 2000, confidence = 0.95 }
+ * @returns {Object} { estimate, lower, upper } (NaN for an empty array)
+ */
+export function bootstrapCi(values, statistic, random, options = {}) {
+    const resamples = options.resamples || 2000;
+    const confidence = options.confidence || 0.95;
+
+    if (values.length === 0) {
+        return { estimate: NaN, lower: NaN, upper: NaN };
+    }
+
+    const estimates = [];
+    const resample = new Array(values.length);
+    for (let r = 0; r < resamples; r++) {
+        for (let i = 0; i < values.length; i++) {
+            resample[i] = values[Math.floor(random() * values.length)];
+        }
+        estimates.push(statistic(resample));
+    }
+
+    const alpha = (1 - confidence) / 2;
+    return {
+        estimate: statistic(values),
+        lower: percentile(estimates, alpha * 100),
+        upper: percentile(estimates, (1 - alpha) * 100),
+    };
+}
+
+// ============================================================================
+// REGRESSION
+// ============================================================================
+
+/**
+ * Ordinary least-squares line through (x, y) points
+ * @param {Array<number>} xs - X values
+ * @param {Array<number>} ys - Y values (same length)
+ * @returns {Object} { slope, intercept, predict(x) } (NaN slope/intercept
+ *   for fewer than two points or identical x values)
+ */
+export function linearFit(xs, ys) {
+    const n = Math.min(xs.length, ys.length);
+    const meanX = mean(xs.slice(0, n));
+    const meanY = mean(ys.slice(0, n));
+
+    let sxy = 0;
+    let sxx = 0;
+    for (let i = 0; i < n; i++) {
+        sxy += (xs[i] - meanX) * (ys[i] - meanY);
+        sxx += (xs[i] - meanX) * (xs[i] - meanX);
+    }
+
+    const slope = n < 2 || sxx === 0 ? NaN : sxy / sxx;
+    const intercept = meanY - slope * meanX;
+
+    return {
+        slope: slope,
+        intercept: intercept,
+        predict: (x) => intercept + slope * x,
+    };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    mean,
+    percentile,
+    median,
+    normalCdf,
+    mannWhitneyU,
+    bootstrapCi,
+    linearFit,
+};
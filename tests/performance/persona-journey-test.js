@@ -0,0 +1,238 @@
+/**
+ * EMR Role Persona Journey Test
+ *
+ * Runs the Patient, Doctor, Nurse, Staff and Admin persona journeys from
+ * personas/ side by side, each as its own scenario with VUs split by
+ * PERSONA_WEIGHTS. Every journey is one transaction on real routes (search,
+ * open by id, open by MRN, update demographics, view roles, audit review) with
+ * per-persona transaction metrics and thresholds.
+ *
+ * setup() provisions one real user per persona (permission checks read the
+ * Users table) and seeds a worklist of synthetic patients, including one
+ * record owned by the Patient persona.
+ *
+ * Usage:
+ *   k6 run persona-journey-test.js
+ *   k6 run -e PERSONA_VUS=40 -e PERSONA_WEIGHTS=Doctor:3,Nurse:2,Admin:1 persona-journey-test.js
+ */
+
+import http from 'k6/http';
+import { check } from 'k6';
+import { config } from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import {
+    personas,
+    parsePersonaWeights,
+    allocatePersonaVUs,
+    provisionPersonaUsers,
+    seedWorklist,
+} from './personas/index.js';
+import { journeyRoutes } from './personas/persona-common.js';
+import { routeUrl, checkRouteContract } from './route-manifest.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// PERSONA TEST CONFIGURATION
+// ============================================================================
+
+const personaTestConfig = {
+    totalVUs: parseInt(__ENV.PERSONA_VUS || '20'),
+    duration: __ENV.PERSONA_DURATION || '10m',
+    worklistSize: parseInt(__ENV.PERSONA_WORKLIST_SIZE || '10'),
+};
+
+const personaWeights = parsePersonaWeights();
+const personaVUs = allocatePersonaVUs(personaTestConfig.totalVUs, personaWeights);
+
+/**
+ * One constant-VU scenario per weighted persona
+ * @returns {Object} Scenarios object for k6 options
+ */
+function buildPersonaScenarios() {
+    const scenarios = {};
+    Object.keys(personaVUs).forEach((name) => {
+        scenarios[`persona_${name.toLowerCase()}`] = {
+            executor: 'constant-vus',
+            vus: personaVUs[name],
+            duration: personaTestConfig.duration,
+            exec: `${name.toLowerCase()}Journey`,
+            tags: { test_type: 'persona_journey', persona: name },
+        };
+    });
+    return scenarios;
+}
+
+/**
+ * Transaction thresholds of every weighted persona
+ * @returns {Object} Thresholds object for k6 options
+ */
+function buildPersonaThresholds() {
+    const thresholds = {};
+    Object.keys(personaVUs).forEach((name) => {
+        Object.assign(thresholds, personas[name].thresholds);
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: buildPersonaScenarios(),
+
+    thresholds: buildPersonaThresholds(),
+
+    // Provisioning and seeding wait out the auth limiter (10 per 5 minutes)
+    setupTimeout: '15m',
+
+    tags: {
+        test_name: 'persona_journey_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Role Persona Journey Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Persona VUs: ${Object.keys(personaVUs).map((name) => `${name}=${personaVUs[name]}`).join(', ')}`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    // Provisioning and seeding routes plus every journey step
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create'].concat(journeyRoutes));
+
+    // The Admin user seeds the worklist, so it is provisioned even when unweighted
+    const names = Object.keys(personaVUs);
+    if (!names.includes('Admin')) {
+        names.push('Admin');
+    }
+
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, names);
+    console.log(`Provisioned persona users: ${names.join(', ')}`);
+
+    const seeded = seedWorklist(
+        users.Admin.token,
+        personaTestConfig.worklistSize,
+        users.Patient ? users.Patient.email : null
+    );
+    console.log(`Seeded ${seeded.worklist.length} worklist patients${seeded.ownPatient ? ' plus the Patient persona record' : ''}.`);
+
+    return {
+        startTime: Date.now(),
+        users: users,
+        worklist: seeded.worklist,
+        ownPatient: seeded.ownPatient,
+    };
+}
+
+// ============================================================================
+// PERSONA SCENARIOS
+// ============================================================================
+
+/**
+ * Build the journey context for a persona from setup data
+ * @param {string} name - Persona name
+ * @param {Object} data - Setup data
+ * @returns {Object} Journey context
+ */
+function personaContext(name, data) {
+    return {
+        token: data.users[name].token,
+        user: data.users[name],
+        worklist: data.worklist,
+        ownPatient: data.ownPatient,
+    };
+}
+
+/**
+ * Run one journey for a persona
+ */
+function runPersona(name, data) {
+    applyClientPartition();
+    personas[name].journey(personaContext(name, data));
+}
+
+export function patientJourney(data) {
+    runPersona('Patient', data);
+}
+
+export function doctorJourney(data) {
+    runPersona('Doctor', data);
+}
+
+export function nurseJourney(data) {
+    runPersona('Nurse', data);
+}
+
+export function staffJourney(data) {
+    runPersona('Staff', data);
+}
+
+export function adminJourney(data) {
+    runPersona('Admin', data);
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR Role Persona Journey Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log(`Worklist Patients: ${data.worklist.length}`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const lines = Object.keys(personaVUs).map((name) => {
+        const key = name.toLowerCase();
+        const duration = data.metrics[`persona_${key}_transaction_duration`]?.values;
+        const success = data.metrics[`persona_${key}_transaction_success`]?.values;
+        if (!duration) {
+            return `- ${name.padEnd(8)} no transactions`;
+        }
+        return `- ${name.padEnd(8)} ${String(personaVUs[name]).padStart(3)} VUs  ` +
+            `${String(success ? success.passes + success.fails : 0).padStart(6)} transactions  ` +
+            `p95 ${duration['p(95)'].toFixed(2)}ms  success ${((success?.rate || 0) * 100).toFixed(2)}%`;
+    });
+
+    const summary = `
+========================================
+EMR Role Persona Journey Test
+========================================
+
+Weights: ${Object.keys(personaWeights).map((name) => `${name}:${personaWeights[name]}`).join(', ')}
+
+Transactions by Persona:
+${lines.join('\n')}
+
+- Rate Limited Requests: ${data.metrics.rate_limit_errors?.values?.passes || 0}
+- Total HTTP Requests: ${data.metrics.http_reqs?.values?.count || 0}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'persona-journey-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,57 @@
+/**
+ * Admin Persona
+ *
+ * A compliance administrator: reviews role permissions, finds a patient,
+ * opens the chart and reviews who accessed it (audit events, trail and
+ * access summary). Audit and role endpoints are Admin-only.
+ */
+
+import {
+    createPersonaMetrics,
+    getPersonaThresholds,
+    beginJourney,
+    endJourney,
+    pause,
+    pickWorklistPatient,
+    searchPatients,
+    openPatientById,
+    viewRoles,
+    reviewPatientAudit,
+} from './persona-common.js';
+
+const name = 'Admin';
+
+// Audit trail queries are the slowest reads in the journey
+const targets = { p95: 5000, p99: 8000, successRate: 0.99 };
+
+const personaMetrics = createPersonaMetrics(name);
+
+/**
+ * Access review: roles → search → open by id → audit review
+ * @param {Object} context - Persona context from setup
+ */
+export function journey(context) {
+    const j = beginJourney(adminPersona, context);
+    const target = pickWorklistPatient(j);
+
+    viewRoles(j, [200]);
+    pause();
+    searchPatients(j, target.lastName);
+    pause();
+    openPatientById(j, target.id, [200]);
+    pause();
+    reviewPatientAudit(j, target.id, [200]);
+
+    endJourney(j);
+}
+
+export const adminPersona = {
+    name: name,
+    roleCode: 1, // UserRole.Admin
+    defaultWeight: 5,
+    metrics: personaMetrics,
+    thresholds: getPersonaThresholds(name, targets),
+    journey: journey,
+};
+
+export default adminPersona;
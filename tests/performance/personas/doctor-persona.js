@@ -0,0 +1,61 @@
+/**
+ * Doctor Persona
+ *
+ * A physician working a patient from the worklist: search, open the chart by
+ * id and by MRN, correct the demographics, then check their own profile.
+ * Without a resource grant the by-id read returns 404, which is expected.
+ */
+
+import {
+    createPersonaMetrics,
+    getPersonaThresholds,
+    beginJourney,
+    endJourney,
+    pause,
+    pickWorklistPatient,
+    viewOwnProfile,
+    searchPatients,
+    openPatientById,
+    openPatientByMrn,
+    updateDemographics,
+} from './persona-common.js';
+
+const name = 'Doctor';
+
+const targets = { p95: 3000, p99: 5000, successRate: 0.99 };
+
+const personaMetrics = createPersonaMetrics(name);
+
+/**
+ * Chart review: search → open by id → open by MRN → update demographics → profile
+ * @param {Object} context - Persona context from setup
+ */
+export function journey(context) {
+    const j = beginJourney(doctorPersona, context);
+    const target = pickWorklistPatient(j);
+
+    searchPatients(j, target.lastName);
+    pause();
+    openPatientById(j, target.id, [200, 404]);
+    pause();
+    const chart = openPatientByMrn(j, target.medicalRecordNumber, [200]);
+    pause();
+    if (chart !== null) {
+        updateDemographics(j, chart, [200]);
+        pause();
+    }
+    viewOwnProfile(j);
+
+    endJourney(j);
+}
+
+export const doctorPersona = {
+    name: name,
+    roleCode: 2, // UserRole.Doctor
+    defaultWeight: 20,
+    metrics: personaMetrics,
+    thresholds: getPersonaThresholds(name, targets),
+    journey: journey,
+};
+
+export default doctorPersona;
@@ -0,0 +1,234 @@
+/**
+ * EMR Role Personas
+ *
+ * Registry of the persona modules plus the setup() helpers they need:
+ * - parsePersonaWeights(): PERSONA_WEIGHTS, e.g. "Patient:50,Doctor:20,Nurse:15,Staff:10,Admin:5"
+ * - provisionTestUsers(): registers test users and issues tokens carrying
+ *   their database id, because the API looks every caller up in the Users table
+ * - provisionPersonaUsers(): provisionTestUsers() for one user per persona
+ * - seedWorklist(): creates the synthetic patients journeys work on,
+ *   including one owned by the Patient persona (email match)
+ *
+ * Usage:
+ *   import { personas, parsePersonaWeights } from './personas/index.js';
+ *   personas.Doctor.journey(context);
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import {
+    config,
+    metrics,
+    generateTestUser,
+    generateSyntheticPatient,
+    isRateLimited,
+} from '../auth-performance-config.js';
+import { issueTestToken } from '../auth-token-factory.js';
+import { fixtureUser } from '../fixtures.js';
+import { createCsrfSession, ensureCsrfSession, csrfRequestParams } from '../csrf-session.js';
+import { routeUrl, routeName } from '../route-manifest.js';
+import { patientPersona } from './patient-persona.js';
+import { doctorPersona } from './doctor-persona.js';
+import { nursePersona } from './nurse-persona.js';
+import { staffPersona } from './staff-persona.js';
+import { adminPersona } from './admin-persona.js';
+
+// ============================================================================
+// PERSONA REGISTRY
+// ============================================================================
+
+export const personas = {
+    Patient: patientPersona,
+    Doctor: doctorPersona,
+    Nurse: nursePersona,
+    Staff: staffPersona,
+    Admin: adminPersona,
+};
+
+/**
+ * Parse persona weights from PERSONA_WEIGHTS, falling back to each module's default
+ * Personas left out of the variable get weight 0.
+ * @param {string} value - "Name:weight,..." (optional)
+ * @returns {Object} { Patient: 50, Doctor: 20, ... }
+ */
+export function parsePersonaWeights(value = __ENV.PERSONA_WEIGHTS) {
+    const weights = {};
+
+    if (!value) {
+        Object.keys(personas).forEach((name) => {
+            weights[name] = personas[name].defaultWeight;
+        });
+        return weights;
+    }
+
+    Object.keys(personas).forEach((name) => {
+        weights[name] = 0;
+    });
+    value.split(',').forEach((entry) => {
+        const [name, weight] = entry.split(':').map((part) => part.trim());
+        if (!personas[name] || isNaN(parseFloat(weight)) || parseFloat(weight) < 0) {
+            throw new Error(`Invalid PERSONA_WEIGHTS entry "${entry}". Expected Name:weight with Name in ${Object.keys(personas).join(', ')}`);
+        }
+        weights[name] = parseFloat(weight);
+    });
+
+    return weights;
+}
+
+/**
+ * Split a VU budget across personas by weight (every weighted persona gets at least one)
+ * @param {number} totalVUs - VU budget
+ * @param {Object} weights - From parsePersonaWeights()
+ * @returns {Object} { Patient: 10, Doctor: 4, ... } (weight-0 personas omitted)
+ */
+export function allocatePersonaVUs(totalVUs, weights) {
+    const totalWeight = Object.values(weights).reduce((sum, w) => sum + w, 0);
+    if (totalWeight === 0) {
+        throw new Error('PERSONA_WEIGHTS gives every persona weight 0.');
+    }
+
+    const allocation = {};
+    Object.keys(weights).forEach((name) => {
+        if (weights[name] > 0) {
+            allocation[name] = Math.max(1, Math.round(totalVUs * weights[name] / totalWeight));
+        }
+    });
+    return allocation;
+}
+
+// ============================================================================
+// SETUP HELPERS
+// ============================================================================
+
+/**
+ * POST with a CSRF session, waiting out the auth limiter on 429
+ * @returns {Response} Last response
+ */
+function postWithCsrf(routeId, payload, csrfSession, authToken) {
+    let response = null;
+    for (let attempt = 1; attempt <= 3; attempt++) {
+        ensureCsrfSession(csrfSession);
+        response = http.post(routeUrl(routeId), JSON.stringify(payload),
+            csrfRequestParams(csrfSession, authToken, { name: routeName(routeId) }));
+        if (!isRateLimited(response)) {
+            break;
+        }
+        metrics.rateLimitErrors.add(1);
+        let retryAfter = config.rateLimits.auth.windowSeconds;
+        try {
+            retryAfter = JSON.parse(response.body).retryAfter || retryAfter;
+        } catch {
+            // Keep the full window
+        }
+        sleep(retryAfter);
+    }
+    return response;
+}
+
+/**
+ * Register test users and issue tokens carrying their database id
+ * Registration only checks the caller's Admin role claim, so a factory-issued
+ * bootstrap token can create Doctor/Nurse/Staff/Admin users. Uses one auth
+ * limiter permit per user plus one for the CSRF token; the limiter is global,
+ * so large pools spend whole windows waiting (raise setupTimeout).
+ * @param {Object} signingContext - From initTokenFactory()
+ * @param {Array<Object>} users - From buildTestUsers() / fixtureUser()
+ * @returns {Array<Object>} [{ id, email, token }] in the order of users
+ */
+export function provisionTestUsers(signingContext, users) {
+    const bootstrapToken = issueTestToken(signingContext, generateTestUser('Admin', 9999), { unregistered: true });
+    const csrfSession = createCsrfSession(bootstrapToken);
+    const provisioned = [];
+
+    for (let i = 0; i < users.length; i++) {
+        const user = users[i];
+        const role = user.roles[0];
+        const response = postWithCsrf('auth.register', {
+            email: user.email,
+            firstName: user.firstName,
+            lastName: user.lastName,
+            azureAdB2CId: user.azureAdB2CId,
+            roles: [personas[role].roleCode],
+        }, csrfSession, bootstrapToken);
+
+        let id = null;
+        try {
+            id = JSON.parse(response.body).id || null;
+        } catch {
+            // Handled below
+        }
+        if (!check(response, { [`Provision ${role} user: status is 201`]: (r) => r.status === 201 && id !== null })) {
+            throw new Error(`Provisioning ${role} user ${user.email} failed with ${response.status}: ${response.body}`);
+        }
+
+        provisioned.push({
+            id: id,
+            email: user.email,
+            token: issueTestToken(signingContext, user, { userId: id }),
+        });
+    }
+
+    return provisioned;
+}
+
+/**
+ * Register one user per persona (see provisionTestUsers())
+ * @param {Object} signingContext - From initTokenFactory()
+ * @param {Array<string>} names - Personas to provision
+ * @returns {Object} { Patient: { id, email, token }, ... }
+ */
+export function provisionPersonaUsers(signingContext, names) {
+    const provisioned = provisionTestUsers(signingContext, names.map((name, index) => fixtureUser(name, index)));
+    const users = {};
+
+    names.forEach((name, index) => {
+        users[name] = provisioned[index];
+    });
+
+    return users;
+}
+
+/**
+ * Create the synthetic patients journeys work on
+ * @param {string} adminToken - Token of a provisioned Admin user
+ * @param {number} count - Worklist size
+ * @param {string|null} ownerEmail - Email of the Patient persona user (gets one extra record)
+ * @returns {Object} { worklist: [{ id, medicalRecordNumber, lastName }], ownPatient }
+ */
+export function seedWorklist(adminToken, count, ownerEmail) {
+    const csrfSession = createCsrfSession(adminToken);
+    const worklist = [];
+    let ownPatient = null;
+
+    const create = (overrides) => {
+        const response = postWithCsrf('patients.create', generateSyntheticPatient('Persona', overrides),
+            csrfSession, adminToken);
+        if (!check(response, { 'Seed worklist patient: status is 201': (r) => r.status === 201 })) {
+            throw new Error(`Seeding a worklist patient failed with ${response.status}: ${response.body}`);
+        }
+        const patient = JSON.parse(response.body);
+        return { id: patient.id, medicalRecordNumber: patient.medicalRecordNumber, lastName: patient.lastName };
+    };
+
+    for (let i = 0; i < count; i++) {
+        worklist.push(create({}));
+    }
+    if (ownerEmail) {
+        ownPatient = create({ email: ownerEmail });
+    }
+
+    return { worklist: worklist, ownPatient: ownPatient };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    personas,
+    parsePersonaWeights,
+    allocatePersonaVUs,
+    provisionTestUsers,
+    provisionPersonaUsers,
+    seedWorklist,
+};
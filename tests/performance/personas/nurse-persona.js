@@ -0,0 +1,61 @@
+/**
+ * Nurse Persona
+ *
+ * A nurse at intake: search, open the chart by MRN (the wristband number),
+ * then by id, and update contact details on roughly half the visits.
+ */
+
+import {
+    createPersonaMetrics,
+    getPersonaThresholds,
+    beginJourney,
+    endJourney,
+    pause,
+    pickWorklistPatient,
+    searchPatients,
+    openPatientById,
+    openPatientByMrn,
+    updateDemographics,
+} from './persona-common.js';
+import { random } from '../seeded-random.js';
+
+const name = 'Nurse';
+
+const targets = { p95: 3000, p99: 5000, successRate: 0.99 };
+
+// Share of intake visits that change contact details
+const UPDATE_SHARE = 0.5;
+
+const personaMetrics = createPersonaMetrics(name);
+
+/**
+ * Intake: search → open by MRN → open by id → (sometimes) update demographics
+ * @param {Object} context - Persona context from setup
+ */
+export function journey(context) {
+    const j = beginJourney(nursePersona, context);
+    const target = pickWorklistPatient(j);
+
+    searchPatients(j, target.lastName);
+    pause();
+    const chart = openPatientByMrn(j, target.medicalRecordNumber, [200]);
+    pause();
+    openPatientById(j, target.id, [200, 404]);
+    if (chart !== null && random() < UPDATE_SHARE) {
+        pause();
+        updateDemographics(j, chart, [200]);
+    }
+
+    endJourney(j);
+}
+
+export const nursePersona = {
+    name: name,
+    roleCode: 3, // UserRole.Nurse
+    defaultWeight: 15,
+    metrics: personaMetrics,
+    thresholds: getPersonaThresholds(name, targets),
+    journey: journey,
+};
+
+export default nursePersona;
@@ -0,0 +1,56 @@
+/**
+ * Patient Persona
+ *
+ * A patient checking their own chart from the portal: profile, own record by
+ * id and by MRN, then a search that the API filters to their own record.
+ * The setup worklist holds a record whose email matches the persona user,
+ * which is how AuthorizationService decides record ownership.
+ */
+
+import {
+    createPersonaMetrics,
+    getPersonaThresholds,
+    beginJourney,
+    endJourney,
+    pause,
+    viewOwnProfile,
+    searchPatients,
+    openPatientById,
+    openPatientByMrn,
+} from './persona-common.js';
+
+const name = 'Patient';
+
+const targets = { p95: 2000, p99: 4000, successRate: 0.99 };
+
+const personaMetrics = createPersonaMetrics(name);
+
+/**
+ * Portal visit: profile → own record by id → own record by MRN → search
+ * @param {Object} context - Persona context from setup
+ */
+export function journey(context) {
+    const j = beginJourney(patientPersona, context);
+    const own = context.ownPatient;
+
+    viewOwnProfile(j);
+    pause();
+    openPatientById(j, own.id, [200]);
+    pause();
+    openPatientByMrn(j, own.medicalRecordNumber, [200]);
+    pause();
+    searchPatients(j, own.lastName);
+
+    endJourney(j);
+}
+
+export const patientPersona = {
+    name: name,
+    roleCode: 5, // UserRole.Patient
+    defaultWeight: 50,
+    metrics: personaMetrics,
+    thresholds: getPersonaThresholds(name, targets),
+    journey: journey,
+};
+
+export default patientPersona;
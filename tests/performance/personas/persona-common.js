@@ -0,0 +1,327 @@
+/**
+ * EMR Persona Journey Building Blocks
+ *
+ * Shared pieces for the role persona modules in this directory. A journey is
+ * one transaction: a sequence of steps on real EMR routes, each with the
+ * statuses that count as success for the persona running it. The transaction
+ * duration is the sum of the step request durations (think time excluded).
+ *
+ * Expected statuses follow the API's current authorization rules
+ * (AuthorizationService / PatientsController):
+ * - GET /api/patients/{id}: Admin sees everything, a Patient only their own
+ *   record (email match); Doctor/Nurse/Staff need an explicit resource grant,
+ *   which no endpoint creates, so they get 404 "no access"
+ * - GET /api/patients/mrn/{mrn} and PUT /api/patients/{id} have no
+ *   resource-level check
+ * - GET /api/patients/search is filtered to authorized records and shares one
+ *   30/min window across all clients; a 429 there is tolerated and the
+ *   journey continues from the setup worklist
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import {
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+    thinkTime,
+} from '../auth-performance-config.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from '../csrf-session.js';
+import { routeUrl, routeName } from '../route-manifest.js';
+import { random } from '../seeded-random.js';
+
+// ============================================================================
+// PERSONA METRICS AND THRESHOLDS
+// ============================================================================
+
+/**
+ * Transaction metrics for one persona
+ * @param {string} name - Persona name, e.g. 'Doctor'
+ * @returns {Object} { transaction: Trend, success: Rate }
+ */
+export function createPersonaMetrics(name) {
+    const key = name.toLowerCase();
+    return {
+        transaction: new Trend(`persona_${key}_transaction_duration`, true),
+        success: new Rate(`persona_${key}_transaction_success`),
+    };
+}
+
+/**
+ * k6 thresholds for one persona's transaction metrics
+ * @param {string} name - Persona name
+ * @param {Object} targets - { p95, p99, successRate }
+ * @returns {Object} Thresholds object
+ */
+export function getPersonaThresholds(name, targets) {
+    const key = name.toLowerCase();
+    return {
+        [`persona_${key}_transaction_duration`]: [`p(95)<${targets.p95}`, `p(99)<${targets.p99}`],
+        [`persona_${key}_transaction_success`]: [`rate>${targets.successRate}`],
+    };
+}
+
+// ============================================================================
+// JOURNEY RUNNER
+// ============================================================================
+
+/**
+ * Start a journey (one transaction) for a persona
+ * @param {Object} persona - Persona module ({ name, metrics })
+ * @param {Object} context - { token, user, worklist, ownPatient, rolesCatalog }
+ * @returns {Object} Journey state passed to every step
+ */
+export function beginJourney(persona, context) {
+    return {
+        persona: persona,
+        context: context,
+        duration: 0,
+        ok: true,
+    };
+}
+
+/**
+ * Record one step's response against its expected statuses
+ * @param {Object} journey - Journey state
+ * @param {string} step - Step name (journey_step tag)
+ * @param {Response} response - HTTP response
+ * @param {Array<number>} expected - Statuses that count as success
+ * @param {boolean} tolerateRateLimit - Don't fail the journey on 429
+ * @returns {boolean} True if the status was expected
+ */
+function recordStep(journey, step, response, expected, tolerateRateLimit = false) {
+    journey.duration += response.timings.duration;
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+        if (tolerateRateLimit) {
+            return false;
+        }
+    }
+
+    const ok = check(response, {
+        [`${journey.persona.name} ${step}: status ${expected.join('/')}`]: (r) => expected.includes(r.status),
+    });
+    journey.ok = journey.ok && ok;
+    return ok && response.status >= 200 && response.status < 300;
+}
+
+/**
+ * Request params for a persona step
+ * @returns {Object} k6 params
+ */
+function stepParams(journey, step, name) {
+    return {
+        headers: getDefaultHeaders(null, journey.context.token),
+        tags: { name: name, persona: journey.persona.name, journey_step: step },
+    };
+}
+
+/**
+ * Pause between steps like a user reading the screen
+ */
+export function pause() {
+    sleep(thinkTime());
+}
+
+/**
+ * Close the journey and record its transaction metrics
+ * @param {Object} journey - Journey state
+ */
+export function endJourney(journey) {
+    journey.persona.metrics.transaction.add(journey.duration);
+    journey.persona.metrics.success.add(journey.ok ? 1 : 0);
+}
+
+// ============================================================================
+// JOURNEY STEPS (REAL ROUTES)
+// ============================================================================
+
+/**
+ * Route ids the journey steps call (checked in setup())
+ */
+export const journeyRoutes = [
+    'auth.me',
+    'patients.search',
+    'patients.byId',
+    'patients.byMrn',
+    'patients.update',
+    'roles.list',
+    'roles.permissions',
+    'audit.logs',
+    'audit.trail',
+    'audit.resourceAccess',
+];
+
+/**
+ * Pick the patient a journey works on from the setup worklist
+ * @param {Object} journey - Journey state
+ * @returns {Object} { id, medicalRecordNumber, lastName }
+ */
+export function pickWorklistPatient(journey) {
+    const worklist = journey.context.worklist;
+    return worklist[Math.floor(random() * worklist.length)];
+}
+
+/**
+ * GET /api/auth/me
+ */
+export function viewOwnProfile(journey) {
+    const response = http.get(routeUrl('auth.me'), stepParams(journey, 'view_profile', routeName('auth.me')));
+    recordStep(journey, 'view_profile', response, [200]);
+    return response;
+}
+
+/**
+ * GET /api/patients/search
+ * @returns {Array<Object>} Result items (empty on 429 or when filtered out)
+ */
+export function searchPatients(journey, searchTerm) {
+    const response = http.get(
+        routeUrl('patients.search', {}, { searchTerm: searchTerm, pageNumber: 1, pageSize: 10 }),
+        stepParams(journey, 'search', routeName('patients.search'))
+    );
+    if (!recordStep(journey, 'search', response, [200], true)) {
+        return [];
+    }
+    try {
+        return JSON.parse(response.body).items || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * GET /api/patients/{id}
+ * @param {Array<number>} expected - Statuses that count as success for the persona
+ * @returns {Object|null} PatientDto when readable
+ */
+export function openPatientById(journey, patientId, expected) {
+    const response = http.get(
+        routeUrl('patients.byId', { id: patientId }),
+        stepParams(journey, 'open_by_id', routeName('patients.byId'))
+    );
+    if (!recordStep(journey, 'open_by_id', response, expected)) {
+        return null;
+    }
+    metrics.auditLogsGenerated.add(1); // PHI access is audited
+    return JSON.parse(response.body);
+}
+
+/**
+ * GET /api/patients/mrn/{mrn}
+ * @returns {Object|null} PatientDto when readable
+ */
+export function openPatientByMrn(journey, mrn, expected) {
+    const response = http.get(
+        routeUrl('patients.byMrn', { mrn: mrn }),
+        stepParams(journey, 'open_by_mrn', routeName('patients.byMrn'))
+    );
+    if (!recordStep(journey, 'open_by_mrn', response, expected)) {
+        return null;
+    }
+    metrics.auditLogsGenerated.add(1); // PHI access is audited
+    return JSON.parse(response.body);
+}
+
+/**
+ * UpdatePatientDemographicsCommand body that re-saves a patient's demographics
+ * with some fields changed - by default a new random alternate phone number
+ * @param {Object} patient - PatientDto
+ * @param {Object|null} changes - Demographics fields to replace (null: new alternate phone)
+ * @returns {Object} PUT /api/patients/{id} body
+ */
+export function buildDemographicsUpdate(patient, changes = null) {
+    const suffix = String(Math.floor(random() * 10000)).padStart(4, '0');
+    return {
+        patientId: patient.id,
+        demographics: Object.assign({
+            firstName: patient.firstName,
+            middleName: patient.middleName,
+            lastName: patient.lastName,
+            dateOfBirth: patient.dateOfBirth,
+            gender: patient.gender,
+            phoneNumber: patient.phoneNumber,
+            alternatePhoneNumber: patient.alternatePhoneNumber,
+            email: patient.email,
+            address: patient.address,
+            maritalStatus: patient.maritalStatus,
+            race: patient.race,
+            ethnicity: patient.ethnicity,
+            preferredLanguage: patient.preferredLanguage,
+        }, changes || { alternatePhoneNumber: `555-011-${suffix}` }),
+        emergencyContact: patient.emergencyContact,
+    };
+}
+
+/**
+ * PUT /api/patients/{id} - re-save the demographics with a new alternate phone
+ * @param {Object} patient - PatientDto read earlier in the journey
+ */
+export function updateDemographics(journey, patient, expected) {
+    const csrfSession = csrfSessionFor(journey.context.token);
+    ensureCsrfSession(csrfSession);
+
+    const response = http.put(
+        routeUrl('patients.update', { id: patient.id }),
+        JSON.stringify(buildDemographicsUpdate(patient)),
+        csrfRequestParams(csrfSession, journey.context.token, {
+            name: routeName('patients.update'),
+            persona: journey.persona.name,
+            journey_step: 'update_demographics',
+        })
+    );
+    recordStep(journey, 'update_demographics', response, expected);
+    return response;
+}
+
+/**
+ * GET /api/roles and GET /api/roles/permissions
+ */
+export function viewRoles(journey, expected) {
+    const roles = http.get(routeUrl('roles.list'), stepParams(journey, 'view_roles', routeName('roles.list')));
+    recordStep(journey, 'view_roles', roles, expected);
+
+    const permissions = http.get(routeUrl('roles.permissions'), stepParams(journey, 'view_permissions', routeName('roles.permissions')));
+    recordStep(journey, 'view_permissions', permissions, expected);
+}
+
+/**
+ * Audit review of one patient record: recent events, full trail, access summary
+ */
+export function reviewPatientAudit(journey, patientId, expected) {
+    const resource = { resourceType: 'Patient', resourceId: patientId };
+    const steps = [
+        ['audit_events', 'audit.logs', {}, { resourceType: 'Patient', resourceId: patientId, pageNumber: 1, pageSize: 20 }],
+        ['audit_trail', 'audit.trail', resource, {}],
+        ['audit_access', 'audit.resourceAccess', resource, {}],
+    ];
+
+    for (const [step, routeId, pathParams, query] of steps) {
+        const response = http.get(routeUrl(routeId, pathParams, query), stepParams(journey, step, routeName(routeId)));
+        recordStep(journey, step, response, expected);
+    }
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    createPersonaMetrics,
+    getPersonaThresholds,
+    beginJourney,
+    endJourney,
+    pause,
+    pickWorklistPatient,
+    journeyRoutes,
+    viewOwnProfile,
+    searchPatients,
+    openPatientById,
+    openPatientByMrn,
+    buildDemographicsUpdate,
+    updateDemographics,
+    viewRoles,
+    reviewPatientAudit,
+};
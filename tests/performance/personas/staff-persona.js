@@ -0,0 +1,56 @@
+/**
+ * Staff Persona
+ *
+ * Front-desk staff looking a patient up for scheduling: search, open by MRN
+ * and by id, then their own profile. Staff cannot update demographics
+ * (PUT /api/patients/{id} is limited to Admin, Doctor and Nurse).
+ */
+
+import {
+    createPersonaMetrics,
+    getPersonaThresholds,
+    beginJourney,
+    endJourney,
+    pause,
+    pickWorklistPatient,
+    viewOwnProfile,
+    searchPatients,
+    openPatientById,
+    openPatientByMrn,
+} from './persona-common.js';
+
+const name = 'Staff';
+
+const targets = { p95: 2000, p99: 4000, successRate: 0.99 };
+
+const personaMetrics = createPersonaMetrics(name);
+
+/**
+ * Front desk: search → open by MRN → open by id → profile
+ * @param {Object} context - Persona context from setup
+ */
+export function journey(context) {
+    const j = beginJourney(staffPersona, context);
+    const target = pickWorklistPatient(j);
+
+    searchPatients(j, target.lastName);
+    pause();
+    openPatientByMrn(j, target.medicalRecordNumber, [200]);
+    pause();
+    openPatientById(j, target.id, [200, 404]);
+    pause();
+    viewOwnProfile(j);
+
+    endJourney(j);
+}
+
+export const staffPersona = {
+    name: name,
+    roleCode: 4, // UserRole.Staff
+    defaultWeight: 10,
+    metrics: personaMetrics,
+    thresholds: getPersonaThresholds(name, targets),
+    journey: journey,
+};
+
+export default staffPersona;
@@ -0,0 +1,359 @@
+/**
+ * EMR PHI Access Audit Verification Test
+ *
+ * Checks that patient reads really leave an audit entry, instead of counting
+ * an audit log for every 200 (audit_logs_generated in auth-load-test.js).
+ * Every PHI read (GET /api/patients/{id}, GET /api/patients/mrn/{mrn})
+ * carries a unique X-Correlation-ID. For a sample of reads the test then
+ * looks the entry up through the audit API:
+ *
+ *   1. GET /api/audit?correlationId=<id>                 (exact match)
+ *   2. GET /api/audit/trail/Patient/<patient id>         (fallback)
+ *
+ * and asserts a View entry exists for the reading user and the patient. The
+ * fallback accepts a View entry by the same user on the same patient logged
+ * after the read, so coverage and correlation-id propagation are reported
+ * separately:
+ *
+ * - phi_audit_coverage: sampled reads with a matching audit entry
+ * - phi_audit_correlated: found entries that carry the read's correlation id
+ * - phi_audit_entry_valid: found entries with the right user, resource and type
+ *
+ * Note: in this tree PhiAccessLoggingAttribute is not applied to any action,
+ * UseAuditLogging() is not in the pipeline, and the query handlers'
+ * IAuditLogger calls only write to Serilog. Expect this test to report the
+ * gap (coverage near 0) until patient reads are persisted to the audit table.
+ *
+ * Usage:
+ *   k6 run phi-audit-verification-test.js
+ *   k6 run -e PHI_AUDIT_SAMPLE_RATE=1 -e PHI_AUDIT_VUS=2 phi-audit-verification-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+    thinkTime,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { provisionPersonaUsers, seedWorklist } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { randomConfig, random, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// AUDIT VERIFICATION CONFIGURATION
+// ============================================================================
+
+const phiAuditConfig = {
+    vus: parseInt(__ENV.PHI_AUDIT_VUS || '5'),
+    duration: __ENV.PHI_AUDIT_DURATION || '5m',
+    poolSize: parseInt(__ENV.PHI_AUDIT_POOL_SIZE || '10'),
+    // Share of PHI reads whose audit entry is looked up
+    sampleRate: parseFloat(__ENV.PHI_AUDIT_SAMPLE_RATE || '0.2'),
+    // Audit writes may be asynchronous; wait before the first lookup
+    verifyDelayMs: parseInt(__ENV.PHI_AUDIT_VERIFY_DELAY_MS || '2000'),
+    verifyAttempts: parseInt(__ENV.PHI_AUDIT_VERIFY_ATTEMPTS || '3'),
+    // Tolerated clock difference between the load generator and the API (ms)
+    clockSkewMs: parseInt(__ENV.PHI_AUDIT_CLOCK_SKEW_MS || '5000'),
+};
+
+// AuditEventType.View
+const AUDIT_EVENT_VIEW = 1;
+
+const AUDIT_OUTCOMES = ['correlated', 'trail_only', 'missing'];
+
+// ============================================================================
+// CUSTOM METRICS FOR AUDIT VERIFICATION
+// ============================================================================
+
+const phiAuditMetrics = {
+    phiReadDuration: new Trend('phi_read_duration', true),
+    phiReads: new Counter('phi_reads'),
+    // Per sampled read: a matching audit entry was found
+    coverage: new Rate('phi_audit_coverage'),
+    // Per found entry: it carries the read's X-Correlation-ID
+    correlated: new Rate('phi_audit_correlated'),
+    // Per found entry: View, reading user, patient id
+    entryValid: new Rate('phi_audit_entry_valid'),
+    outcome: new Counter('phi_audit_outcome'),
+    // Read to the lookup that found its entry
+    visibleAfter: new Trend('phi_audit_visible_after', true),
+    lookupDuration: new Trend('phi_audit_lookup_duration', true),
+};
+
+/**
+ * Outcome submetrics for handleSummary
+ * @returns {Object} Thresholds entries
+ */
+function getOutcomeThresholds() {
+    const thresholds = {};
+    AUDIT_OUTCOMES.forEach((outcome) => {
+        thresholds[`phi_audit_outcome{outcome:${outcome}}`] = ['count>=0'];
+    });
+    ['id', 'mrn'].forEach((lookup) => {
+        thresholds[`phi_audit_coverage{lookup:${lookup}}`] = ['rate>=0'];
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        phi_audit_verification: {
+            executor: 'constant-vus',
+            vus: phiAuditConfig.vus,
+            duration: phiAuditConfig.duration,
+            gracefulStop: '1m',
+            tags: { test_type: 'phi_audit_verification' },
+        },
+    },
+
+    thresholds: {
+        // HIPAA: every PHI read is audited
+        'phi_audit_coverage': ['rate>0.99'],
+        'phi_audit_entry_valid': ['rate>0.99'],
+        'phi_read_duration': [`p(95)<${config.thresholds.p95}`],
+        ...getOutcomeThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'phi_audit_verification_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR PHI Access Audit Verification Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Verifying ${(phiAuditConfig.sampleRate * 100).toFixed(0)}% of PHI reads`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create', 'patients.byId',
+        'patients.byMrn', 'audit.logs', 'audit.trail']);
+
+    // The audit API is Admin-only, and Admin reads every patient without a grant
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+    const seeded = seedWorklist(users.Admin.token, phiAuditConfig.poolSize, null);
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+        userId: users.Admin.id,
+        pool: seeded.worklist,
+    };
+}
+
+// ============================================================================
+// AUDIT LOOKUP
+// ============================================================================
+
+let readCount = 0;
+
+/**
+ * Correlation id unique to one PHI read
+ * @returns {string} phi-audit-<runId>-<vu>-<n>
+ */
+function nextCorrelationId() {
+    readCount++;
+    return `phi-audit-${randomConfig.runId}-${__VU}-${readCount}`;
+}
+
+/**
+ * GET an audit API route as the auditing Admin
+ * @param {string} routeId - audit.logs or audit.trail
+ * @param {Object} pathParams - Path parameters
+ * @param {Object} query - Query parameters
+ * @param {string} authToken - Admin bearer token
+ * @returns {Array<Object>} AuditLogDto entries (empty on failure)
+ */
+function fetchAuditEntries(routeId, pathParams, query, authToken) {
+    const response = http.get(routeUrl(routeId, pathParams, query), {
+        headers: getDefaultHeaders(null, authToken),
+        tags: { name: routeName(routeId) },
+    });
+    phiAuditMetrics.lookupDuration.add(response.timings.duration, { route: routeId });
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+    }
+    if (response.status !== 200) {
+        return [];
+    }
+
+    try {
+        const body = JSON.parse(response.body);
+        // audit.logs returns a paged result; audit.trail wraps its list in a ResultDto
+        return (routeId === 'audit.logs' ? body.items : body.data) || [];
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Whether an entry records this read: View, by the reader, on the patient
+ * @param {Object} entry - AuditLogDto
+ * @param {Object} read - { patientId, userId }
+ * @returns {boolean} True when the entry is right
+ */
+function isValidViewEntry(entry, read) {
+    return (entry.eventType === AUDIT_EVENT_VIEW || entry.eventTypeName === 'View') &&
+        String(entry.userId).toLowerCase() === String(read.userId).toLowerCase() &&
+        String(entry.resourceId).toLowerCase() === String(read.patientId).toLowerCase();
+}
+
+/**
+ * Look for the audit entry of one PHI read
+ * @param {Object} read - { correlationId, patientId, userId, readAt }
+ * @param {string} authToken - Admin bearer token
+ * @returns {Object} { outcome, entry }
+ */
+function findAuditEntry(read, authToken) {
+    const byCorrelation = fetchAuditEntries('audit.logs', {}, { correlationId: read.correlationId }, authToken)
+        .filter((entry) => entry.correlationId === read.correlationId);
+    if (byCorrelation.length > 0) {
+        return { outcome: 'correlated', entry: byCorrelation[0] };
+    }
+
+    const trail = fetchAuditEntries('audit.trail', { resourceType: 'Patient', resourceId: read.patientId }, {}, authToken);
+    const match = trail.find((entry) =>
+        isValidViewEntry(entry, read) && Date.parse(entry.timestamp) >= read.readAt - phiAuditConfig.clockSkewMs);
+
+    return match ? { outcome: 'trail_only', entry: match } : { outcome: 'missing', entry: null };
+}
+
+/**
+ * Verify a sampled read, retrying while the entry may still be in flight
+ * @param {Object} read - { correlationId, patientId, userId, readAt, lookup }
+ * @param {string} authToken - Admin bearer token
+ */
+function verifyPhiRead(read, authToken) {
+    sleep(phiAuditConfig.verifyDelayMs / 1000);
+
+    let result = { outcome: 'missing', entry: null };
+    for (let attempt = 1; attempt <= phiAuditConfig.verifyAttempts; attempt++) {
+        result = findAuditEntry(read, authToken);
+        if (result.entry !== null) {
+            phiAuditMetrics.visibleAfter.add(Date.now() - read.readAt);
+            break;
+        }
+        if (attempt < phiAuditConfig.verifyAttempts) {
+            sleep(phiAuditConfig.verifyDelayMs / 1000);
+        }
+    }
+
+    const tags = { lookup: read.lookup };
+    phiAuditMetrics.outcome.add(1, { outcome: result.outcome, lookup: read.lookup });
+    phiAuditMetrics.coverage.add(result.entry !== null ? 1 : 0, tags);
+
+    if (result.entry !== null) {
+        phiAuditMetrics.correlated.add(result.entry.correlationId === read.correlationId ? 1 : 0, tags);
+        phiAuditMetrics.entryValid.add(isValidViewEntry(result.entry, read) ? 1 : 0, tags);
+    }
+
+    check(result, { 'PHI read has an audit entry': (r) => r.entry !== null });
+}
+
+// ============================================================================
+// PHI READ SCENARIO
+// ============================================================================
+
+export default function (data) {
+    applyClientPartition();
+
+    const patient = data.pool[Math.floor(random() * data.pool.length)];
+    const lookup = random() < 0.5 ? 'mrn' : 'id';
+    const routeId = lookup === 'mrn' ? 'patients.byMrn' : 'patients.byId';
+    const params = lookup === 'mrn' ? { mrn: patient.medicalRecordNumber } : { id: patient.id };
+    const correlationId = nextCorrelationId();
+
+    let read = null;
+
+    group(`PHI Read by ${lookup === 'mrn' ? 'MRN' : 'ID'}`, () => {
+        const headers = Object.assign(getDefaultHeaders(null, data.authToken), { 'X-Correlation-ID': correlationId });
+        const readAt = Date.now();
+        const response = http.get(routeUrl(routeId, params), {
+            headers: headers,
+            tags: { name: routeName(routeId), lookup: lookup },
+        });
+
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+            return;
+        }
+
+        phiAuditMetrics.phiReadDuration.add(response.timings.duration, { lookup: lookup });
+        if (check(response, { 'PHI read: status is 200': (r) => r.status === 200 })) {
+            phiAuditMetrics.phiReads.add(1, { lookup: lookup });
+            read = { correlationId, patientId: patient.id, userId: data.userId, readAt, lookup };
+        }
+    });
+
+    if (read !== null && random() < phiAuditConfig.sampleRate) {
+        group('Verify PHI Audit Entry', () => {
+            verifyPhiRead(read, data.authToken);
+        });
+    }
+
+    sleep(thinkTime());
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const percent = (metric) => (m[metric]?.values ? `${(m[metric].values.rate * 100).toFixed(2)}%` : 'n/a');
+    const outcomeLines = AUDIT_OUTCOMES.map((outcome) =>
+        `- ${outcome.padEnd(11)} ${m[`phi_audit_outcome{outcome:${outcome}}`]?.values?.count || 0}`
+    );
+
+    const summary = `
+========================================
+EMR PHI Access Audit Verification Test
+========================================
+
+PHI Reads: ${m.phi_reads?.values?.count || 0} (sampled ${(phiAuditConfig.sampleRate * 100).toFixed(0)}% for verification)
+
+Real Audit Coverage:
+- Sampled Reads Audited: ${percent('phi_audit_coverage')}
+  - by ID:  ${percent('phi_audit_coverage{lookup:id}')}
+  - by MRN: ${percent('phi_audit_coverage{lookup:mrn}')}
+- Entries Carrying the Correlation ID: ${percent('phi_audit_correlated')}
+- Entries With Right User/Resource/Type: ${percent('phi_audit_entry_valid')}
+- Audit Visible After p95: ${m.phi_audit_visible_after?.values?.['p(95)']?.toFixed(2) || 'n/a'}ms
+
+Lookup Outcomes:
+${outcomeLines.join('\n')}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'phi-audit-verification-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,443 @@
+/**
+ * EMR CQRS Projection Lag Test
+ *
+ * Measures how long a patient write takes to become visible on the read
+ * side. Writes raise domain events that the OutboxProcessor hands to the
+ * projection handlers feeding the PatientSummary / PatientDetail read
+ * models, so reads are only eventually consistent. A probe VU repeatedly:
+ *
+ *   1. registers a patient, or renames the one it registered last, giving
+ *      it a unique TEST/SYNTHETIC last name
+ *   2. polls GET /api/patients/{id} until the new last name is returned
+ *   3. polls GET /api/patients/search?searchTerm=<last name> until the
+ *      patient is in the results
+ *
+ * projection_lag is the time from the write's response to the start of the
+ * first poll that saw the change (0 when the first poll already did), tagged
+ * by operation (register, update), read path (by_id, search) and load phase.
+ * For the second half of the run a background scenario adds write load, so
+ * lag is measured both on a quiet system (load:idle) and under writes
+ * (load:background).
+ *
+ * Note: in this tree the patient endpoints still query the write-side
+ * repository and AddEventSourcing()/AddCqrsReadModels() are not registered,
+ * so the lag is expected to be ~0. The test guards against staleness once the
+ * read models are wired in.
+ *
+ * Search polls share the 30/min patient-search window, so they are spaced
+ * PROJECTION_SEARCH_POLL_MS apart and a 429 only delays the next poll.
+ *
+ * Usage:
+ *   k6 run projection-lag-test.js
+ *   k6 run -e PROJECTION_BACKGROUND_VUS=6 -e PROJECTION_LAG_P95_MS=500 projection-lag-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import exec from 'k6/execution';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    toLetterCode,
+    generateSyntheticPatient,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { provisionPersonaUsers } from './personas/index.js';
+import { buildDemographicsUpdate } from './personas/persona-common.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// PROJECTION LAG CONFIGURATION
+// ============================================================================
+
+const lagConfig = {
+    duration: __ENV.PROJECTION_DURATION || '10m',
+    probeVUs: parseInt(__ENV.PROJECTION_PROBE_VUS || '1'),
+    // Pause between probes
+    probeInterval: parseFloat(__ENV.PROJECTION_PROBE_INTERVAL || '5'),
+    pollMs: parseInt(__ENV.PROJECTION_POLL_MS || '100'),
+    searchPollMs: parseInt(__ENV.PROJECTION_SEARCH_POLL_MS || '2500'),
+    timeoutSeconds: parseFloat(__ENV.PROJECTION_TIMEOUT_SECONDS || '30'),
+    backgroundVUs: parseInt(__ENV.PROJECTION_BACKGROUND_VUS || '4'),
+    lagP95Ms: parseInt(__ENV.PROJECTION_LAG_P95_MS || '1000'),
+    lagP99Ms: parseInt(__ENV.PROJECTION_LAG_P99_MS || '2000'),
+};
+
+const OPERATIONS = ['register', 'update'];
+const READ_PATHS = ['by_id', 'search'];
+const LOAD_PHASES = ['idle', 'background'];
+
+/**
+ * Duration string ('10m', '90s', '1h') in seconds
+ * @param {string} value - k6 duration
+ * @returns {number} Seconds
+ */
+function durationSeconds(value) {
+    const match = /^(\d+(?:\.\d+)?)(s|m|h)$/.exec(value);
+    if (!match) {
+        throw new Error(`Unsupported PROJECTION_DURATION "${value}". Use e.g. 90s, 10m or 1h.`);
+    }
+    return parseFloat(match[1]) * { s: 1, m: 60, h: 3600 }[match[2]];
+}
+
+// Background writes run for the second half of the run
+const backgroundStartSeconds = Math.floor(durationSeconds(lagConfig.duration) / 2);
+
+// ============================================================================
+// CUSTOM METRICS FOR PROJECTION LAG
+// ============================================================================
+
+const lagMetrics = {
+    // Tagged with operation, read_path and load
+    projectionLag: new Trend('projection_lag', true),
+    // Changes not visible within PROJECTION_TIMEOUT_SECONDS
+    timeouts: new Counter('projection_timeouts'),
+    // Per change and read path: seen on the first poll
+    immediatelyVisible: new Rate('projection_immediately_visible'),
+    probeWriteSuccess: new Rate('projection_probe_write_success'),
+    backgroundWrites: new Counter('projection_background_writes'),
+};
+
+/**
+ * Per operation, read path and load phase lag submetrics
+ * @returns {Object} Thresholds entries
+ */
+function getLagThresholds() {
+    const thresholds = {};
+    LOAD_PHASES.forEach((load) => {
+        thresholds[`projection_lag{load:${load}}`] = [`p(95)<${lagConfig.lagP95Ms}`, `p(99)<${lagConfig.lagP99Ms}`];
+    });
+    OPERATIONS.forEach((operation) => {
+        READ_PATHS.forEach((readPath) => {
+            LOAD_PHASES.forEach((load) => {
+                thresholds[`projection_lag{operation:${operation},read_path:${readPath},load:${load}}`] = ['p(95)>=0'];
+            });
+        });
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        projection_probe: {
+            executor: 'constant-vus',
+            exec: 'projectionProbe',
+            vus: lagConfig.probeVUs,
+            duration: lagConfig.duration,
+            gracefulStop: `${Math.ceil(lagConfig.timeoutSeconds * 2)}s`,
+            tags: { test_type: 'projection_probe' },
+        },
+        background_writes: {
+            executor: 'constant-vus',
+            exec: 'backgroundWrites',
+            vus: lagConfig.backgroundVUs,
+            startTime: `${backgroundStartSeconds}s`,
+            duration: `${durationSeconds(lagConfig.duration) - backgroundStartSeconds}s`,
+            tags: { test_type: 'projection_background' },
+        },
+    },
+
+    thresholds: {
+        'projection_lag': [`p(95)<${lagConfig.lagP95Ms}`, `p(99)<${lagConfig.lagP99Ms}`],
+        'projection_timeouts': ['count==0'],
+        'projection_probe_write_success': ['rate>0.95'],
+        ...getLagThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'projection_lag_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR CQRS Projection Lag Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Background writes (${lagConfig.backgroundVUs} VUs) start at ${backgroundStartSeconds}s`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create', 'patients.update',
+        'patients.byId', 'patients.search']);
+
+    // Admin can write patients and read every record, so no grant is needed to see a change
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+    };
+}
+
+// ============================================================================
+// PROBE HELPERS
+// ============================================================================
+
+// Per-VU state: the patient the probe last registered
+let probePatient = null;
+
+// Words SearchParameterValidator rejects as SQL injection; a letter code can spell one
+const REJECTED_SEARCH_WORDS = /exec|select|insert|update|delete|drop|create|alter|union|script|eval|expression/i;
+
+/**
+ * Unique last name for a probe write (names reject digits)
+ * @returns {string} SYNTHETIC-Lag-<vu letter code>-<time letter code>
+ */
+function nextProbeLastName() {
+    let time = Date.now();
+    let lastName;
+    do {
+        lastName = `SYNTHETIC-Lag-${toLetterCode(__VU)}-${toLetterCode(time++)}`;
+    } while (REJECTED_SEARCH_WORDS.test(lastName));
+    return lastName;
+}
+
+/**
+ * Load phase at this moment
+ * @param {number} startTime - Test start (ms)
+ * @returns {string} 'idle' or 'background'
+ */
+function currentLoadPhase(startTime) {
+    return Date.now() - startTime >= backgroundStartSeconds * 1000 ? 'background' : 'idle';
+}
+
+/**
+ * Poll a read path until it reflects a change
+ * @param {Function} poll - () => Response
+ * @param {Function} isVisible - (response) => boolean
+ * @param {number} intervalMs - Pause between polls
+ * @param {number} writtenAt - When the write was acknowledged (ms)
+ * @returns {Object} { lag (ms) or null on timeout, polls }
+ */
+function pollUntilVisible(poll, isVisible, intervalMs, writtenAt) {
+    const deadline = writtenAt + lagConfig.timeoutSeconds * 1000;
+    let polls = 0;
+
+    while (Date.now() < deadline) {
+        const pollStart = Date.now();
+        const response = poll();
+        polls++;
+
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+        } else if (isVisible(response)) {
+            return { lag: polls === 1 ? 0 : pollStart - writtenAt, polls: polls };
+        }
+        sleep(intervalMs / 1000);
+    }
+
+    return { lag: null, polls: polls };
+}
+
+/**
+ * Parse a JSON response body
+ * @param {Response} response - HTTP response
+ * @returns {Object|null} Parsed body, or null
+ */
+function parseBody(response) {
+    try {
+        return JSON.parse(response.body);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Register a patient or rename the last one, with a unique last name
+ * @param {Object} data - Setup data
+ * @returns {Object|null} { operation, patientId, lastName, writtenAt }, or null on failure
+ */
+function writeProbe(data) {
+    const lastName = nextProbeLastName();
+    const csrfSession = csrfSessionFor(data.authToken);
+    ensureCsrfSession(csrfSession);
+
+    let operation;
+    let response;
+    if (probePatient === null) {
+        operation = 'register';
+        response = http.post(routeUrl('patients.create'),
+            JSON.stringify(generateSyntheticPatient('Lag', { lastName: lastName })),
+            csrfRequestParams(csrfSession, data.authToken, { name: routeName('patients.create'), operation: operation }));
+    } else {
+        operation = 'update';
+        response = http.put(routeUrl('patients.update', { id: probePatient.id }),
+            JSON.stringify(buildDemographicsUpdate(probePatient, { lastName: lastName })),
+            csrfRequestParams(csrfSession, data.authToken, { name: routeName('patients.update'), operation: operation }));
+    }
+    const writtenAt = Date.now();
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+        return null;
+    }
+
+    const body = parseBody(response);
+    const written = check(response, {
+        'Projection probe write: accepted': (r) => (operation === 'register' ? r.status === 201 : r.status === 200),
+        'Projection probe write: returns the patient': () => body !== null && !!body.id,
+    });
+    lagMetrics.probeWriteSuccess.add(written ? 1 : 0, { operation: operation });
+
+    if (!written) {
+        // Start over with a fresh patient
+        probePatient = null;
+        return null;
+    }
+
+    probePatient = body;
+    return { operation: operation, patientId: body.id, lastName: lastName, writtenAt: writtenAt };
+}
+
+/**
+ * Record the lag of one read path
+ * @param {Object} result - From pollUntilVisible()
+ * @param {Object} tags - { operation, read_path, load }
+ */
+function recordLag(result, tags) {
+    if (result.lag === null) {
+        lagMetrics.timeouts.add(1, tags);
+        console.warn(`Projection lag: ${tags.operation} not visible via ${tags.read_path} after ${lagConfig.timeoutSeconds}s (${result.polls} polls)`);
+        return;
+    }
+    lagMetrics.projectionLag.add(result.lag, tags);
+    lagMetrics.immediatelyVisible.add(result.polls === 1 ? 1 : 0, tags);
+}
+
+// ============================================================================
+// PROBE SCENARIO
+// ============================================================================
+
+export function projectionProbe(data) {
+    applyClientPartition();
+
+    const write = writeProbe(data);
+    if (write === null) {
+        sleep(lagConfig.probeInterval);
+        return;
+    }
+
+    const load = currentLoadPhase(data.startTime);
+    const headers = getDefaultHeaders(null, data.authToken);
+
+    group('Projection Lag: Read by ID', () => {
+        const result = pollUntilVisible(
+            () => http.get(routeUrl('patients.byId', { id: write.patientId }), {
+                headers: headers,
+                tags: { name: routeName('patients.byId'), operation: write.operation },
+            }),
+            (response) => response.status === 200 && (parseBody(response) || {}).lastName === write.lastName,
+            lagConfig.pollMs,
+            write.writtenAt
+        );
+        recordLag(result, { operation: write.operation, read_path: 'by_id', load: load });
+    });
+
+    group('Projection Lag: Search', () => {
+        const result = pollUntilVisible(
+            () => http.get(routeUrl('patients.search', {}, { searchTerm: write.lastName, pageNumber: 1, pageSize: 10 }), {
+                headers: headers,
+                tags: { name: routeName('patients.search'), operation: write.operation },
+            }),
+            (response) => response.status === 200 &&
+                ((parseBody(response) || {}).items || []).some((item) => item.id === write.patientId),
+            lagConfig.searchPollMs,
+            write.writtenAt
+        );
+        recordLag(result, { operation: write.operation, read_path: 'search', load: load });
+    });
+
+    sleep(lagConfig.probeInterval);
+}
+
+// ============================================================================
+// BACKGROUND WRITE SCENARIO
+// ============================================================================
+
+export function backgroundWrites(data) {
+    applyClientPartition();
+    const csrfSession = csrfSessionFor(data.authToken);
+    ensureCsrfSession(csrfSession);
+
+    const response = http.post(routeUrl('patients.create'),
+        JSON.stringify(generateSyntheticPatient('Background', {}, exec.scenario.iterationInTest)),
+        csrfRequestParams(csrfSession, data.authToken, { name: routeName('patients.create') }));
+
+    if (isRateLimited(response)) {
+        metrics.rateLimitErrors.add(1);
+        sleep(1);
+        return;
+    }
+    if (response.status === 201) {
+        lagMetrics.backgroundWrites.add(1);
+    }
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const ms = (values, stat) => (values && values[stat] !== undefined ? `${values[stat].toFixed(2)}ms` : 'n/a');
+
+    const lagLines = [];
+    LOAD_PHASES.forEach((load) => {
+        const values = m[`projection_lag{load:${load}}`]?.values;
+        lagLines.push(`- ${load.padEnd(10)} p50 ${ms(values, 'med')}  p95 ${ms(values, 'p(95)')}  p99 ${ms(values, 'p(99)')}  max ${ms(values, 'max')}`);
+        OPERATIONS.forEach((operation) => {
+            READ_PATHS.forEach((readPath) => {
+                const path = m[`projection_lag{operation:${operation},read_path:${readPath},load:${load}}`]?.values;
+                if (path?.count) {
+                    lagLines.push(`    ${`${operation} -> ${readPath}`.padEnd(18)} p95 ${ms(path, 'p(95)')} (${path.count} changes)`);
+                }
+            });
+        });
+    });
+
+    const summary = `
+========================================
+EMR CQRS Projection Lag Test
+========================================
+
+Background Write Load: ${lagConfig.backgroundVUs} VUs from ${backgroundStartSeconds}s (${m.projection_background_writes?.values?.count || 0} patients)
+
+Write -> Visible (projection_lag):
+${lagLines.join('\n')}
+
+- Visible on First Poll: ${((m.projection_immediately_visible?.values?.rate || 0) * 100).toFixed(2)}%
+- Not Visible in ${lagConfig.timeoutSeconds}s: ${m.projection_timeouts?.values?.count || 0}
+- Probe Write Success: ${((m.projection_probe_write_success?.values?.rate || 0) * 100).toFixed(2)}%
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'projection-lag-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,498 @@
+/**
+ * EMR Rate Limiter Conformance Test
+ *
+ * Drives each fixed-window rate limiter policy from Program.cs exactly to its
+ * limit and checks the boundary behaviour, producing a pass/fail report per
+ * policy. This is a functional probe, not a load test: a single VU walks the
+ * policies one after another.
+ *
+ * Policies (config.rateLimits):
+ * - global:         100 req/min per client IP, queue 10  (GET /api/health)
+ * - auth:           10 req/5 min, queue 0               (GET /api/auth/csrf-token)
+ * - patient-search: 30 req/min, queue 5                 (GET /api/patients/search)
+ *
+ * Checks per policy:
+ * - within_limit:       permitLimit requests in a fresh window are all admitted
+ * - rejects_over_limit: the next queueLimit requests are queued and request
+ *                       permitLimit + queueLimit + 1 gets 429
+ * - retry_after:        the 429 carries a Retry-After header or body retryAfter
+ *                       within the window length
+ * - isolation:          exhausting the policy does not block another policy
+ *                       (or, for the global limiter, another client IP)
+ * - window_resets:      a request after retryAfter is admitted without queuing
+ *
+ * Queued requests are detected with a short client timeout; aborting them frees
+ * their queue slot on the server so they never consume a later permit.
+ *
+ * Each policy probe first exhausts the current window and waits for it to
+ * reset, so the run takes roughly two windows per policy (~15 minutes total).
+ * Don't run it alongside other tests against the same API instance.
+ *
+ * Usage:
+ *   k6 run rate-limit-conformance-test.js
+ *   k6 run -e RATE_LIMIT_POLICIES=global,patient-search rate-limit-conformance-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { provisionPersonaUsers } from './personas/index.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// CONFORMANCE CONFIGURATION
+// ============================================================================
+
+const conformanceConfig = {
+    policies: (__ENV.RATE_LIMIT_POLICIES || 'patient-search,global,auth').split(',').map((p) => p.trim()),
+    // Requests still pending after this long are treated as queued by the limiter
+    queueProbeTimeoutSeconds: parseFloat(__ENV.RATE_LIMIT_QUEUE_PROBE_TIMEOUT_SECONDS || '2'),
+    // Extra wait after retryAfter before relying on a fresh window
+    resetMarginSeconds: parseFloat(__ENV.RATE_LIMIT_RESET_MARGIN_SECONDS || '2'),
+};
+
+// k6 error code for a request that hit its timeout
+const K6_REQUEST_TIMEOUT_ERROR = 1050;
+
+const conformanceChecks = ['within_limit', 'rejects_over_limit', 'retry_after', 'isolation', 'window_resets'];
+
+/**
+ * Endpoints that exercise each policy
+ * { route, query, authenticated } - authenticated requests carry the setup token
+ */
+const endpoints = {
+    globalOnly: { route: 'health.api', query: {}, authenticated: false },
+    authPolicy: { route: 'auth.csrfToken', query: {}, authenticated: false },
+    patientSearchPolicy: { route: 'patients.search', query: { searchTerm: 'TEST', pageNumber: 1, pageSize: 10 }, authenticated: true },
+    currentUser: { route: 'auth.me', query: {}, authenticated: true },
+};
+
+/**
+ * Probe definition per policy
+ * Each policy uses its own synthetic client IP (RFC 5737 TEST-NET-2) so the
+ * per-IP global limiter never interferes with a named policy's probe.
+ */
+const policyProbes = {
+    'global': {
+        limits: config.rateLimits.global,
+        clientIp: '198.51.100.10',
+        endpoint: endpoints.globalOnly,
+        isolation: [
+            { label: 'different client IP', clientIp: '198.51.100.11', endpoint: endpoints.globalOnly },
+        ],
+    },
+    'auth': {
+        limits: config.rateLimits.auth,
+        clientIp: '198.51.100.20',
+        endpoint: endpoints.authPolicy,
+        isolation: [
+            { label: 'patient-search policy', clientIp: '198.51.100.20', endpoint: endpoints.patientSearchPolicy },
+            { label: 'global-only endpoint', clientIp: '198.51.100.20', endpoint: endpoints.globalOnly },
+        ],
+    },
+    'patient-search': {
+        limits: config.rateLimits.patientSearch,
+        clientIp: '198.51.100.30',
+        endpoint: endpoints.patientSearchPolicy,
+        isolation: [
+            { label: 'global-only endpoint', clientIp: '198.51.100.30', endpoint: endpoints.globalOnly },
+            { label: 'authenticated endpoint without named policy', clientIp: '198.51.100.30', endpoint: endpoints.currentUser },
+        ],
+    },
+};
+
+// Largest burst any probe could send at once (permit + queue + the request that must be rejected)
+const largestBurst = Math.max(...Object.values(policyProbes).map(
+    (probe) => probe.limits.permitLimit + probe.limits.queueLimit + 1));
+
+// ============================================================================
+// CUSTOM METRICS FOR CONFORMANCE
+// ============================================================================
+
+const conformanceMetrics = {
+    conformance: new Rate('rate_limit_conformance'),
+    retryAfterSeconds: new Trend('rate_limit_retry_after_seconds'),
+};
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+/**
+ * One threshold per policy and check so the k6 result lists every failure
+ * @returns {Object} Thresholds object for k6 options
+ */
+function getConformanceThresholds() {
+    const thresholds = {};
+    for (const policy of conformanceConfig.policies) {
+        for (const name of conformanceChecks) {
+            thresholds[`rate_limit_conformance{policy:${policy},check:${name}}`] = ['rate==1'];
+        }
+    }
+    return thresholds;
+}
+
+export const options = {
+    scenarios: {
+        conformance: {
+            executor: 'per-vu-iterations',
+            vus: 1,
+            iterations: 1,
+            maxDuration: '30m',
+            exec: 'rateLimitConformance',
+            tags: { test_type: 'rate_limit_conformance' },
+        },
+    },
+
+    thresholds: getConformanceThresholds(),
+
+    // http.batch keeps at most batchPerHost requests in flight (k6 default 6);
+    // a burst only fills the limiter's queue if all of it is sent at once
+    batch: largestBurst,
+    batchPerHost: largestBurst,
+
+    tags: {
+        test_name: 'rate_limit_conformance_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Rate Limiter Conformance Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Policies: ${conformanceConfig.policies.join(', ')}`);
+
+    for (const policy of conformanceConfig.policies) {
+        if (!policyProbes[policy]) {
+            throw new Error(`Unknown rate limit policy "${policy}". Expected one of: ${Object.keys(policyProbes).join(', ')}`);
+        }
+    }
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check'].concat(Object.values(endpoints).map((endpoint) => endpoint.route)));
+
+    // Search and /auth/me need a registered user's token to return 200 (the limiter
+    // runs before authentication either way); registering spends two auth permits
+    const signingContext = initTokenFactory();
+    const authToken = provisionPersonaUsers(signingContext, ['Doctor']).Doctor.token;
+
+    return {
+        startTime: Date.now(),
+        authToken: authToken,
+    };
+}
+
+// ============================================================================
+// REQUEST HELPERS
+// ============================================================================
+
+/**
+ * Build a GET request for http.get / http.batch
+ * @param {Object} endpoint - Entry from endpoints
+ * @param {string} clientIp - Synthetic client IP sent as X-Forwarded-For
+ * @param {Object} data - Setup data
+ * @param {number} timeoutSeconds - Request timeout (null for the k6 default)
+ * @param {string} policy - Policy under test (tag)
+ * @returns {Array} Batch request tuple
+ */
+function buildProbeRequest(endpoint, clientIp, data, timeoutSeconds, policy) {
+    const headers = getDefaultHeaders(null, endpoint.authenticated ? data.authToken : null);
+    headers['X-Forwarded-For'] = clientIp;
+
+    const params = {
+        headers: headers,
+        tags: { name: routeName(endpoint.route), policy: policy },
+    };
+    if (timeoutSeconds !== null) {
+        params.timeout = `${timeoutSeconds}s`;
+    }
+
+    return ['GET', routeUrl(endpoint.route, {}, endpoint.query), null, params];
+}
+
+/**
+ * Send a single probe request
+ * @returns {Response} HTTP response object
+ */
+function sendProbe(endpoint, clientIp, data, timeoutSeconds, policy) {
+    const [, url, , params] = buildProbeRequest(endpoint, clientIp, data, timeoutSeconds, policy);
+    return http.get(url, params);
+}
+
+/**
+ * Send several identical probes concurrently
+ * All of them are in flight together as long as count <= largestBurst (options.batchPerHost).
+ * @returns {Array<Response>} HTTP responses
+ */
+function sendProbeBatch(count, endpoint, clientIp, data, timeoutSeconds, policy) {
+    const requests = [];
+    for (let i = 0; i < count; i++) {
+        requests.push(buildProbeRequest(endpoint, clientIp, data, timeoutSeconds, policy));
+    }
+    return http.batch(requests);
+}
+
+/**
+ * Check if the limiter held the request in its queue (client timed out waiting)
+ * @param {Response} response - HTTP response object
+ * @returns {boolean} True if queued
+ */
+function isQueued(response) {
+    return response.error_code === K6_REQUEST_TIMEOUT_ERROR;
+}
+
+/**
+ * Check if the limiter let the request through immediately
+ * Any non-429 HTTP status counts, including 401/403 from later middleware.
+ * @param {Response} response - HTTP response object
+ * @returns {boolean} True if admitted
+ */
+function isAdmitted(response) {
+    return response.status !== 0 && !isRateLimited(response);
+}
+
+/**
+ * Read the retry hint from a 429, preferring the Retry-After header
+ * @param {Response} response - HTTP 429 response
+ * @returns {Object|null} { seconds, source } or null if absent
+ */
+function readRetryAfter(response) {
+    const header = response.headers['Retry-After'];
+    if (header !== undefined && !isNaN(parseFloat(header))) {
+        return { seconds: parseFloat(header), source: 'header' };
+    }
+
+    try {
+        const body = JSON.parse(response.body);
+        if (typeof body.retryAfter === 'number') {
+            return { seconds: body.retryAfter, source: 'body' };
+        }
+    } catch {
+        // No JSON body
+    }
+
+    return null;
+}
+
+/**
+ * Record a conformance check result
+ * @param {string} policy - Policy name
+ * @param {string} name - Check name from conformanceChecks
+ * @param {boolean} passed - Result
+ * @param {string} detail - Logged explanation
+ */
+function recordConformance(policy, name, passed, detail) {
+    conformanceMetrics.conformance.add(passed ? 1 : 0, { policy: policy, check: name });
+    check(null, { [`${policy}: ${name}`]: () => passed });
+    console.log(`[${policy}] ${name}: ${passed ? 'PASS' : 'FAIL'} - ${detail}`);
+}
+
+// ============================================================================
+// POLICY PROBE
+// ============================================================================
+
+/**
+ * Use up whatever is left of the current window and return the retry hint
+ * Sequential requests run until one is rejected or queued; a queued request
+ * means permits are gone, so a burst of queueLimit + 1 fills the queue and
+ * forces a 429.
+ * @returns {number|null} Seconds until the window resets, or null if no 429 was seen
+ */
+function exhaustCurrentWindow(policy, probe, data) {
+    const limits = probe.limits;
+    const shortTimeout = conformanceConfig.queueProbeTimeoutSeconds;
+
+    for (let i = 0; i <= limits.permitLimit; i++) {
+        const response = sendProbe(probe.endpoint, probe.clientIp, data, shortTimeout, policy);
+        if (isRateLimited(response)) {
+            const retry = readRetryAfter(response);
+            return retry ? retry.seconds : limits.windowSeconds;
+        }
+        if (isQueued(response)) {
+            break;
+        }
+    }
+
+    const burst = sendProbeBatch(limits.queueLimit + 1, probe.endpoint, probe.clientIp, data, shortTimeout, policy);
+    const rejection = burst.find((r) => isRateLimited(r));
+    if (!rejection) {
+        return null;
+    }
+
+    const retry = readRetryAfter(rejection);
+    return retry ? retry.seconds : limits.windowSeconds;
+}
+
+/**
+ * Run every conformance check for one policy
+ * @param {string} policy - Policy name
+ * @param {Object} data - Setup data
+ */
+function runPolicyProbe(policy, data) {
+    const probe = policyProbes[policy];
+    const limits = probe.limits;
+    const shortTimeout = conformanceConfig.queueProbeTimeoutSeconds;
+    const margin = conformanceConfig.resetMarginSeconds;
+
+    // Step 1: Align to the start of a fresh window
+    const alignWait = exhaustCurrentWindow(policy, probe, data);
+    if (alignWait === null) {
+        for (const name of conformanceChecks) {
+            recordConformance(policy, name, false, 'limiter never returned 429 while exhausting the current window');
+        }
+        return;
+    }
+    console.log(`[${policy}] window exhausted, waiting ${alignWait + margin}s for reset`);
+    sleep(alignWait + margin);
+
+    // Step 2: Exactly permitLimit requests are admitted
+    let admitted = 0;
+    for (let i = 0; i < limits.permitLimit; i++) {
+        const response = sendProbe(probe.endpoint, probe.clientIp, data, shortTimeout, policy);
+        if (isAdmitted(response)) {
+            admitted++;
+        }
+    }
+    recordConformance(policy, 'within_limit', admitted === limits.permitLimit,
+        `${admitted}/${limits.permitLimit} admitted`);
+
+    // Step 3: The next queueLimit are queued, the one after is rejected
+    const overflow = sendProbeBatch(limits.queueLimit + 1, probe.endpoint, probe.clientIp, data, shortTimeout, policy);
+    const rejectedAt = Date.now();
+    const queued = overflow.filter((r) => isQueued(r)).length;
+    const rejections = overflow.filter((r) => isRateLimited(r));
+    recordConformance(policy, 'rejects_over_limit', queued === limits.queueLimit && rejections.length === 1,
+        `${queued} queued (expected ${limits.queueLimit}), ${rejections.length} rejected (expected 1)`);
+
+    // Step 4: The rejection says when to retry
+    const retry = rejections.length > 0 ? readRetryAfter(rejections[0]) : null;
+    if (retry) {
+        conformanceMetrics.retryAfterSeconds.add(retry.seconds, { policy: policy });
+    }
+    recordConformance(policy, 'retry_after',
+        retry !== null && retry.seconds > 0 && retry.seconds <= limits.windowSeconds,
+        retry ? `${retry.seconds}s from ${retry.source}` : 'no Retry-After header or retryAfter body field');
+
+    // Step 5: Other policies / partitions still have quota
+    const isolationResults = probe.isolation.map((target) => {
+        const response = sendProbe(target.endpoint, target.clientIp, data, shortTimeout, policy);
+        return { label: target.label, passed: isAdmitted(response), status: response.status };
+    });
+    recordConformance(policy, 'isolation', isolationResults.every((r) => r.passed),
+        isolationResults.map((r) => `${r.label}: ${r.status}`).join(', '));
+
+    // Step 6: The window resets when the retry hint says it will
+    const elapsedSeconds = (Date.now() - rejectedAt) / 1000;
+    const resetWait = (retry ? retry.seconds : limits.windowSeconds) - elapsedSeconds + margin;
+    sleep(Math.max(0, resetWait));
+    const afterReset = sendProbe(probe.endpoint, probe.clientIp, data, shortTimeout, policy);
+    recordConformance(policy, 'window_resets', isAdmitted(afterReset),
+        `status ${afterReset.status} after ${Math.max(0, resetWait).toFixed(1)}s`);
+}
+
+// ============================================================================
+// MAIN TEST SCENARIO
+// ============================================================================
+
+/**
+ * Walk each configured policy in turn
+ */
+export function rateLimitConformance(data) {
+    for (const policy of conformanceConfig.policies) {
+        group(`Rate Limit Policy: ${policy}`, () => {
+            runPolicyProbe(policy, data);
+        });
+    }
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR Rate Limiter Conformance Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+/**
+ * Build the per-policy conformance report from the tagged submetrics
+ * @param {Object} data - k6 summary data
+ * @returns {Object} { policy: { passed, checks: { name: 'PASS'|'FAIL'|'NOT RUN' } } }
+ */
+function buildConformanceReport(data) {
+    const report = {};
+
+    for (const policy of conformanceConfig.policies) {
+        const checks = {};
+        let passed = true;
+
+        for (const name of conformanceChecks) {
+            const values = data.metrics[`rate_limit_conformance{policy:${policy},check:${name}}`]?.values;
+            if (!values || values.passes + values.fails === 0) {
+                checks[name] = 'NOT RUN';
+                passed = false;
+            } else {
+                checks[name] = values.rate === 1 ? 'PASS' : 'FAIL';
+                passed = passed && values.rate === 1;
+            }
+        }
+
+        report[policy] = {
+            limits: policyProbes[policy].limits,
+            passed: passed,
+            checks: checks,
+        };
+    }
+
+    return report;
+}
+
+export function handleSummary(data) {
+    const report = buildConformanceReport(data);
+
+    const lines = Object.keys(report).map((policy) => {
+        const entry = report[policy];
+        const limits = entry.limits;
+        const checkLines = conformanceChecks.map((name) => `    ${name.padEnd(20)} ${entry.checks[name]}`).join('\n');
+        return `- ${policy} (${limits.permitLimit}/${limits.windowSeconds}s, queue ${limits.queueLimit}): ${entry.passed ? 'PASS' : 'FAIL'}\n${checkLines}`;
+    });
+
+    const summary = `
+========================================
+EMR Rate Limiter Conformance Report
+========================================
+${lines.join('\n')}
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'rate-limit-conformance-report.json': JSON.stringify(report, null, 2),
+        'rate-limit-conformance-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,462 @@
+/**
+ * EMR Registration Lifecycle Test
+ *
+ * Drives POST /api/auth/register with identities that are unique by
+ * construction and, on a fixed schedule, replays earlier registrations to
+ * check duplicate handling:
+ *
+ * - unique:               new email + new AzureAdB2CId → 201 with the UserDto
+ * - duplicate_email:      earlier email, new AzureAdB2CId → 400 "A user with this email address already exists."
+ * - duplicate_email_case: earlier email in upper case → 400 (emails are stored lower-cased)
+ * - duplicate_azure_id:   new email, earlier AzureAdB2CId → 400 "A user with this Azure AD B2C ID already exists."
+ *
+ * Identities are derived from the run id and the iteration slot, so the
+ * summary can rebuild exactly which accounts were created and write them to
+ * registration-manifest-<runId>.json for later cleanup.
+ *
+ * Registration is on the "auth" rate limiter (10 per 5 minutes, shared by all
+ * clients), so a single VU paces itself to the limiter and waits out any 429.
+ * Self-registration only allows the Patient role.
+ *
+ * Usage:
+ *   k6 run registration-lifecycle-test.js
+ *   k6 run -e REGISTRATION_ITERATIONS=60 registration-lifecycle-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { randomConfig, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// REGISTRATION TEST CONFIGURATION
+// ============================================================================
+
+const registrationConfig = {
+    iterations: parseInt(__ENV.REGISTRATION_ITERATIONS || '24'),
+    // Default spreads the auth limiter's permits evenly over its window (30s)
+    intervalSeconds: parseFloat(__ENV.REGISTRATION_INTERVAL_SECONDS ||
+        String(config.rateLimits.auth.windowSeconds / config.rateLimits.auth.permitLimit)),
+    // Attempts per registration when another client has used up the auth window
+    maxAttempts: parseInt(__ENV.REGISTRATION_ATTEMPTS || '3'),
+    // Fixed per run to rebuild identities in handleSummary; defaults to the setup time
+    runId: __ENV.REGISTRATION_RUN_ID || null,
+};
+
+const REGISTRATION_KINDS = {
+    UNIQUE: 'unique',
+    DUPLICATE_EMAIL: 'duplicate_email',
+    DUPLICATE_EMAIL_CASE: 'duplicate_email_case',
+    DUPLICATE_AZURE_ID: 'duplicate_azure_id',
+};
+
+/**
+ * Repeating schedule of registration kinds (one entry per iteration)
+ * Every duplicate replays the most recent unique registration before it.
+ */
+const registrationSchedule = [
+    REGISTRATION_KINDS.UNIQUE,
+    REGISTRATION_KINDS.UNIQUE,
+    REGISTRATION_KINDS.DUPLICATE_EMAIL,
+    REGISTRATION_KINDS.UNIQUE,
+    REGISTRATION_KINDS.DUPLICATE_AZURE_ID,
+    REGISTRATION_KINDS.UNIQUE,
+    REGISTRATION_KINDS.DUPLICATE_EMAIL_CASE,
+];
+
+/**
+ * Expected 400 message per duplicate kind (UnitOfWork.GetUserFriendlyErrorMessage)
+ */
+const duplicateMessages = {
+    [REGISTRATION_KINDS.DUPLICATE_EMAIL]: 'A user with this email address already exists.',
+    [REGISTRATION_KINDS.DUPLICATE_EMAIL_CASE]: 'A user with this email address already exists.',
+    [REGISTRATION_KINDS.DUPLICATE_AZURE_ID]: 'A user with this Azure AD B2C ID already exists.',
+};
+
+// ============================================================================
+// CUSTOM METRICS FOR REGISTRATION
+// ============================================================================
+
+const registrationMetrics = {
+    duration: new Trend('registration_duration', true),
+    // Status and body matched the expectation for the kind
+    outcomeOk: new Rate('registration_outcome_ok'),
+    // One sample per created account, tagged with its slot for the manifest
+    created: new Counter('registration_created'),
+    // A replay that created a second account - uniqueness is broken
+    duplicateAccepted: new Counter('registration_duplicate_accepted'),
+    // Slots skipped because their source registration never succeeded
+    skipped: new Counter('registration_skipped'),
+};
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+/**
+ * Expected-outcome thresholds per kind, plus per-slot submetrics that expose
+ * which slots created an account to handleSummary
+ * @returns {Object} Thresholds object for k6 options
+ */
+function getRegistrationThresholds() {
+    const thresholds = {
+        'registration_duplicate_accepted': ['count==0'],
+        'registration_duration': ['p(95)<1000'],
+    };
+    for (const kind of Object.values(REGISTRATION_KINDS)) {
+        thresholds[`registration_outcome_ok{kind:${kind}}`] = ['rate==1'];
+    }
+    for (let slot = 0; slot < registrationConfig.iterations; slot++) {
+        thresholds[`registration_created{registration_slot:${slot}}`] = ['count>=0'];
+    }
+    return thresholds;
+}
+
+export const options = {
+    scenarios: {
+        registration: {
+            executor: 'per-vu-iterations',
+            vus: 1,
+            iterations: registrationConfig.iterations,
+            // Pacing plus up to one full auth window of 429 back-off per slot
+            maxDuration: `${Math.ceil(registrationConfig.iterations * registrationConfig.intervalSeconds / 60) + 15}m`,
+            exec: 'registrationLifecycle',
+            tags: { test_type: 'registration_lifecycle' },
+        },
+    },
+
+    thresholds: getRegistrationThresholds(),
+
+    tags: {
+        test_name: 'registration_lifecycle_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// IDENTITY HELPERS
+// ============================================================================
+
+/**
+ * Kind scheduled for an iteration slot
+ * @param {number} slot - Iteration number
+ * @returns {string} One of REGISTRATION_KINDS
+ */
+function getScheduledKind(slot) {
+    return registrationSchedule[slot % registrationSchedule.length];
+}
+
+/**
+ * Most recent unique slot before a duplicate slot
+ * @param {number} slot - Duplicate iteration number
+ * @returns {number|null} Source slot, or null if none precedes it
+ */
+function getSourceSlot(slot) {
+    for (let s = slot - 1; s >= 0; s--) {
+        if (getScheduledKind(s) === REGISTRATION_KINDS.UNIQUE) {
+            return s;
+        }
+    }
+    return null;
+}
+
+/**
+ * Identity owned by a slot, unique per run id and slot
+ * The 7e57 prefix marks the GUID as test data and "ffff" marks it as a
+ * registration lifecycle identity; the run id fills the last group.
+ * @param {string} runId - Run id (12 hex digits)
+ * @param {number} slot - Iteration number
+ * @returns {Object} { email, azureAdB2CId }
+ */
+function buildSlotIdentity(runId, slot) {
+    const slotHex = (slot % 0x10000).toString(16).padStart(4, '0');
+    return {
+        email: `TEST-patient.reg${slot}.${runId}@emr-test-only.example`,
+        azureAdB2CId: `7e57${slotHex}-ffff-4000-8000-${runId}`,
+    };
+}
+
+/**
+ * Registration payload sent by a slot
+ * Deterministic, so handleSummary can rebuild it from the run id.
+ * @param {string} runId - Run id
+ * @param {number} slot - Iteration number
+ * @returns {Object} { kind, sourceSlot, payload }
+ */
+function buildSlotRegistration(runId, slot) {
+    const kind = getScheduledKind(slot);
+    const own = buildSlotIdentity(runId, slot);
+    const sourceSlot = kind === REGISTRATION_KINDS.UNIQUE ? null : getSourceSlot(slot);
+    const source = sourceSlot !== null ? buildSlotIdentity(runId, sourceSlot) : own;
+
+    let email = own.email;
+    let azureAdB2CId = own.azureAdB2CId;
+    if (kind === REGISTRATION_KINDS.DUPLICATE_EMAIL) {
+        email = source.email;
+    } else if (kind === REGISTRATION_KINDS.DUPLICATE_EMAIL_CASE) {
+        email = source.email.toUpperCase();
+    } else if (kind === REGISTRATION_KINDS.DUPLICATE_AZURE_ID) {
+        azureAdB2CId = source.azureAdB2CId;
+    }
+
+    return {
+        kind: kind,
+        sourceSlot: sourceSlot,
+        payload: {
+            email: email,
+            firstName: 'TEST_Patient',
+            lastName: `SYNTHETIC_Registration${slot}`,
+            azureAdB2CId: azureAdB2CId,
+            roles: [5], // UserRole.Patient
+        },
+    };
+}
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    const runId = registrationConfig.runId || randomConfig.runId;
+
+    console.log('Starting EMR Registration Lifecycle Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Run ID: ${runId}`);
+    console.log(`Iterations: ${registrationConfig.iterations}, one every ${registrationConfig.intervalSeconds}s`);
+
+    if (!/^[0-9a-f]{12}$/.test(runId)) {
+        throw new Error(`REGISTRATION_RUN_ID must be 12 lower-case hex digits, got "${runId}"`);
+    }
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.register']);
+
+    return {
+        startTime: Date.now(),
+        runId: runId,
+    };
+}
+
+// ============================================================================
+// MAIN TEST SCENARIO
+// ============================================================================
+
+/**
+ * Slots whose registration this VU saw succeed
+ */
+const createdSlots = new Set();
+
+/**
+ * Time of the last registration request, for pacing
+ */
+let lastRequestAt = 0;
+
+/**
+ * Send a registration, paced to the auth limiter and retried after 429
+ * @param {Object} payload - Registration body
+ * @param {Object} tags - Request tags
+ * @returns {Response} Last response
+ */
+function sendRegistration(payload, tags) {
+    let response = null;
+
+    for (let attempt = 1; attempt <= registrationConfig.maxAttempts; attempt++) {
+        const wait = registrationConfig.intervalSeconds - (Date.now() - lastRequestAt) / 1000;
+        if (wait > 0) {
+            sleep(wait);
+        }
+
+        lastRequestAt = Date.now();
+        response = http.post(routeUrl('auth.register'), JSON.stringify(payload), {
+            headers: getDefaultHeaders(),
+            tags: Object.assign({ name: routeName('auth.register') }, tags),
+        });
+
+        if (!isRateLimited(response)) {
+            break;
+        }
+
+        metrics.rateLimitErrors.add(1);
+        let retryAfter = config.rateLimits.auth.windowSeconds;
+        try {
+            retryAfter = JSON.parse(response.body).retryAfter || retryAfter;
+        } catch {
+            // Keep the full window
+        }
+        sleep(retryAfter);
+    }
+
+    return response;
+}
+
+/**
+ * One registration per iteration, following registrationSchedule
+ */
+export function registrationLifecycle(data) {
+    const slot = __ITER;
+    const registration = buildSlotRegistration(data.runId, slot);
+    const kind = registration.kind;
+
+    // A replay of a registration that never succeeded would just create a new account
+    if (kind !== REGISTRATION_KINDS.UNIQUE &&
+        (registration.sourceSlot === null || !createdSlots.has(registration.sourceSlot))) {
+        registrationMetrics.skipped.add(1, { kind: kind });
+        return;
+    }
+
+    group(`Registration: ${kind}`, () => {
+        const response = sendRegistration(registration.payload, { kind: kind });
+        registrationMetrics.duration.add(response.timings.duration, { kind: kind });
+
+        let body = null;
+        try {
+            body = JSON.parse(response.body);
+        } catch {
+            // Checked below
+        }
+
+        if (response.status === 201) {
+            createdSlots.add(slot);
+            registrationMetrics.created.add(1, { registration_slot: String(slot), kind: kind });
+        }
+
+        let ok;
+        if (kind === REGISTRATION_KINDS.UNIQUE) {
+            ok = check(response, {
+                'Unique registration: status is 201': (r) => r.status === 201,
+                'Unique registration: has user id': () => body !== null && typeof body.id === 'string',
+                'Unique registration: email stored lower-cased': () =>
+                    body !== null && body.email === registration.payload.email.toLowerCase(),
+                'Unique registration: Azure AD B2C ID echoed': () =>
+                    body !== null && body.azureAdB2CId === registration.payload.azureAdB2CId,
+                'Unique registration: Patient role only': () =>
+                    body !== null && Array.isArray(body.roles) && body.roles.length === 1,
+            });
+        } else {
+            if (response.status === 201) {
+                registrationMetrics.duplicateAccepted.add(1, { kind: kind });
+                console.error(`Slot ${slot} (${kind} of slot ${registration.sourceSlot}) created a second account`);
+            }
+            ok = check(response, {
+                [`Duplicate (${kind}): status is 400`]: (r) => r.status === 400,
+                [`Duplicate (${kind}): error message names the conflict`]: () =>
+                    body !== null && body.message === duplicateMessages[kind],
+                [`Duplicate (${kind}): no validation errors`]: () => body !== null && !body.errors,
+            });
+        }
+
+        registrationMetrics.outcomeOk.add(ok ? 1 : 0, { kind: kind });
+        if (!ok) {
+            console.warn(`Slot ${slot} (${kind}) unexpected response ${response.status}: ${response.body}`);
+        }
+    });
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR Registration Lifecycle Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log(`Run ID: ${data.runId}`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+/**
+ * Rebuild the accounts this run created from the per-slot submetrics
+ * @param {Object} data - k6 summary data
+ * @param {string} runId - Run id from setup
+ * @returns {Array<Object>} Created accounts
+ */
+function buildRunManifest(data, runId) {
+    const accounts = [];
+
+    for (let slot = 0; slot < registrationConfig.iterations; slot++) {
+        const created = data.metrics[`registration_created{registration_slot:${slot}}`]?.values?.count || 0;
+        if (created === 0) {
+            continue;
+        }
+
+        const registration = buildSlotRegistration(runId, slot);
+        accounts.push({
+            slot: slot,
+            kind: registration.kind,
+            email: registration.payload.email.toLowerCase(),
+            azureAdB2CId: registration.payload.azureAdB2CId,
+            roles: ['Patient'],
+        });
+    }
+
+    return accounts;
+}
+
+export function handleSummary(data) {
+    const runId = data.setup_data?.runId || registrationConfig.runId;
+    const m = data.metrics;
+    const kindLines = Object.values(REGISTRATION_KINDS).map((kind) => {
+        const values = m[`registration_outcome_ok{kind:${kind}}`]?.values;
+        const total = values ? values.passes + values.fails : 0;
+        return `- ${kind.padEnd(22)} ${total > 0 ? `${values.passes}/${total} as expected` : 'not run'}`;
+    });
+
+    const result = {};
+    let manifestLine = 'Run Manifest: not written (no run id)';
+
+    if (runId) {
+        const accounts = buildRunManifest(data, runId);
+        const manifestFile = `registration-manifest-${runId}.json`;
+        result[manifestFile] = JSON.stringify({
+            runId: runId,
+            baseUrl: config.baseUrl,
+            startedAt: data.setup_data?.startTime ? new Date(data.setup_data.startTime).toISOString() : null,
+            accountCount: accounts.length,
+            accounts: accounts,
+        }, null, 2);
+        manifestLine = `Run Manifest: ${manifestFile} (${accounts.length} accounts)`;
+    }
+
+    const summary = `
+========================================
+EMR Registration Lifecycle Test
+========================================
+
+Run ID: ${runId || 'n/a'}
+
+Outcomes by Kind:
+${kindLines.join('\n')}
+
+- Accounts Created: ${m.registration_created?.values?.count || 0}
+- Duplicates Accepted: ${m.registration_duplicate_accepted?.values?.count || 0}
+- Replays Skipped: ${m.registration_skipped?.values?.count || 0}
+- Registration p95: ${m.registration_duration?.values?.['p(95)']?.toFixed(2) || 'n/a'}ms
+
+${manifestLine}
+
+========================================
+`;
+
+    console.log(summary);
+
+    result['stdout'] = summary;
+    result['registration-lifecycle-test-results.json'] = JSON.stringify(withRunSeed(data), null, 2);
+    return result;
+}
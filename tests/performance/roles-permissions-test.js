@@ -0,0 +1,607 @@
+/**
+ * EMR Roles and Permissions Workload Test
+ *
+ * Load on RolesController plus permission-change propagation timing:
+ *
+ * - role_readers: Admin VUs read GET /api/roles, /api/roles/{id} and
+ *   /api/roles/permissions
+ * - gated_callers: Doctor and Nurse VUs call the same [HasPermission] routes,
+ *   so every request goes through PermissionAuthorizationHandler
+ * - permission_changes: every ROLES_CHANGE_INTERVAL_SECONDS an Admin calls
+ *   PUT /api/roles/{id}/permissions (AssignPermissionsToRole) on the probe
+ *   role (ROLES_PROBE_ROLE), alternately granting and revoking the probe
+ *   permission (ROLES_PROBE_PERMISSION). A user holding the probe role then
+ *   polls the route that permission gates until the decision flips (grant:
+ *   403 → 200, revoke: 200 → 403), which is the propagation time. Finally the
+ *   audit log is searched for a ConfigurationChange entry on the role.
+ *
+ * Teardown restores the probe role's original permissions if they changed.
+ *
+ * Note: in this tree every seeded role is a system role, AssignPermissionsToRole
+ * rejects system roles ("System roles cannot be modified") and RolesController
+ * has no endpoint to create a custom role. PermissionAuthorizationHandler also
+ * decides from the compiled RolePermissionMatrix rather than the role's stored
+ * permissions, and the handler writes no ConfigurationChange audit entry. The
+ * API therefore can't support the change scenario: the change, propagation and
+ * audit thresholds state the intended behaviour and are EXPECTED TO FAIL in
+ * this tree, and the summary lists the gaps the run observed.
+ *
+ * Usage:
+ *   k6 run roles-permissions-test.js
+ *   k6 run -e ROLES_PROBE_ROLE=Doctor -e ROLES_PROBE_PERMISSION=PermissionsView roles-permissions-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep, group } from 'k6';
+import { Counter, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    metrics,
+    getDefaultHeaders,
+    isRateLimited,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { createCsrfSession, csrfSessionFor, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { personas, provisionPersonaUsers } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { randomConfig, randomItem, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// ROLES TEST CONFIGURATION
+// ============================================================================
+
+const rolesConfig = {
+    duration: __ENV.ROLES_DURATION || '10m',
+    readerVus: parseInt(__ENV.ROLES_READER_VUS || '2'),
+    gatedVus: parseInt(__ENV.ROLES_GATED_VUS || '4'),
+    // Per VU; keeps each client IP well under the global 100/min
+    requestIntervalSeconds: parseFloat(__ENV.ROLES_REQUEST_INTERVAL_SECONDS || '1'),
+    probeRole: __ENV.ROLES_PROBE_ROLE || 'Nurse',
+    probePermission: __ENV.ROLES_PROBE_PERMISSION || 'RolesView',
+    changeIntervalSeconds: parseInt(__ENV.ROLES_CHANGE_INTERVAL_SECONDS || '120'),
+    propagationTimeoutSeconds: parseInt(__ENV.ROLES_PROPAGATION_TIMEOUT_SECONDS || '60'),
+    pollIntervalSeconds: parseFloat(__ENV.ROLES_POLL_INTERVAL_SECONDS || '1'),
+    propagationP95Ms: parseInt(__ENV.ROLES_PROPAGATION_P95_MS || '5000'),
+    auditTimeoutSeconds: parseInt(__ENV.ROLES_AUDIT_TIMEOUT_SECONDS || '30'),
+    // Tolerated clock difference between the load generator and the API (ms)
+    clockSkewMs: parseInt(__ENV.ROLES_CLOCK_SKEW_MS || '5000'),
+};
+
+/**
+ * Probe permissions (EMR.Domain.Enums.Permission) and the route each gates
+ */
+const PROBE_PERMISSIONS = {
+    RolesView: { value: 140, routeId: 'roles.list' },
+    PermissionsView: { value: 144, routeId: 'roles.permissions' },
+};
+
+const probe = PROBE_PERMISSIONS[rolesConfig.probePermission];
+if (!probe) {
+    throw new Error(`Unknown ROLES_PROBE_PERMISSION "${rolesConfig.probePermission}". Expected ${Object.keys(PROBE_PERMISSIONS).join(' or ')}.`);
+}
+if (!personas[rolesConfig.probeRole] || rolesConfig.probeRole === 'Admin') {
+    throw new Error(`Unknown ROLES_PROBE_ROLE "${rolesConfig.probeRole}". Expected Patient, Doctor, Nurse or Staff.`);
+}
+
+const GATED_CALLERS = ['Doctor', 'Nurse'];
+const ROLE_ROUTES = ['roles.list', 'roles.byId', 'roles.permissions'];
+const DIRECTIONS = ['grant', 'revoke'];
+const REJECT_REASONS = ['system_role', 'not_found', 'other'];
+
+// AuditEventType.ConfigurationChange
+const AUDIT_EVENT_CONFIGURATION_CHANGE = 14;
+
+// ============================================================================
+// CUSTOM METRICS FOR ROLES
+// ============================================================================
+
+const rolesMetrics = {
+    // Admin reads, tagged with route
+    readDuration: new Trend('roles_read_duration', true),
+    readSuccess: new Rate('roles_read_success'),
+    // Non-admin calls through PermissionAuthorizationHandler, tagged with caller and decision
+    gatedDuration: new Trend('roles_gated_duration', true),
+    gatedAllowed: new Rate('roles_gated_allowed'),
+    // Neither 2xx nor 403 (e.g. a 500 from the handler)
+    gatedUnexpectedStatus: new Counter('roles_gated_unexpected_status'),
+    // Permission changes, tagged with direction
+    changeDuration: new Trend('roles_change_duration', true),
+    changeAccepted: new Rate('roles_change_accepted'),
+    changeRejected: new Counter('roles_change_rejected'),
+    // Accepted change → first decision reflecting it (ms)
+    propagationTime: new Trend('roles_propagation_time', true),
+    propagationTimeouts: new Counter('roles_propagation_timeouts'),
+    changeAudited: new Rate('roles_change_audited'),
+    auditVisibleAfter: new Trend('roles_audit_visible_after', true),
+};
+
+/**
+ * Per route, caller, direction and reason submetrics for handleSummary
+ * @returns {Object} Thresholds entries
+ */
+function getRolesThresholds() {
+    const thresholds = {};
+    ROLE_ROUTES.forEach((routeId) => {
+        thresholds[`roles_read_duration{route:${routeId}}`] = [`p(95)<${config.thresholds.p95}`];
+    });
+    GATED_CALLERS.forEach((caller) => {
+        thresholds[`roles_gated_allowed{caller:${caller}}`] = ['rate>=0'];
+    });
+    DIRECTIONS.forEach((direction) => {
+        thresholds[`roles_propagation_time{direction:${direction}}`] = ['p(95)>=0'];
+    });
+    REJECT_REASONS.forEach((reason) => {
+        thresholds[`roles_change_rejected{reason:${reason}}`] = ['count>=0'];
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        role_readers: {
+            executor: 'constant-vus',
+            vus: rolesConfig.readerVus,
+            duration: rolesConfig.duration,
+            exec: 'readRoles',
+            tags: { test_type: 'roles_read' },
+        },
+        gated_callers: {
+            executor: 'constant-vus',
+            vus: rolesConfig.gatedVus,
+            duration: rolesConfig.duration,
+            exec: 'callGatedRoutes',
+            tags: { test_type: 'roles_gated' },
+        },
+        // Starts after the readers are warm
+        permission_changes: {
+            executor: 'constant-vus',
+            vus: 1,
+            duration: rolesConfig.duration,
+            startTime: '30s',
+            exec: 'changePermissions',
+            tags: { test_type: 'roles_change' },
+        },
+    },
+
+    thresholds: {
+        'roles_read_duration': [`p(95)<${config.thresholds.p95}`],
+        'roles_read_success': ['rate>0.99'],
+        'roles_gated_duration': [`p(95)<${config.thresholds.p95}`],
+        'roles_gated_unexpected_status': ['count==0'],
+        // Expected to fail in this tree (see the header). While every change is
+        // rejected, roles_change_accepted fails and propagation and audit get
+        // no samples; once changes are accepted, the other three gate them.
+        'roles_change_accepted': ['rate>0.99'],
+        'roles_propagation_time': [`p(95)<${rolesConfig.propagationP95Ms}`],
+        'roles_propagation_timeouts': ['count==0'],
+        'roles_change_audited': ['rate>0.99'],
+        ...getRolesThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'roles_permissions_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// ROLE HELPERS
+// ============================================================================
+
+/**
+ * Fetch every role as Admin
+ * @param {string} authToken - Admin bearer token
+ * @returns {Array<Object>|null} RoleDto list, or null on failure
+ */
+function fetchRoles(authToken) {
+    const response = http.get(routeUrl('roles.list'), {
+        headers: getDefaultHeaders(null, authToken),
+        tags: { name: routeName('roles.list') },
+    });
+    try {
+        return response.status === 200 ? JSON.parse(response.body) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Fetch one role as Admin
+ * @param {string} roleId - Role id
+ * @param {string} authToken - Admin bearer token
+ * @returns {Object|null} RoleDto, or null on failure
+ */
+function fetchRole(roleId, authToken) {
+    const response = http.get(routeUrl('roles.byId', { id: roleId }), {
+        headers: getDefaultHeaders(null, authToken),
+        tags: { name: routeName('roles.byId') },
+    });
+    try {
+        return response.status === 200 ? JSON.parse(response.body) : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Replace a role's permission set
+ * @param {string} roleId - Role id
+ * @param {Array<number>} permissions - Permission values
+ * @param {Object} csrfSession - CSRF session of the Admin user
+ * @param {string} authToken - Admin bearer token
+ * @param {Object} tags - Extra request tags
+ * @returns {Response} HTTP response
+ */
+function assignPermissions(roleId, permissions, csrfSession, authToken, tags = {}) {
+    ensureCsrfSession(csrfSession);
+    return http.put(routeUrl('roles.assignPermissions', { id: roleId }), JSON.stringify({ permissions: permissions }),
+        csrfRequestParams(csrfSession, authToken, Object.assign({ name: routeName('roles.assignPermissions') }, tags)));
+}
+
+/**
+ * Why a permission change was rejected
+ * @param {Response} response - Non-200 response of PUT /api/roles/{id}/permissions
+ * @returns {string} One of REJECT_REASONS
+ */
+function rejectReason(response) {
+    if (response.status === 404) {
+        return 'not_found';
+    }
+    return response.status === 400 && /system role/i.test(response.body || '') ? 'system_role' : 'other';
+}
+
+/**
+ * Sleep until a wall-clock time
+ * @param {number} timestamp - Target time (ms since epoch)
+ */
+function sleepUntil(timestamp) {
+    const wait = (timestamp - Date.now()) / 1000;
+    if (wait > 0) {
+        sleep(wait);
+    }
+}
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR Roles and Permissions Workload Test');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Probe: ${rolesConfig.probePermission} on the ${rolesConfig.probeRole} role (${probe.routeId}), a change every ${rolesConfig.changeIntervalSeconds}s`);
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'roles.list', 'roles.byId',
+        'roles.permissions', 'roles.assignPermissions', 'audit.logs']);
+
+    const names = ['Admin'].concat(GATED_CALLERS);
+    if (!names.includes(rolesConfig.probeRole)) {
+        names.push(rolesConfig.probeRole);
+    }
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, names);
+
+    const roles = fetchRoles(users.Admin.token);
+    if (roles === null) {
+        throw new Error('GET /api/roles failed for the Admin user. Aborting test.');
+    }
+    const probeRole = roles.find((role) => role.roleName === personas[rolesConfig.probeRole].roleCode);
+    if (!probeRole) {
+        throw new Error(`No ${rolesConfig.probeRole} role in GET /api/roles. Are the roles seeded?`);
+    }
+    if (probeRole.isSystemRole) {
+        console.warn(`The ${rolesConfig.probeRole} role is a system role; AssignPermissionsToRole will reject every change.`);
+    }
+
+    const tokens = {};
+    names.forEach((name) => {
+        tokens[name] = users[name].token;
+    });
+
+    return {
+        startTime: Date.now(),
+        tokens: tokens,
+        adminUserId: users.Admin.id,
+        roleIds: roles.map((role) => role.id),
+        probeRoleId: probeRole.id,
+        originalPermissions: probeRole.permissions || [],
+    };
+}
+
+// ============================================================================
+// ROLE READERS
+// ============================================================================
+
+/**
+ * Admin reads of roles and permissions
+ */
+export function readRoles(data) {
+    applyClientPartition();
+
+    const routeId = randomItem(ROLE_ROUTES);
+    const params = routeId === 'roles.byId' ? { id: randomItem(data.roleIds) } : {};
+
+    group('Read Roles', () => {
+        const response = http.get(routeUrl(routeId, params), {
+            headers: getDefaultHeaders(null, data.tokens.Admin),
+            tags: { name: routeName(routeId), route: routeId },
+        });
+
+        metrics.rateLimitErrors.add(isRateLimited(response) ? 1 : 0);
+        if (isRateLimited(response)) {
+            return;
+        }
+
+        rolesMetrics.readDuration.add(response.timings.duration, { route: routeId });
+        rolesMetrics.readSuccess.add(check(response, {
+            'Roles read: status is 200': (r) => r.status === 200,
+        }) ? 1 : 0, { route: routeId });
+    });
+
+    sleep(rolesConfig.requestIntervalSeconds);
+}
+
+// ============================================================================
+// PERMISSION-GATED CALLERS
+// ============================================================================
+
+/**
+ * Non-admin calls decided by PermissionAuthorizationHandler
+ */
+export function callGatedRoutes(data) {
+    applyClientPartition();
+
+    const caller = GATED_CALLERS[__VU % GATED_CALLERS.length];
+    const routeId = randomItem(ROLE_ROUTES);
+    const params = routeId === 'roles.byId' ? { id: randomItem(data.roleIds) } : {};
+
+    group('Permission-Gated Call', () => {
+        const response = http.get(routeUrl(routeId, params), {
+            headers: getDefaultHeaders(null, data.tokens[caller]),
+            tags: { name: routeName(routeId), caller: caller },
+        });
+
+        metrics.rateLimitErrors.add(isRateLimited(response) ? 1 : 0);
+        if (isRateLimited(response)) {
+            return;
+        }
+
+        const allowed = response.status >= 200 && response.status < 300;
+        if (!allowed && response.status !== 403) {
+            rolesMetrics.gatedUnexpectedStatus.add(1, { caller: caller, route: routeId });
+            console.warn(`${caller} ${routeId}: unexpected status ${response.status}`);
+            return;
+        }
+
+        rolesMetrics.gatedDuration.add(response.timings.duration, { caller: caller, decision: allowed ? 'allow' : 'deny' });
+        rolesMetrics.gatedAllowed.add(allowed ? 1 : 0, { caller: caller });
+    });
+
+    sleep(rolesConfig.requestIntervalSeconds);
+}
+
+// ============================================================================
+// PERMISSION CHANGES
+// ============================================================================
+
+/**
+ * Poll the probe route as the probe role until the decision matches the change
+ * @param {Object} data - Setup data
+ * @param {boolean} expectAllowed - Decision the change should produce
+ * @param {number} changedAt - When the change response arrived (ms)
+ * @returns {number|null} Propagation time (ms), or null on timeout
+ */
+function waitForPropagation(data, expectAllowed, changedAt) {
+    const deadline = changedAt + rolesConfig.propagationTimeoutSeconds * 1000;
+
+    while (Date.now() < deadline) {
+        const response = http.get(routeUrl(probe.routeId), {
+            headers: getDefaultHeaders(null, data.tokens[rolesConfig.probeRole]),
+            tags: { name: `${routeName(probe.routeId)} (propagation probe)` },
+        });
+        const decidedAt = Date.now();
+
+        if (!isRateLimited(response) && (response.status === 200) === expectAllowed) {
+            return decidedAt - changedAt;
+        }
+        sleep(rolesConfig.pollIntervalSeconds);
+    }
+    return null;
+}
+
+/**
+ * Look for the ConfigurationChange audit entry of a change
+ * @param {Object} data - Setup data
+ * @param {number} changeStart - When the change request was sent (ms)
+ * @returns {number|null} Time until the entry was visible (ms), or null
+ */
+function waitForAuditEntry(data, changeStart) {
+    const deadline = Date.now() + rolesConfig.auditTimeoutSeconds * 1000;
+    const query = {
+        eventType: AUDIT_EVENT_CONFIGURATION_CHANGE,
+        resourceId: data.probeRoleId,
+        fromDate: new Date(changeStart - rolesConfig.clockSkewMs).toISOString(),
+        pageSize: 20,
+    };
+
+    while (Date.now() < deadline) {
+        const response = http.get(routeUrl('audit.logs', {}, query), {
+            headers: getDefaultHeaders(null, data.tokens.Admin),
+            tags: { name: routeName('audit.logs') },
+        });
+
+        let entries = [];
+        try {
+            entries = response.status === 200 ? JSON.parse(response.body).items || [] : [];
+        } catch {
+            entries = [];
+        }
+
+        const found = entries.some((entry) =>
+            (entry.eventType === AUDIT_EVENT_CONFIGURATION_CHANGE || entry.eventTypeName === 'ConfigurationChange') &&
+            String(entry.resourceId).toLowerCase() === String(data.probeRoleId).toLowerCase() &&
+            String(entry.userId).toLowerCase() === String(data.adminUserId).toLowerCase());
+        if (found) {
+            return Date.now() - changeStart;
+        }
+        sleep(2);
+    }
+    return null;
+}
+
+/**
+ * One permission change on the probe role, its propagation and its audit entry
+ */
+export function changePermissions(data) {
+    applyClientPartition();
+
+    const iterationStart = Date.now();
+
+    group('Permission Change', () => {
+        const role = fetchRole(data.probeRoleId, data.tokens.Admin);
+        if (role === null) {
+            console.warn(`Could not read the ${rolesConfig.probeRole} role; skipping this change.`);
+            return;
+        }
+
+        const current = role.permissions || [];
+        const direction = current.includes(probe.value) ? 'revoke' : 'grant';
+        const next = direction === 'grant'
+            ? current.concat([probe.value])
+            : current.filter((permission) => permission !== probe.value);
+
+        const changeStart = Date.now();
+        const response = assignPermissions(data.probeRoleId, next, csrfSessionFor(data.tokens.Admin), data.tokens.Admin, { direction: direction });
+        const changedAt = Date.now();
+
+        if (isRateLimited(response)) {
+            metrics.rateLimitErrors.add(1);
+            return;
+        }
+
+        rolesMetrics.changeDuration.add(response.timings.duration, { direction: direction });
+        const accepted = check(response, { 'Assign permissions: status is 200': (r) => r.status === 200 });
+        rolesMetrics.changeAccepted.add(accepted ? 1 : 0, { direction: direction });
+
+        if (!accepted) {
+            const reason = rejectReason(response);
+            rolesMetrics.changeRejected.add(1, { reason: reason, direction: direction });
+            console.warn(`Permission ${direction} rejected (${reason}): ${response.status} ${response.body}`);
+            return;
+        }
+
+        const propagation = waitForPropagation(data, direction === 'grant', changedAt);
+        if (propagation === null) {
+            rolesMetrics.propagationTimeouts.add(1, { direction: direction });
+            console.warn(`Permission ${direction} not reflected in ${probe.routeId} decisions after ${rolesConfig.propagationTimeoutSeconds}s`);
+        } else {
+            rolesMetrics.propagationTime.add(propagation, { direction: direction });
+        }
+
+        const auditedAfter = waitForAuditEntry(data, changeStart);
+        rolesMetrics.changeAudited.add(auditedAfter !== null ? 1 : 0, { direction: direction });
+        if (auditedAfter !== null) {
+            rolesMetrics.auditVisibleAfter.add(auditedAfter);
+        }
+        check(auditedAfter, { 'Permission change has a ConfigurationChange audit entry': (v) => v !== null });
+    });
+
+    sleepUntil(iterationStart + rolesConfig.changeIntervalSeconds * 1000);
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    const role = fetchRole(data.probeRoleId, data.tokens.Admin);
+    const original = [...data.originalPermissions].sort((a, b) => a - b).join(',');
+    if (role !== null && [...(role.permissions || [])].sort((a, b) => a - b).join(',') !== original) {
+        const response = assignPermissions(data.probeRoleId, data.originalPermissions, createCsrfSession(data.tokens.Admin), data.tokens.Admin);
+        console.log(`Restored the ${rolesConfig.probeRole} role's permissions: ${response.status}`);
+    }
+
+    console.log('\n========================================');
+    console.log('EMR Roles and Permissions Workload Test Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const ms = (values, stat) => (values && values[stat] !== undefined ? `${values[stat].toFixed(2)}ms` : 'n/a');
+    const percent = (metric) => (m[metric]?.values?.rate !== undefined ? `${(m[metric].values.rate * 100).toFixed(2)}%` : 'n/a');
+
+    const readLines = ROLE_ROUTES.map((routeId) =>
+        `- ${routeId.padEnd(18)} p95 ${ms(m[`roles_read_duration{route:${routeId}}`]?.values, 'p(95)')}`);
+    const gatedLines = GATED_CALLERS.map((caller) =>
+        `- ${caller.padEnd(7)} allowed ${percent(`roles_gated_allowed{caller:${caller}}`)}`);
+    const propagationLines = DIRECTIONS.map((direction) => {
+        const values = m[`roles_propagation_time{direction:${direction}}`]?.values;
+        return `- ${direction.padEnd(7)} p50 ${ms(values, 'med')}  p95 ${ms(values, 'p(95)')}  (${values?.count || 0} changes)`;
+    });
+    const rejectLines = REJECT_REASONS
+        .filter((reason) => m[`roles_change_rejected{reason:${reason}}`]?.values?.count)
+        .map((reason) => `- Rejected (${reason}): ${m[`roles_change_rejected{reason:${reason}}`].values.count}`);
+
+    const gaps = [];
+    if (m['roles_change_rejected{reason:system_role}']?.values?.count) {
+        gaps.push(`- The ${rolesConfig.probeRole} role is a system role and there is no endpoint to create a custom one, so no permission change was applied`);
+    }
+    if (m.roles_propagation_timeouts?.values?.count) {
+        gaps.push('- Accepted changes did not reach authorization decisions (decided from RolePermissionMatrix, not stored permissions)');
+    }
+    if (m.roles_change_audited?.values?.fails) {
+        gaps.push('- Permission changes wrote no ConfigurationChange audit entry');
+    }
+
+    const summary = `
+========================================
+EMR Roles and Permissions Workload Test
+========================================
+
+Probe: ${rolesConfig.probePermission} on the ${rolesConfig.probeRole} role (${probe.routeId})
+
+Admin Reads (success ${percent('roles_read_success')}):
+${readLines.join('\n')}
+
+Permission-Gated Calls (p95 ${ms(m.roles_gated_duration?.values, 'p(95)')}, unexpected statuses ${m.roles_gated_unexpected_status?.values?.count || 0}):
+${gatedLines.join('\n')}
+
+Permission Changes:
+- Accepted: ${percent('roles_change_accepted')}
+${rejectLines.length > 0 ? rejectLines.join('\n') + '\n' : ''}- Propagation Timeouts: ${m.roles_propagation_timeouts?.values?.count || 0}
+${propagationLines.join('\n')}
+- ConfigurationChange Audited: ${percent('roles_change_audited')}
+
+Known Gaps (expected threshold failures in this tree):
+${gaps.length > 0 ? gaps.join('\n') : '- None observed'}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'roles-permissions-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
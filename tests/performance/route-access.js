@@ -0,0 +1,204 @@
+/**
+ * EMR Expected-Access Table
+ *
+ * Who may call each route in route-manifest.js, per caller. The table states
+ * the access policy, not whatever the API currently returns, so a gate that
+ * stops holding shows up as a violation. Sources:
+ * - AuditController: [Authorize(Roles = "Admin")]
+ * - PatientsController: [Authorize]; POST and PUT add Roles = "Admin,Doctor,Nurse"
+ * - RolesController: [Authorize] plus [HasPermission(RolesView / PermissionsView /
+ *   PermissionsAssign)], which only the Admin role holds (RolePermissionMatrix)
+ * - AuthController: register is anonymous but non-Patient roles need the Admin
+ *   role; me and login-callback need an authenticated user
+ * - HealthController and /health: anonymous
+ * - Patient records: Admin sees every record, a Patient only their own (email
+ *   match), Doctor/Nurse/Staff only records they hold a resource grant for.
+ *   Lookups of a record the caller may not see answer 404
+ *
+ * Access levels:
+ * - ALLOW:  2xx expected
+ * - DENY:   401 (anonymous) or 403 expected; any 2xx is a critical violation
+ * - HIDDEN: route is open to the caller but the target record is not; 404
+ *           expected and any 2xx is a critical violation (PHI disclosure)
+ *
+ * Known API gaps (knownApiGaps) are cells where the API is known to answer
+ * 2xx against the table; the matrix reports them without counting them.
+ *
+ * Usage:
+ *   import { routeAccess, expectedStatuses, isCriticalViolation } from './route-access.js';
+ *   expectedStatuses('audit.logs', 'Nurse');   // [401, 403]
+ */
+
+import { routes } from './route-manifest.js';
+
+// ============================================================================
+// ACCESS LEVELS AND CALLERS
+// ============================================================================
+
+export const ACCESS = {
+    ALLOW: 'allow',
+    DENY: 'deny',
+    HIDDEN: 'hidden',
+};
+
+/**
+ * Matrix columns: an unauthenticated caller plus one user per UserRole
+ */
+export const CALLERS = ['Anonymous', 'Patient', 'Doctor', 'Nurse', 'Staff', 'Admin'];
+
+const { ALLOW, DENY, HIDDEN } = ACCESS;
+
+/**
+ * One table row, arguments in CALLERS order
+ * @returns {Object} { Anonymous: level, Patient: level, ... }
+ */
+function row(...levels) {
+    const entry = {};
+    CALLERS.forEach((caller, index) => {
+        entry[caller] = levels[index];
+    });
+    return entry;
+}
+
+// ============================================================================
+// EXPECTED-ACCESS TABLE
+// ============================================================================
+
+/**
+ * Access per route id and caller
+ * Patient routes target a record created by an Admin with no owner and no
+ * grants, so only the Admin may see it.
+ */
+export const routeAccess = {
+    //                                Anonymous Patient  Doctor  Nurse   Staff   Admin
+    'health.check':               row(ALLOW,    ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+    'health.api':                 row(ALLOW,    ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+    'health.detailed':            row(ALLOW,    ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+
+    // Registers a Doctor, which needs the Admin role
+    'auth.register':              row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'auth.me':                    row(DENY,     ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+    'auth.loginCallback':         row(DENY,     ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+    'auth.csrfToken':             row(ALLOW,    ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+
+    'patients.create':            row(DENY,     DENY,    ALLOW,  ALLOW,  DENY,   ALLOW),
+    'patients.byId':              row(DENY,     HIDDEN,  HIDDEN, HIDDEN, HIDDEN, ALLOW),
+    // Known API gap, see knownApiGaps
+    'patients.byMrn':             row(DENY,     HIDDEN,  HIDDEN, HIDDEN, HIDDEN, ALLOW),
+    // Open to every role; results are filtered to records the caller may see
+    'patients.search':            row(DENY,     ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+    'patients.update':            row(DENY,     DENY,    ALLOW,  ALLOW,  DENY,   ALLOW),
+    'patients.list':              row(DENY,     ALLOW,   ALLOW,  ALLOW,  ALLOW,  ALLOW),
+
+    'roles.list':                 row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'roles.byId':                 row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'roles.permissions':          row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'roles.assignPermissions':    row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+
+    'audit.logs':                 row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.trail':                row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.complianceMetrics':    row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.dailySummaries':       row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.hourlyTrend':          row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.userActivity':         row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.topActiveUsers':       row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.resourceAccess':       row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.storageStats':         row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.retentionCompliance':  row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.storageChunks':        row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.refreshAggregates':    row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.statistics':           row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.exportStream':         row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+    'audit.export':               row(DENY,     DENY,    DENY,   DENY,   DENY,   ALLOW),
+};
+
+// ============================================================================
+// EXPECTATIONS
+// ============================================================================
+
+/**
+ * Access level of a caller on a route
+ * @param {string} routeId - Route manifest id
+ * @param {string} caller - One of CALLERS
+ * @returns {string} One of ACCESS
+ */
+export function accessLevel(routeId, caller) {
+    const entry = routeAccess[routeId];
+    if (!entry) {
+        throw new Error(`Route "${routeId}" has no row in route-access.js`);
+    }
+    return entry[caller];
+}
+
+/**
+ * Status codes that conform to the table
+ * @param {string} routeId - Route manifest id
+ * @param {string} caller - One of CALLERS
+ * @returns {Array<number>} Expected statuses (2xx listed as 200, 201, 204)
+ */
+export function expectedStatuses(routeId, caller) {
+    switch (accessLevel(routeId, caller)) {
+        case ACCESS.ALLOW:
+            return [200, 201, 204];
+        case ACCESS.HIDDEN:
+            return [404];
+        default:
+            return [401, 403];
+    }
+}
+
+/**
+ * Check if a response grants access the table forbids
+ * @param {string} routeId - Route manifest id
+ * @param {string} caller - One of CALLERS
+ * @param {number} status - Response status
+ * @returns {boolean} True for a 2xx on a DENY or HIDDEN cell
+ */
+export function isCriticalViolation(routeId, caller, status) {
+    return status >= 200 && status < 300 && accessLevel(routeId, caller) !== ACCESS.ALLOW;
+}
+
+/**
+ * Routes where the API is known to disclose HIDDEN records, with the reason
+ * The table keeps the policy; the personas expect these 2xx today.
+ */
+export const knownApiGaps = {
+    'patients.byMrn': 'GetPatientByMRN has no record access check',
+};
+
+/**
+ * Check if a response is a known API gap rather than a violation
+ * @param {string} routeId - Route manifest id
+ * @param {string} caller - One of CALLERS
+ * @param {number} status - Response status
+ * @returns {boolean} True for a 2xx on a HIDDEN cell of a route in knownApiGaps
+ */
+export function isKnownApiGap(routeId, caller, status) {
+    return knownApiGaps[routeId] !== undefined &&
+        accessLevel(routeId, caller) === ACCESS.HIDDEN &&
+        status >= 200 && status < 300;
+}
+
+/**
+ * Route ids in the manifest without a row here (should be empty)
+ * @returns {Array<string>} Missing route ids
+ */
+export function routesWithoutAccessRows() {
+    return Object.keys(routes).filter((routeId) => !routeAccess[routeId]);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    ACCESS,
+    CALLERS,
+    routeAccess,
+    accessLevel,
+    expectedStatuses,
+    isCriticalViolation,
+    knownApiGaps,
+    isKnownApiGap,
+    routesWithoutAccessRows,
+};
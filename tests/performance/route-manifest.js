@@ -0,0 +1,212 @@
+/**
+ * EMR API Route Manifest
+ *
+ * Single source of truth for every route the performance scripts call, taken
+ * from the API controllers (AuthController, PatientsController,
+ * RolesController, AuditController, HealthController) plus the /health
+ * health-check endpoint mapped in Program.cs. Scripts build URLs and request
+ * name tags from route ids instead of hand-written paths, and check the
+ * routes they use in setup():
+ *
+ * - A route id missing from the manifest is a bug in the test script
+ * - A manifest route the API answers with a routing 404 means the manifest
+ *   and the deployed API disagree
+ *
+ * Either aborts the run before any load is generated. The probe sends
+ * OPTIONS, which no controller action accepts: routing answers 405 when the
+ * path template exists and 404 when it doesn't, without running the action
+ * or consuming a named rate limiter permit.
+ *
+ * Usage:
+ *   http.get(routeUrl('patients.byId', { id }), { tags: { name: routeName('patients.byId') } });
+ *   checkRouteContract(['auth.me', 'patients.search']);   // in setup()
+ */
+
+import http from 'k6/http';
+import { config } from './auth-performance-config.js';
+
+// ============================================================================
+// ROUTE MANIFEST
+// ============================================================================
+
+/**
+ * Routes by id: { method, path, controller, rateLimitPolicy }
+ * Paths are absolute templates; {name} segments are filled by routeUrl().
+ * rateLimitPolicy is the named [EnableRateLimiting] policy (the global per-IP
+ * limiter applies to every route).
+ */
+export const routes = {
+    // Program.cs - app.MapHealthChecks("/health")
+    'health.check': { method: 'GET', path: '/health', controller: 'HealthChecks', rateLimitPolicy: null },
+
+    // HealthController - api/health (AllowAnonymous)
+    'health.api': { method: 'GET', path: '/api/health', controller: 'Health', rateLimitPolicy: null },
+    'health.detailed': { method: 'GET', path: '/api/health/detailed', controller: 'Health', rateLimitPolicy: null },
+
+    // AuthController - api/auth
+    'auth.register': { method: 'POST', path: '/api/auth/register', controller: 'Auth', rateLimitPolicy: 'auth' },
+    'auth.me': { method: 'GET', path: '/api/auth/me', controller: 'Auth', rateLimitPolicy: null },
+    'auth.loginCallback': { method: 'POST', path: '/api/auth/login-callback', controller: 'Auth', rateLimitPolicy: 'auth' },
+    'auth.csrfToken': { method: 'GET', path: '/api/auth/csrf-token', controller: 'Auth', rateLimitPolicy: 'auth' },
+
+    // PatientsController - api/patients
+    'patients.create': { method: 'POST', path: '/api/patients', controller: 'Patients', rateLimitPolicy: null },
+    'patients.byId': { method: 'GET', path: '/api/patients/{id}', controller: 'Patients', rateLimitPolicy: null },
+    'patients.byMrn': { method: 'GET', path: '/api/patients/mrn/{mrn}', controller: 'Patients', rateLimitPolicy: null },
+    'patients.search': { method: 'GET', path: '/api/patients/search', controller: 'Patients', rateLimitPolicy: 'patient-search' },
+    'patients.update': { method: 'PUT', path: '/api/patients/{id}', controller: 'Patients', rateLimitPolicy: null },
+    'patients.list': { method: 'GET', path: '/api/patients', controller: 'Patients', rateLimitPolicy: 'patient-search' },
+
+    // RolesController - api/roles
+    'roles.list': { method: 'GET', path: '/api/roles', controller: 'Roles', rateLimitPolicy: null },
+    'roles.byId': { method: 'GET', path: '/api/roles/{id}', controller: 'Roles', rateLimitPolicy: null },
+    'roles.permissions': { method: 'GET', path: '/api/roles/permissions', controller: 'Roles', rateLimitPolicy: null },
+    'roles.assignPermissions': { method: 'PUT', path: '/api/roles/{id}/permissions', controller: 'Roles', rateLimitPolicy: null },
+
+    // AuditController - api/audit (Admin only)
+    'audit.logs': { method: 'GET', path: '/api/audit', controller: 'Audit', rateLimitPolicy: null },
+    'audit.trail': { method: 'GET', path: '/api/audit/trail/{resourceType}/{resourceId}', controller: 'Audit', rateLimitPolicy: null },
+    'audit.complianceMetrics': { method: 'GET', path: '/api/audit/compliance/metrics', controller: 'Audit', rateLimitPolicy: null },
+    'audit.dailySummaries': { method: 'GET', path: '/api/audit/daily-summaries', controller: 'Audit', rateLimitPolicy: null },
+    'audit.hourlyTrend': { method: 'GET', path: '/api/audit/hourly-trend', controller: 'Audit', rateLimitPolicy: null },
+    'audit.userActivity': { method: 'GET', path: '/api/audit/users/{userId}/activity', controller: 'Audit', rateLimitPolicy: null },
+    'audit.topActiveUsers': { method: 'GET', path: '/api/audit/users/top-active', controller: 'Audit', rateLimitPolicy: null },
+    'audit.resourceAccess': { method: 'GET', path: '/api/audit/resources/{resourceType}/{resourceId}/access', controller: 'Audit', rateLimitPolicy: null },
+    'audit.storageStats': { method: 'GET', path: '/api/audit/storage/stats', controller: 'Audit', rateLimitPolicy: null },
+    'audit.retentionCompliance': { method: 'GET', path: '/api/audit/compliance/retention', controller: 'Audit', rateLimitPolicy: null },
+    'audit.storageChunks': { method: 'GET', path: '/api/audit/storage/chunks', controller: 'Audit', rateLimitPolicy: null },
+    'audit.refreshAggregates': { method: 'POST', path: '/api/audit/maintenance/refresh-aggregates', controller: 'Audit', rateLimitPolicy: null },
+    'audit.statistics': { method: 'GET', path: '/api/audit/statistics', controller: 'Audit', rateLimitPolicy: null },
+    'audit.exportStream': { method: 'GET', path: '/api/audit/export/stream', controller: 'Audit', rateLimitPolicy: null },
+    'audit.export': { method: 'POST', path: '/api/audit/export', controller: 'Audit', rateLimitPolicy: null },
+};
+
+/**
+ * Placeholder values used to probe templated routes
+ * Patient ids are route-constrained to GUIDs ({id:guid}).
+ */
+const probeValues = {
+    id: '00000000-0000-0000-0000-000000000000',
+    mrn: 'ROUTE-PROBE',
+    resourceType: 'Patient',
+    resourceId: '00000000-0000-0000-0000-000000000000',
+    userId: '00000000-0000-0000-0000-000000000000',
+};
+
+// ============================================================================
+// URL BUILDERS
+// ============================================================================
+
+/**
+ * Look up a route, failing loudly for ids the manifest doesn't know
+ * @param {string} routeId - Manifest id, e.g. 'patients.byId'
+ * @returns {Object} Route entry
+ */
+export function getRoute(routeId) {
+    const route = routes[routeId];
+    if (!route) {
+        throw new Error(`Unknown route "${routeId}" - it is not in route-manifest.js. Check the API controllers before adding it.`);
+    }
+    return route;
+}
+
+/**
+ * Request name tag for a route, e.g. 'GET /api/patients/{id}'
+ * @param {string} routeId - Manifest id
+ * @returns {string} Method and path template
+ */
+export function routeName(routeId) {
+    const route = getRoute(routeId);
+    return `${route.method} ${route.path}`;
+}
+
+/**
+ * Fill a route's path template
+ * @param {string} routeId - Manifest id
+ * @param {Object} pathParams - Values for {name} segments
+ * @returns {string} Path, e.g. /api/patients/3f2b...
+ */
+export function routePath(routeId, pathParams = {}) {
+    const route = getRoute(routeId);
+    return route.path.replace(/\{(\w+)\}/g, (match, name) => {
+        if (pathParams[name] === undefined || pathParams[name] === null) {
+            throw new Error(`Route "${routeId}" needs a value for {${name}}`);
+        }
+        return encodeURIComponent(String(pathParams[name]));
+    });
+}
+
+/**
+ * Full URL for a route
+ * @param {string} routeId - Manifest id
+ * @param {Object} pathParams - Values for {name} segments
+ * @param {Object} query - Query parameters (null/undefined values are skipped)
+ * @returns {string} Absolute URL
+ */
+export function routeUrl(routeId, pathParams = {}, query = {}) {
+    const queryString = Object.keys(query)
+        .filter((key) => query[key] !== undefined && query[key] !== null)
+        .map((key) => `${encodeURIComponent(key)}=${encodeURIComponent(String(query[key]))}`)
+        .join('&');
+
+    return `${config.baseUrl}${routePath(routeId, pathParams)}${queryString ? `?${queryString}` : ''}`;
+}
+
+// ============================================================================
+// SETUP-TIME CONTRACT CHECK
+// ============================================================================
+
+/**
+ * Check the routes a script uses against the manifest and the running API
+ * Throws (aborting setup) with every problem found.
+ * @param {Array<string>} routeIds - Route ids the script calls
+ * @returns {Object} { checked: number } on success
+ */
+export function checkRouteContract(routeIds) {
+    const problems = [];
+    const probedPaths = {};
+
+    for (const routeId of routeIds) {
+        const route = routes[routeId];
+        if (!route) {
+            problems.push(`"${routeId}" is not in the route manifest (script targets a route the API does not define)`);
+            continue;
+        }
+
+        // Several routes share a path template; probe each template once
+        if (probedPaths[route.path] === undefined) {
+            const response = http.request('OPTIONS', `${config.baseUrl}${routePath(routeId, probeValues)}`, null, {
+                tags: { name: `OPTIONS ${route.path} (route probe)` },
+                timeout: '10s',
+            });
+            probedPaths[route.path] = response.status;
+        }
+
+        const status = probedPaths[route.path];
+        if (status === 0) {
+            problems.push(`${routeName(routeId)} could not be probed (no response from ${config.baseUrl})`);
+        } else if (status === 404) {
+            problems.push(`${routeName(routeId)} is not exposed by the API (route probe returned 404)`);
+        }
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Route contract check failed - fix the script or route-manifest.js before running:\n  - ${problems.join('\n  - ')}`);
+    }
+
+    console.log(`Route contract check passed for ${routeIds.length} routes.`);
+    return { checked: routeIds.length };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    routes,
+    getRoute,
+    routeName,
+    routePath,
+    routeUrl,
+    checkRouteContract,
+};
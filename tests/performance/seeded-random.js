@@ -0,0 +1,196 @@
+/**
+ * EMR Seeded Random Source
+ *
+ * Replaces Math.random() in every performance script so a run can be
+ * replayed: request mixes, query parameters, think times and endpoint
+ * choices are all drawn from streams derived from one run seed.
+ *
+ * Stream derivation:
+ * - Inside an iteration the stream is keyed by the scenario and the
+ *   iteration. Arrival-rate and shared-iteration executors hand iterations to
+ *   whichever VU is free, so they key by exec.scenario.iterationInTest; VU
+ *   based executors key by VU id and the VU's own iteration number
+ * - Outside an iteration (init context, setup, teardown) the stream is keyed
+ *   by __VU (0 for setup and teardown)
+ * Every stream restarts at the beginning of its iteration, so the values an
+ * iteration draws do not depend on what other iterations drew before it.
+ *
+ * Identifiers that must be unique per run (emails, Azure AD B2C ids, run
+ * and correlation ids) are built from the run id, which is derived from the
+ * seed as well. The wall clock is only used for timing.
+ *
+ * What is NOT replayed: server responses and timing. Scripts that branch on
+ * a response (429s, page counts, registry contents) diverge from that point.
+ *
+ * Without RUN_SEED each run picks a fresh seed (once, shared by every VU) and
+ * records it, so repeated runs do not re-register the same users. Replaying a
+ * seed re-creates the same identities: replay against a fresh database, or
+ * the registrations are rejected as duplicates.
+ *
+ * Usage:
+ *   k6 run -e RUN_SEED=20261018 patient-search-test.js
+ *   import { random, randomInt, randomItem } from './seeded-random.js';
+ */
+
+import exec from 'k6/execution';
+import { SharedArray } from 'k6/data';
+
+// ============================================================================
+// RANDOM CONFIGURATION
+// ============================================================================
+
+// The callback runs once per test run, so every VU sees the same default seed
+const runSeed = new SharedArray('run_seed', () => [__ENV.RUN_SEED || `run-${Date.now().toString(36)}`]);
+
+export const randomConfig = {
+    seed: runSeed[0],
+    // 12 hex digits derived from the seed, set below
+    runId: null,
+};
+
+// Executors that assign iterations to any free VU
+const SHARED_ITERATION_EXECUTORS = ['constant-arrival-rate', 'ramping-arrival-rate', 'shared-iterations'];
+
+// ============================================================================
+// GENERATOR
+// ============================================================================
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Input
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Mulberry32 PRNG
+ * @param {number} state - 32-bit seed
+ * @returns {Function} () => float in [0, 1)
+ */
+function mulberry32(state) {
+    let a = state >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Independent generator for a named stream of the run seed
+ * @param {string} key - Stream name
+ * @returns {Function} () => float in [0, 1)
+ */
+export function createRandom(key) {
+    return mulberry32(hashString(`${randomConfig.seed}|${key}`));
+}
+
+randomConfig.runId = (() => {
+    const next = createRandom('run-id');
+    let runId = '';
+    for (let i = 0; i < 12; i++) {
+        runId += Math.floor(next() * 16).toString(16);
+    }
+    return runId;
+})();
+
+/**
+ * Stream key for the code that is running now
+ * @returns {string} Scenario/iteration key, or the VU key outside iterations
+ */
+function currentStreamKey() {
+    try {
+        const scenario = exec.scenario;
+        if (SHARED_ITERATION_EXECUTORS.includes(scenario.executor)) {
+            return `${scenario.name}|iteration:${scenario.iterationInTest}`;
+        }
+        return `${scenario.name}|vu:${exec.vu.idInTest}|iteration:${exec.vu.iterationInScenario}`;
+    } catch {
+        // exec.scenario is not available in the init context, setup or teardown
+        return `vu:${__VU}`;
+    }
+}
+
+// Per-VU: generator of the current stream
+const stream = { key: null, next: null };
+
+// ============================================================================
+// RANDOM VALUES
+// ============================================================================
+
+/**
+ * Seeded drop-in for Math.random()
+ * @returns {number} Float in [0, 1)
+ */
+export function random() {
+    const key = currentStreamKey();
+    if (stream.key !== key) {
+        stream.key = key;
+        stream.next = createRandom(key);
+    }
+    return stream.next();
+}
+
+/**
+ * Random integer
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Integer in [0, max)
+ */
+export function randomInt(max) {
+    return Math.floor(random() * max);
+}
+
+/**
+ * Random array element
+ * @param {Array} values - Candidates (non-empty)
+ * @returns {*} One element
+ */
+export function randomItem(values) {
+    return values[randomInt(values.length)];
+}
+
+/**
+ * Random float in a range
+ * @param {number} min - Inclusive lower bound
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Float in [min, max)
+ */
+export function randomBetween(min, max) {
+    return random() * (max - min) + min;
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/**
+ * Summary data with the run seed and run id attached, for the results JSON
+ * @param {Object} data - handleSummary data
+ * @returns {Object} Copy of data with runSeed and runId
+ */
+export function withRunSeed(data) {
+    return Object.assign({ runSeed: randomConfig.seed, runId: randomConfig.runId }, data);
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+export default {
+    randomConfig,
+    createRandom,
+    random,
+    randomInt,
+    randomItem,
+    randomBetween,
+    withRunSeed,
+};
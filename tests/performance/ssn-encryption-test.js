@@ -0,0 +1,429 @@
+/**
+ * EMR SSN Encryption Overhead Benchmark
+ *
+ * Measures what field-level SSN encryption costs. Patient.SocialSecurityNumber
+ * goes through SsnEncryptionConverter (AES-256-GCM), which encrypts on every
+ * save and decrypts on every entity load. A single VU runs A/B pairs: one
+ * patient registered with an SSN (with_ssn) and an otherwise identical one
+ * without (without_ssn), then both are read by id and found by search:
+ *
+ *   create A, create B → read A, read B → search A, search B
+ *
+ * Pairs alternate which variant goes first (AB, BA, AB, ...), so warm-up,
+ * drift and connection reuse hit both variants equally. Per operation the
+ * added cost is the median of the paired differences (with_ssn - without_ssn),
+ * with a percentile bootstrap confidence interval (perf-stats.js) and a
+ * Mann-Whitney p-value. Thresholds apply to the upper confidence bound: a run
+ * fails when the added cost may exceed the budget, not only when the point
+ * estimate does.
+ *
+ * What the difference includes:
+ * - The converter writes an "AUDIT: SSN ..." console log line on every
+ *   encrypt and decrypt, so the cost includes that synchronous logging
+ * - The first converter call builds the key (Key Vault, or the development
+ *   key file); SSN_WARMUP_PAIRS pairs are run but not measured
+ * - Search loads full entities, so each matching row with an SSN is decrypted
+ *   even though PatientDto does not return it
+ *
+ * Pacing: patient-search (30/min) is one window for every caller, so pairs
+ * start every SSN_PAIR_INTERVAL_SECONDS (default 5, i.e. 24 searches/min).
+ * Don't run it alongside other tests against the same API instance.
+ *
+ * Usage:
+ *   k6 run ssn-encryption-test.js
+ *   k6 run -e SSN_PAIRS=120 -e SSN_CREATE_OVERHEAD_MAX_MS=10 ssn-encryption-test.js
+ */
+
+import http from 'k6/http';
+import { check, sleep } from 'k6';
+import { Counter, Gauge, Rate, Trend } from 'k6/metrics';
+import {
+    config,
+    generateSyntheticPatient,
+    getDefaultHeaders,
+    isRateLimited,
+    toLetterCode,
+} from './auth-performance-config.js';
+import { initTokenFactory } from './auth-token-factory.js';
+import { applyClientPartition } from './client-ip-pool.js';
+import { createCsrfSession, ensureCsrfSession, csrfRequestParams } from './csrf-session.js';
+import { provisionPersonaUsers } from './personas/index.js';
+import { routeUrl, routeName, checkRouteContract } from './route-manifest.js';
+import { median, mannWhitneyU, bootstrapCi } from './perf-stats.js';
+import { randomConfig, createRandom, randomInt, withRunSeed } from './seeded-random.js';
+
+// ============================================================================
+// SSN BENCHMARK CONFIGURATION
+// ============================================================================
+
+const ssnConfig = {
+    pairs: parseInt(__ENV.SSN_PAIRS || '60'),
+    warmupPairs: parseInt(__ENV.SSN_WARMUP_PAIRS || '3'),
+    pairIntervalSeconds: parseFloat(__ENV.SSN_PAIR_INTERVAL_SECONDS || '5'),
+    confidence: parseFloat(__ENV.SSN_CONFIDENCE || '0.95'),
+    resamples: parseInt(__ENV.SSN_BOOTSTRAP_RESAMPLES || '2000'),
+    // Budget for the added cost per operation (ms), checked against the upper confidence bound
+    overheadMaxMs: {
+        create: parseFloat(__ENV.SSN_CREATE_OVERHEAD_MAX_MS || '20'),
+        read: parseFloat(__ENV.SSN_READ_OVERHEAD_MAX_MS || '10'),
+        search: parseFloat(__ENV.SSN_SEARCH_OVERHEAD_MAX_MS || '10'),
+    },
+};
+
+const OPERATIONS = ['create', 'read', 'search'];
+const VARIANTS = ['with_ssn', 'without_ssn'];
+
+// Last-name suffix per variant; neither contains the other, so a search finds one patient
+const VARIANT_NAME_SUFFIX = { with_ssn: 'Enc', without_ssn: 'Plain' };
+
+// Words SearchParameterValidator rejects as SQL injection; a letter code can spell one
+const REJECTED_SEARCH_WORDS = /exec|select|insert|update|delete|drop|create|alter|union|script|eval|expression/i;
+
+const maxDurationMinutes = Math.ceil(((ssnConfig.warmupPairs + ssnConfig.pairs) * ssnConfig.pairIntervalSeconds) / 60) + 5;
+
+// ============================================================================
+// CUSTOM METRICS FOR SSN ENCRYPTION
+// ============================================================================
+
+const ssnMetrics = {
+    // Measured pairs only, tagged with operation and variant
+    requestDuration: new Trend('ssn_request_duration', true),
+    requestSuccess: new Rate('ssn_request_success'),
+    // Pairs where an operation failed or was rate limited for either variant
+    incompletePairs: new Counter('ssn_incomplete_pairs'),
+    overhead: {},
+};
+
+OPERATIONS.forEach((operation) => {
+    ssnMetrics.overhead[operation] = {
+        estimate: new Gauge(`ssn_${operation}_overhead_ms`),
+        lower: new Gauge(`ssn_${operation}_overhead_ci_lower_ms`),
+        upper: new Gauge(`ssn_${operation}_overhead_ci_upper_ms`),
+        pValue: new Gauge(`ssn_${operation}_overhead_p_value`),
+    };
+});
+
+/**
+ * Added-cost budgets plus per operation/variant submetrics for handleSummary
+ * @returns {Object} Thresholds entries
+ */
+function getSsnThresholds() {
+    const thresholds = {};
+    OPERATIONS.forEach((operation) => {
+        thresholds[`ssn_${operation}_overhead_ci_upper_ms`] = [`value<${ssnConfig.overheadMaxMs[operation]}`];
+        VARIANTS.forEach((variant) => {
+            thresholds[`ssn_request_duration{operation:${operation},variant:${variant}}`] = ['p(95)>=0'];
+        });
+    });
+    return thresholds;
+}
+
+// ============================================================================
+// TEST CONFIGURATION
+// ============================================================================
+
+export const options = {
+    scenarios: {
+        ssn_encryption: {
+            executor: 'per-vu-iterations',
+            vus: 1,
+            iterations: 1,
+            maxDuration: `${maxDurationMinutes}m`,
+            exec: 'ssnEncryptionAb',
+            tags: { test_type: 'ssn_encryption' },
+        },
+    },
+
+    thresholds: {
+        'ssn_request_success': ['rate>0.99'],
+        'ssn_incomplete_pairs': [`count<${Math.max(1, Math.ceil(ssnConfig.pairs * 0.05))}`],
+        ...getSsnThresholds(),
+    },
+
+    // Provisioning waits out the auth limiter (10 per 5 minutes)
+    setupTimeout: '10m',
+
+    tags: {
+        test_name: 'ssn_encryption_test',
+        environment: __ENV.ENVIRONMENT || 'test',
+    },
+};
+
+// ============================================================================
+// SETUP PHASE
+// ============================================================================
+
+export function setup() {
+    console.log('Starting EMR SSN Encryption Overhead Benchmark');
+    console.log(`Base URL: ${config.baseUrl}`);
+    console.log(`Run seed: ${randomConfig.seed}`);
+    console.log(`Pairs: ${ssnConfig.pairs} measured + ${ssnConfig.warmupPairs} warm-up, one every ${ssnConfig.pairIntervalSeconds}s`);
+
+    const searchesPerMinute = (2 * 60) / ssnConfig.pairIntervalSeconds;
+    if (searchesPerMinute > config.rateLimits.patientSearch.permitLimit) {
+        console.warn(`SSN_PAIR_INTERVAL_SECONDS gives ${searchesPerMinute.toFixed(0)} searches/min, over the patient-search limit (${config.rateLimits.patientSearch.permitLimit}/min); expect incomplete pairs.`);
+    }
+
+    const healthCheck = http.get(routeUrl('health.check'));
+    if (!check(healthCheck, { 'API is healthy': (r) => r.status === 200 })) {
+        throw new Error('API health check failed. Aborting test.');
+    }
+
+    checkRouteContract(['health.check', 'auth.csrfToken', 'auth.register', 'patients.create', 'patients.byId', 'patients.search']);
+
+    // Admin can register patients and read every record without a grant
+    const signingContext = initTokenFactory();
+    const users = provisionPersonaUsers(signingContext, ['Admin']);
+
+    return {
+        startTime: Date.now(),
+        authToken: users.Admin.token,
+    };
+}
+
+// ============================================================================
+// PAIR HELPERS
+// ============================================================================
+
+/**
+ * Sleep until a wall-clock time
+ * @param {number} timestamp - Target time (ms since epoch)
+ */
+function sleepUntil(timestamp) {
+    const wait = (timestamp - Date.now()) / 1000;
+    if (wait > 0) {
+        sleep(wait);
+    }
+}
+
+/**
+ * SSN in the never-issued 9xx area
+ * @returns {string} 9XX-XX-XXXX
+ */
+function syntheticSsn() {
+    const digits = (count) => String(randomInt(10 ** count)).padStart(count, '0');
+    return `9${digits(2)}-${digits(2)}-${digits(4)}`;
+}
+
+/**
+ * Payloads for one pair: identical except the SSN and the last-name suffix
+ * @param {number} pair - Pair number
+ * @returns {Object} { with_ssn, without_ssn } RegisterPatientCommand payloads
+ */
+function buildPairPayloads(pair) {
+    let time = Date.now();
+    let stem;
+    do {
+        stem = `SYNTHETIC-Ssn-${toLetterCode(time++)}`;
+    } while (REJECTED_SEARCH_WORDS.test(stem));
+
+    const base = generateSyntheticPatient('Ssn', {}, pair);
+    return {
+        with_ssn: Object.assign({}, base, { lastName: `${stem}-${VARIANT_NAME_SUFFIX.with_ssn}`, socialSecurityNumber: syntheticSsn() }),
+        without_ssn: Object.assign({}, base, { lastName: `${stem}-${VARIANT_NAME_SUFFIX.without_ssn}`, socialSecurityNumber: null }),
+    };
+}
+
+/**
+ * Send one benchmark request
+ * @param {string} operation - create, read or search
+ * @param {string} variant - with_ssn or without_ssn
+ * @param {Object} params - { payload, patientId, authToken, csrfSession }
+ * @returns {Object} { ok, rateLimited, duration, body }
+ */
+function sendRequest(operation, variant, params) {
+    const tags = { name: null, operation: operation, variant: variant };
+    let response;
+
+    if (operation === 'create') {
+        ensureCsrfSession(params.csrfSession);
+        tags.name = routeName('patients.create');
+        response = http.post(routeUrl('patients.create'), JSON.stringify(params.payload),
+            csrfRequestParams(params.csrfSession, params.authToken, tags));
+    } else if (operation === 'read') {
+        tags.name = routeName('patients.byId');
+        response = http.get(routeUrl('patients.byId', { id: params.patientId }),
+            { headers: getDefaultHeaders(null, params.authToken), tags: tags });
+    } else {
+        tags.name = routeName('patients.search');
+        response = http.get(routeUrl('patients.search', {}, { searchTerm: params.payload.lastName, pageNumber: 1, pageSize: 10 }),
+            { headers: getDefaultHeaders(null, params.authToken), tags: tags });
+    }
+
+    let body = null;
+    try {
+        body = JSON.parse(response.body);
+    } catch {
+        body = null;
+    }
+
+    const expected = operation === 'create' ? 201 : 200;
+    const ok = check(response, {
+        [`SSN ${operation}: status is ${expected}`]: (r) => r.status === expected,
+        [`SSN ${operation}: expected body`]: () => {
+            if (body === null) {
+                return false;
+            }
+            if (operation === 'create') {
+                return !!body.id;
+            }
+            if (operation === 'read') {
+                return body.id === params.patientId;
+            }
+            return Array.isArray(body.items) && body.items.some((item) => item.id === params.patientId);
+        },
+    });
+
+    return { ok: ok, rateLimited: isRateLimited(response), duration: response.timings.duration, body: body };
+}
+
+// ============================================================================
+// A/B SCENARIO
+// ============================================================================
+
+/**
+ * Run every pair, then analyze the paired differences
+ */
+export function ssnEncryptionAb(data) {
+    applyClientPartition();
+    const csrfSession = createCsrfSession(data.authToken);
+    const differences = { create: [], read: [], search: [] };
+    const durations = {};
+    OPERATIONS.forEach((operation) => {
+        durations[operation] = { with_ssn: [], without_ssn: [] };
+    });
+
+    const totalPairs = ssnConfig.warmupPairs + ssnConfig.pairs;
+    for (let pair = 0; pair < totalPairs; pair++) {
+        const pairStart = Date.now();
+        const measured = pair >= ssnConfig.warmupPairs;
+        const order = pair % 2 === 0 ? VARIANTS : [VARIANTS[1], VARIANTS[0]];
+        const payloads = buildPairPayloads(pair);
+        const patientIds = {};
+        let complete = true;
+
+        for (const operation of OPERATIONS) {
+            const results = {};
+            for (const variant of order) {
+                if (operation !== 'create' && !patientIds[variant]) {
+                    continue;
+                }
+                const result = sendRequest(operation, variant, {
+                    payload: payloads[variant],
+                    patientId: patientIds[variant],
+                    authToken: data.authToken,
+                    csrfSession: csrfSession,
+                });
+                if (operation === 'create' && result.ok) {
+                    patientIds[variant] = result.body.id;
+                }
+                if (measured && !result.rateLimited) {
+                    ssnMetrics.requestSuccess.add(result.ok ? 1 : 0, { operation: operation });
+                }
+                results[variant] = result;
+            }
+
+            const bothOk = VARIANTS.every((variant) => results[variant] && results[variant].ok);
+            complete = complete && bothOk;
+            if (!measured || !bothOk) {
+                continue;
+            }
+
+            VARIANTS.forEach((variant) => {
+                durations[operation][variant].push(results[variant].duration);
+                ssnMetrics.requestDuration.add(results[variant].duration, { operation: operation, variant: variant });
+            });
+            differences[operation].push(results.with_ssn.duration - results.without_ssn.duration);
+        }
+
+        if (measured && !complete) {
+            ssnMetrics.incompletePairs.add(1);
+        }
+
+        sleepUntil(pairStart + ssnConfig.pairIntervalSeconds * 1000);
+    }
+
+    // Own stream, so the interval does not depend on how many values the pairs drew
+    const bootstrapRandom = createRandom('ssn-bootstrap');
+    OPERATIONS.forEach((operation) => {
+        if (differences[operation].length === 0) {
+            console.warn(`No complete ${operation} pairs; overhead not measured.`);
+            return;
+        }
+
+        const ci = bootstrapCi(differences[operation], median, bootstrapRandom, {
+            resamples: ssnConfig.resamples,
+            confidence: ssnConfig.confidence,
+        });
+        const test = mannWhitneyU(durations[operation].with_ssn, durations[operation].without_ssn);
+
+        ssnMetrics.overhead[operation].estimate.add(ci.estimate);
+        ssnMetrics.overhead[operation].lower.add(ci.lower);
+        ssnMetrics.overhead[operation].upper.add(ci.upper);
+        ssnMetrics.overhead[operation].pValue.add(test.pValue);
+
+        console.log(`${operation}: +${ci.estimate.toFixed(2)}ms ` +
+            `(${(ssnConfig.confidence * 100).toFixed(0)}% CI ${ci.lower.toFixed(2)} to ${ci.upper.toFixed(2)}ms, ` +
+            `${differences[operation].length} pairs, Mann-Whitney p=${test.pValue.toFixed(4)})`);
+    });
+}
+
+// ============================================================================
+// TEARDOWN PHASE
+// ============================================================================
+
+export function teardown(data) {
+    console.log('\n========================================');
+    console.log('EMR SSN Encryption Overhead Benchmark Completed');
+    console.log('========================================');
+    console.log(`Test Duration: ${((Date.now() - data.startTime) / 1000 / 60).toFixed(2)} minutes`);
+    console.log('========================================\n');
+}
+
+// ============================================================================
+// CUSTOM SUMMARY
+// ============================================================================
+
+export function handleSummary(data) {
+    const m = data.metrics;
+    const ms = (value) => (value !== undefined ? `${value.toFixed(2)}ms` : 'n/a');
+    const level = `${(ssnConfig.confidence * 100).toFixed(0)}%`;
+
+    const operationLines = OPERATIONS.map((operation) => {
+        const gauge = (suffix) => m[`ssn_${operation}_overhead${suffix}`]?.values?.value;
+        const upper = gauge('_ci_upper_ms');
+        const withSsn = m[`ssn_request_duration{operation:${operation},variant:with_ssn}`]?.values;
+        const withoutSsn = m[`ssn_request_duration{operation:${operation},variant:without_ssn}`]?.values;
+        const verdict = upper === undefined ? 'NOT MEASURED'
+            : upper < ssnConfig.overheadMaxMs[operation] ? 'WITHIN BUDGET' : 'OVER BUDGET';
+
+        return [
+            `- ${operation.padEnd(6)} added ${ms(gauge('_ms'))}  ${level} CI [${ms(gauge('_ci_lower_ms'))}, ${ms(upper)}]  budget ${ssnConfig.overheadMaxMs[operation]}ms  ${verdict}`,
+            `    with SSN p50 ${ms(withSsn?.med)} p95 ${ms(withSsn?.['p(95)'])}  without p50 ${ms(withoutSsn?.med)} p95 ${ms(withoutSsn?.['p(95)'])}  Mann-Whitney p=${gauge('_p_value')?.toFixed(4) ?? 'n/a'}`,
+        ].join('\n');
+    });
+
+    const summary = `
+========================================
+EMR SSN Encryption Overhead Benchmark
+========================================
+
+Design: ${ssnConfig.pairs} interleaved A/B pairs (${ssnConfig.warmupPairs} warm-up), paired median difference, bootstrap ${level} CI
+
+Added Cost of SSN Encryption (with SSN - without):
+${operationLines.join('\n')}
+
+Results:
+- Request Success: ${((m.ssn_request_success?.values?.rate || 0) * 100).toFixed(2)}%
+- Incomplete Pairs: ${m.ssn_incomplete_pairs?.values?.count || 0}
+
+========================================
+`;
+
+    console.log(summary);
+
+    return {
+        'stdout': summary,
+        'ssn-encryption-test-results.json': JSON.stringify(withRunSeed(data), null, 2),
+    };
+}
@@ -0,0 +1,373 @@
+/**
+ * EMR Performance Test Fixture Generator
+ *
+ * Writes a deterministic synthetic dataset for the k6 scripts, so a failing
+ * run can be repeated against exactly the same users and patients. Every
+ * value comes from a PRNG seeded with FIXTURE_SEED - no clock, no
+ * Math.random() - and the same seed always produces byte-identical files.
+ *
+ * Files (JSON for k6 SharedArray via fixtures.js, CSV for everything else):
+ * - users.json / users.csv: generateTestUser()-shaped users per role
+ * - patients.json / patients.csv: RegisterPatientCommand payloads with
+ *   demographics, address, identifiers (SSN in the never-issued 9xx area)
+ *   and emergency contact; every enum value is covered by index
+ * - unassigned-mrns.json / unassigned-mrns.csv: well-formed MRNs dated
+ *   1900-01-01 that no registration can be given (expected 404s). Assigned
+ *   MRNs are random server-side, so patients carry the MRN format instead
+ * - manifest.json: seed, counts and the SHA-256 of every file
+ *
+ * ⚠️ SYNTHETIC TEST DATA - NOT REAL PHI ⚠️
+ * Every record carries the TEST/SYNTHETIC markers used by generateTestUser().
+ *
+ * Usage:
+ *   node tools/generate-fixtures.js
+ *   FIXTURE_SEED=regression-42 FIXTURE_PATIENTS=2000 node tools/generate-fixtures.js
+ *   node tools/generate-fixtures.js --check     # regenerate in memory and compare with manifest.json
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const fixtureConfig = {
+    seed: process.env.FIXTURE_SEED || 'emr-perf',
+    dir: process.env.FIXTURE_DIR || path.join(__dirname, '..', 'fixtures'),
+    usersPerRole: parseInt(process.env.FIXTURE_USERS_PER_ROLE || '200'),
+    patients: parseInt(process.env.FIXTURE_PATIENTS || '500'),
+    unassignedMrns: parseInt(process.env.FIXTURE_UNASSIGNED_MRNS || '100'),
+};
+
+const ROLES = ['Patient', 'Doctor', 'Nurse', 'Staff', 'Admin'];
+
+const TEST_DATA_DISCLAIMER = 'SYNTHETIC TEST DATA - NOT REAL PHI - 45 CFR 164.514 COMPLIANT';
+
+// Integer values of the EMR.Domain.Enums the API binds (same as patientEnums in auth-performance-config.js)
+const PATIENT_ENUMS = {
+    gender: [1, 2, 3, 4, 5, 6],
+    race: [1, 2, 3, 4, 5, 6, 7, 8, 9],
+    ethnicity: [1, 2, 3, 4],
+    maritalStatus: [1, 2, 3, 4, 5, 6, 7],
+    preferredLanguage: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14],
+};
+
+const SYNTHETIC_PLACES = [
+    { city: 'Testville', state: 'TS' },
+    { city: 'Sampleton', state: 'SP' },
+    { city: 'Mockford', state: 'MK' },
+    { city: 'Fixture Falls', state: 'FX' },
+    { city: 'Stubbington', state: 'ST' },
+];
+
+const RELATIONSHIPS = ['Spouse', 'Parent', 'Child', 'Sibling', 'Friend', 'Guardian', 'Other'];
+
+const MRN_PATTERN = '^MRN-\\d{8}-\\d{6}$';
+
+// ============================================================================
+// SEEDED RANDOM
+// ============================================================================
+
+/**
+ * 32-bit seed and short tag derived from the seed string
+ * @param {string} seed - FIXTURE_SEED
+ * @returns {Object} { state, tag }
+ */
+function deriveSeed(seed) {
+    const digest = crypto.createHash('sha256').update(seed).digest();
+    return { state: digest.readUInt32BE(0), tag: digest.toString('hex').slice(0, 8) };
+}
+
+/**
+ * Mulberry32 PRNG
+ * @param {number} state - 32-bit seed
+ * @returns {Function} () => float in [0, 1)
+ */
+function mulberry32(state) {
+    let a = state >>> 0;
+    return () => {
+        a = (a + 0x6d2b79f5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Helpers over one PRNG stream
+ * @param {Function} next - PRNG
+ * @returns {Object} { int, pick, chance, digits, hex }
+ */
+function randomHelpers(next) {
+    const int = (max) => Math.floor(next() * max);
+    return {
+        int,
+        pick: (values) => values[int(values.length)],
+        chance: (p) => next() < p,
+        digits: (count) => Array.from({ length: count }, () => int(10)).join(''),
+        hex: (count) => Array.from({ length: count }, () => int(16).toString(16)).join(''),
+    };
+}
+
+/**
+ * Letters-only code for an index (0 -> 'A', 26 -> 'BA'); names reject digits
+ * @param {number} index - Non-negative integer
+ * @returns {string} Upper-case letters
+ */
+function toLetterCode(index) {
+    let code = '';
+    let value = Math.floor(index);
+    do {
+        code = String.fromCharCode(65 + (value % 26)) + code;
+        value = Math.floor(value / 26);
+    } while (value > 0);
+    return code;
+}
+
+// ============================================================================
+// GENERATORS
+// ============================================================================
+
+/**
+ * Users per role, shaped like generateTestUser() with the clock replaced by the seed tag
+ * @param {Object} random - randomHelpers()
+ * @param {string} tag - Seed tag
+ * @returns {Array<Object>} Users
+ */
+function generateUsers(random, tag) {
+    const users = [];
+    ROLES.forEach((role, roleIndex) => {
+        for (let i = 0; i < fixtureConfig.usersPerRole; i++) {
+            users.push({
+                email: `TEST-${role.toLowerCase()}.perf${i}.${tag}@emr-test-only.example`,
+                firstName: `TEST_${role}`,
+                lastName: `SYNTHETIC_User${i}`,
+                // 7e57 prefix marks the GUID as test data, as in generateTestGuid()
+                azureAdB2CId: `7e57${(i % 0x10000).toString(16).padStart(4, '0')}-${roleIndex.toString(16).padStart(4, '0')}-4${random.hex(3)}-8${random.hex(3)}-${random.hex(12)}`,
+                roles: [role],
+                isTestData: true,
+                testDataDisclaimer: TEST_DATA_DISCLAIMER,
+            });
+        }
+    });
+    return users;
+}
+
+/**
+ * Patient fixtures: RegisterPatientCommand payloads plus fixture metadata
+ * Enums cycle by index, so any 14 consecutive patients cover every value.
+ * @param {Object} random - randomHelpers()
+ * @param {string} tag - Seed tag
+ * @returns {Array<Object>} { fixtureKey, fixtureIndex, expectedMrnPattern, payload }
+ */
+function generatePatients(random, tag) {
+    const patients = [];
+    const firstDay = Date.UTC(1930, 0, 1);
+    const dayCount = Math.floor((Date.UTC(2024, 11, 31) - firstDay) / 86400000);
+    const phone = (exchange) => `555-${exchange}-01${random.digits(2)}`;
+
+    for (let i = 0; i < fixtureConfig.patients; i++) {
+        const cycle = (values) => values[i % values.length];
+        const place = random.pick(SYNTHETIC_PLACES);
+
+        patients.push({
+            fixtureKey: `FX-${tag}-${String(i).padStart(6, '0')}`,
+            fixtureIndex: i,
+            expectedMrnPattern: MRN_PATTERN,
+            payload: {
+                firstName: 'TEST-Fixture',
+                middleName: random.chance(0.33) ? 'TEST-Middle' : null,
+                lastName: `SYNTHETIC-Patient-${toLetterCode(i)}`,
+                dateOfBirth: new Date(firstDay + random.int(dayCount) * 86400000).toISOString().slice(0, 10) + 'T00:00:00Z',
+                gender: cycle(PATIENT_ENUMS.gender),
+                // 9xx area numbers are never issued as SSNs
+                socialSecurityNumber: `9${random.digits(2)}-${random.digits(2)}-${random.digits(4)}`,
+                phoneNumber: phone('555'),
+                alternatePhoneNumber: random.chance(0.25) ? phone('556') : null,
+                email: `TEST-fixture.patient${i}.${tag}@emr-test-only.example`,
+                address: {
+                    street: `${random.int(9000) + 1} Synthetic Test Way`,
+                    street2: random.chance(0.2) ? `Unit ${random.int(50) + 1}` : null,
+                    city: place.city,
+                    state: place.state,
+                    zipCode: random.digits(5),
+                    country: 'Testland',
+                },
+                maritalStatus: cycle(PATIENT_ENUMS.maritalStatus),
+                race: cycle(PATIENT_ENUMS.race),
+                ethnicity: cycle(PATIENT_ENUMS.ethnicity),
+                preferredLanguage: cycle(PATIENT_ENUMS.preferredLanguage),
+                emergencyContact: {
+                    name: 'TEST-Contact SYNTHETIC',
+                    relationship: random.pick(RELATIONSHIPS),
+                    phoneNumber: phone('557'),
+                    alternatePhoneNumber: random.chance(0.15) ? phone('558') : null,
+                },
+            },
+        });
+    }
+    return patients;
+}
+
+/**
+ * Well-formed MRNs no registration can be assigned (dated before any MRN was issued)
+ * @param {Object} random - randomHelpers()
+ * @returns {Array<Object>} { mrn, expectedStatus }
+ */
+function generateUnassignedMrns(random) {
+    const seen = new Set();
+    const mrns = [];
+    while (mrns.length < Math.min(fixtureConfig.unassignedMrns, 1000000)) {
+        const mrn = `MRN-19000101-${random.digits(6)}`;
+        if (!seen.has(mrn)) {
+            seen.add(mrn);
+            mrns.push({ mrn: mrn, expectedStatus: 404 });
+        }
+    }
+    return mrns;
+}
+
+// ============================================================================
+// SERIALIZATION
+// ============================================================================
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows to CSV with a header line
+ * @param {Array<string>} columns - Column names
+ * @param {Array<Array>} rows - Values in column order
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+    return [columns, ...rows].map((row) => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Build every fixture file for the configured seed
+ * @returns {Object} { files: { name: content }, manifest }
+ */
+function buildFixtures() {
+    const { state, tag } = deriveSeed(fixtureConfig.seed);
+    // One PRNG stream per file, so changing one count leaves the other files unchanged
+    const users = generateUsers(randomHelpers(mulberry32(state)), tag);
+    const patients = generatePatients(randomHelpers(mulberry32(state ^ 0x50415449)), tag);
+    const unassigned = generateUnassignedMrns(randomHelpers(mulberry32(state ^ 0x4d524e00)));
+
+    const files = {
+        'users.json': JSON.stringify(users, null, 2) + '\n',
+        'users.csv': toCsv(
+            ['email', 'firstName', 'lastName', 'azureAdB2CId', 'role'],
+            users.map((u) => [u.email, u.firstName, u.lastName, u.azureAdB2CId, u.roles[0]])
+        ),
+        'patients.json': JSON.stringify(patients, null, 2) + '\n',
+        'patients.csv': toCsv(
+            ['fixtureKey', 'firstName', 'middleName', 'lastName', 'dateOfBirth', 'gender', 'socialSecurityNumber',
+                'phoneNumber', 'alternatePhoneNumber', 'email', 'street', 'street2', 'city', 'state', 'zipCode',
+                'country', 'maritalStatus', 'race', 'ethnicity', 'preferredLanguage', 'emergencyContactName',
+                'emergencyContactRelationship', 'emergencyContactPhone', 'emergencyContactAlternatePhone'],
+            patients.map(({ fixtureKey, payload: p }) => [
+                fixtureKey, p.firstName, p.middleName, p.lastName, p.dateOfBirth, p.gender, p.socialSecurityNumber,
+                p.phoneNumber, p.alternatePhoneNumber, p.email, p.address.street, p.address.street2, p.address.city,
+                p.address.state, p.address.zipCode, p.address.country, p.maritalStatus, p.race, p.ethnicity,
+                p.preferredLanguage, p.emergencyContact.name, p.emergencyContact.relationship,
+                p.emergencyContact.phoneNumber, p.emergencyContact.alternatePhoneNumber,
+            ])
+        ),
+        'unassigned-mrns.json': JSON.stringify(unassigned, null, 2) + '\n',
+        'unassigned-mrns.csv': toCsv(['mrn', 'expectedStatus'], unassigned.map((m) => [m.mrn, m.expectedStatus])),
+    };
+
+    const hashes = {};
+    Object.keys(files).forEach((name) => {
+        hashes[name] = crypto.createHash('sha256').update(files[name]).digest('hex');
+    });
+
+    const manifest = {
+        generator: 'tools/generate-fixtures.js',
+        seed: fixtureConfig.seed,
+        seedTag: tag,
+        counts: { users: users.length, usersPerRole: fixtureConfig.usersPerRole, patients: patients.length, unassignedMrns: unassigned.length },
+        testDataDisclaimer: TEST_DATA_DISCLAIMER,
+        files: hashes,
+    };
+
+    return { files, manifest };
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+/**
+ * Compare a fresh build with the manifest on disk
+ * @param {Object} manifest - Freshly built manifest
+ * @returns {boolean} True when every file hash matches
+ */
+function checkFixtures(manifest) {
+    const manifestPath = path.join(fixtureConfig.dir, 'manifest.json');
+    if (!fs.existsSync(manifestPath)) {
+        console.error(`No manifest at ${manifestPath}. Generate the fixtures first.`);
+        return false;
+    }
+
+    const existing = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    let ok = existing.seed === manifest.seed;
+    if (!ok) {
+        console.error(`Seed differs: manifest has "${existing.seed}", FIXTURE_SEED is "${manifest.seed}"`);
+    }
+    Object.keys(manifest.files).forEach((name) => {
+        const filePath = path.join(fixtureConfig.dir, name);
+        const onDisk = fs.existsSync(filePath)
+            ? crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex')
+            : null;
+        if (onDisk !== manifest.files[name]) {
+            console.error(`${name}: does not match seed "${manifest.seed}"`);
+            ok = false;
+        }
+    });
+    return ok;
+}
+
+if (require.main === module) {
+    const { files, manifest } = buildFixtures();
+
+    if (process.argv.includes('--check')) {
+        const ok = checkFixtures(manifest);
+        console.log(ok ? `Fixtures in ${fixtureConfig.dir} match seed "${manifest.seed}"` : 'Fixture check failed');
+        process.exit(ok ? 0 : 1);
+    }
+
+    fs.mkdirSync(fixtureConfig.dir, { recursive: true });
+    Object.keys(files).forEach((name) => {
+        fs.writeFileSync(path.join(fixtureConfig.dir, name), files[name]);
+    });
+    fs.writeFileSync(path.join(fixtureConfig.dir, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+
+    console.log(`EMR synthetic fixtures written to ${fixtureConfig.dir}`);
+    console.log(`  Seed:     ${manifest.seed} (tag ${manifest.seedTag})`);
+    console.log(`  Users:    ${manifest.counts.users} (${manifest.counts.usersPerRole} per role)`);
+    console.log(`  Patients: ${manifest.counts.patients}`);
+    console.log(`  Unassigned MRNs: ${manifest.counts.unassignedMrns}`);
+    console.log('SYNTHETIC TEST DATA ONLY - NOT REAL PHI');
+}
+
+module.exports = {
+    fixtureConfig,
+    deriveSeed,
+    mulberry32,
+    buildFixtures,
+};
@@ -0,0 +1,395 @@
+/**
+ * EMR Performance Test Identity Provider Stub
+ *
+ * Minimal stand-in for the Azure AD B2C endpoints the API talks to, so that
+ * performance runs exercise real JwtBearer validation instead of 401 handling.
+ *
+ * Generates an RSA key pair at startup and serves:
+ * - OpenID Connect discovery document (.well-known/openid-configuration)
+ * - JWKS with the public half of the test key pair
+ * - A B2C-compatible token endpoint supporting the refresh_token grant
+ * - A loopback-only signing endpoint used by auth-token-factory.js
+ *
+ * ⚠️ TEST ONLY ⚠️
+ * Tokens issued by this stub are trusted by any API pointed at it.
+ * Never point a production or PHI-bearing environment at this server.
+ *
+ * Usage:
+ *   node tools/identity-stub-server.js
+ *   STUB_PORT=5099 STUB_TENANT=emr-perf-test node tools/identity-stub-server.js
+ *
+ * Point the API at the stub (Microsoft.Identity.Web B2C authority format):
+ *   AzureAdB2C__Instance=http://localhost:5099
+ *   AzureAdB2C__Domain=emr-perf-test
+ *   AzureAdB2C__SignUpSignInPolicyId=B2C_1_signupsignin
+ *   AzureAdB2C__ClientId=emr-perf-test-api
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const stubConfig = {
+    host: process.env.STUB_HOST || '127.0.0.1',
+    port: parseInt(process.env.STUB_PORT || '5099'),
+    tenant: process.env.STUB_TENANT || 'emr-perf-test',
+    policy: (process.env.STUB_POLICY || 'B2C_1_signupsignin').toLowerCase(),
+    // Optional TLS - JwtBearer requires HTTPS metadata outside Development
+    tlsCert: process.env.STUB_TLS_CERT || '',
+    tlsKey: process.env.STUB_TLS_KEY || '',
+    // Public URL the API uses to reach the stub (defaults to the listen address)
+    publicUrl: process.env.STUB_PUBLIC_URL || '',
+    // Refresh tokens outlive access tokens, as in B2C (default 24 hours)
+    refreshTokenLifetimeSeconds: parseInt(process.env.STUB_REFRESH_TOKEN_LIFETIME_SECONDS || '86400'),
+    // Artificial token endpoint latency to approximate a remote B2C tenant
+    tokenEndpointLatencyMs: parseInt(process.env.STUB_TOKEN_LATENCY_MS || '0'),
+};
+
+// ============================================================================
+// KEY MATERIAL
+// ============================================================================
+
+/**
+ * Generate the signing key pair and its JWK representation
+ * @returns {Object} Private key, public JWK and key ID
+ */
+function generateSigningKey() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = publicKey.export({ format: 'jwk' });
+
+    // RFC 7638 thumbprint as the key ID
+    const thumbprintInput = JSON.stringify({ e: jwk.e, kty: jwk.kty, n: jwk.n });
+    const kid = crypto.createHash('sha256').update(thumbprintInput).digest('base64url');
+
+    return {
+        privateKey,
+        kid,
+        publicJwk: { ...jwk, kid, use: 'sig', alg: 'RS256' },
+    };
+}
+
+const signingKey = generateSigningKey();
+
+// ============================================================================
+// TOKEN SIGNING
+// ============================================================================
+
+/**
+ * Base64url-encode a JSON object
+ * @param {Object} value - Object to encode
+ * @returns {string} Base64url string
+ */
+function encodeSegment(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a claim set as an RS256 JWT with the stub key
+ * @param {Object} claims - JWT payload
+ * @returns {string} Compact JWT
+ */
+function signToken(claims) {
+    const header = { alg: 'RS256', typ: 'JWT', kid: signingKey.kid };
+    const signingInput = `${encodeSegment(header)}.${encodeSegment(claims)}`;
+    const signature = crypto.sign('sha256', Buffer.from(signingInput), signingKey.privateKey);
+
+    return `${signingInput}.${signature.toString('base64url')}`;
+}
+
+// ============================================================================
+// REFRESH TOKENS
+// ============================================================================
+
+/**
+ * Outstanding refresh tokens: opaque token -> { claims, lifetimeSeconds, expiresAt }
+ * Refresh tokens are single-use and rotated on every redemption, like B2C.
+ */
+const refreshTokens = new Map();
+
+/**
+ * Create a refresh token bound to a claim set
+ * @param {Object} claims - Access token claims to re-issue on refresh
+ * @returns {string} Opaque refresh token
+ */
+function createRefreshToken(claims) {
+    const refreshToken = crypto.randomBytes(32).toString('base64url');
+    const lifetimeSeconds = Math.max(1, (claims.exp || 0) - (claims.iat || 0));
+
+    refreshTokens.set(refreshToken, {
+        claims,
+        lifetimeSeconds,
+        expiresAt: Date.now() + stubConfig.refreshTokenLifetimeSeconds * 1000,
+    });
+
+    return refreshToken;
+}
+
+/**
+ * Redeem a refresh token for a new access token and a rotated refresh token
+ * @param {string} refreshToken - Refresh token presented by the client
+ * @returns {Object|null} Token response body, or null when the token is unknown or expired
+ */
+function redeemRefreshToken(refreshToken) {
+    const entry = refreshTokens.get(refreshToken);
+    refreshTokens.delete(refreshToken);
+
+    if (!entry || entry.expiresAt < Date.now()) {
+        return null;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const claims = {
+        ...entry.claims,
+        iat: now,
+        nbf: now,
+        exp: now + entry.lifetimeSeconds,
+    };
+
+    return {
+        access_token: signToken(claims),
+        token_type: 'Bearer',
+        expires_in: entry.lifetimeSeconds,
+        expires_on: claims.exp,
+        not_before: claims.nbf,
+        refresh_token: createRefreshToken(claims),
+        refresh_token_expires_in: stubConfig.refreshTokenLifetimeSeconds,
+    };
+}
+
+// ============================================================================
+// DISCOVERY DOCUMENTS
+// ============================================================================
+
+/**
+ * Resolve the externally visible base URL of the stub
+ * Deliberately independent of the request Host header: the issuer must be
+ * identical for the API and for k6, even if they address the stub differently.
+ * @returns {string} Base URL without trailing slash
+ */
+function getPublicUrl() {
+    if (stubConfig.publicUrl) {
+        return stubConfig.publicUrl.replace(/\/$/, '');
+    }
+
+    const scheme = stubConfig.tlsCert ? 'https' : 'http';
+    return `${scheme}://${stubConfig.host}:${stubConfig.port}`;
+}
+
+/**
+ * Build the OpenID Connect discovery document
+ * @param {string} baseUrl - Public base URL of the stub
+ * @returns {Object} Discovery document
+ */
+function getOpenIdConfiguration(baseUrl) {
+    const tenantUrl = `${baseUrl}/${stubConfig.tenant}/${stubConfig.policy}`;
+
+    return {
+        issuer: `${baseUrl}/${stubConfig.tenant}/v2.0/`,
+        authorization_endpoint: `${tenantUrl}/oauth2/v2.0/authorize`,
+        token_endpoint: `${tenantUrl}/oauth2/v2.0/token`,
+        jwks_uri: `${tenantUrl}/discovery/v2.0/keys`,
+        response_types_supported: ['code', 'id_token', 'code id_token', 'id_token token'],
+        subject_types_supported: ['pairwise'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        token_endpoint_auth_methods_supported: ['client_secret_post', 'client_secret_basic'],
+        claims_supported: ['sub', 'oid', 'name', 'given_name', 'family_name', 'emails', 'roles', 'tfp', 'iss', 'iat', 'exp', 'aud', 'nbf'],
+    };
+}
+
+// ============================================================================
+// HTTP HANDLING
+// ============================================================================
+
+/**
+ * Write a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Response body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Cache-Control': 'no-store',
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body (empty object when no body)
+ */
+function readJsonBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(raw ? JSON.parse(raw) : {});
+            } catch (e) {
+                reject(new Error('Request body is not valid JSON'));
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Read a form-encoded request body (token endpoint requests)
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<URLSearchParams>} Parsed form fields
+ */
+function readFormBody(req) {
+    return new Promise((resolve, reject) => {
+        let raw = '';
+        req.on('data', (chunk) => { raw += chunk; });
+        req.on('end', () => resolve(new URLSearchParams(raw)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Delay helper for simulated token endpoint latency
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Check whether a request originates from the local machine
+ * The signing endpoint is never exposed to remote callers.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} True for loopback callers
+ */
+function isLoopback(req) {
+    const address = req.socket.remoteAddress || '';
+    return address === '127.0.0.1' || address === '::1' || address === '::ffff:127.0.0.1';
+}
+
+/**
+ * Route requests to the stub endpoints
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+    const path = new URL(req.url, 'http://stub').pathname.toLowerCase();
+    const baseUrl = getPublicUrl();
+
+    // Discovery: accept both /{tenant}/{policy}/v2.0/... and /tfp/{tenant}/{policy}/v2.0/...
+    if (req.method === 'GET' && path.endsWith('/.well-known/openid-configuration')) {
+        return sendJson(res, 200, getOpenIdConfiguration(baseUrl));
+    }
+
+    if (req.method === 'GET' && path.endsWith('/discovery/v2.0/keys')) {
+        return sendJson(res, 200, { keys: [signingKey.publicJwk] });
+    }
+
+    // B2C-compatible token endpoint (refresh_token grant only)
+    if (req.method === 'POST' && path.endsWith('/oauth2/v2.0/token')) {
+        const form = await readFormBody(req);
+
+        if (stubConfig.tokenEndpointLatencyMs > 0) {
+            await delay(stubConfig.tokenEndpointLatencyMs);
+        }
+
+        if (form.get('grant_type') !== 'refresh_token') {
+            return sendJson(res, 400, { error: 'unsupported_grant_type', error_description: 'Only refresh_token is supported by the stub' });
+        }
+
+        const tokenResponse = redeemRefreshToken(form.get('refresh_token') || '');
+        if (!tokenResponse) {
+            return sendJson(res, 400, { error: 'invalid_grant', error_description: 'Refresh token is unknown, expired or already redeemed' });
+        }
+
+        return sendJson(res, 200, tokenResponse);
+    }
+
+    // Test-only signing endpoint used by auth-token-factory.js
+    if (req.method === 'POST' && path === '/_test/sign') {
+        if (!isLoopback(req)) {
+            return sendJson(res, 403, { error: 'forbidden', message: 'Signing is only available to loopback callers' });
+        }
+
+        try {
+            const body = await readJsonBody(req);
+            if (!body.claims || typeof body.claims !== 'object') {
+                return sendJson(res, 400, { error: 'invalid_request', message: 'Body must contain a claims object' });
+            }
+
+            const result = { token: signToken(body.claims), kid: signingKey.kid };
+            if (body.issueRefreshToken) {
+                result.refreshToken = createRefreshToken(body.claims);
+            }
+
+            return sendJson(res, 200, result);
+        } catch (e) {
+            return sendJson(res, 400, { error: 'invalid_request', message: e.message });
+        }
+    }
+
+    if (req.method === 'GET' && path === '/_test/health') {
+        return sendJson(res, 200, {
+            status: 'ok',
+            kid: signingKey.kid,
+            tenant: stubConfig.tenant,
+            policy: stubConfig.policy,
+            outstandingRefreshTokens: refreshTokens.size,
+        });
+    }
+
+    return sendJson(res, 404, { error: 'not_found', path });
+}
+
+// ============================================================================
+// SERVER STARTUP
+// ============================================================================
+
+function createServer() {
+    const handler = (req, res) => {
+        handleRequest(req, res).catch((e) => sendJson(res, 500, { error: 'server_error', message: e.message }));
+    };
+
+    if (stubConfig.tlsCert && stubConfig.tlsKey) {
+        return https.createServer({
+            cert: fs.readFileSync(stubConfig.tlsCert),
+            key: fs.readFileSync(stubConfig.tlsKey),
+        }, handler);
+    }
+
+    return http.createServer(handler);
+}
+
+if (require.main === module) {
+    const server = createServer();
+
+    server.listen(stubConfig.port, stubConfig.host, () => {
+        const scheme = stubConfig.tlsCert ? 'https' : 'http';
+        console.log('EMR test identity stub listening');
+        console.log(`  URL:    ${scheme}://${stubConfig.host}:${stubConfig.port}`);
+        console.log(`  Tenant: ${stubConfig.tenant}`);
+        console.log(`  Policy: ${stubConfig.policy}`);
+        console.log(`  Key ID: ${signingKey.kid}`);
+        console.log('SYNTHETIC TEST IDENTITIES ONLY - never point a production API at this stub');
+    });
+
+    const shutdown = () => server.close(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+module.exports = {
+    stubConfig,
+    signToken,
+    redeemRefreshToken,
+    getOpenIdConfiguration,
+    createServer,
+};